@@ -1,7 +1,17 @@
 // Arc Spaces - Service Worker
-// Thin background script: panel behavior + bookmark event relay
+// Background script: panel behavior, bookmark/tab event relay, idle-tab archiving,
+// URL routing rules, keyboard commands, trash purge, link re-checks
 // All first-run setup is handled by workspace-service.js in the side panel
 
+import { storageService } from './sidepanel/services/storage-service.js';
+import { tabService } from './sidepanel/services/tab-service.js';
+import { tabGroupService } from './sidepanel/services/tab-group-service.js';
+import { archiveService } from './sidepanel/services/archive-service.js';
+import { routingService } from './sidepanel/services/routing-service.js';
+import { commandService } from './sidepanel/services/command-service.js';
+import { trashService } from './sidepanel/services/trash-service.js';
+import { linkCheckService } from './sidepanel/services/link-check-service.js';
+
 // Set side panel to open on action icon click
 chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
 
@@ -21,6 +31,131 @@ for (const eventName of BOOKMARK_EVENTS) {
   });
 }
 
+// Relay tab events to the side panel (drives the "Today" tab list)
+const TAB_EVENTS = [
+  'onRemoved', 'onUpdated', 'onMoved', 'onActivated', 'onAttached', 'onDetached'
+];
+
+function relayTabEvent(eventName, args) {
+  chrome.runtime.sendMessage({
+    type: `tab:${eventName}`,
+    data: args
+  }).catch(() => {
+    // Side panel not open — ignore silently
+  });
+}
+
+// New tabs join a workspace before the panel hears about them, so the
+// panel never has to guess which workspace a fresh tab belongs to.
+chrome.tabs.onCreated.addListener(async (tab) => {
+  const wsId = await tabService.assignNewTab(tab);
+  if (wsId) await tabGroupService.addTab(tab, wsId);
+  relayTabEvent('onCreated', [tab]);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  tabService.forget(tabId);
+});
+
+// A tab dragged into a workspace's group moves to that workspace
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.groupId !== undefined) {
+    tabGroupService.handleTabGrouped(tabId, changeInfo.groupId);
+  }
+});
+
+// A tab navigating to a URL another workspace claims moves there; the side
+// panel of its window offers to follow it.
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (!changeInfo.url) return;
+  try {
+    const wsId = await routingService.routeTab(tab);
+    if (!wsId) return;
+    chrome.runtime.sendMessage({
+      type: 'route:moved',
+      data: { tabId, windowId: tab.windowId, workspaceId: wsId }
+    }).catch(() => {
+      // Side panel not open — ignore silently
+    });
+  } catch (err) {
+    console.warn('Arc Spaces: routing tab failed:', err);
+  }
+});
+
+chrome.tabGroups.onRemoved.addListener((group) => {
+  tabGroupService.forgetGroup(group.id);
+});
+
+for (const eventName of TAB_EVENTS) {
+  chrome.tabs[eventName].addListener((...args) => {
+    relayTabEvent(eventName, args);
+  });
+}
+
+// Closed windows no longer need a workspace binding
+chrome.windows.onRemoved.addListener((windowId) => {
+  storageService.removeWindowWorkspace(windowId);
+});
+
+// Track tab activation so idle tabs can be archived
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  tabService.markActivated(tabId);
+});
+
+// Periodically archive idle tabs (per-workspace period, see archive-service.js).
+// Only create the alarm if missing — re-creating it on every service worker
+// wake-up would keep pushing the first run back.
+const ARCHIVE_ALARM = 'archive-idle-tabs';
+
+chrome.alarms.get(ARCHIVE_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(ARCHIVE_ALARM, { periodInMinutes: 30 });
+});
+
+// Permanently delete trashed bookmarks older than the retention setting
+const TRASH_ALARM = 'purge-trash';
+
+chrome.alarms.get(TRASH_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(TRASH_ALARM, { periodInMinutes: 360 });
+});
+
+// Re-check bookmark links whose results are older than the rescan setting.
+// Skipped until the user grants site access from the link check view.
+const LINK_ALARM = 'rescan-links';
+
+chrome.alarms.get(LINK_ALARM).then((alarm) => {
+  if (!alarm) chrome.alarms.create(LINK_ALARM, { periodInMinutes: 360 });
+});
+
+async function rescanLinks() {
+  if (!await linkCheckService.hasPermission()) return;
+  await linkCheckService.rescanDue();
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ARCHIVE_ALARM) {
+    archiveService.archiveIdleTabs().catch((err) => {
+      console.warn('Arc Spaces: archiving idle tabs failed:', err);
+    });
+  } else if (alarm.name === TRASH_ALARM) {
+    trashService.purgeExpired().catch((err) => {
+      console.warn('Arc Spaces: purging trash failed:', err);
+    });
+  } else if (alarm.name === LINK_ALARM) {
+    rescanLinks().catch((err) => {
+      console.warn('Arc Spaces: rescanning links failed:', err);
+    });
+  }
+});
+
+// Keyboard commands (manifest "commands"): switch workspaces, save the
+// current tab. Chrome allows at most four suggested keys, so "workspace 1–4"
+// are left for the user to bind at chrome://extensions/shortcuts.
+chrome.commands.onCommand.addListener((command, tab) => {
+  commandService.handle(command, tab).catch((err) => {
+    console.warn('Arc Spaces: command failed:', command, err);
+  });
+});
+
 // Relay sync storage changes to the side panel
 // Side panels may not receive onChanged events when hidden/reopened,
 // so the service worker (always running) relays them.
@@ -6,9 +6,26 @@ import { bookmarkService } from '../services/bookmark-service.js';
 import { workspaceService } from '../services/workspace-service.js';
 import { themeService } from '../services/theme-service.js';
 import { backupService } from '../services/backup-service.js';
+import { sessionService } from '../services/session-service.js';
 import { showContextMenu } from './context-menu.js';
+import { ArchiveView } from './archive-view.js';
+import { TrashView } from './trash-view.js';
+import { DuplicatesView } from './duplicates-view.js';
+import { LinkHealthView } from './link-health-view.js';
+import { showSmartFolderEditor } from './smart-folder-editor.js';
+import { sortMenuItems } from './sort-menu.js';
+import { sortService } from '../services/sort-service.js';
+import { showUndoToast } from './toast.js';
+import { undoService } from '../services/undo-service.js';
 import { bus, Events } from '../utils/event-bus.js';
 
+const ARCHIVE_OPTIONS = [
+  { value: '12h', label: 'After 12 hours' },
+  { value: '24h', label: 'After 24 hours' },
+  { value: '7d', label: 'After 7 days' },
+  { value: 'never', label: 'Never' },
+];
+
 export class ActionBar {
   /**
    * @param {HTMLElement} container - The #workspace-header element
@@ -16,6 +33,10 @@ export class ActionBar {
   constructor(container) {
     this.container = container;
     this._unsubscribers = [];
+    this._archiveView = null;
+    this._trashView = null;
+    this._duplicatesView = null;
+    this._linkHealthView = null;
   }
 
   init() {
@@ -68,14 +89,14 @@ export class ActionBar {
     bar.appendChild(this._createButton('Add current tab', `
       <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
         <path d="M4 2H12V14L8 11L4 14V2Z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
-      </svg>`, () => this._addBookmark()));
+      </svg>`, () => this.addBookmark()));
 
     // Add folder button
     bar.appendChild(this._createButton('New folder', `
       <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
         <path d="M2 4C2 3.44772 2.44772 3 3 3H6.17157C6.43679 3 6.69114 3.10536 6.87868 3.29289L7.70711 4.12132C7.89464 4.30886 8.149 4.41421 8.41421 4.41421H13C13.5523 4.41421 14 4.86193 14 5.41421V12C14 12.5523 13.5523 13 13 13H3C2.44772 13 2 12.5523 2 12V4Z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
         <path d="M8 7V11M6 9H10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
-      </svg>`, () => this._addFolder()));
+      </svg>`, () => this.addFolder()));
 
     this.container.appendChild(bar);
   }
@@ -90,8 +111,10 @@ export class ActionBar {
     return btn;
   }
 
-  _showWorkspaceMenu(ws, e) {
+  async _showWorkspaceMenu(ws, e) {
     const rect = e.currentTarget.getBoundingClientRect();
+    const keptBy = await sortService.getKeepSorted(ws.rootFolderId);
+    const groups = await sessionService.listGroups();
     const items = [];
 
     // Rename
@@ -112,6 +135,66 @@ export class ActionBar {
       action: () => this._showEmojiInput(ws)
     });
 
+    // Auto-archive idle tabs
+    const archiveAfter = workspaceService.getArchiveAfter(ws.id);
+    items.push({
+      label: 'Archive idle tabs…',
+      children: ARCHIVE_OPTIONS.map(opt => ({
+        label: `${opt.value === archiveAfter ? '● ' : '  '}${opt.label}`,
+        action: () => workspaceService.setArchiveAfter(ws.id, opt.value)
+      }))
+    });
+
+    // Browse closed tabs
+    items.push({
+      label: 'Archive…',
+      action: () => this.openArchive()
+    });
+
+    // Deleted bookmarks and workspaces
+    items.push({
+      label: 'Trash…',
+      action: () => this.openTrash()
+    });
+
+    // Same page bookmarked more than once, across workspaces
+    items.push({
+      label: 'Find duplicates…',
+      action: () => this.openDuplicates()
+    });
+
+    // Broken and redirected links in this workspace
+    items.push({
+      label: 'Check links…',
+      action: () => this.openLinkHealth()
+    });
+
+    // Snapshot the window's tabs into a session folder
+    items.push({
+      label: 'Save open tabs to workspace',
+      action: () => this.saveSession(ws)
+    });
+
+    // Save one of the window's tab groups as a folder
+    if (groups.length > 0) {
+      items.push({
+        label: 'Save tab group to workspace…',
+        children: groups.map(group => ({
+          label: `${group.title || 'Untitled group'} (${group.tabCount} tab${group.tabCount === 1 ? '' : 's'})`,
+          action: () => this.saveTabGroup(ws, group.id)
+        }))
+      });
+    }
+
+    // Saved bookmark query shown as a virtual folder
+    items.push({
+      label: 'New smart folder…',
+      action: () => this.newSmartFolder()
+    });
+
+    // Sort the workspace's top-level bookmarks
+    items.push(...sortMenuItems(ws.rootFolderId, keptBy));
+
     items.push({ separator: true });
 
     // Delete (only if more than 1 workspace)
@@ -120,9 +203,13 @@ export class ActionBar {
         label: 'Delete workspace',
         danger: true,
         action: async () => {
-          const confirmed = confirm(`Delete workspace "${ws.name}"? Its bookmarks will also be removed.`);
-          if (confirmed) {
-            await workspaceService.delete(ws.id);
+          const confirmed = confirm(`Delete workspace "${ws.name}"? Its bookmarks will be moved to the Trash.`);
+          if (!confirmed) return;
+          try {
+            await undoService.deleteWorkspace(ws.id, `Delete workspace "${ws.name}"`);
+            showUndoToast(`Deleted workspace "${ws.name}"`);
+          } catch (err) {
+            console.warn('Arc Spaces: delete workspace failed:', err);
           }
         }
       });
@@ -154,11 +241,11 @@ export class ActionBar {
     // Backup & restore
     items.push({
       label: 'Export backup',
-      action: () => this._exportBackup()
+      action: () => this.exportBackup()
     });
     items.push({
       label: 'Import from backup…',
-      action: () => this._importBackup()
+      action: () => this.importBackup()
     });
 
     showContextMenu({ x: rect.left, y: rect.bottom + 4, items });
@@ -168,17 +255,24 @@ export class ActionBar {
     const colors = workspaceService.colors;
     const items = colors.map(c => ({
       label: `${c.name === ws.colorScheme ? '● ' : '  '}${c.name.charAt(0).toUpperCase() + c.name.slice(1)}`,
-      action: async () => {
-        await workspaceService.changeColor(ws.id, c.name);
-        if (ws.id === workspaceService.getActive()?.id) {
-          themeService.apply(c.name);
-        }
-        this.render();
-      }
+      action: () => this.setColor(ws, c.name)
     }));
     showContextMenu({ x: fromRect.left, y: fromRect.bottom + 4, items });
   }
 
+  /**
+   * Change a workspace's color, re-theming the panel if it is active.
+   * @param {Object} ws
+   * @param {string} colorScheme
+   */
+  async setColor(ws, colorScheme) {
+    await workspaceService.changeColor(ws.id, colorScheme);
+    if (ws.id === workspaceService.getActive()?.id) {
+      themeService.apply(colorScheme);
+    }
+    this.render();
+  }
+
   _showEmojiInput(ws) {
     const emoji = prompt(
       ws.emoji
@@ -231,7 +325,8 @@ export class ActionBar {
     requestAnimationFrame(() => { input.focus(); input.select(); });
   }
 
-  async _addBookmark() {
+  /** Bookmark the current tab at the top level of the active workspace. */
+  async addBookmark() {
     const ws = workspaceService.getActive();
     if (!ws) return;
 
@@ -247,7 +342,8 @@ export class ActionBar {
     bus.emit(Events.TREE_REFRESH);
   }
 
-  async _addFolder() {
+  /** Show an inline name input and create a folder in the active workspace. */
+  async addFolder() {
     const ws = workspaceService.getActive();
     if (!ws) return;
 
@@ -296,9 +392,67 @@ export class ActionBar {
     requestAnimationFrame(() => input.focus());
   }
 
+  /** Save the window's open tabs as a session folder in a workspace. */
+  async saveSession(ws) {
+    try {
+      const folder = await sessionService.save(ws);
+      if (folder) bus.emit(Events.TREE_REFRESH);
+    } catch (err) {
+      alert(`Saving tabs failed: ${err.message}`);
+    }
+  }
+
+  /** Save a tab group's tabs as a folder in a workspace. */
+  async saveTabGroup(ws, groupId) {
+    try {
+      const folder = await sessionService.saveGroup(ws, groupId);
+      if (folder) bus.emit(Events.TREE_REFRESH);
+    } catch (err) {
+      alert(`Saving tab group failed: ${err.message}`);
+    }
+  }
+
+  /** Open the dialog that saves a bookmark query as a smart folder. */
+  newSmartFolder() {
+    showSmartFolderEditor();
+  }
+
+  /** Open the Archive view over the sidebar. */
+  openArchive() {
+    if (!this._archiveView) {
+      this._archiveView = new ArchiveView(document.getElementById('app'));
+    }
+    this._archiveView.open();
+  }
+
+  /** Open the Trash view over the sidebar. */
+  openTrash() {
+    if (!this._trashView) {
+      this._trashView = new TrashView(document.getElementById('app'));
+    }
+    this._trashView.open();
+  }
+
+  /** Open the duplicate bookmark finder over the sidebar. */
+  openDuplicates() {
+    if (!this._duplicatesView) {
+      this._duplicatesView = new DuplicatesView(document.getElementById('app'));
+    }
+    this._duplicatesView.open();
+  }
+
+  /** Open the broken link checker over the sidebar. */
+  openLinkHealth() {
+    if (!this._linkHealthView) {
+      this._linkHealthView = new LinkHealthView(document.getElementById('app'));
+    }
+    this._linkHealthView.open();
+  }
+
   // ── Backup & Import ────────────────────────────────
 
-  async _exportBackup() {
+  /** Download a JSON backup of all workspaces. */
+  async exportBackup() {
     try {
       await backupService.downloadBackup();
     } catch (err) {
@@ -306,7 +460,8 @@ export class ActionBar {
     }
   }
 
-  async _importBackup() {
+  /** Pick a backup file and restore workspaces from it. */
+  async importBackup() {
     const input = document.createElement('input');
     input.type = 'file';
     input.accept = '.json';
@@ -408,5 +563,9 @@ export class ActionBar {
     for (const unsub of this._unsubscribers) {
       unsub();
     }
+    if (this._archiveView) this._archiveView.close();
+    if (this._trashView) this._trashView.close();
+    if (this._duplicatesView) this._duplicatesView.close();
+    if (this._linkHealthView) this._linkHealthView.close();
   }
 }
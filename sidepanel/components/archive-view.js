@@ -0,0 +1,241 @@
+// Archive view — browse, search, and recover tabs closed from any workspace
+// Opens over the sidebar from the workspace menu. Entries are grouped by the
+// day they were archived; click a row to reopen it in the current window.
+
+import { el, clearChildren } from '../utils/dom.js';
+import { createFaviconImg } from '../utils/favicon.js';
+import { debounce } from '../utils/debounce.js';
+import { archiveService } from '../services/archive-service.js';
+import { bookmarkService } from '../services/bookmark-service.js';
+import { storageService } from '../services/storage-service.js';
+import { workspaceService } from '../services/workspace-service.js';
+import { bus, Events } from '../utils/event-bus.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ICON_RESTORE = `<svg width="12" height="12" viewBox="0 0 16 16" fill="none">
+  <path d="M3 8a5 5 0 1 0 1.5-3.5M3 3v2.5h2.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+</svg>`;
+
+const ICON_BOOKMARK = `<svg width="12" height="12" viewBox="0 0 16 16" fill="none">
+  <path d="M4 2H12V14L8 11L4 14V2Z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
+</svg>`;
+
+const ICON_CLOSE = `<svg width="12" height="12" viewBox="0 0 16 16" fill="none">
+  <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+</svg>`;
+
+/**
+ * Label for the day an entry was archived, relative to now.
+ * @param {number} timestamp
+ * @param {number} now
+ * @returns {string}
+ */
+function dayLabel(timestamp, now) {
+  const startOfToday = new Date(now).setHours(0, 0, 0, 0);
+  if (timestamp >= startOfToday) return 'Today';
+  if (timestamp >= startOfToday - DAY_MS) return 'Yesterday';
+  return new Date(timestamp).toLocaleDateString(undefined, {
+    weekday: 'short', month: 'short', day: 'numeric'
+  });
+}
+
+/**
+ * Group newest-first entries into consecutive day buckets.
+ * @param {Array} entries
+ * @param {number} [now]
+ * @returns {Array<{label: string, entries: Array}>}
+ */
+export function groupByDay(entries, now = Date.now()) {
+  const groups = [];
+  for (const entry of entries) {
+    const label = dayLabel(entry.archivedAt, now);
+    const last = groups[groups.length - 1];
+    if (last && last.label === label) {
+      last.entries.push(entry);
+    } else {
+      groups.push({ label, entries: [entry] });
+    }
+  }
+  return groups;
+}
+
+export class ArchiveView {
+  /**
+   * @param {HTMLElement} container - Element the overlay is appended to (#app)
+   */
+  constructor(container) {
+    this.container = container;
+    this._overlay = null;
+    this._list = null;
+    this._query = '';
+    this._unsubStorage = null;
+    this._debouncedRender = debounce(() => this.render(), 150);
+    this._onKeydown = (e) => {
+      if (e.key === 'Escape') this.close();
+    };
+  }
+
+  async open() {
+    if (this._overlay) return;
+    this._query = '';
+
+    this._overlay = el('div', { className: 'archive-view' });
+
+    // Header: title + close
+    const header = el('div', { className: 'archive-header' });
+    header.appendChild(el('span', { className: 'archive-title', text: 'Archive' }));
+    const closeBtn = el('button', {
+      className: 'action-btn',
+      attrs: { title: 'Close archive', type: 'button' },
+      events: { click: () => this.close() }
+    });
+    closeBtn.innerHTML = ICON_CLOSE;
+    header.appendChild(closeBtn);
+    this._overlay.appendChild(header);
+
+    // Text filter
+    const search = el('input', {
+      className: 'workspace-create-input archive-search',
+      attrs: { type: 'search', placeholder: 'Search archived tabs…' },
+      events: {
+        input: (e) => {
+          this._query = e.target.value;
+          this._debouncedRender();
+        }
+      }
+    });
+    this._overlay.appendChild(el('div', { className: 'archive-search-wrap', children: [search] }));
+
+    this._list = el('div', { className: 'archive-list' });
+    this._overlay.appendChild(this._list);
+
+    this.container.appendChild(this._overlay);
+    document.addEventListener('keydown', this._onKeydown);
+
+    // Auto-archive runs in the service worker — re-render when the log changes
+    this._unsubStorage = storageService.onChange((changes, area) => {
+      if (area === 'local' && changes.archive) this._debouncedRender();
+    });
+
+    await this.render();
+    requestAnimationFrame(() => search.focus());
+  }
+
+  close() {
+    if (!this._overlay) return;
+    this._overlay.remove();
+    this._overlay = null;
+    this._list = null;
+    document.removeEventListener('keydown', this._onKeydown);
+    if (this._unsubStorage) this._unsubStorage();
+    this._unsubStorage = null;
+  }
+
+  async render() {
+    if (!this._list) return;
+    const entries = await archiveService.search(this._query);
+    if (!this._list) return; // closed while loading
+
+    clearChildren(this._list);
+
+    if (entries.length === 0) {
+      this._list.appendChild(el('div', {
+        className: 'empty-state',
+        children: [el('p', {
+          className: 'empty-message',
+          text: this._query ? 'No archived tabs match.' : 'No archived tabs yet.'
+        })]
+      }));
+      return;
+    }
+
+    for (const group of groupByDay(entries)) {
+      this._list.appendChild(el('div', {
+        className: 'section-header',
+        children: [el('span', { className: 'section-label', text: group.label })]
+      }));
+      for (const entry of group.entries) {
+        this._list.appendChild(this._createEntryItem(entry));
+      }
+    }
+  }
+
+  /**
+   * Render a single archived tab (favicon, title, workspace, actions).
+   * @param {Object} entry
+   * @returns {HTMLElement}
+   */
+  _createEntryItem(entry) {
+    const item = el('div', {
+      className: ['bookmark-item', 'archive-item'],
+      dataset: { entryId: entry.id },
+      attrs: { title: entry.url },
+      style: { paddingLeft: '12px' }
+    });
+
+    const faviconWrapper = el('span', { className: 'item-icon' });
+    faviconWrapper.appendChild(createFaviconImg(entry.url, 16));
+    faviconWrapper.appendChild(el('span', { className: 'favicon-fallback' }));
+    item.appendChild(faviconWrapper);
+
+    item.appendChild(el('span', {
+      className: 'item-title',
+      text: entry.title || entry.url
+    }));
+
+    const ws = entry.workspaceId ? workspaceService.getById(entry.workspaceId) : null;
+    if (ws) {
+      item.appendChild(el('span', {
+        className: 'archive-workspace',
+        text: ws.name,
+        style: { color: ws.color }
+      }));
+    }
+
+    item.appendChild(this._createAction('Restore to current window', ICON_RESTORE, () => this._restore(entry)));
+    item.appendChild(this._createAction('Save as bookmark in this workspace', ICON_BOOKMARK, () => this._saveAsBookmark(entry)));
+
+    item.addEventListener('click', () => this._restore(entry));
+    return item;
+  }
+
+  _createAction(title, svgHtml, onClick) {
+    const btn = el('button', {
+      className: 'archive-action',
+      attrs: { title, type: 'button' },
+      events: {
+        click: (e) => {
+          e.stopPropagation();
+          onClick();
+        }
+      }
+    });
+    btn.innerHTML = svgHtml;
+    return btn;
+  }
+
+  async _restore(entry) {
+    try {
+      await archiveService.restore(entry.id);
+      await this.render();
+    } catch (err) {
+      console.warn('Arc Spaces: restore archived tab failed:', err);
+    }
+  }
+
+  async _saveAsBookmark(entry) {
+    const ws = workspaceService.getActive();
+    if (!ws) return;
+    try {
+      await bookmarkService.create({
+        parentId: ws.rootFolderId,
+        title: entry.title || entry.url,
+        url: entry.url
+      });
+      bus.emit(Events.TREE_REFRESH);
+    } catch (err) {
+      console.warn('Arc Spaces: save archived tab failed:', err);
+    }
+  }
+}
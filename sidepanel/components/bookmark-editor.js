@@ -0,0 +1,253 @@
+// Bookmark editor — dialog for a bookmark's title, URL, folder and note
+// (folders: title and parent folder). The folder picker lists the folders of
+// every workspace; moving a pinned item to another workspace unpins it.
+// Tags and notes are keyed by URL, so they follow an edited URL.
+
+import { el } from '../utils/dom.js';
+import { bookmarkService } from '../services/bookmark-service.js';
+import { workspaceService } from '../services/workspace-service.js';
+import { tagService } from '../services/tag-service.js';
+import { noteService, MAX_NOTE_LENGTH } from '../services/note-service.js';
+import { bus, Events } from '../utils/event-bus.js';
+
+// Schemes a bookmark may use; anything else is rejected as a typo
+const ALLOWED_PROTOCOLS = [
+  'http:', 'https:', 'ftp:', 'file:', 'chrome:', 'chrome-extension:',
+  'about:', 'mailto:', 'javascript:', 'data:'
+];
+
+let activeDialog = null;
+
+/**
+ * Validate a typed URL. A bare host gets https:// in front.
+ * @param {string} input
+ * @returns {string|null} The URL to save, or null if it isn't valid
+ * @example normalizeBookmarkUrl('example.com/docs') → 'https://example.com/docs'
+ */
+export function normalizeBookmarkUrl(input) {
+  let text = (input || '').trim();
+  if (!text) return null;
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text) && !/^(about|mailto|javascript|data):/i.test(text)) {
+    text = `https://${text}`;
+  }
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    return null;
+  }
+  if (!ALLOWED_PROTOCOLS.includes(url.protocol)) return null;
+  if ((url.protocol === 'http:' || url.protocol === 'https:') && !url.hostname.includes('.') && url.hostname !== 'localhost') {
+    return null;
+  }
+  return text;
+}
+
+/**
+ * Folders of every workspace, labeled by path. A folder being edited is
+ * left out along with its subtree.
+ * @param {string} [excludeId]
+ * @returns {Promise<Array<{workspace: Object, folders: Array<{id: string, label: string}>}>>}
+ */
+export async function listWorkspaceFolders(excludeId) {
+  const groups = [];
+  for (const ws of workspaceService.getAll()) {
+    if (!ws.rootFolderId) continue;
+    const [root] = await bookmarkService.getSubTree(ws.rootFolderId);
+    if (!root) continue;
+
+    const folders = [{ id: ws.rootFolderId, label: 'Top level' }];
+    const walk = (nodes, path) => {
+      for (const node of nodes) {
+        if (node.url || node.id === excludeId || node.title === '__shortcuts__') continue;
+        const label = [...path, node.title || 'Untitled Folder'];
+        folders.push({ id: node.id, label: label.join(' › ') });
+        walk(node.children || [], label);
+      }
+    };
+    walk(root.children || [], []);
+    groups.push({ workspace: ws, folders });
+  }
+  return groups;
+}
+
+/**
+ * Show the edit dialog for a bookmark or folder.
+ * @param {chrome.bookmarks.BookmarkTreeNode} node
+ */
+export async function showBookmarkEditor(node) {
+  closeBookmarkEditor();
+  if (!node) return;
+  const isFolder = !node.url;
+
+  const [groups, note] = await Promise.all([
+    listWorkspaceFolders(node.id),
+    isFolder ? '' : noteService.getNoteFor(node.url),
+  ]);
+
+  const field = (label, control) => el('label', {
+    className: 'dialog-field',
+    children: [el('span', { className: 'dialog-label', text: label }), control]
+  });
+
+  const titleInput = el('input', {
+    className: 'workspace-create-input',
+    attrs: { type: 'text', value: node.title || '' }
+  });
+
+  const urlInput = isFolder ? null : el('input', {
+    className: 'workspace-create-input',
+    attrs: { type: 'text', value: node.url, spellcheck: 'false' },
+    events: {
+      input: () => {
+        urlInput.removeAttribute('aria-invalid');
+        urlError.hidden = true;
+      }
+    }
+  });
+  const urlError = el('span', { className: 'dialog-error', text: 'Enter a valid URL, e.g. https://example.com' });
+  urlError.hidden = true;
+
+  // Folder picker: one group per workspace
+  const folderSelect = el('select', { className: 'workspace-create-input' });
+  const workspaceOfFolder = new Map();
+  for (const { workspace, folders } of groups) {
+    const group = el('optgroup', { attrs: { label: workspace.name } });
+    for (const folder of folders) {
+      group.appendChild(el('option', { text: folder.label, attrs: { value: folder.id } }));
+      workspaceOfFolder.set(folder.id, workspace.id);
+    }
+    folderSelect.appendChild(group);
+  }
+  folderSelect.value = node.parentId;
+
+  const noteInput = isFolder ? null : el('textarea', {
+    className: 'workspace-create-input dialog-textarea',
+    attrs: { rows: '3', maxlength: String(MAX_NOTE_LENGTH), placeholder: 'Shown when hovering the bookmark' }
+  });
+  if (noteInput) noteInput.value = note;
+
+  // Shown when a write fails (e.g. the note hits the sync quota); the dialog stays open
+  const saveError = el('span', { className: 'dialog-error', attrs: { role: 'alert' } });
+  saveError.hidden = true;
+
+  const save = async () => {
+    let url;
+    if (!isFolder) {
+      url = normalizeBookmarkUrl(urlInput.value);
+      if (!url) {
+        urlInput.setAttribute('aria-invalid', 'true');
+        urlError.hidden = false;
+        urlInput.focus();
+        return;
+      }
+    }
+    const title = titleInput.value.trim();
+    const parentId = folderSelect.value;
+    const noteText = noteInput ? noteInput.value : '';
+
+    try {
+      await saveBookmarkEdit(node, { title, url, parentId, note: noteText }, workspaceOfFolder);
+      closeBookmarkEditor();
+    } catch (err) {
+      console.warn('Arc Spaces: edit bookmark failed:', err);
+      saveError.textContent = `Couldn’t save: ${err.message || err}`;
+      saveError.hidden = false;
+    }
+  };
+
+  const form = el('form', {
+    className: 'dialog',
+    attrs: { role: 'dialog', 'aria-label': isFolder ? 'Edit folder' : 'Edit bookmark', novalidate: '' },
+    events: {
+      submit: (e) => {
+        e.preventDefault();
+        save();
+      },
+      keydown: (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          closeBookmarkEditor();
+        }
+      }
+    },
+    children: [
+      el('div', { className: 'dialog-title', text: isFolder ? 'Edit folder' : 'Edit bookmark' }),
+      field('Title', titleInput),
+      isFolder ? null : field('URL', urlInput),
+      isFolder ? null : urlError,
+      field('Folder', folderSelect),
+      isFolder ? null : field('Note', noteInput),
+      saveError,
+      el('div', {
+        className: 'dialog-actions',
+        children: [
+          el('button', {
+            className: 'btn btn-ghost btn-sm',
+            text: 'Cancel',
+            attrs: { type: 'button' },
+            events: { click: () => closeBookmarkEditor() }
+          }),
+          el('button', { className: 'btn btn-primary btn-sm', text: 'Save', attrs: { type: 'submit' } })
+        ]
+      })
+    ]
+  });
+
+  activeDialog = el('div', {
+    className: 'dialog-overlay',
+    events: {
+      mousedown: (e) => {
+        if (e.target === activeDialog) closeBookmarkEditor();
+      }
+    },
+    children: [form]
+  });
+  document.body.appendChild(activeDialog);
+  requestAnimationFrame(() => titleInput.focus());
+}
+
+/**
+ * Apply an edit: title/URL, folder, note. Tags and the note move with a
+ * changed URL; an item moved to another workspace is unpinned from its own.
+ * @param {chrome.bookmarks.BookmarkTreeNode} node
+ * @param {{title: string, url?: string, parentId: string, note?: string}} changes
+ * @param {Map<string, string>} workspaceOfFolder - Folder ID → workspace ID
+ */
+async function saveBookmarkEdit(node, changes, workspaceOfFolder) {
+  const update = {};
+  if (changes.title !== (node.title || '')) update.title = changes.title;
+  if (changes.url && changes.url !== node.url) update.url = changes.url;
+  if (Object.keys(update).length > 0) {
+    await bookmarkService.update(node.id, update);
+  }
+
+  if (update.url) {
+    await tagService.moveUrl(node.url, update.url);
+    await noteService.moveUrl(node.url, update.url);
+  }
+  if (changes.url) {
+    await noteService.setNote(changes.url, changes.note);
+  }
+
+  if (changes.parentId && changes.parentId !== node.parentId) {
+    const from = workspaceOfFolder.get(node.parentId);
+    const to = workspaceOfFolder.get(changes.parentId);
+    if (from && from !== to && workspaceService.isPinned(node.id, from)) {
+      await workspaceService.unpinBookmark(node.id, from);
+    }
+    await bookmarkService.move(node.id, { parentId: changes.parentId });
+  }
+
+  bus.emit(Events.BOOKMARK_CHANGED, { id: node.id });
+}
+
+/**
+ * Close the edit dialog if open.
+ */
+export function closeBookmarkEditor() {
+  if (activeDialog) {
+    activeDialog.remove();
+    activeDialog = null;
+  }
+}
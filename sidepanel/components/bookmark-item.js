@@ -1,9 +1,13 @@
 // Renders a single bookmark (favicon + title) or folder (icon + title + chevron)
 // Supports drag-and-drop (draggable source + folder drop targets)
 // Supports subfolder creation via hover "+" button on folders
+// Also renders smart folders (virtual folders of saved-query results)
+// Rows are WAI-ARIA treeitems; keyboard handling lives in TreeNavigation
 
 import { el } from '../utils/dom.js';
 import { createFaviconImg } from '../utils/favicon.js';
+import { hasDroppedLinks, parseDroppedLinks } from '../utils/drop-links.js';
+import { isContextMenuKey, menuPositionFor } from './context-menu.js';
 
 /**
  * Create a bookmark item element.
@@ -12,15 +16,29 @@ import { createFaviconImg } from '../utils/favicon.js';
  * @param {number} opts.depth - Nesting depth for indentation
  * @param {boolean} opts.isExpanded - Whether folder is expanded
  * @param {boolean} opts.isPinned - Whether item is pinned
+ * @param {boolean} [opts.isOpen] - Whether the bookmark has an open tab (pinned items)
+ * @param {string} [opts.highlight] - Filter text to mark in the title
+ * @param {boolean} [opts.isSmart] - Whether the folder is a smart folder (not draggable)
+ * @param {string[]} [opts.tags] - Tags shown as chips after the title
+ * @param {Function} [opts.onTagClick] - Called with (tag) when a chip is clicked
+ * @param {string} [opts.note] - Bookmark note, shown as the row's tooltip
+ * @param {Object} [opts.linkHealth] - Link check result; dead and redirected links get a badge
+ * @param {boolean} [opts.isSelected] - Whether the item is part of a multi-selection
+ * @param {Function} [opts.onSelect] - Called with (node, event) on click; returns
+ *   true when the click only changed the selection (modifier keys held)
+ * @param {number} [opts.posInSet] - 1-based position among siblings (aria-posinset)
+ * @param {number} [opts.setSize] - Number of siblings (aria-setsize)
  * @param {Function} opts.onToggle - Called when folder chevron is clicked
  * @param {Function} opts.onClick - Called when item is clicked
  * @param {Function} [opts.onDrop] - Called with (draggedId, targetFolderId) when a drop occurs
+ * @param {Function} [opts.onDropTab] - Called with (tabId, targetId, 'into'|'before'|'after') when an open tab is dropped
+ * @param {Function} [opts.onDropLinks] - Called with ([{url, title}], targetId, 'into'|'before'|'after') when links are dropped from outside
  * @param {Function} [opts.onAddSubfolder] - Called with (parentFolderId) to create a subfolder
  * @param {Function} [opts.onContextMenu] - Called with (node, {x, y}) on right-click
  * @returns {HTMLElement}
  */
 export function createBookmarkItem(node, opts = {}) {
-  const { depth = 0, isExpanded = false, isPinned = false, onToggle, onClick, onDrop, onDropBetween, onAddSubfolder, onContextMenu } = opts;
+  const { depth = 0, isExpanded = false, isPinned = false, isOpen = false, highlight = '', isSmart = false, tags = [], onTagClick, note = '', linkHealth = null, isSelected = false, onSelect, posInSet, setSize, onToggle, onClick, onDrop, onDropBetween, onDropTab, onDropLinks, onAddSubfolder, onContextMenu } = opts;
   const isFolder = !node.url;
 
   const item = el('div', {
@@ -28,22 +46,41 @@ export function createBookmarkItem(node, opts = {}) {
       'bookmark-item',
       isFolder ? 'bookmark-folder' : 'bookmark-link',
       isExpanded ? 'expanded' : '',
-      isPinned ? 'pinned' : ''
+      isPinned ? 'pinned' : '',
+      isOpen ? 'tab-open' : '',
+      isSmart ? 'smart-folder' : '',
+      isSelected ? 'selected' : ''
     ],
     dataset: {
       id: node.id,
       type: isFolder ? 'folder' : 'bookmark'
     },
+    attrs: {
+      role: 'treeitem',
+      tabindex: '-1',
+      'aria-level': String(depth + 1)
+    },
     style: {
       paddingLeft: `${12 + depth * 16}px`
     }
   });
 
+  if (isFolder) item.setAttribute('aria-expanded', String(isExpanded));
+  if (note) item.title = note;
+  if (onSelect) item.setAttribute('aria-selected', String(isSelected));
+  if (posInSet && setSize) {
+    item.setAttribute('aria-posinset', String(posInSet));
+    item.setAttribute('aria-setsize', String(setSize));
+  }
+
   // ── Make item draggable ──────────────────────────
-  item.draggable = true;
+  // Smart folders are computed, so there is nothing to move
+  item.draggable = !isSmart;
 
   item.addEventListener('dragstart', (e) => {
     e.dataTransfer.setData('text/plain', node.id);
+    // Typed copy the space bar can recognize during dragover
+    e.dataTransfer.setData('application/x-bookmark-ids', node.id);
     e.dataTransfer.effectAllowed = 'move';
     // Add dragging class after a microtask so the browser captures the element first
     requestAnimationFrame(() => item.classList.add('dragging'));
@@ -58,7 +95,7 @@ export function createBookmarkItem(node, opts = {}) {
     item.addEventListener('dragover', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      e.dataTransfer.dropEffect = 'move';
+      e.dataTransfer.dropEffect = hasDroppedLinks(e.dataTransfer) ? 'copy' : 'move';
 
       // Clear previous drop indicator classes
       item.classList.remove('drag-over', 'drop-before', 'drop-after');
@@ -95,6 +132,28 @@ export function createBookmarkItem(node, opts = {}) {
     item.addEventListener('drop', (e) => {
       e.preventDefault();
       e.stopPropagation();
+
+      const position = item.classList.contains('drag-over') && isFolder ? 'into'
+        : item.classList.contains('drop-before') ? 'before'
+        : item.classList.contains('drop-after') ? 'after'
+        : null;
+
+      // Tab dragged from the "Today" list — save it as a bookmark here
+      const tabId = onDropTab ? e.dataTransfer.getData('application/x-tab-id') : '';
+      if (tabId) {
+        if (position) onDropTab(Number(tabId), node.id, position);
+        item.classList.remove('drag-over', 'drop-before', 'drop-after');
+        return;
+      }
+
+      // Links dragged in from a page, the address bar or another app
+      const links = onDropLinks ? parseDroppedLinks(e.dataTransfer) : [];
+      if (links.length > 0) {
+        if (position) onDropLinks(links, node.id, position);
+        item.classList.remove('drag-over', 'drop-before', 'drop-after');
+        return;
+      }
+
       const draggedId = e.dataTransfer.getData('text/plain');
 
       if (!draggedId || draggedId === node.id) {
@@ -137,7 +196,16 @@ export function createBookmarkItem(node, opts = {}) {
   }
 
   // Icon
-  if (isFolder) {
+  if (isSmart) {
+    const smartIcon = el('span', { className: 'item-icon folder-icon' });
+    smartIcon.innerHTML = `<svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+      <path d="M2 4C2 3.44772 2.44772 3 3 3H6.17157C6.43679 3 6.69114 3.10536 6.87868 3.29289L7.70711 4.12132C7.89464 4.30886 8.149 4.41421 8.41421 4.41421H13C13.5523 4.41421 14 4.86193 14 5.41421V7" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
+      <path d="M7 13H3C2.44772 13 2 12.5523 2 12V4" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
+      <circle cx="11" cy="10.5" r="2.25" stroke="currentColor" stroke-width="1.5"/>
+      <path d="M12.75 12.25L14.5 14" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+    </svg>`;
+    item.appendChild(smartIcon);
+  } else if (isFolder) {
     const folderIcon = el('span', { className: 'item-icon folder-icon' });
     folderIcon.innerHTML = isExpanded
       ? `<svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -168,10 +236,47 @@ export function createBookmarkItem(node, opts = {}) {
   // Title
   const title = el('span', {
     className: 'item-title',
-    text: node.title || (isFolder ? 'Untitled Folder' : new URL(node.url).hostname)
+    children: highlightText(
+      node.title || (isFolder ? 'Untitled Folder' : new URL(node.url).hostname),
+      highlight
+    )
   });
   item.appendChild(title);
 
+  // Tag chips
+  if (tags.length > 0) {
+    const chips = el('span', { className: 'tag-chips' });
+    for (const tag of tags) {
+      chips.appendChild(el('span', {
+        className: 'tag-chip',
+        text: tag,
+        attrs: { title: `Filter by "${tag}"` },
+        events: {
+          click: (e) => {
+            if (!onTagClick) return;
+            e.stopPropagation();
+            onTagClick(tag);
+          }
+        }
+      }));
+    }
+    item.appendChild(chips);
+  }
+
+  // Link check badge
+  if (!isFolder && linkHealth && (linkHealth.status === 'dead' || linkHealth.status === 'redirected')) {
+    const dead = linkHealth.status === 'dead';
+    item.appendChild(el('span', {
+      className: ['link-badge', dead ? 'link-badge-dead' : 'link-badge-redirected'],
+      text: dead ? '!' : '↪',
+      attrs: {
+        title: dead
+          ? `Broken link (${linkHealth.code || linkHealth.error || 'unreachable'})`
+          : `Redirects to ${linkHealth.finalUrl}`
+      }
+    }));
+  }
+
   // Pin indicator
   if (isPinned) {
     const pinBadge = el('span', { className: 'pin-badge' });
@@ -200,7 +305,8 @@ export function createBookmarkItem(node, opts = {}) {
   }
 
   // Click handler
-  item.addEventListener('click', () => {
+  item.addEventListener('click', (e) => {
+    if (onSelect && onSelect(node, e)) return;
     if (isFolder) {
       if (onToggle) onToggle(node.id);
     } else {
@@ -208,14 +314,37 @@ export function createBookmarkItem(node, opts = {}) {
     }
   });
 
-  // Right-click context menu
+  // Right-click context menu (Shift+F10 / ContextMenu key from the keyboard)
   if (onContextMenu) {
     item.addEventListener('contextmenu', (e) => {
       e.preventDefault();
       e.stopPropagation();
       onContextMenu(node, { x: e.clientX, y: e.clientY });
     });
+    item.addEventListener('keydown', (e) => {
+      if (e.target !== item || !isContextMenuKey(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      onContextMenu(node, menuPositionFor(item));
+    });
   }
 
   return item;
 }
+
+/**
+ * Split text into plain strings and a <mark> around the first
+ * case-insensitive occurrence of query.
+ * @param {string} text
+ * @param {string} query
+ * @returns {(Node|string)[]}
+ */
+function highlightText(text, query) {
+  const at = query ? text.toLowerCase().indexOf(query.toLowerCase()) : -1;
+  if (at === -1) return [text];
+  return [
+    text.slice(0, at),
+    el('mark', { className: 'filter-match', text: text.slice(at, at + query.length) }),
+    text.slice(at + query.length)
+  ];
+}
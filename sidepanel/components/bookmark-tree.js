@@ -1,24 +1,103 @@
 // Recursive bookmark tree renderer with expand/collapse
-// Supports drag-and-drop reordering and subfolder creation
+// Supports drag-and-drop reordering and subfolder creation; links dropped from
+// pages or the address bar become bookmarks at the drop position
+// Supports filtering by title/URL (see setFilter) and by tag (see setTagFilter)
+// Unpinned smart folders render first, with their results computed live
+// Rendered as a WAI-ARIA tree with keyboard navigation (see TreeNavigation)
+// Ctrl/Cmd-click and Shift-click select several rows for bulk actions and drags
 
 import { el, clearChildren } from '../utils/dom.js';
+import { hasDroppedLinks, parseDroppedLinks } from '../utils/drop-links.js';
 import { createBookmarkItem } from './bookmark-item.js';
+import { TreeNavigation } from './tree-navigation.js';
 import { showContextMenu } from './context-menu.js';
 import { bookmarkService } from '../services/bookmark-service.js';
 import { workspaceService } from '../services/workspace-service.js';
 import { storageService } from '../services/storage-service.js';
+import { tabService } from '../services/tab-service.js';
+import { sessionService } from '../services/session-service.js';
+import { smartFolderService } from '../services/smart-folder-service.js';
+import { smartFolderMenuItems, showSmartFolderEditor } from './smart-folder-editor.js';
+import { tagService } from '../services/tag-service.js';
+import { noteService } from '../services/note-service.js';
+import { linkCheckService } from '../services/link-check-service.js';
+import { showBookmarkEditor } from './bookmark-editor.js';
+import { sortService } from '../services/sort-service.js';
+import { sortMenuItems } from './sort-menu.js';
+import { showTagEditor } from './tag-editor.js';
+import { showUndoToast } from './toast.js';
+import { undoService } from '../services/undo-service.js';
 import { bus, Events } from '../utils/event-bus.js';
 
 export class BookmarkTree {
   /**
    * @param {HTMLElement} container - The DOM element to render into
+   * @param {Object} [opts]
+   * @param {Function} [opts.onTagClick] - Called with (tag) when a tag chip is
+   *   clicked; defaults to toggling the tag filter
    */
-  constructor(container) {
+  constructor(container, { onTagClick } = {}) {
     this.container = container;
+    this._onTagClick = onTagClick || ((tag) => this.setTagFilter(tag === this._tagFilter ? null : tag));
     this.expandedFolders = new Set();
     this._unsubscribers = [];
     this._refreshing = false;     // Guard against concurrent refreshes
     this._pendingRefresh = false;  // Queue a refresh if one is in-flight
+    // Filter mode: folders holding matches are expanded without touching
+    // the saved expandedFolders; _filterToggled flips folders the user
+    // expands or collapses while filtering
+    this._filter = '';
+    this._tagFilter = null;
+    this._filterExpanded = new Set();
+    this._filterToggled = new Set();
+    this._tags = {};               // URL → tags, loaded on refresh
+    this._notes = {};              // URL → note, loaded on refresh
+    this._linkHealth = {};         // URL → link check result, loaded on refresh
+    this._sortedFolders = {};      // Folder ID → sort key, for kept-sorted folders
+    this._nodesById = new Map();   // Rendered rows, for keyboard actions
+    // Multi-selection: IDs of selected rows; the anchor is the last row
+    // clicked, where Shift-click ranges start
+    this._selection = new Set();
+    this._selectionAnchor = null;
+    this._rowOrder = [];           // IDs of selectable rows, in display order
+
+    container.setAttribute('role', 'tree');
+    container.setAttribute('aria-label', 'Bookmarks');
+    container.setAttribute('aria-multiselectable', 'true');
+    this._nav = new TreeNavigation(container, {
+      onRename: (id) => this._renameItem(this._nodesById.get(id)),
+      onDelete: (id) => this._deleteItem(this._nodesById.get(id)),
+    });
+  }
+
+  /**
+   * Show only bookmarks whose title or URL contains the query, with their
+   * ancestor folders expanded. An empty query restores the normal tree.
+   * @param {string} query
+   */
+  async setFilter(query) {
+    const filter = (query || '').trim();
+    if (filter === this._filter) return;
+    this._filter = filter;
+    this._filterToggled.clear();
+    await this.refresh();
+  }
+
+  /**
+   * Show only bookmarks carrying a tag (combined with the text filter).
+   * @param {string|null} tag - null shows all bookmarks
+   */
+  async setTagFilter(tag) {
+    const tagFilter = tag || null;
+    if (tagFilter === this._tagFilter) return;
+    this._tagFilter = tagFilter;
+    this._filterToggled.clear();
+    await this.refresh();
+  }
+
+  /** The active tag filter, or null. */
+  get tagFilter() {
+    return this._tagFilter;
   }
 
   /**
@@ -40,17 +119,37 @@ export class BookmarkTree {
       bus.on(Events.BOOKMARK_UNPINNED, () => this.refresh()),
       bus.on(Events.BOOKMARK_CHANGED, () => this.refresh()),
       bus.on(Events.BOOKMARK_REMOVED, () => this.refresh()),
+      bus.on(Events.TAGS_CHANGED, () => this.refresh()),
+      bus.on(Events.NOTES_CHANGED, () => this.refresh()),
+      bus.on(Events.LINKS_CHECKED, () => this.refresh()),
     );
 
     // Listen for bookmark changes from service worker
     this._unsubBookmarks = bookmarkService.onMessage(() => this.refresh());
 
+    // Escape drops the selection
+    this.container.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this._selection.size > 0) {
+        e.preventDefault();
+        this._clearSelection();
+      }
+    });
+
+    // Dragging a selected row carries the whole selection to the space bar
+    this.container.addEventListener('dragstart', (e) => {
+      const row = e.target.closest && e.target.closest('.bookmark-item');
+      const id = row && row.dataset.id;
+      if (id && this._selection.has(id)) {
+        e.dataTransfer.setData('application/x-bookmark-ids', this._dragSet(id).join(','));
+      }
+    });
+
     // ── Make the container itself a root-level drop target ──
     this.container.addEventListener('dragover', (e) => {
       // Only respond if dragging over the container itself (not a folder item)
       if (e.target === this.container || e.target.closest('.empty-state')) {
         e.preventDefault();
-        e.dataTransfer.dropEffect = 'move';
+        e.dataTransfer.dropEffect = hasDroppedLinks(e.dataTransfer) ? 'copy' : 'move';
         this.container.classList.add('drag-over-root');
       }
     });
@@ -65,6 +164,18 @@ export class BookmarkTree {
       // Only handle drops on the container itself (not on folder items)
       // Folder items handle their own drops via e.stopPropagation()
       this.container.classList.remove('drag-over-root');
+      const tabId = e.dataTransfer.getData('application/x-tab-id');
+      if (tabId) {
+        e.preventDefault();
+        this._createFromTab(Number(tabId), null, 'root');
+        return;
+      }
+      const links = parseDroppedLinks(e.dataTransfer);
+      if (links.length > 0) {
+        e.preventDefault();
+        this._createFromLinks(links, null, 'root');
+        return;
+      }
       const draggedId = e.dataTransfer.getData('text/plain');
       if (draggedId) {
         e.preventDefault();
@@ -85,6 +196,8 @@ export class BookmarkTree {
       return;
     }
     this._refreshing = true;
+    // Keep keyboard focus on the same row across the re-render
+    const hadFocus = this._nav.hasFocus();
 
     try {
       const ws = workspaceService.getActive();
@@ -116,15 +229,50 @@ export class BookmarkTree {
         !pinnedIds.has(c.id) && c.title !== '__shortcuts__'
       );
 
+      this._tags = await tagService.getAll();
+      this._notes = await noteService.getAll();
+      this._linkHealth = await linkCheckService.getResults();
+      this._sortedFolders = await sortService.getAll();
+
+      // Smart folders step aside while filtering
+      const smartFolders = this._isFiltering()
+        ? []
+        : workspaceService.getSmartFolders().filter(f => !f.pinned);
+      const smartNodes = [];
+      for (const smartFolder of smartFolders) {
+        smartNodes.push(await smartFolderService.toNode(smartFolder, workspaceService.getAll(), { tags: this._tags }));
+      }
+
       clearChildren(this.container);
+      this._nodesById.clear();
+      this._rowOrder = [];
+
+      if (smartNodes.length > 0) {
+        this._renderSmartFolders(smartFolders, smartNodes, smartNodes.length + unpinnedChildren.length);
+      }
 
+      if (unpinnedChildren.length === 0 && smartNodes.length > 0) return;
       if (unpinnedChildren.length === 0) {
         this._renderEmpty('No bookmarks yet. Use the + button to add bookmarks.');
         return;
       }
 
-      this._renderNodes(unpinnedChildren, 0);
+      if (this._isFiltering()) {
+        this._filterExpanded = new Set();
+        const matches = this._filterNodes(unpinnedChildren);
+        if (matches.length === 0) {
+          const terms = [this._filter && `"${this._filter}"`, this._tagFilter && `tag "${this._tagFilter}"`];
+          this._renderEmpty(`No bookmarks match ${terms.filter(Boolean).join(' with ')}`);
+          return;
+        }
+        this._renderNodes(matches, 0);
+        return;
+      }
+
+      this._renderNodes(unpinnedChildren, 0, smartNodes.length);
     } finally {
+      this._pruneSelection();
+      this._nav.sync(hadFocus);
       this._refreshing = false;
       // If a refresh was queued while we were running, do it now
       if (this._pendingRefresh) {
@@ -134,24 +282,99 @@ export class BookmarkTree {
     }
   }
 
+  _isFiltering() {
+    return !!(this._filter || this._tagFilter);
+  }
+
+  /**
+   * Whether a node matches the text and tag filters.
+   * @param {chrome.bookmarks.BookmarkTreeNode} node
+   * @returns {boolean}
+   */
+  _matchesFilter(node) {
+    if (this._tagFilter && !(this._tags[node.url] || []).includes(this._tagFilter)) {
+      return false;
+    }
+    if (!this._filter) return true;
+    const query = this._filter.toLowerCase();
+    return (node.title || '').toLowerCase().includes(query) ||
+      (node.url || '').toLowerCase().includes(query);
+  }
+
+  /**
+   * Prune a list of nodes to those matching the filters and the folders
+   * leading to them. Folders with matches are recorded in _filterExpanded;
+   * a folder matching by title keeps all its children.
+   * @param {chrome.bookmarks.BookmarkTreeNode[]} nodes
+   * @returns {chrome.bookmarks.BookmarkTreeNode[]} Pruned copies
+   */
+  _filterNodes(nodes) {
+    const result = [];
+    for (const node of nodes) {
+      const children = node.children ? this._filterNodes(node.children) : [];
+      if (children.length > 0) {
+        this._filterExpanded.add(node.id);
+        result.push({ ...node, children });
+      } else if (this._matchesFilter(node)) {
+        result.push(node);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Tags of a bookmark (folders have none).
+   * @param {chrome.bookmarks.BookmarkTreeNode} node
+   * @returns {string[]}
+   */
+  _tagsOf(node) {
+    return node.url ? this._tags[node.url] || [] : [];
+  }
+
+  /**
+   * Whether a folder is shown expanded, in filter mode or normally.
+   * @param {string} folderId
+   * @returns {boolean}
+   */
+  _isExpanded(folderId) {
+    if (this._isFiltering()) {
+      return this._filterExpanded.has(folderId) !== this._filterToggled.has(folderId);
+    }
+    return this.expandedFolders.has(folderId);
+  }
+
   /**
    * Recursively render bookmark nodes.
    * @param {chrome.bookmarks.BookmarkTreeNode[]} nodes
    * @param {number} depth
+   * @param {number} [siblingsBefore=0] - Rows rendered above at the same level (smart folders)
    */
-  _renderNodes(nodes, depth) {
-    for (const node of nodes) {
+  _renderNodes(nodes, depth, siblingsBefore = 0) {
+    nodes.forEach((node, i) => {
       const isFolder = bookmarkService.isFolder(node);
-      const isExpanded = this.expandedFolders.has(node.id);
+      const isExpanded = this._isExpanded(node.id);
+      this._nodesById.set(node.id, node);
+      this._rowOrder.push(node.id);
 
       const item = createBookmarkItem(node, {
         depth,
         isExpanded,
         isPinned: false,
+        isSelected: this._selection.has(node.id),
+        onSelect: (n, e) => this._handleSelectClick(n, e),
+        posInSet: siblingsBefore + i + 1,
+        setSize: siblingsBefore + nodes.length,
+        highlight: this._filter,
+        tags: this._tagsOf(node),
+        note: this._notes[node.url] || '',
+        linkHealth: this._linkHealth[node.url] || null,
+        onTagClick: this._onTagClick,
         onToggle: (id) => this._toggleFolder(id),
         onClick: (bm) => this._openBookmark(bm),
         onDrop: (draggedId, targetId) => this._moveBookmark(draggedId, targetId),
         onDropBetween: (draggedId, refId, pos) => this._moveBookmarkBetween(draggedId, refId, pos),
+        onDropTab: (tabId, refId, pos) => this._createFromTab(tabId, refId, pos),
+        onDropLinks: (links, refId, pos) => this._createFromLinks(links, refId, pos),
         onAddSubfolder: (parentId) => this._showSubfolderInput(parentId),
         onContextMenu: (n, pos) => this._showContextMenu(n, pos)
       });
@@ -162,13 +385,71 @@ export class BookmarkTree {
       if (isFolder && isExpanded && node.children && node.children.length > 0) {
         this._renderNodes(node.children, depth + 1);
       }
-    }
+    });
+  }
+
+  /**
+   * Render smart folders with their results as children. Results are real
+   * bookmarks, but they can't be dropped onto since their order is computed.
+   * @param {Object[]} smartFolders
+   * @param {Object[]} smartNodes - Matching virtual folder nodes
+   * @param {number} rootSize - Number of root-level rows, for aria-setsize
+   */
+  _renderSmartFolders(smartFolders, smartNodes, rootSize) {
+    smartNodes.forEach((node, i) => {
+      const isExpanded = this.expandedFolders.has(node.id);
+      this._nodesById.set(node.id, { ...node, smartFolder: smartFolders[i] });
+      this.container.appendChild(createBookmarkItem(node, {
+        depth: 0,
+        isExpanded,
+        isSmart: true,
+        posInSet: i + 1,
+        setSize: rootSize,
+        onToggle: (id) => this._toggleFolder(id),
+        onContextMenu: (n, pos) => showContextMenu({ x: pos.x, y: pos.y, items: smartFolderMenuItems(smartFolders[i]) })
+      }));
+
+      if (!isExpanded) return;
+      if (node.children.length === 0) {
+        this.container.appendChild(el('div', {
+          className: 'smart-folder-empty',
+          text: 'No matching bookmarks',
+          style: { paddingLeft: `${12 + 16}px` }
+        }));
+        return;
+      }
+      node.children.forEach((child, j) => {
+        if (!this._nodesById.has(child.id)) this._nodesById.set(child.id, child);
+        this.container.appendChild(createBookmarkItem(child, {
+          depth: 1,
+          posInSet: j + 1,
+          setSize: node.children.length,
+          tags: this._tagsOf(child),
+          note: this._notes[child.url] || '',
+          linkHealth: this._linkHealth[child.url] || null,
+          onTagClick: this._onTagClick,
+          onClick: (bm) => this._openBookmark(bm),
+          onContextMenu: (n, pos) => this._showContextMenu(n, pos)
+        }));
+      });
+    });
   }
 
   /**
    * Toggle a folder's expanded state.
    */
   async _toggleFolder(folderId) {
+    // While filtering, expansion is temporary and never saved
+    if (this._isFiltering()) {
+      if (this._filterToggled.has(folderId)) {
+        this._filterToggled.delete(folderId);
+      } else {
+        this._filterToggled.add(folderId);
+      }
+      await this.refresh();
+      return;
+    }
+
     if (this.expandedFolders.has(folderId)) {
       this.expandedFolders.delete(folderId);
     } else {
@@ -188,10 +469,15 @@ export class BookmarkTree {
   }
 
   /**
-   * Open a bookmark in the current tab or a new tab.
+   * Open a bookmark in the current tab. Pinned bookmarks focus their own
+   * tab instead (see tabService.openPinned).
    */
   _openBookmark(node) {
-    if (node.url) {
+    if (node.url && workspaceService.isPinned(node.id)) {
+      tabService.openPinned(node).catch(err => {
+        console.warn('Arc Spaces: open pinned bookmark failed:', err);
+      });
+    } else if (node.url) {
       chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
         if (tabs[0]) {
           chrome.tabs.update(tabs[0].id, { url: node.url });
@@ -203,17 +489,39 @@ export class BookmarkTree {
   // ── Drag-and-Drop handlers ──────────────────────────
 
   /**
-   * Move a bookmark/folder into a target folder.
+   * IDs moved by dragging a row: the whole selection when the row is part
+   * of it, otherwise just the row.
+   * @param {string} draggedId
+   * @returns {string[]}
+   */
+  _dragSet(draggedId) {
+    if (this._selection.has(draggedId) && this._selection.size > 1) {
+      return this._selectedNodes().map(n => n.id);
+    }
+    return [draggedId];
+  }
+
+  /**
+   * Move a bookmark/folder (or the selection it belongs to) into a target folder.
    * @param {string} draggedId - ID of the dragged item
    * @param {string} targetFolderId - ID of the folder to drop into
    */
   async _moveBookmark(draggedId, targetFolderId) {
+    await this._moveInto(this._dragSet(draggedId), targetFolderId);
+  }
+
+  /**
+   * Move bookmarks/folders into a folder, keeping their order.
+   * @param {string[]} ids
+   * @param {string} targetFolderId
+   */
+  async _moveInto(ids, targetFolderId) {
     try {
-      // Guard: don't move a folder into its own subtree
-      if (await this._isDescendant(draggedId, targetFolderId)) {
-        return;
+      for (const id of ids) {
+        // Guard: don't move a folder into its own subtree
+        if (await this._isDescendant(id, targetFolderId)) continue;
+        await bookmarkService.move(id, { parentId: targetFolderId });
       }
-      await bookmarkService.move(draggedId, { parentId: targetFolderId });
       // Auto-expand the target folder so user sees the result
       this.expandedFolders.add(targetFolderId);
       await this.refresh();
@@ -223,17 +531,20 @@ export class BookmarkTree {
   }
 
   /**
-   * Move a bookmark/folder to the workspace root folder.
+   * Move a bookmark/folder (or the selection it belongs to) to the
+   * workspace root folder.
    * @param {string} draggedId
    */
   async _moveToRoot(draggedId) {
     const ws = workspaceService.getActive();
     if (!ws) return;
     try {
-      // Check if already at root
-      const node = await bookmarkService.get(draggedId);
-      if (node && node.parentId === ws.rootFolderId) return;
-      await bookmarkService.move(draggedId, { parentId: ws.rootFolderId });
+      for (const id of this._dragSet(draggedId)) {
+        // Skip items already at root
+        const node = await bookmarkService.get(id);
+        if (!node || node.parentId === ws.rootFolderId) continue;
+        await bookmarkService.move(id, { parentId: ws.rootFolderId });
+      }
       await this.refresh();
     } catch (err) {
       console.warn('Arc Spaces: move to root failed:', err);
@@ -241,12 +552,12 @@ export class BookmarkTree {
   }
 
   /**
-   * Move a folder (and all its contents) to another workspace's root folder.
-   * Unpins any pinned descendants before moving.
-   * @param {string} folderId - The folder to move
+   * Move bookmarks/folders (and all their contents) to another workspace's
+   * root folder as one undoable step. Pinned items are unpinned first.
+   * @param {chrome.bookmarks.BookmarkTreeNode[]} nodes
    * @param {Object} targetWorkspace - The target workspace object
    */
-  async _moveToWorkspace(folderId, targetWorkspace) {
+  async _moveToWorkspace(nodes, targetWorkspace) {
     try {
       if (!targetWorkspace.rootFolderId) {
         console.warn('Arc Spaces: target workspace has no root folder');
@@ -254,80 +565,168 @@ export class BookmarkTree {
       }
 
       // Guard: don't move a folder into its own subtree
-      if (await this._isDescendant(folderId, targetWorkspace.rootFolderId)) {
-        return;
+      const ids = [];
+      for (const node of nodes) {
+        if (!(await this._isDescendant(node.id, targetWorkspace.rootFolderId))) ids.push(node.id);
       }
 
-      // Unpin this folder and any descendants from the current workspace
-      const subtree = await bookmarkService.getSubTree(folderId);
-      if (subtree && subtree.length > 0) {
-        const walk = async (n) => {
-          if (workspaceService.isPinned(n.id)) {
-            await workspaceService.unpinBookmark(n.id);
-          }
-          if (n.children) {
-            for (const child of n.children) {
-              await walk(child);
-            }
-          }
-        };
-        await walk(subtree[0]);
-      }
-
-      await bookmarkService.move(folderId, { parentId: targetWorkspace.rootFolderId });
+      const what = this._describe(nodes);
+      const moved = await undoService.moveToWorkspace(
+        ids, targetWorkspace, `Move ${what} to ${targetWorkspace.name}`
+      );
       await this.refresh();
+      if (moved) showUndoToast(`Moved ${what} to ${targetWorkspace.name}`);
     } catch (err) {
       console.warn('Arc Spaces: move to workspace failed:', err);
     }
   }
 
   /**
-   * Move a bookmark to a position before or after a reference item.
-   * Uses the index parameter to control ordering within a folder.
+   * Move a bookmark (or the selection it belongs to) to a position before
+   * or after a reference item. A selection lands in display order.
    * @param {string} draggedId - ID of the dragged item
    * @param {string} referenceId - ID of the reference item
    * @param {'before'|'after'} position - Insert before or after the reference
    */
   async _moveBookmarkBetween(draggedId, referenceId, position) {
     try {
-      const refNode = await bookmarkService.get(referenceId);
-      if (!refNode) return;
+      let refId = referenceId;
+      let pos = position;
+      for (const id of this._dragSet(draggedId)) {
+        // Each moved item becomes the reference for the next one
+        if (id === refId || await this._moveNextTo(id, refId, pos)) {
+          refId = id;
+          pos = 'after';
+        }
+      }
+      await this.refresh();
+    } catch (err) {
+      console.warn('Arc Spaces: move bookmark between failed:', err);
+    }
+  }
 
-      const draggedNode = await bookmarkService.get(draggedId);
-      if (!draggedNode) return;
+  /**
+   * Move one bookmark next to a reference item.
+   * Uses the index parameter to control ordering within a folder.
+   * @param {string} draggedId
+   * @param {string} referenceId
+   * @param {'before'|'after'} position
+   * @returns {Promise<boolean>} false when the move was refused
+   */
+  async _moveNextTo(draggedId, referenceId, position) {
+    const refNode = await bookmarkService.get(referenceId);
+    if (!refNode) return false;
 
-      // Guard: don't move a folder into its own subtree
-      if (await this._isDescendant(draggedId, refNode.parentId)) {
-        return;
-      }
+    const draggedNode = await bookmarkService.get(draggedId);
+    if (!draggedNode) return false;
 
-      let targetIndex = refNode.index;
-      if (position === 'after') {
-        targetIndex = refNode.index + 1;
-      }
+    // Guard: don't move a folder into its own subtree
+    if (await this._isDescendant(draggedId, refNode.parentId)) {
+      return false;
+    }
 
-      // Chrome API quirk: when moving within the same parent, the item is
-      // removed first then inserted. If the dragged item was before the
-      // target index, subtract 1 to compensate for the removal.
-      const sameParent = draggedNode.parentId === refNode.parentId;
-      if (sameParent && draggedNode.index < targetIndex) {
-        targetIndex -= 1;
-      }
+    // Kept-sorted folders order themselves: no reordering inside them, and
+    // items dropped in from elsewhere are appended and then sorted
+    if (this._sortedFolders[refNode.parentId]) {
+      if (draggedNode.parentId === refNode.parentId) return false;
+      await bookmarkService.move(draggedId, { parentId: refNode.parentId });
+      return true;
+    }
+
+    let targetIndex = refNode.index;
+    if (position === 'after') {
+      targetIndex = refNode.index + 1;
+    }
 
-      // Skip no-op moves (same position)
-      if (sameParent && draggedNode.index === targetIndex) return;
+    // Chrome API quirk: when moving within the same parent, the item is
+    // removed first then inserted. If the dragged item was before the
+    // target index, subtract 1 to compensate for the removal.
+    const sameParent = draggedNode.parentId === refNode.parentId;
+    if (sameParent && draggedNode.index < targetIndex) {
+      targetIndex -= 1;
+    }
 
-      await bookmarkService.move(draggedId, {
-        parentId: refNode.parentId,
-        index: targetIndex
+    // Skip no-op moves (same position)
+    if (sameParent && draggedNode.index === targetIndex) return true;
+
+    await bookmarkService.move(draggedId, {
+      parentId: refNode.parentId,
+      index: targetIndex
+    });
+    return true;
+  }
+
+  /**
+   * Save an open tab (dragged from the "Today" list) as a bookmark.
+   * @param {number} tabId
+   * @param {string|null} referenceId - Folder to drop into, or item to drop next to
+   * @param {'into'|'before'|'after'|'root'} position
+   */
+  async _createFromTab(tabId, referenceId, position) {
+    try {
+      const tab = await tabService.get(tabId);
+      if (!tab || !tab.url) return;
+
+      const target = await this._dropTarget(referenceId, position);
+      if (!target) return;
+      await bookmarkService.create({
+        parentId: target.parentId,
+        title: tab.title || tab.url,
+        url: tab.url,
+        index: target.index
       });
+      await this.refresh();
+    } catch (err) {
+      console.warn('Arc Spaces: bookmark tab failed:', err);
+    }
+  }
 
+  /**
+   * Bookmark links dropped from outside the side panel, in drop order.
+   * @param {Array<{url: string, title: string}>} links
+   * @param {string|null} referenceId - Folder to drop into, or item to drop next to
+   * @param {'into'|'before'|'after'|'root'} position
+   */
+  async _createFromLinks(links, referenceId, position) {
+    try {
+      const target = await this._dropTarget(referenceId, position);
+      if (!target) return;
+      let index = target.index;
+      for (const link of links) {
+        await bookmarkService.create({ parentId: target.parentId, title: link.title, url: link.url, index });
+        if (index !== undefined) index++;
+      }
       await this.refresh();
     } catch (err) {
-      console.warn('Arc Spaces: move bookmark between failed:', err);
+      console.warn('Arc Spaces: bookmark dropped links failed:', err);
     }
   }
 
+  /**
+   * Where a new bookmark dropped onto the tree goes.
+   * @param {string|null} referenceId - Folder to drop into, or item to drop next to
+   * @param {'into'|'before'|'after'|'root'} position
+   * @returns {Promise<{parentId: string, index: number|undefined}|null>}
+   */
+  async _dropTarget(referenceId, position) {
+    const ws = workspaceService.getActive();
+    if (!ws) return null;
+
+    if (position === 'into') {
+      this.expandedFolders.add(referenceId);
+      return { parentId: referenceId, index: undefined };
+    }
+    if (position === 'before' || position === 'after') {
+      const refNode = await bookmarkService.get(referenceId);
+      if (!refNode) return null;
+      return {
+        parentId: refNode.parentId,
+        index: position === 'after' ? refNode.index + 1 : refNode.index
+      };
+    }
+    return { parentId: ws.rootFolderId, index: undefined };
+  }
+
   /**
    * Check if potentialChild is a descendant of potentialParent.
    * Prevents moving a folder into its own subtree.
@@ -439,6 +838,13 @@ export class BookmarkTree {
    * @param {{x: number, y: number}} pos
    */
   _showContextMenu(node, pos) {
+    if (this._selection.has(node.id) && this._selection.size > 1) {
+      this._showSelectionMenu(pos);
+      return;
+    }
+    // Acting on a row outside the selection drops the selection
+    if (this._selection.size > 0) this._clearSelection();
+
     const isFolder = bookmarkService.isFolder(node);
     const isPinned = workspaceService.isPinned(node.id);
 
@@ -449,6 +855,10 @@ export class BookmarkTree {
       label: 'Rename',
       action: () => this._startInlineRename(node)
     });
+    items.push({
+      label: 'Edit…',
+      action: () => showBookmarkEditor(node)
+    });
 
     // Pin / Unpin
     if (isPinned) {
@@ -469,23 +879,49 @@ export class BookmarkTree {
         label: 'Open in new tab',
         action: () => chrome.tabs.create({ url: node.url })
       });
+      items.push({
+        label: 'Edit tags…',
+        action: () => showTagEditor(node)
+      });
+    }
+
+    // Restore a saved tab session, or open any folder's bookmarks together
+    if (sessionService.isSession(node)) {
+      items.push({
+        label: 'Restore session in new window',
+        action: () => this._openFolder(node, 'window')
+      });
+      items.push({
+        label: 'Restore session as tab group',
+        action: () => this._openFolder(node, 'group')
+      });
+    } else if (isFolder) {
+      items.push({
+        label: 'Open all in new tab group',
+        action: () => this._openFolder(node, 'group')
+      });
+      items.push({
+        label: 'Open all in new window',
+        action: () => this._openFolder(node, 'window')
+      });
     }
 
-    // Move to workspace (folders only, when multiple workspaces exist)
+    // Sort the folder's children, once or whenever they change
     if (isFolder) {
-      const allWorkspaces = workspaceService.getAll();
-      const activeWs = workspaceService.getActive();
-      const otherWorkspaces = allWorkspaces.filter(ws => ws.id !== activeWs.id);
+      items.push(...sortMenuItems(node.id, this._sortedFolders[node.id] || null));
+    }
 
-      if (otherWorkspaces.length > 0) {
-        items.push({
-          label: 'Move to workspace…',
-          children: otherWorkspaces.map(ws => ({
-            label: ws.name,
-            action: () => this._moveToWorkspace(node.id, ws)
-          }))
-        });
-      }
+    // Move to workspace (when multiple workspaces exist)
+    const activeWs = workspaceService.getActive();
+    const otherWorkspaces = workspaceService.getAll().filter(ws => !activeWs || ws.id !== activeWs.id);
+    if (otherWorkspaces.length > 0) {
+      items.push({
+        label: 'Move to workspace…',
+        children: otherWorkspaces.map(ws => ({
+          label: ws.name,
+          action: () => this._moveToWorkspace([node], ws)
+        }))
+      });
     }
 
     // Separator before delete
@@ -502,13 +938,26 @@ export class BookmarkTree {
       items.push({
         label: 'Delete',
         danger: true,
-        action: () => this._deleteBookmark(node.id)
+        action: () => this._deleteBookmark(node)
       });
     }
 
     showContextMenu({ x: pos.x, y: pos.y, items });
   }
 
+  /**
+   * Open the bookmarks of a folder together (see sessionService.openFolder).
+   * @param {chrome.bookmarks.BookmarkTreeNode} node - Folder
+   * @param {'window'|'group'} target
+   */
+  async _openFolder(node, target) {
+    try {
+      await sessionService.openFolder(node, target, workspaceService.getActive());
+    } catch (err) {
+      console.warn('Arc Spaces: open folder failed:', err);
+    }
+  }
+
   // ── Inline Rename ──────────────────────────────────
 
   /**
@@ -570,20 +1019,47 @@ export class BookmarkTree {
     });
   }
 
+  /**
+   * Rename from the keyboard (F2). Smart folders open their editor.
+   * @param {Object} node - A rendered row's node
+   */
+  _renameItem(node) {
+    if (!node) return;
+    if (node.smartFolder) {
+      showSmartFolderEditor(node.smartFolder);
+    } else {
+      this._startInlineRename(node);
+    }
+  }
+
   // ── Delete ─────────────────────────────────────────
 
+  /**
+   * Delete from the keyboard (Delete key), like the context menu would.
+   * @param {Object} node - A rendered row's node
+   */
+  async _deleteItem(node) {
+    if (!node) return;
+    if (this._selection.has(node.id) && this._selection.size > 1) {
+      await this._deleteNodes(this._selectedNodes());
+    } else if (node.smartFolder) {
+      await workspaceService.removeSmartFolder(node.id);
+    } else if (bookmarkService.isFolder(node)) {
+      await this._deleteFolder(node);
+    } else {
+      await this._deleteBookmark(node);
+    }
+  }
+
   /**
    * Delete a bookmark.
-   * @param {string} bookmarkId
+   * @param {chrome.bookmarks.BookmarkTreeNode} node
    */
-  async _deleteBookmark(bookmarkId) {
+  async _deleteBookmark(node) {
     try {
-      if (workspaceService.isPinned(bookmarkId)) {
-        await workspaceService.unpinBookmark(bookmarkId);
-      }
-      await bookmarkService.remove(bookmarkId);
-      bus.emit(Events.BOOKMARK_REMOVED, { id: bookmarkId });
+      await undoService.deleteBookmarks([node.id], `Delete ${this._describe([node])}`);
       await this.refresh();
+      showUndoToast(`Deleted ${this._describe([node])}`);
     } catch (err) {
       console.warn('Arc Spaces: delete bookmark failed:', err);
     }
@@ -603,26 +1079,287 @@ export class BookmarkTree {
         if (!confirmed) return;
       }
 
-      // Unpin any pinned descendants before deleting
-      const subtree = await bookmarkService.getSubTree(node.id);
-      if (subtree && subtree.length > 0) {
-        const walk = (n) => {
-          if (workspaceService.isPinned(n.id)) {
-            workspaceService.unpinBookmark(n.id);
-          }
-          if (n.children) n.children.forEach(walk);
-        };
-        walk(subtree[0]);
-      }
-
-      await bookmarkService.removeTree(node.id);
-      bus.emit(Events.BOOKMARK_REMOVED, { id: node.id });
+      // Pinned descendants are unpinned first; undo pins them again
+      await undoService.deleteBookmarks([node.id], `Delete ${this._describe([node])}`);
       await this.refresh();
+      showUndoToast(`Deleted ${this._describe([node])}`);
     } catch (err) {
       console.warn('Arc Spaces: delete folder failed:', err);
     }
   }
 
+  // ── Multi-select ───────────────────────────────────
+
+  /**
+   * Handle a row click for selection. Ctrl/Cmd-click toggles the row,
+   * Shift-click selects the range from the anchor (adding to the selection
+   * with Ctrl/Cmd held). A plain click drops the selection and then opens
+   * or toggles the row as usual.
+   * @param {chrome.bookmarks.BookmarkTreeNode} node
+   * @param {MouseEvent} e
+   * @returns {boolean} Whether the click only changed the selection
+   */
+  _handleSelectClick(node, e) {
+    const additive = e.ctrlKey || e.metaKey;
+    if (e.shiftKey && this._rowOrder.includes(this._selectionAnchor)) {
+      const from = this._rowOrder.indexOf(this._selectionAnchor);
+      const to = this._rowOrder.indexOf(node.id);
+      if (!additive) this._selection.clear();
+      for (const id of this._rowOrder.slice(Math.min(from, to), Math.max(from, to) + 1)) {
+        this._selection.add(id);
+      }
+      this._applySelection();
+      return true;
+    }
+    if (additive || e.shiftKey) {
+      if (this._selection.has(node.id)) {
+        this._selection.delete(node.id);
+      } else {
+        this._selection.add(node.id);
+      }
+      this._selectionAnchor = node.id;
+      this._applySelection();
+      return true;
+    }
+    this._selectionAnchor = node.id;
+    if (this._selection.size > 0) this._clearSelection();
+    return false;
+  }
+
+  _clearSelection() {
+    this._selection.clear();
+    this._applySelection();
+  }
+
+  /**
+   * Reflect the selection on the rendered rows without re-rendering.
+   */
+  _applySelection() {
+    for (const row of this.container.querySelectorAll('[aria-selected]')) {
+      const selected = this._selection.has(row.dataset.id);
+      row.classList.toggle('selected', selected);
+      row.setAttribute('aria-selected', String(selected));
+    }
+  }
+
+  /**
+   * Drop selected rows that are no longer rendered (collapsed, filtered
+   * out, moved or deleted).
+   */
+  _pruneSelection() {
+    for (const id of this._selection) {
+      if (!this._rowOrder.includes(id)) this._selection.delete(id);
+    }
+    if (!this._rowOrder.includes(this._selectionAnchor)) this._selectionAnchor = null;
+  }
+
+  /**
+   * Selected nodes in display order. Rows inside a selected folder are
+   * left out, since acting on the folder covers them.
+   * @returns {chrome.bookmarks.BookmarkTreeNode[]}
+   */
+  _selectedNodes() {
+    const hasSelectedAncestor = (node) => {
+      let parent = this._nodesById.get(node.parentId);
+      while (parent) {
+        if (this._selection.has(parent.id)) return true;
+        parent = this._nodesById.get(parent.parentId);
+      }
+      return false;
+    };
+    return this._rowOrder
+      .filter(id => this._selection.has(id))
+      .map(id => this._nodesById.get(id))
+      .filter(node => node && !hasSelectedAncestor(node));
+  }
+
+  /**
+   * Show the context menu for a multi-selection.
+   * @param {{x: number, y: number}} pos
+   */
+  async _showSelectionMenu(pos) {
+    const nodes = this._selectedNodes();
+    const ws = workspaceService.getActive();
+    if (!ws || nodes.length === 0) return;
+    const count = `${nodes.length} item${nodes.length === 1 ? '' : 's'}`;
+
+    const items = [];
+
+    const folders = await this._listFolders(ws, nodes);
+    if (folders.length > 0) {
+      items.push({
+        label: 'Move to folder…',
+        children: folders.map(f => ({
+          label: f.label,
+          action: () => this._moveInto(nodes.map(n => n.id), f.id)
+        }))
+      });
+    }
+
+    const otherWorkspaces = workspaceService.getAll().filter(w => w.id !== ws.id);
+    if (otherWorkspaces.length > 0) {
+      items.push({
+        label: 'Move to workspace…',
+        children: otherWorkspaces.map(target => ({
+          label: target.name,
+          action: () => this._moveNodesToWorkspace(nodes, target)
+        }))
+      });
+    }
+
+    if (nodes.some(n => !workspaceService.isPinned(n.id))) {
+      items.push({ label: 'Pin to top', action: () => this._setPinned(nodes, true) });
+    }
+    if (nodes.some(n => workspaceService.isPinned(n.id))) {
+      items.push({ label: 'Unpin', action: () => this._setPinned(nodes, false) });
+    }
+
+    items.push({ label: 'Open all in new tabs', action: () => this._openAll(nodes) });
+    items.push({ label: 'Copy links', action: () => this._copyLinks(nodes) });
+
+    items.push({ separator: true });
+    items.push({
+      label: `Delete ${count}`,
+      danger: true,
+      action: () => this._deleteNodes(nodes)
+    });
+
+    showContextMenu({ x: pos.x, y: pos.y, items });
+  }
+
+  /**
+   * Folders of a workspace that a selection can move into, labeled by path.
+   * The selected folders and their subtrees are left out.
+   * @param {Object} ws
+   * @param {chrome.bookmarks.BookmarkTreeNode[]} exclude
+   * @returns {Promise<Array<{id: string, label: string}>>}
+   */
+  async _listFolders(ws, exclude) {
+    const subtree = await bookmarkService.getSubTree(ws.rootFolderId);
+    if (!subtree || subtree.length === 0) return [];
+    const excluded = new Set(exclude.map(n => n.id));
+
+    const folders = [{ id: ws.rootFolderId, label: 'Top level' }];
+    const walk = (nodes, path) => {
+      for (const node of nodes) {
+        if (node.url || excluded.has(node.id) || node.title === '__shortcuts__') continue;
+        const label = [...path, node.title || 'Untitled Folder'];
+        folders.push({ id: node.id, label: label.join(' › ') });
+        walk(node.children || [], label);
+      }
+    };
+    walk(subtree[0].children || [], []);
+    return folders;
+  }
+
+  /**
+   * Move nodes to another workspace's root folder.
+   * @param {chrome.bookmarks.BookmarkTreeNode[]} nodes
+   * @param {Object} targetWorkspace
+   */
+  async _moveNodesToWorkspace(nodes, targetWorkspace) {
+    await this._moveToWorkspace(nodes, targetWorkspace);
+    this._clearSelection();
+  }
+
+  /**
+   * Pin or unpin nodes in the active workspace.
+   * @param {chrome.bookmarks.BookmarkTreeNode[]} nodes
+   * @param {boolean} pinned
+   */
+  async _setPinned(nodes, pinned) {
+    try {
+      for (const node of nodes) {
+        if (pinned) {
+          await workspaceService.pinBookmark(node.id);
+        } else if (workspaceService.isPinned(node.id)) {
+          await workspaceService.unpinBookmark(node.id);
+        }
+      }
+    } catch (err) {
+      console.warn('Arc Spaces: pin selection failed:', err);
+    }
+  }
+
+  /**
+   * URLs of bookmarks, including those inside folders, in tree order.
+   * @param {chrome.bookmarks.BookmarkTreeNode[]} nodes
+   * @returns {Promise<string[]>}
+   */
+  async _collectUrls(nodes) {
+    const urls = [];
+    const walk = (n) => {
+      if (n.url) urls.push(n.url);
+      if (n.children) n.children.forEach(walk);
+    };
+    for (const node of nodes) {
+      if (node.url) {
+        urls.push(node.url);
+        continue;
+      }
+      const subtree = await bookmarkService.getSubTree(node.id);
+      if (subtree && subtree.length > 0) walk(subtree[0]);
+    }
+    return urls;
+  }
+
+  /**
+   * Open every bookmark of a selection in background tabs.
+   * @param {chrome.bookmarks.BookmarkTreeNode[]} nodes
+   */
+  async _openAll(nodes) {
+    try {
+      for (const url of await this._collectUrls(nodes)) {
+        await chrome.tabs.create({ url, active: false });
+      }
+    } catch (err) {
+      console.warn('Arc Spaces: open selection failed:', err);
+    }
+  }
+
+  /**
+   * Copy the URLs of a selection to the clipboard, one per line.
+   * @param {chrome.bookmarks.BookmarkTreeNode[]} nodes
+   */
+  async _copyLinks(nodes) {
+    try {
+      const urls = await this._collectUrls(nodes);
+      await navigator.clipboard.writeText(urls.join('\n'));
+    } catch (err) {
+      console.warn('Arc Spaces: copy links failed:', err);
+    }
+  }
+
+  /**
+   * Delete several bookmarks/folders after one confirmation.
+   * @param {chrome.bookmarks.BookmarkTreeNode[]} nodes
+   */
+  async _deleteNodes(nodes) {
+    if (nodes.length === 0) return;
+    if (!confirm(`Delete ${nodes.length} selected item${nodes.length === 1 ? '' : 's'}?`)) return;
+
+    try {
+      // One undo entry for the whole selection
+      const what = this._describe(nodes);
+      await undoService.deleteBookmarks(nodes.map(n => n.id), `Delete ${what}`);
+      this._clearSelection();
+      await this.refresh();
+      showUndoToast(`Deleted ${what}`);
+    } catch (err) {
+      console.warn('Arc Spaces: delete selection failed:', err);
+    }
+  }
+
+  /**
+   * How undo labels and toasts name a set of nodes.
+   * @param {chrome.bookmarks.BookmarkTreeNode[]} nodes
+   * @returns {string} e.g. '"Docs"' or '3 items'
+   */
+  _describe(nodes) {
+    if (nodes.length === 1) return `"${nodes[0].title || nodes[0].url || 'Untitled'}"`;
+    return `${nodes.length} items`;
+  }
+
   // ── Pin / Unpin ────────────────────────────────────
 
   async _pinItem(bookmarkId) {
@@ -655,5 +1392,6 @@ export class BookmarkTree {
       unsub();
     }
     if (this._unsubBookmarks) this._unsubBookmarks();
+    this._nav.destroy();
   }
 }
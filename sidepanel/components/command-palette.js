@@ -0,0 +1,387 @@
+// Command palette — Ctrl/Cmd+K overlay that searches everything in the panel
+// Fuzzy-matches bookmarks in every workspace, open tabs, shortcuts, and
+// actions. Each result runs through the same service/component methods the
+// buttons use, so the palette never has its own copy of an action.
+
+import { el, clearChildren } from '../utils/dom.js';
+import { createFaviconImg } from '../utils/favicon.js';
+import { fuzzyScore } from '../utils/fuzzy.js';
+import { bookmarkService } from '../services/bookmark-service.js';
+import { tabService } from '../services/tab-service.js';
+import { workspaceService } from '../services/workspace-service.js';
+
+// Result groups, in display order
+const GROUPS = [
+  { type: 'workspace', label: 'Workspaces' },
+  { type: 'action', label: 'Actions' },
+  { type: 'tab', label: 'Open tabs' },
+  { type: 'shortcut', label: 'Shortcuts' },
+  { type: 'bookmark', label: 'Bookmarks' },
+];
+
+const MAX_PER_GROUP = 8;
+
+// Matches on the URL count, but less than matches on the title
+const URL_MATCH_PENALTY = 200;
+
+/**
+ * Filter and rank palette items, grouped by type.
+ * @param {Array<{type: string, title: string, url?: string}>} items
+ * @param {string} query
+ * @returns {Array<{type: string, label: string, items: Array}>} Non-empty groups
+ */
+export function rankItems(items, query) {
+  const q = (query || '').trim();
+  const groups = [];
+
+  for (const group of GROUPS) {
+    let matches = items.filter(item => item.type === group.type);
+
+    if (q) {
+      matches = matches
+        .map(item => {
+          const titleScore = fuzzyScore(q, item.title);
+          const urlScore = item.url ? fuzzyScore(q, item.url) : null;
+          const score = Math.max(
+            titleScore ?? -Infinity,
+            urlScore !== null ? urlScore - URL_MATCH_PENALTY : -Infinity
+          );
+          return { item, score };
+        })
+        .filter(m => m.score !== -Infinity)
+        .sort((a, b) => b.score - a.score)
+        .map(m => m.item);
+    }
+
+    if (matches.length > 0) {
+      groups.push({ type: group.type, label: group.label, items: matches.slice(0, MAX_PER_GROUP) });
+    }
+  }
+
+  return groups;
+}
+
+export class CommandPalette {
+  /**
+   * @param {HTMLElement} container - Element the overlay is appended to (#app)
+   * @param {Object} deps
+   * @param {import('./action-bar.js').ActionBar} deps.actionBar - Runs header actions
+   */
+  constructor(container, { actionBar }) {
+    this.container = container;
+    this.actionBar = actionBar;
+    this._overlay = null;
+    this._input = null;
+    this._list = null;
+    this._items = [];
+    this._results = [];   // flat list of visible items, in display order
+    this._selected = 0;
+    this._onGlobalKeydown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        this.toggle();
+      }
+    };
+  }
+
+  init() {
+    document.addEventListener('keydown', this._onGlobalKeydown);
+  }
+
+  toggle() {
+    if (this._overlay) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  async open() {
+    if (this._overlay) return;
+
+    this._overlay = el('div', {
+      className: 'palette-overlay',
+      events: {
+        mousedown: (e) => {
+          if (e.target === this._overlay) this.close();
+        }
+      }
+    });
+
+    const palette = el('div', { className: 'palette', attrs: { role: 'dialog', 'aria-label': 'Command palette' } });
+
+    this._input = el('input', {
+      className: 'workspace-create-input palette-input',
+      attrs: {
+        type: 'text',
+        placeholder: 'Search bookmarks, tabs, and actions…',
+        role: 'combobox',
+        'aria-expanded': 'true',
+        'aria-controls': 'palette-results',
+        autocomplete: 'off',
+        spellcheck: 'false'
+      },
+      events: {
+        input: () => {
+          this._selected = 0;
+          this.render();
+        },
+        keydown: (e) => this._handleKeydown(e)
+      }
+    });
+    palette.appendChild(this._input);
+
+    this._list = el('div', {
+      className: 'palette-results',
+      attrs: { id: 'palette-results', role: 'listbox' }
+    });
+    palette.appendChild(this._list);
+
+    this._overlay.appendChild(palette);
+    this.container.appendChild(this._overlay);
+    this._input.focus();
+
+    this._items = await this._collectItems();
+    this.render();
+  }
+
+  close() {
+    if (!this._overlay) return;
+    this._overlay.remove();
+    this._overlay = null;
+    this._input = null;
+    this._list = null;
+    this._items = [];
+    this._results = [];
+    this._selected = 0;
+  }
+
+  render() {
+    if (!this._list) return;
+    clearChildren(this._list);
+
+    const groups = rankItems(this._items, this._input.value);
+    this._results = groups.flatMap(g => g.items);
+    if (this._selected >= this._results.length) this._selected = 0;
+
+    if (this._results.length === 0) {
+      this._list.appendChild(el('div', { className: 'palette-empty', text: 'No results' }));
+      this._input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    let index = 0;
+    for (const group of groups) {
+      this._list.appendChild(el('div', {
+        className: 'palette-group-label section-label',
+        text: group.label,
+        attrs: { role: 'presentation' }
+      }));
+      for (const item of group.items) {
+        this._list.appendChild(this._createResultItem(item, index));
+        index++;
+      }
+    }
+
+    this._input.setAttribute('aria-activedescendant', `palette-option-${this._selected}`);
+  }
+
+  /**
+   * Render one result row.
+   * @param {Object} item
+   * @param {number} index - Position in the flat result list
+   * @returns {HTMLElement}
+   */
+  _createResultItem(item, index) {
+    const row = el('div', {
+      className: ['palette-item', index === this._selected ? 'selected' : ''],
+      attrs: {
+        id: `palette-option-${index}`,
+        role: 'option',
+        'aria-selected': String(index === this._selected)
+      },
+      events: {
+        mousemove: () => {
+          if (this._selected !== index) this._select(index);
+        },
+        click: () => this._run(item)
+      }
+    });
+
+    const icon = el('span', { className: 'item-icon' });
+    if (item.url) {
+      icon.appendChild(createFaviconImg(item.url, 16));
+    } else if (item.color) {
+      icon.appendChild(el('span', { className: 'palette-swatch', style: { backgroundColor: item.color } }));
+    }
+    row.appendChild(icon);
+
+    row.appendChild(el('span', { className: 'palette-item-title', text: item.title }));
+    if (item.subtitle) {
+      row.appendChild(el('span', { className: 'palette-item-subtitle', text: item.subtitle }));
+    }
+    return row;
+  }
+
+  _select(index) {
+    if (!this._list || this._results.length === 0) return;
+    this._selected = (index + this._results.length) % this._results.length;
+    const rows = this._list.querySelectorAll('.palette-item');
+    rows.forEach((row, i) => {
+      row.classList.toggle('selected', i === this._selected);
+      row.setAttribute('aria-selected', String(i === this._selected));
+    });
+    this._input.setAttribute('aria-activedescendant', `palette-option-${this._selected}`);
+    const current = rows[this._selected];
+    if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+  }
+
+  _handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this._select(this._selected + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this._select(this._selected - 1);
+        break;
+      case 'Enter': {
+        e.preventDefault();
+        const item = this._results[this._selected];
+        if (item) this._run(item);
+        break;
+      }
+      case 'Escape':
+        e.preventDefault();
+        this.close();
+        break;
+    }
+  }
+
+  async _run(item) {
+    this.close();
+    try {
+      await item.run();
+    } catch (err) {
+      console.warn('Arc Spaces: command failed:', err);
+    }
+  }
+
+  // ── Sources ──────────────────────────────────────
+
+  /**
+   * Gather everything the palette can search.
+   * @returns {Promise<Array>}
+   */
+  async _collectItems() {
+    const items = [];
+    const active = workspaceService.getActive();
+
+    // Workspaces
+    for (const ws of workspaceService.getAll()) {
+      if (active && ws.id === active.id) continue;
+      items.push({
+        type: 'workspace',
+        title: `Switch to ${ws.name}`,
+        color: ws.color,
+        run: () => workspaceService.switchTo(ws.id)
+      });
+    }
+
+    // Actions on the active workspace
+    if (active) {
+      items.push(
+        { type: 'action', title: 'Add current tab', run: () => this.actionBar.addBookmark() },
+        { type: 'action', title: 'New folder', run: () => this.actionBar.addFolder() },
+        { type: 'action', title: 'Save open tabs to workspace', run: () => this.actionBar.saveSession(active) },
+        { type: 'action', title: 'New smart folder', run: () => this.actionBar.newSmartFolder() },
+        { type: 'action', title: 'Open archive', run: () => this.actionBar.openArchive() },
+        { type: 'action', title: 'Open trash', run: () => this.actionBar.openTrash() },
+        { type: 'action', title: 'Find duplicates', run: () => this.actionBar.openDuplicates() },
+        { type: 'action', title: 'Check links', run: () => this.actionBar.openLinkHealth() },
+        { type: 'action', title: 'Export backup', run: () => this.actionBar.exportBackup() },
+        { type: 'action', title: 'Import from backup…', run: () => this.actionBar.importBackup() },
+      );
+      for (const c of workspaceService.colors) {
+        if (c.name === active.colorScheme) continue;
+        items.push({
+          type: 'action',
+          title: `Change color to ${c.name.charAt(0).toUpperCase() + c.name.slice(1)}`,
+          color: c.color,
+          run: () => this.actionBar.setColor(active, c.name)
+        });
+      }
+    }
+
+    // Open tabs in this window
+    for (const tab of await tabService.getWindowTabs()) {
+      items.push({
+        type: 'tab',
+        title: tab.title || tab.url || 'New Tab',
+        url: tab.url,
+        run: () => tabService.focus(tab.id)
+      });
+    }
+
+    // Shortcuts of the active workspace
+    for (const shortcut of workspaceService.getShortcuts()) {
+      items.push({
+        type: 'shortcut',
+        title: shortcut.title || shortcut.url,
+        url: shortcut.url,
+        run: () => tabService.openInCurrentTab(shortcut.url)
+      });
+    }
+
+    // Bookmarks in every workspace
+    for (const ws of workspaceService.getAll()) {
+      items.push(...await this._collectBookmarks(ws, active));
+    }
+
+    return items;
+  }
+
+  /**
+   * Walk a workspace's bookmark folder and build a result per bookmark.
+   * @param {Object} ws
+   * @param {Object|null} active - Active workspace (pinned bookmarks focus their tab)
+   * @returns {Promise<Array>}
+   */
+  async _collectBookmarks(ws, active) {
+    if (!ws.rootFolderId) return [];
+    let subtree;
+    try {
+      subtree = await bookmarkService.getSubTree(ws.rootFolderId);
+    } catch {
+      return [];
+    }
+
+    const items = [];
+    const walk = (node, path) => {
+      if (node.url) {
+        const pinned = active && ws.id === active.id && workspaceService.isPinned(node.id);
+        items.push({
+          type: 'bookmark',
+          title: node.title || node.url,
+          subtitle: path.join(' › '),
+          url: node.url,
+          run: () => pinned ? tabService.openPinned(node) : tabService.openInCurrentTab(node.url)
+        });
+        return;
+      }
+      // The shortcuts mirror folder duplicates the Shortcuts group
+      if (node.title === '__shortcuts__') return;
+      for (const child of node.children || []) walk(child, [...path, node.title]);
+    };
+    if (subtree && subtree.length > 0) {
+      for (const child of subtree[0].children || []) walk(child, [ws.name]);
+    }
+    return items;
+  }
+
+  destroy() {
+    document.removeEventListener('keydown', this._onGlobalKeydown);
+    this.close();
+  }
+}
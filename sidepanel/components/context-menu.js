@@ -1,12 +1,36 @@
 // Context menu — lightweight floating menu for bookmark/folder actions
 // Singleton: only one context menu can be open at a time
+// WAI-ARIA menu: focus moves into the menu on open; ↑/↓/Home/End move,
+// Enter/Space activate, → opens a submenu, ← closes it, Escape closes the
+// menu and returns focus to where it was
 
 import { el } from '../utils/dom.js';
 
 let activeMenu = null;
 let activeSubmenu = null;   // { element, row } — body-appended submenu
 let outsideClickHandler = null;
-let escapeHandler = null;
+let keyHandler = null;
+let returnFocusTo = null;   // element focused before the menu opened
+
+/**
+ * Whether a keydown asks for a context menu (Shift+F10 or the ContextMenu key).
+ * @param {KeyboardEvent} e
+ * @returns {boolean}
+ */
+export function isContextMenuKey(e) {
+  return e.key === 'ContextMenu' || (e.shiftKey && e.key === 'F10');
+}
+
+/**
+ * Where to open a keyboard-invoked context menu for an element:
+ * just below its left edge.
+ * @param {HTMLElement} element
+ * @returns {{x: number, y: number}}
+ */
+export function menuPositionFor(element) {
+  const rect = element.getBoundingClientRect();
+  return { x: rect.left + 8, y: rect.bottom };
+}
 
 /**
  * Hide and remove the body-appended submenu (if any).
@@ -14,6 +38,7 @@ let escapeHandler = null;
 function _hideActiveSubmenu() {
   if (activeSubmenu) {
     activeSubmenu.element.classList.remove('context-submenu-visible');
+    activeSubmenu.row.setAttribute('aria-expanded', 'false');
     if (activeSubmenu.element.parentNode) {
       activeSubmenu.element.remove();
     }
@@ -21,6 +46,138 @@ function _hideActiveSubmenu() {
   }
 }
 
+/**
+ * Show a submenu flyout next to its row.
+ * @param {HTMLElement} row
+ * @param {HTMLElement} submenu
+ * @param {HTMLElement} menu
+ */
+function _showSubmenu(row, submenu, menu) {
+  if (activeSubmenu && activeSubmenu.element === submenu) return;
+  _hideActiveSubmenu();
+
+  document.body.appendChild(submenu);
+  submenu.classList.add('context-submenu-visible');
+  row.setAttribute('aria-expanded', 'true');
+  activeSubmenu = { element: submenu, row };
+
+  // Position using viewport coordinates
+  const rowRect = row.getBoundingClientRect();
+  const menuRect = menu.getBoundingClientRect();
+
+  submenu.style.top = `${rowRect.top}px`;
+  submenu.style.left = `${menuRect.right - 4}px`;
+
+  // Clamp: if off-screen right, fly out to the left
+  requestAnimationFrame(() => {
+    const subRect = submenu.getBoundingClientRect();
+    if (subRect.right > window.innerWidth) {
+      submenu.style.left = `${menuRect.left - subRect.width + 4}px`;
+    }
+    if (subRect.bottom > window.innerHeight) {
+      submenu.style.top = `${rowRect.top - (subRect.bottom - window.innerHeight) - 4}px`;
+    }
+  });
+}
+
+/**
+ * Create an actionable menu row.
+ * @param {Object} item
+ * @returns {HTMLElement}
+ */
+function _createItem(item) {
+  return el('div', {
+    className: [
+      'context-menu-item',
+      item.danger ? 'context-menu-item-danger' : ''
+    ],
+    text: item.label,
+    attrs: { role: 'menuitem', tabindex: '-1' },
+    events: {
+      click: (e) => {
+        e.stopPropagation();
+        _close(true);
+        item.action();
+      },
+      mouseenter: (e) => e.currentTarget.focus()
+    }
+  });
+}
+
+/**
+ * Menu items of a menu or submenu element.
+ * @param {HTMLElement} menuEl
+ * @returns {HTMLElement[]}
+ */
+function _itemsOf(menuEl) {
+  return [...menuEl.querySelectorAll(':scope > [role="menuitem"]')];
+}
+
+/**
+ * Keyboard handling for the open menu. Keys go to whichever menu
+ * (main or submenu) holds focus; the main menu is assumed otherwise.
+ * @param {KeyboardEvent} e
+ */
+function _handleKeydown(e) {
+  if (!activeMenu) return;
+  const inSubmenu = !!activeSubmenu && activeSubmenu.element.contains(document.activeElement);
+  const menuEl = inSubmenu ? activeSubmenu.element : activeMenu;
+  const items = _itemsOf(menuEl);
+  const current = items.indexOf(document.activeElement);
+  let handled = true;
+
+  switch (e.key) {
+    case 'ArrowDown':
+      items[(current + 1) % items.length]?.focus();
+      break;
+    case 'ArrowUp':
+      items[current <= 0 ? items.length - 1 : current - 1]?.focus();
+      break;
+    case 'Home':
+      items[0]?.focus();
+      break;
+    case 'End':
+      items[items.length - 1]?.focus();
+      break;
+    case 'ArrowRight':
+      // Submenu rows open their flyout and focus its first item on click
+      if (current !== -1 && items[current].getAttribute('aria-haspopup') === 'menu') {
+        items[current].click();
+      }
+      break;
+    case 'ArrowLeft':
+      if (inSubmenu) {
+        const row = activeSubmenu.row;
+        _hideActiveSubmenu();
+        row.focus();
+      }
+      break;
+    case 'Enter':
+    case ' ':
+      if (current !== -1) items[current].click();
+      break;
+    case 'Escape':
+      if (inSubmenu) {
+        const row = activeSubmenu.row;
+        _hideActiveSubmenu();
+        row.focus();
+      } else {
+        _close(true);
+      }
+      break;
+    case 'Tab':
+      _close(true);
+      break;
+    default:
+      handled = false;
+  }
+
+  if (handled) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+}
+
 /**
  * Show a context menu at the given position.
  * @param {Object} opts
@@ -30,12 +187,13 @@ function _hideActiveSubmenu() {
  */
 export function showContextMenu({ x, y, items }) {
   closeContextMenu();
+  returnFocusTo = document.activeElement;
 
-  const menu = el('div', { className: 'context-menu' });
+  const menu = el('div', { className: 'context-menu', attrs: { role: 'menu' } });
 
   for (const item of items) {
     if (item.separator) {
-      menu.appendChild(el('div', { className: 'context-menu-separator' }));
+      menu.appendChild(el('div', { className: 'context-menu-separator', attrs: { role: 'separator' } }));
       continue;
     }
 
@@ -43,6 +201,7 @@ export function showContextMenu({ x, y, items }) {
     if (item.children && item.children.length > 0) {
       const row = el('div', {
         className: 'context-menu-item context-menu-item-submenu',
+        attrs: { role: 'menuitem', tabindex: '-1', 'aria-haspopup': 'menu', 'aria-expanded': 'false' }
       });
 
       row.appendChild(el('span', { text: item.label }));
@@ -54,53 +213,27 @@ export function showContextMenu({ x, y, items }) {
       row.appendChild(chevron);
 
       // Build flyout submenu (NOT appended to row — will be appended to body on hover)
-      const submenu = el('div', { className: 'context-submenu' });
+      const submenu = el('div', {
+        className: 'context-submenu',
+        attrs: { role: 'menu', 'aria-label': item.label }
+      });
       for (const child of item.children) {
         if (child.separator) {
-          submenu.appendChild(el('div', { className: 'context-menu-separator' }));
+          submenu.appendChild(el('div', { className: 'context-menu-separator', attrs: { role: 'separator' } }));
           continue;
         }
-        submenu.appendChild(el('div', {
-          className: [
-            'context-menu-item',
-            child.danger ? 'context-menu-item-danger' : ''
-          ],
-          text: child.label,
-          events: {
-            click: (e) => {
-              e.stopPropagation();
-              closeContextMenu();
-              child.action();
-            }
-          }
-        }));
+        submenu.appendChild(_createItem(child));
       }
 
-      // Show submenu on hover — append to body with fixed positioning
+      // Show submenu on hover or click (→ and Enter click the row) — appended to body
       row.addEventListener('mouseenter', () => {
-        _hideActiveSubmenu();
-
-        document.body.appendChild(submenu);
-        submenu.classList.add('context-submenu-visible');
-        activeSubmenu = { element: submenu, row };
-
-        // Position using viewport coordinates
-        const rowRect = row.getBoundingClientRect();
-        const menuRect = menu.getBoundingClientRect();
-
-        submenu.style.top = `${rowRect.top}px`;
-        submenu.style.left = `${menuRect.right - 4}px`;
-
-        // Clamp: if off-screen right, fly out to the left
-        requestAnimationFrame(() => {
-          const subRect = submenu.getBoundingClientRect();
-          if (subRect.right > window.innerWidth) {
-            submenu.style.left = `${menuRect.left - subRect.width + 4}px`;
-          }
-          if (subRect.bottom > window.innerHeight) {
-            submenu.style.top = `${rowRect.top - (subRect.bottom - window.innerHeight) - 4}px`;
-          }
-        });
+        _showSubmenu(row, submenu, menu);
+        if (!submenu.contains(document.activeElement)) row.focus();
+      });
+      row.addEventListener('click', (e) => {
+        e.stopPropagation();
+        _showSubmenu(row, submenu, menu);
+        _itemsOf(submenu)[0]?.focus();
       });
 
       row.addEventListener('mouseleave', (e) => {
@@ -120,22 +253,7 @@ export function showContextMenu({ x, y, items }) {
     }
 
     // ── Regular item ────────────────────────────
-    const row = el('div', {
-      className: [
-        'context-menu-item',
-        item.danger ? 'context-menu-item-danger' : ''
-      ],
-      text: item.label,
-      events: {
-        click: (e) => {
-          e.stopPropagation();
-          closeContextMenu();
-          item.action();
-        }
-      }
-    });
-
-    menu.appendChild(row);
+    menu.appendChild(_createItem(item));
   }
 
   // Position the menu
@@ -155,6 +273,8 @@ export function showContextMenu({ x, y, items }) {
   });
 
   activeMenu = menu;
+  const first = _itemsOf(menu)[0];
+  if (first) first.focus();
 
   // Close on outside click (deferred to avoid catching the triggering right-click)
   requestAnimationFrame(() => {
@@ -168,11 +288,22 @@ export function showContextMenu({ x, y, items }) {
     document.addEventListener('contextmenu', outsideClickHandler, true);
   });
 
-  // Close on Escape
-  escapeHandler = (e) => {
-    if (e.key === 'Escape') closeContextMenu();
-  };
-  document.addEventListener('keydown', escapeHandler);
+  // Arrow keys, Enter, Escape
+  keyHandler = _handleKeydown;
+  document.addEventListener('keydown', keyHandler, true);
+}
+
+/**
+ * Close the menu, optionally returning focus to the element that had it
+ * before the menu opened (keyboard dismissal and item activation).
+ * @param {boolean} restoreFocus
+ */
+function _close(restoreFocus) {
+  const target = returnFocusTo;
+  closeContextMenu();
+  if (restoreFocus && target && target.isConnected && typeof target.focus === 'function') {
+    target.focus();
+  }
 }
 
 /**
@@ -184,13 +315,14 @@ export function closeContextMenu() {
     activeMenu.remove();
     activeMenu = null;
   }
+  returnFocusTo = null;
   if (outsideClickHandler) {
     document.removeEventListener('click', outsideClickHandler, true);
     document.removeEventListener('contextmenu', outsideClickHandler, true);
     outsideClickHandler = null;
   }
-  if (escapeHandler) {
-    document.removeEventListener('keydown', escapeHandler);
-    escapeHandler = null;
+  if (keyHandler) {
+    document.removeEventListener('keydown', keyHandler, true);
+    keyHandler = null;
   }
 }
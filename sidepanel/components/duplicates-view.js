@@ -0,0 +1,157 @@
+// Duplicates view — bookmarks that point at the same page, grouped across all
+// workspaces with their folder paths. "Merge" keeps the pinned (or oldest)
+// bookmark of a group; the check button keeps that one instead. The rest go
+// to the Trash. Opens over the sidebar like the Archive.
+
+import { el, clearChildren } from '../utils/dom.js';
+import { createFaviconImg } from '../utils/favicon.js';
+import { duplicateService } from '../services/duplicate-service.js';
+import { showUndoToast } from './toast.js';
+
+const ICON_KEEP = `<svg width="12" height="12" viewBox="0 0 16 16" fill="none">
+  <path d="M3 8.5L6.5 12L13 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+</svg>`;
+
+const ICON_CLOSE = `<svg width="12" height="12" viewBox="0 0 16 16" fill="none">
+  <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+</svg>`;
+
+export class DuplicatesView {
+  /**
+   * @param {HTMLElement} container - Element the overlay is appended to (#app)
+   */
+  constructor(container) {
+    this.container = container;
+    this._overlay = null;
+    this._list = null;
+    this._onKeydown = (e) => {
+      if (e.key === 'Escape') this.close();
+    };
+  }
+
+  async open() {
+    if (this._overlay) return;
+
+    this._overlay = el('div', { className: 'archive-view duplicates-view' });
+
+    // Header: title + close
+    const header = el('div', { className: 'archive-header' });
+    header.appendChild(el('span', { className: 'archive-title', text: 'Duplicates' }));
+    const closeBtn = el('button', {
+      className: 'action-btn',
+      attrs: { title: 'Close duplicates', type: 'button' },
+      events: { click: () => this.close() }
+    });
+    closeBtn.innerHTML = ICON_CLOSE;
+    header.appendChild(closeBtn);
+    this._overlay.appendChild(header);
+
+    this._list = el('div', { className: 'archive-list' });
+    this._overlay.appendChild(this._list);
+
+    this.container.appendChild(this._overlay);
+    document.addEventListener('keydown', this._onKeydown);
+
+    await this.render();
+  }
+
+  close() {
+    if (!this._overlay) return;
+    this._overlay.remove();
+    this._overlay = null;
+    this._list = null;
+    document.removeEventListener('keydown', this._onKeydown);
+  }
+
+  async render() {
+    if (!this._list) return;
+    const groups = await duplicateService.findDuplicates();
+    if (!this._list) return; // closed while loading
+
+    clearChildren(this._list);
+    if (groups.length === 0) {
+      this._list.appendChild(el('div', {
+        className: 'empty-state',
+        children: [el('p', { className: 'empty-message', text: 'No duplicate bookmarks.' })]
+      }));
+      return;
+    }
+
+    for (const group of groups) {
+      this._list.appendChild(this._createGroupHeader(group));
+      for (const item of group.items) {
+        this._list.appendChild(this._createItem(group, item));
+      }
+    }
+  }
+
+  /**
+   * Render a group's heading: the shared URL and a Merge button.
+   * @param {{key: string, items: Object[]}} group
+   * @returns {HTMLElement}
+   */
+  _createGroupHeader(group) {
+    return el('div', {
+      className: 'duplicate-group',
+      children: [
+        el('span', { className: 'duplicate-group-url', text: group.key, attrs: { title: group.key } }),
+        el('button', {
+          className: 'btn btn-ghost btn-sm',
+          text: 'Merge',
+          attrs: { type: 'button', title: `Keep one of ${group.items.length} bookmarks` },
+          events: { click: () => this._merge(group, duplicateService.pickKeeper(group.items).id) }
+        })
+      ]
+    });
+  }
+
+  /**
+   * Render one bookmark of a group (favicon, title, folder path, keep action).
+   * @param {{key: string, items: Object[]}} group
+   * @param {Object} item
+   * @returns {HTMLElement}
+   */
+  _createItem(group, item) {
+    const row = el('div', {
+      className: ['bookmark-item', 'archive-item'],
+      dataset: { duplicateId: item.id },
+      attrs: { title: item.url },
+      style: { paddingLeft: '12px' }
+    });
+
+    const faviconWrapper = el('span', { className: 'item-icon' });
+    faviconWrapper.appendChild(createFaviconImg(item.url, 16));
+    faviconWrapper.appendChild(el('span', { className: 'favicon-fallback' }));
+    row.appendChild(faviconWrapper);
+
+    row.appendChild(el('span', { className: 'item-title', text: item.title || item.url }));
+    row.appendChild(el('span', {
+      className: 'archive-workspace',
+      text: item.pinnedIn.length > 0 ? `${item.path} · pinned` : item.path
+    }));
+
+    const keepBtn = el('button', {
+      className: 'archive-action',
+      attrs: { title: 'Keep this one', type: 'button' },
+      events: {
+        click: (e) => {
+          e.stopPropagation();
+          this._merge(group, item.id);
+        }
+      }
+    });
+    keepBtn.innerHTML = ICON_KEEP;
+    row.appendChild(keepBtn);
+    return row;
+  }
+
+  async _merge(group, keepId) {
+    try {
+      const removed = await duplicateService.merge(group.items, keepId);
+      showUndoToast(`Moved ${removed} duplicate${removed === 1 ? '' : 's'} to the Trash`);
+      await this.render();
+    } catch (err) {
+      console.warn('Arc Spaces: merge duplicates failed:', err);
+    }
+  }
+}
@@ -0,0 +1,215 @@
+// Link check view — broken and redirected bookmarks of the active workspace.
+// Opens over the sidebar like the Archive. "Check now" asks for access to all
+// sites the first time, then checks every bookmark; the footer deletes broken
+// links (to the Trash, undoable), updates redirected ones, and sets how often
+// the service worker re-checks them.
+
+import { el, clearChildren } from '../utils/dom.js';
+import { createFaviconImg } from '../utils/favicon.js';
+import { linkCheckService } from '../services/link-check-service.js';
+import { workspaceService } from '../services/workspace-service.js';
+import { undoService } from '../services/undo-service.js';
+import { showToast, showUndoToast } from './toast.js';
+
+const RESCAN_OPTIONS = [
+  { value: '1d', label: 'Re-check daily' },
+  { value: '7d', label: 'Re-check weekly' },
+  { value: '30d', label: 'Re-check monthly' },
+  { value: 'never', label: 'Only when asked' },
+];
+
+const ICON_CLOSE = `<svg width="12" height="12" viewBox="0 0 16 16" fill="none">
+  <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+</svg>`;
+
+export class LinkHealthView {
+  /**
+   * @param {HTMLElement} container - Element the overlay is appended to (#app)
+   */
+  constructor(container) {
+    this.container = container;
+    this._overlay = null;
+    this._list = null;
+    this._status = null;
+    this._checkBtn = null;
+    this._deleteBtn = null;
+    this._updateBtn = null;
+    this._report = null;
+    this._scanning = false;
+    this._onKeydown = (e) => {
+      if (e.key === 'Escape') this.close();
+    };
+  }
+
+  async open() {
+    if (this._overlay) return;
+
+    this._overlay = el('div', { className: 'archive-view link-health-view' });
+
+    // Header: title + close
+    const header = el('div', { className: 'archive-header' });
+    header.appendChild(el('span', { className: 'archive-title', text: 'Link check' }));
+    const closeBtn = el('button', {
+      className: 'action-btn',
+      attrs: { title: 'Close link check', type: 'button' },
+      events: { click: () => this.close() }
+    });
+    closeBtn.innerHTML = ICON_CLOSE;
+    header.appendChild(closeBtn);
+    this._overlay.appendChild(header);
+
+    this._status = el('div', { className: 'link-health-status', attrs: { role: 'status' } });
+    this._overlay.appendChild(this._status);
+
+    this._list = el('div', { className: 'archive-list' });
+    this._overlay.appendChild(this._list);
+
+    // Footer: rescan interval + actions
+    const rescan = el('select', {
+      className: 'workspace-create-input trash-retention',
+      attrs: { 'aria-label': 'Re-check links' },
+      events: { change: (e) => linkCheckService.setRescan(e.target.value) }
+    });
+    for (const opt of RESCAN_OPTIONS) {
+      rescan.appendChild(el('option', { text: opt.label, attrs: { value: opt.value } }));
+    }
+    rescan.value = await linkCheckService.getRescan();
+
+    const button = (text, onClick) => el('button', {
+      className: 'btn btn-ghost btn-sm',
+      text,
+      attrs: { type: 'button' },
+      events: { click: onClick }
+    });
+    this._checkBtn = button('Check now', () => this._check());
+    this._deleteBtn = button('Delete broken', () => this._deleteDead());
+    this._updateBtn = button('Update redirects', () => this._updateRedirected());
+
+    this._overlay.appendChild(el('div', {
+      className: 'trash-footer link-health-footer',
+      children: [rescan, this._checkBtn, this._deleteBtn, this._updateBtn]
+    }));
+
+    this.container.appendChild(this._overlay);
+    document.addEventListener('keydown', this._onKeydown);
+
+    await this.render();
+  }
+
+  close() {
+    if (!this._overlay) return;
+    this._overlay.remove();
+    this._overlay = null;
+    this._list = null;
+    this._status = null;
+    document.removeEventListener('keydown', this._onKeydown);
+  }
+
+  async render() {
+    if (!this._list) return;
+    const ws = workspaceService.getActive();
+    const report = ws ? await linkCheckService.getReport(ws.id) : { dead: [], redirected: [], checkedAt: null };
+    if (!this._list) return; // closed while loading
+    this._report = report;
+
+    clearChildren(this._list);
+    if (!this._scanning) {
+      this._status.textContent = report.checkedAt
+        ? `Last checked ${new Date(report.checkedAt).toLocaleString()}`
+        : 'Links in this workspace haven’t been checked yet.';
+    }
+    this._deleteBtn.disabled = this._scanning || report.dead.length === 0;
+    this._updateBtn.disabled = this._scanning || report.redirected.length === 0;
+    this._checkBtn.disabled = this._scanning;
+
+    if (report.dead.length === 0 && report.redirected.length === 0) {
+      this._list.appendChild(el('div', {
+        className: 'empty-state',
+        children: [el('p', { className: 'empty-message', text: report.checkedAt ? 'All links work.' : 'Nothing to show yet.' })]
+      }));
+      return;
+    }
+
+    this._renderSection(`Broken (${report.dead.length})`, report.dead,
+      (item) => item.code ? `HTTP ${item.code}` : item.error);
+    this._renderSection(`Redirected (${report.redirected.length})`, report.redirected,
+      (item) => `→ ${item.finalUrl}`);
+  }
+
+  /**
+   * Render a labeled list of checked bookmarks.
+   * @param {string} label
+   * @param {Object[]} items
+   * @param {Function} describe - Item → detail text
+   */
+  _renderSection(label, items, describe) {
+    if (items.length === 0) return;
+    this._list.appendChild(el('div', { className: 'section-header', children: [el('span', { className: 'section-label', text: label })] }));
+    for (const item of items) {
+      const row = el('div', {
+        className: ['bookmark-item', 'archive-item'],
+        dataset: { linkId: item.id },
+        attrs: { title: item.url },
+        style: { paddingLeft: '12px' }
+      });
+      const faviconWrapper = el('span', { className: 'item-icon' });
+      faviconWrapper.appendChild(createFaviconImg(item.url, 16));
+      faviconWrapper.appendChild(el('span', { className: 'favicon-fallback' }));
+      row.appendChild(faviconWrapper);
+      row.appendChild(el('span', { className: 'item-title', text: item.title || item.url }));
+      row.appendChild(el('span', { className: 'archive-workspace', text: describe(item) }));
+      this._list.appendChild(row);
+    }
+  }
+
+  async _check() {
+    const ws = workspaceService.getActive();
+    if (!ws || this._scanning) return;
+    // Runs first, while the click still counts as a user gesture
+    if (!await linkCheckService.requestPermission()) {
+      this._status.textContent = 'Checking links needs access to all sites.';
+      return;
+    }
+
+    this._scanning = true;
+    this._status.textContent = 'Checking links…';
+    await this.render();
+    try {
+      await linkCheckService.scanWorkspace(ws.id, {
+        onProgress: (done, total) => {
+          if (this._status) this._status.textContent = `Checked ${done} of ${total} links…`;
+        }
+      });
+    } catch (err) {
+      console.warn('Arc Spaces: link check failed:', err);
+    } finally {
+      this._scanning = false;
+      await this.render();
+    }
+  }
+
+  async _deleteDead() {
+    const dead = this._report ? this._report.dead : [];
+    if (dead.length === 0) return;
+    const label = `${dead.length} broken link${dead.length === 1 ? '' : 's'}`;
+    try {
+      await undoService.deleteBookmarks(dead.map(item => item.id), `Delete ${label}`);
+      showUndoToast(`Deleted ${label}`);
+      await this.render();
+    } catch (err) {
+      console.warn('Arc Spaces: delete broken links failed:', err);
+    }
+  }
+
+  async _updateRedirected() {
+    const redirected = this._report ? this._report.redirected : [];
+    if (redirected.length === 0) return;
+    try {
+      const updated = await linkCheckService.updateRedirected(redirected);
+      showToast({ message: `Updated ${updated} redirected link${updated === 1 ? '' : 's'}` });
+      await this.render();
+    } catch (err) {
+      console.warn('Arc Spaces: update redirected links failed:', err);
+    }
+  }
+}
@@ -1,12 +1,31 @@
 // Pinned section — displays bookmarks pinned in the active workspace
-// Supports right-click context menu for rename, unpin, delete
+// Pinned bookmarks behave like pinned tabs: each owns one tab, which a click
+// focuses instead of re-navigating the current tab
+// Supports right-click context menu for rename, unpin, reset, delete
 // Supports folder expand/collapse inline and drag-and-drop reordering
+// Pinned smart folders are listed first
+// The list is a WAI-ARIA tree with keyboard navigation (see TreeNavigation)
 
 import { el, clearChildren } from '../utils/dom.js';
 import { createBookmarkItem } from './bookmark-item.js';
+import { TreeNavigation } from './tree-navigation.js';
 import { showContextMenu } from './context-menu.js';
+import { debounce } from '../utils/debounce.js';
 import { bookmarkService } from '../services/bookmark-service.js';
+import { tabService } from '../services/tab-service.js';
+import { sessionService } from '../services/session-service.js';
 import { workspaceService } from '../services/workspace-service.js';
+import { smartFolderService } from '../services/smart-folder-service.js';
+import { smartFolderMenuItems, showSmartFolderEditor } from './smart-folder-editor.js';
+import { tagService } from '../services/tag-service.js';
+import { noteService } from '../services/note-service.js';
+import { linkCheckService } from '../services/link-check-service.js';
+import { showBookmarkEditor } from './bookmark-editor.js';
+import { sortService } from '../services/sort-service.js';
+import { sortMenuItems } from './sort-menu.js';
+import { showTagEditor } from './tag-editor.js';
+import { showUndoToast } from './toast.js';
+import { undoService } from '../services/undo-service.js';
 import { bus, Events } from '../utils/event-bus.js';
 
 export class PinnedSection {
@@ -19,6 +38,19 @@ export class PinnedSection {
     this._refreshing = false;     // Guard against concurrent refreshes
     this._pendingRefresh = false;  // Queue a refresh if one is in-flight
     this._expandedPinned = new Set(); // Track expanded pinned folders
+    this._openTabs = {};              // bookmarkId → open chrome.tabs.Tab
+    this._tags = {};                  // URL → tags
+    this._notes = {};                 // URL → note
+    this._linkHealth = {};            // URL → link check result
+    this._sortedFolders = {};         // Folder ID → sort key
+    this._nodesById = new Map();      // Rendered rows, for keyboard actions
+    // Tab events arrive in bursts (loading → complete, title, favicon)
+    this._debouncedRefresh = debounce(() => this.refresh(), 100);
+    // The list is rebuilt on every refresh, so keys are handled on the section
+    this._nav = new TreeNavigation(container, {
+      onRename: (id) => this._renameItem(this._nodesById.get(id)),
+      onDelete: (id) => this._deleteItem(this._nodesById.get(id)),
+    });
   }
 
   async init() {
@@ -29,11 +61,17 @@ export class PinnedSection {
       bus.on(Events.TREE_REFRESH, () => this.refresh()),
       bus.on(Events.BOOKMARK_CHANGED, () => this.refresh()),
       bus.on(Events.BOOKMARK_REMOVED, () => this.refresh()),
+      bus.on(Events.TAGS_CHANGED, () => this.refresh()),
+      bus.on(Events.NOTES_CHANGED, () => this.refresh()),
+      bus.on(Events.LINKS_CHECKED, () => this.refresh()),
     );
 
     // Listen for external bookmark changes (edits/deletes from Chrome UI)
     this._unsubBookmarks = bookmarkService.onMessage(() => this.refresh());
 
+    // Keep "open" indicators in step with the tabs of pinned bookmarks
+    this._unsubTabs = tabService.onMessage(() => this._debouncedRefresh());
+
     await this.refresh();
   }
 
@@ -44,12 +82,17 @@ export class PinnedSection {
       return;
     }
     this._refreshing = true;
+    // Keep keyboard focus on the same row across the re-render
+    const hadFocus = this._nav.hasFocus();
 
     try {
       clearChildren(this.container);
+      this._nodesById.clear();
 
       const ws = workspaceService.getActive();
-      if (!ws || !ws.pinnedBookmarkIds || ws.pinnedBookmarkIds.length === 0) {
+      const pinnedIds = ws && ws.pinnedBookmarkIds ? ws.pinnedBookmarkIds : [];
+      const smartFolders = workspaceService.getSmartFolders().filter(f => f.pinned);
+      if (!ws || (pinnedIds.length === 0 && smartFolders.length === 0)) {
         this.container.classList.add('hidden');
         return;
       }
@@ -61,19 +104,54 @@ export class PinnedSection {
       header.appendChild(el('span', { text: 'Pinned', className: 'section-label' }));
       this.container.appendChild(header);
 
-      // Fetch pinned bookmarks
-      const bookmarks = await bookmarkService.getMultiple(ws.pinnedBookmarkIds);
+      // Fetch pinned bookmarks and the tabs they own
+      const bookmarks = await bookmarkService.getMultiple(pinnedIds);
+      this._openTabs = await tabService.getPinnedTabs();
+      this._tags = await tagService.getAll();
+      this._notes = await noteService.getAll();
+      this._linkHealth = await linkCheckService.getResults();
+      this._sortedFolders = await sortService.getAll();
+
+      const list = el('div', {
+        className: 'pinned-list',
+        attrs: { role: 'tree', 'aria-label': 'Pinned' }
+      });
+      const setSize = smartFolders.length + bookmarks.length;
 
-      const list = el('div', { className: 'pinned-list' });
+      for (const [i, smartFolder] of smartFolders.entries()) {
+        const node = await smartFolderService.toNode(smartFolder, workspaceService.getAll(), { tags: this._tags });
+        const isExpanded = this._expandedPinned.has(node.id);
+        this._nodesById.set(node.id, { ...node, smartFolder });
+        list.appendChild(createBookmarkItem(node, {
+          depth: 0,
+          isExpanded,
+          isPinned: true,
+          isSmart: true,
+          posInSet: i + 1,
+          setSize,
+          onToggle: (id) => this._togglePinnedFolder(id),
+          onContextMenu: (n, pos) => showContextMenu({ x: pos.x, y: pos.y, items: smartFolderMenuItems(smartFolder) })
+        }));
+        if (isExpanded && node.children.length > 0) {
+          this._renderChildren(node.children, 1, list);
+        }
+      }
 
-      for (const bm of bookmarks) {
+      for (const [i, bm] of bookmarks.entries()) {
         const isFolder = !bm.url;
         const isExpanded = this._expandedPinned.has(bm.id);
+        this._nodesById.set(bm.id, bm);
 
         const item = createBookmarkItem(bm, {
           depth: 0,
           isExpanded,
           isPinned: true,
+          posInSet: smartFolders.length + i + 1,
+          setSize,
+          isOpen: !isFolder && !!this._openTabs[bm.id],
+          tags: this._tags[bm.url] || [],
+          note: this._notes[bm.url] || '',
+          linkHealth: this._linkHealth[bm.url] || null,
           onToggle: isFolder ? (id) => this._togglePinnedFolder(id) : undefined,
           onClick: (node) => this._handleClick(node),
           onContextMenu: (node, pos) => this._showContextMenu(node, pos)
@@ -88,6 +166,7 @@ export class PinnedSection {
 
       this.container.appendChild(list);
     } finally {
+      this._nav.sync(hadFocus);
       this._refreshing = false;
       // If a refresh was queued while we were running, do it now
       if (this._pendingRefresh) {
@@ -101,14 +180,21 @@ export class PinnedSection {
    * Render child nodes of an expanded pinned folder.
    */
   _renderChildren(children, depth, list) {
-    for (const child of children) {
+    children.forEach((child, i) => {
       const isFolder = !child.url;
       const isExpanded = this._expandedPinned.has(child.id);
+      if (!this._nodesById.has(child.id)) this._nodesById.set(child.id, child);
 
       const item = createBookmarkItem(child, {
         depth,
         isExpanded,
         isPinned: false, // Children aren't individually pinned
+        posInSet: i + 1,
+        setSize: children.length,
+        isOpen: !isFolder && !!this._openTabs[child.id],
+        tags: this._tags[child.url] || [],
+        note: this._notes[child.url] || '',
+        linkHealth: this._linkHealth[child.url] || null,
         onToggle: isFolder ? (id) => this._togglePinnedFolder(id) : undefined,
         onClick: (node) => this._handleClick(node),
         onContextMenu: (node, pos) => this._showContextMenu(node, pos)
@@ -118,7 +204,7 @@ export class PinnedSection {
       if (isFolder && isExpanded && child.children && child.children.length > 0) {
         this._renderChildren(child.children, depth + 1, list);
       }
-    }
+    });
   }
 
   /**
@@ -135,19 +221,19 @@ export class PinnedSection {
 
   /**
    * Handle click on a pinned item.
-   * Folders toggle expand/collapse, bookmarks open in current tab.
+   * Folders toggle expand/collapse, bookmarks focus their tab (or open one).
    */
-  _handleClick(node) {
+  async _handleClick(node) {
     if (!node.url) {
       // Folder — toggle expand/collapse
       this._togglePinnedFolder(node.id);
-    } else {
-      // Bookmark — open in current tab
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]) {
-          chrome.tabs.update(tabs[0].id, { url: node.url });
-        }
-      });
+      return;
+    }
+    try {
+      await tabService.openPinned(node);
+      await this.refresh();
+    } catch (err) {
+      console.warn('Arc Spaces: open pinned bookmark failed:', err);
     }
   }
 
@@ -167,6 +253,10 @@ export class PinnedSection {
       label: 'Rename',
       action: () => this._startInlineRename(node)
     });
+    items.push({
+      label: 'Edit…',
+      action: () => showBookmarkEditor(node)
+    });
 
     // Unpin (only for top-level pinned items)
     if (workspaceService.isPinned(node.id)) {
@@ -178,12 +268,48 @@ export class PinnedSection {
       });
     }
 
+    // Reset to pinned URL (tab navigated away from the saved page)
+    const openTab = this._openTabs[node.id];
+    if (!isFolder && openTab && tabService.hasNavigatedAway(openTab, node.url)) {
+      items.push({
+        label: 'Reset to pinned URL',
+        action: async () => {
+          try {
+            await tabService.resetPinned(node);
+          } catch (err) {
+            console.warn('Arc Spaces: reset pinned tab failed:', err);
+          }
+        }
+      });
+    }
+
     // Open in new tab (bookmarks only)
     if (!isFolder && node.url) {
       items.push({
         label: 'Open in new tab',
         action: () => chrome.tabs.create({ url: node.url })
       });
+      items.push({
+        label: 'Edit tags…',
+        action: () => showTagEditor(node)
+      });
+    }
+
+    // Open a pinned folder's bookmarks together
+    if (isFolder) {
+      items.push({
+        label: 'Open all in new tab group',
+        action: () => this._openFolder(node, 'group')
+      });
+      items.push({
+        label: 'Open all in new window',
+        action: () => this._openFolder(node, 'window')
+      });
+    }
+
+    // Sort a pinned folder's children
+    if (isFolder) {
+      items.push(...sortMenuItems(node.id, this._sortedFolders[node.id] || null));
     }
 
     items.push({ separator: true });
@@ -192,22 +318,67 @@ export class PinnedSection {
     items.push({
       label: 'Delete',
       danger: true,
-      action: async () => {
-        if (workspaceService.isPinned(node.id)) {
-          await workspaceService.unpinBookmark(node.id);
-        }
-        if (isFolder) {
-          await bookmarkService.removeTree(node.id);
-        } else {
-          await bookmarkService.remove(node.id);
-        }
-        bus.emit(Events.BOOKMARK_REMOVED, { id: node.id });
-      }
+      action: () => this._deleteItem(node)
     });
 
     showContextMenu({ x: pos.x, y: pos.y, items });
   }
 
+  /**
+   * Open the bookmarks of a folder together (see sessionService.openFolder).
+   * @param {chrome.bookmarks.BookmarkTreeNode} node - Folder
+   * @param {'window'|'group'} target
+   */
+  async _openFolder(node, target) {
+    try {
+      await sessionService.openFolder(node, target, workspaceService.getActive());
+    } catch (err) {
+      console.warn('Arc Spaces: open folder failed:', err);
+    }
+  }
+
+  /**
+   * Delete a pinned item (or an item inside a pinned folder). Confirms if a
+   * folder has contents. Smart folders are removed from the workspace.
+   * @param {Object} node - A rendered row's node
+   */
+  async _deleteItem(node) {
+    if (!node) return;
+    try {
+      if (node.smartFolder) {
+        await workspaceService.removeSmartFolder(node.id);
+        return;
+      }
+      const title = node.title || node.url || 'Untitled';
+      if (!node.url) {
+        const children = await bookmarkService.getChildren(node.id);
+        if (children.length > 0) {
+          const confirmed = confirm(
+            `Delete "${title}" and its ${children.length} item${children.length === 1 ? '' : 's'}?`
+          );
+          if (!confirmed) return;
+        }
+      }
+      await undoService.deleteBookmarks([node.id], `Delete "${title}"`);
+      showUndoToast(`Deleted "${title}"`);
+    } catch (err) {
+      console.warn('Arc Spaces: delete pinned item failed:', err);
+    }
+  }
+
+  /**
+   * Rename from the keyboard (F2). Smart folders open their editor.
+   * @param {Object} node - A rendered row's node
+   */
+  _renameItem(node) {
+    if (!node) return;
+    if (node.smartFolder) {
+      showSmartFolderEditor(node.smartFolder);
+    } else {
+      this._startInlineRename(node);
+    }
+  }
+
   // ── Inline Rename ──────────────────────────────────
 
   /**
@@ -277,5 +448,7 @@ export class PinnedSection {
       unsub();
     }
     if (this._unsubBookmarks) this._unsubBookmarks();
+    if (this._unsubTabs) this._unsubTabs();
+    this._nav.destroy();
   }
 }
@@ -4,6 +4,7 @@
 import { el, clearChildren } from '../utils/dom.js';
 import { createFaviconImg } from '../utils/favicon.js';
 import { workspaceService } from '../services/workspace-service.js';
+import { tabService } from '../services/tab-service.js';
 import { showContextMenu } from './context-menu.js';
 import { bus, Events } from '../utils/event-bus.js';
 
@@ -102,10 +103,7 @@ export class ShortcutBar {
   }
 
   async _openUrl(url) {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (tab) {
-      await chrome.tabs.update(tab.id, { url });
-    }
+    await tabService.openInCurrentTab(url);
   }
 
   async _addCurrentTab() {
@@ -0,0 +1,184 @@
+// Smart folder editor — dialog for creating/editing a saved bookmark query,
+// plus the context menu items shared by the tree and the Pinned section
+
+import { el } from '../utils/dom.js';
+import { workspaceService } from '../services/workspace-service.js';
+import { ADDED_RANGES } from '../services/smart-folder-service.js';
+import { tagService, normalizeTag } from '../services/tag-service.js';
+
+let activeDialog = null;
+
+/**
+ * Show the smart folder dialog. Saves to the active workspace.
+ * @param {Object} [smartFolder] - Existing smart folder to edit; omit to create one
+ */
+export function showSmartFolderEditor(smartFolder) {
+  closeSmartFolderEditor();
+
+  const query = smartFolder ? smartFolder.query || {} : {};
+  const active = workspaceService.getActive();
+  if (!active) return;
+
+  const field = (label, control) => el('label', {
+    className: 'dialog-field',
+    children: [el('span', { className: 'dialog-label', text: label }), control]
+  });
+
+  const nameInput = el('input', {
+    className: 'workspace-create-input',
+    attrs: { type: 'text', placeholder: 'e.g. Added this week', maxlength: '60', value: smartFolder ? smartFolder.name : '' }
+  });
+  const textInput = el('input', {
+    className: 'workspace-create-input',
+    attrs: { type: 'text', placeholder: 'Title or URL contains…', value: query.text || '' }
+  });
+  const domainInput = el('input', {
+    className: 'workspace-create-input',
+    attrs: { type: 'text', placeholder: 'e.g. github.com', value: query.domain || '' }
+  });
+
+  // Tag, with tags already in use as suggestions
+  const tagList = el('datalist', { attrs: { id: 'smart-folder-tags' } });
+  const tagInput = el('input', {
+    className: 'workspace-create-input',
+    attrs: { type: 'text', placeholder: 'Any tag', list: 'smart-folder-tags', value: query.tag || '' }
+  });
+  tagService.listTags().then(tags => {
+    for (const { tag } of tags) tagList.appendChild(el('option', { attrs: { value: tag } }));
+  }).catch(() => {});
+
+  const addedSelect = el('select', { className: 'workspace-create-input' });
+  addedSelect.appendChild(el('option', { text: 'Any time', attrs: { value: '' } }));
+  for (const range of ADDED_RANGES) {
+    addedSelect.appendChild(el('option', { text: range.label, attrs: { value: range.key } }));
+  }
+  addedSelect.value = query.added || '';
+
+  const scopeSelect = el('select', { className: 'workspace-create-input' });
+  scopeSelect.appendChild(el('option', { text: 'All workspaces', attrs: { value: '' } }));
+  for (const ws of workspaceService.getAll()) {
+    scopeSelect.appendChild(el('option', { text: ws.name, attrs: { value: ws.id } }));
+  }
+  // New smart folders search the workspace they are saved in
+  scopeSelect.value = smartFolder ? query.workspaceId || '' : active.id;
+
+  const save = async () => {
+    const newQuery = {
+      text: textInput.value,
+      domain: domainInput.value,
+      added: addedSelect.value,
+      tag: normalizeTag(tagInput.value),
+      workspaceId: scopeSelect.value || null,
+    };
+    const name = nameInput.value.trim() || defaultName(newQuery);
+    closeSmartFolderEditor();
+    try {
+      if (smartFolder) {
+        await workspaceService.updateSmartFolder(smartFolder.id, { name, query: newQuery });
+      } else {
+        await workspaceService.addSmartFolder(name, newQuery);
+      }
+    } catch (err) {
+      console.warn('Arc Spaces: save smart folder failed:', err);
+    }
+  };
+
+  const form = el('form', {
+    className: 'dialog',
+    attrs: { role: 'dialog', 'aria-label': smartFolder ? 'Edit smart folder' : 'New smart folder' },
+    events: {
+      submit: (e) => {
+        e.preventDefault();
+        save();
+      },
+      keydown: (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          closeSmartFolderEditor();
+        }
+      }
+    },
+    children: [
+      el('div', { className: 'dialog-title', text: smartFolder ? 'Edit smart folder' : 'New smart folder' }),
+      field('Name', nameInput),
+      field('Contains', textInput),
+      field('Domain', domainInput),
+      field('Tag', tagInput),
+      tagList,
+      field('Added', addedSelect),
+      field('Search in', scopeSelect),
+      el('div', {
+        className: 'dialog-actions',
+        children: [
+          el('button', {
+            className: 'btn btn-ghost btn-sm',
+            text: 'Cancel',
+            attrs: { type: 'button' },
+            events: { click: () => closeSmartFolderEditor() }
+          }),
+          el('button', { className: 'btn btn-primary btn-sm', text: 'Save', attrs: { type: 'submit' } })
+        ]
+      })
+    ]
+  });
+
+  activeDialog = el('div', {
+    className: 'dialog-overlay',
+    events: {
+      mousedown: (e) => {
+        if (e.target === activeDialog) closeSmartFolderEditor();
+      }
+    },
+    children: [form]
+  });
+  document.body.appendChild(activeDialog);
+  requestAnimationFrame(() => nameInput.focus());
+}
+
+/**
+ * Close the smart folder dialog if open.
+ */
+export function closeSmartFolderEditor() {
+  if (activeDialog) {
+    activeDialog.remove();
+    activeDialog = null;
+  }
+}
+
+/**
+ * Context menu items for a smart folder.
+ * @param {Object} smartFolder
+ * @returns {Array} Items for showContextMenu
+ */
+export function smartFolderMenuItems(smartFolder) {
+  return [
+    {
+      label: 'Edit smart folder…',
+      action: () => showSmartFolderEditor(smartFolder)
+    },
+    smartFolder.pinned
+      ? { label: 'Unpin', action: () => workspaceService.unpinSmartFolder(smartFolder.id) }
+      : { label: 'Pin to top', action: () => workspaceService.pinSmartFolder(smartFolder.id) },
+    { separator: true },
+    {
+      label: 'Delete smart folder',
+      danger: true,
+      action: () => workspaceService.removeSmartFolder(smartFolder.id)
+    }
+  ];
+}
+
+/**
+ * Name a smart folder after its query when the user leaves the name blank.
+ * @param {Object} query
+ * @returns {string}
+ */
+function defaultName(query) {
+  const range = ADDED_RANGES.find(r => r.key === query.added);
+  const parts = [];
+  if (query.text.trim()) parts.push(`“${query.text.trim()}”`);
+  if (query.domain.trim()) parts.push(query.domain.trim());
+  if (query.tag) parts.push(`#${query.tag}`);
+  if (range) parts.push(`added ${range.label.toLowerCase()}`);
+  return parts.length > 0 ? parts.join(', ') : 'Smart folder';
+}
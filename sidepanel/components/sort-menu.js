@@ -0,0 +1,39 @@
+// Sort menu — "Sort by" and "Keep sorted" submenus for a folder's context
+// menu and the workspace menu (which sorts the workspace root)
+
+import { sortService, SORT_KEYS, SORT_LABELS } from '../services/sort-service.js';
+
+/**
+ * Context menu items for sorting a folder.
+ * @param {string} folderId
+ * @param {string|null} keptBy - Key the folder is kept sorted by, if any
+ * @returns {Array} Items for showContextMenu
+ */
+export function sortMenuItems(folderId, keptBy) {
+  const sortNow = (key) => sortService.sortFolder(folderId, key).catch(err => {
+    console.warn('Arc Spaces: sort folder failed:', err);
+  });
+  const keepSorted = (key) => sortService.setKeepSorted(folderId, key).catch(err => {
+    console.warn('Arc Spaces: keep sorted failed:', err);
+  });
+
+  return [
+    {
+      label: 'Sort by…',
+      children: SORT_KEYS.map(key => ({
+        label: SORT_LABELS[key],
+        action: () => sortNow(key)
+      }))
+    },
+    {
+      label: 'Keep sorted…',
+      children: [
+        { label: `${keptBy ? '  ' : '● '}Off`, action: () => keepSorted(null) },
+        ...SORT_KEYS.map(key => ({
+          label: `${key === keptBy ? '● ' : '  '}By ${SORT_LABELS[key].toLowerCase()}`,
+          action: () => keepSorted(key)
+        }))
+      ]
+    }
+  ];
+}
@@ -0,0 +1,231 @@
+// Tab section — live "Today" list of the active workspace's open tabs
+// Click to focus, hover "×" to close (into the archive), drag to reorder
+// the tab strip, drag onto the bookmark tree to save the tab as a bookmark
+
+import { el, clearChildren } from '../utils/dom.js';
+import { createFaviconImg } from '../utils/favicon.js';
+import { debounce } from '../utils/debounce.js';
+import { tabService } from '../services/tab-service.js';
+import { archiveService } from '../services/archive-service.js';
+import { workspaceService } from '../services/workspace-service.js';
+import { bus, Events } from '../utils/event-bus.js';
+
+const ICON_CLOSE = `<svg width="10" height="10" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+  <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+</svg>`;
+
+export class TabSection {
+  /**
+   * @param {HTMLElement} container - The #tab-section element
+   */
+  constructor(container) {
+    this.container = container;
+    this._unsubscribers = [];
+    this._refreshing = false;     // Guard against concurrent refreshes
+    this._pendingRefresh = false;  // Queue a refresh if one is in-flight
+    // Tab events arrive in bursts (loading → complete, title, favicon)
+    this._debouncedRefresh = debounce(() => this.refresh(), 100);
+  }
+
+  async init() {
+    this._unsubscribers.push(
+      bus.on(Events.WORKSPACE_CHANGED, () => this.refresh()),
+    );
+
+    // Listen for tab events relayed from the service worker
+    this._unsubTabs = tabService.onMessage(() => this._debouncedRefresh());
+
+    await this.refresh();
+  }
+
+  async refresh() {
+    // Guard: if a refresh is already running, queue one and return
+    if (this._refreshing) {
+      this._pendingRefresh = true;
+      return;
+    }
+    this._refreshing = true;
+
+    try {
+      const ws = workspaceService.getActive();
+      const tabs = ws ? await tabService.getWorkspaceTabs(ws.id) : [];
+
+      clearChildren(this.container);
+
+      // Header
+      const header = el('div', { className: 'section-header' });
+      header.appendChild(el('span', { text: 'Today', className: 'section-label' }));
+      this.container.appendChild(header);
+      this.container.appendChild(el('div', { className: 'section-divider' }));
+
+      const list = el('div', { className: 'tab-list' });
+
+      if (tabs.length === 0) {
+        list.appendChild(el('div', {
+          className: 'empty-state',
+          children: [el('p', { text: 'No open tabs in this workspace.', className: 'empty-message' })]
+        }));
+      }
+
+      for (const tab of tabs) {
+        list.appendChild(this._createTabItem(tab));
+      }
+
+      this.container.appendChild(list);
+    } finally {
+      this._refreshing = false;
+      // If a refresh was queued while we were running, do it now
+      if (this._pendingRefresh) {
+        this._pendingRefresh = false;
+        this.refresh();
+      }
+    }
+  }
+
+  /**
+   * Render a single tab row (favicon + title + close button).
+   * @param {chrome.tabs.Tab} tab
+   * @returns {HTMLElement}
+   */
+  _createTabItem(tab) {
+    const item = el('div', {
+      className: ['bookmark-item', 'tab-item', tab.active ? 'active' : ''],
+      dataset: { tabId: String(tab.id) },
+      attrs: { title: tab.url || '' },
+      style: { paddingLeft: '12px' }
+    });
+
+    item.appendChild(el('span', { className: 'chevron-spacer' }));
+
+    // Favicon — prefer the tab's own icon, fall back to Chrome's favicon cache
+    const faviconWrapper = el('span', { className: 'item-icon' });
+    let img;
+    if (tab.favIconUrl && !tab.favIconUrl.startsWith('chrome://')) {
+      img = el('img', {
+        className: 'favicon',
+        attrs: { src: tab.favIconUrl, width: '16', height: '16', alt: '' }
+      });
+      img.onerror = () => img.classList.add('favicon-error');
+    } else {
+      img = createFaviconImg(tab.url, 16);
+    }
+    faviconWrapper.appendChild(img);
+    faviconWrapper.appendChild(el('span', { className: 'favicon-fallback' }));
+    item.appendChild(faviconWrapper);
+
+    item.appendChild(el('span', {
+      className: 'item-title',
+      text: tab.title || tab.url || 'New Tab'
+    }));
+
+    const closeBtn = el('button', {
+      className: 'tab-close',
+      attrs: { title: 'Close tab', type: 'button' },
+      events: {
+        click: (e) => {
+          e.stopPropagation();
+          this._closeTab(tab);
+        }
+      }
+    });
+    closeBtn.innerHTML = ICON_CLOSE;
+    item.appendChild(closeBtn);
+
+    item.addEventListener('click', () => {
+      tabService.focus(tab.id).catch((err) => {
+        console.warn('Arc Spaces: focus tab failed:', err);
+      });
+    });
+
+    // ── Drag source ──────────────────────────────
+    item.draggable = true;
+
+    item.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData('application/x-tab-id', String(tab.id));
+      e.dataTransfer.effectAllowed = 'copyMove';
+      requestAnimationFrame(() => item.classList.add('dragging'));
+    });
+
+    item.addEventListener('dragend', () => {
+      item.classList.remove('dragging');
+    });
+
+    // ── Drop target for reordering (2-zone: before/after) ──
+    item.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types || !e.dataTransfer.types.includes('application/x-tab-id')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+
+      item.classList.remove('drop-before', 'drop-after');
+      const rect = item.getBoundingClientRect();
+      if (e.clientY - rect.top < rect.height / 2) {
+        item.classList.add('drop-before');
+      } else {
+        item.classList.add('drop-after');
+      }
+    });
+
+    item.addEventListener('dragleave', (e) => {
+      if (!item.contains(e.relatedTarget)) {
+        item.classList.remove('drop-before', 'drop-after');
+      }
+    });
+
+    item.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const draggedId = Number(e.dataTransfer.getData('application/x-tab-id'));
+      const position = item.classList.contains('drop-before') ? 'before' : 'after';
+      item.classList.remove('drop-before', 'drop-after');
+      if (!draggedId || draggedId === tab.id) return;
+      this._moveTab(draggedId, tab, position);
+    });
+
+    return item;
+  }
+
+  /**
+   * Move a tab before or after a reference tab in the tab strip.
+   * @param {number} draggedId
+   * @param {chrome.tabs.Tab} refTab
+   * @param {'before'|'after'} position
+   */
+  async _moveTab(draggedId, refTab, position) {
+    try {
+      const dragged = await tabService.get(draggedId);
+      if (!dragged) return;
+
+      // chrome.tabs.move takes the final index: moving right, the dragged
+      // tab's own slot frees up, so every index past it shifts left by one.
+      let targetIndex = position === 'after' ? refTab.index + 1 : refTab.index;
+      if (dragged.windowId === refTab.windowId && dragged.index < targetIndex) {
+        targetIndex -= 1;
+      }
+      if (dragged.windowId === refTab.windowId && dragged.index === targetIndex) return;
+
+      await tabService.move(draggedId, targetIndex);
+      await this.refresh();
+    } catch (err) {
+      console.warn('Arc Spaces: move tab failed:', err);
+    }
+  }
+
+  /**
+   * Close a tab, keeping it in the archive so it can be recovered.
+   * @param {chrome.tabs.Tab} tab
+   */
+  async _closeTab(tab) {
+    try {
+      const ws = workspaceService.getActive();
+      await archiveService.closeTab(tab, ws ? ws.id : null);
+    } catch (err) {
+      console.warn('Arc Spaces: close tab failed:', err);
+    }
+  }
+
+  destroy() {
+    for (const unsub of this._unsubscribers) {
+      unsub();
+    }
+    if (this._unsubTabs) this._unsubTabs();
+  }
+}
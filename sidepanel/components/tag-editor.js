@@ -0,0 +1,122 @@
+// Tag editor — dialog for editing the tags of a bookmark
+// Tags are typed comma-separated; tags already in use can be added by click
+
+import { el } from '../utils/dom.js';
+import { tagService, parseTags } from '../services/tag-service.js';
+
+let activeDialog = null;
+
+/**
+ * Show the tag editor for a bookmark.
+ * @param {chrome.bookmarks.BookmarkTreeNode} node - Bookmark (must have a URL)
+ */
+export async function showTagEditor(node) {
+  closeTagEditor();
+  if (!node || !node.url) return;
+
+  const [current, known] = await Promise.all([
+    tagService.getTagsFor(node.url),
+    tagService.listTags(),
+  ]);
+
+  const input = el('input', {
+    className: 'workspace-create-input',
+    attrs: {
+      type: 'text',
+      placeholder: 'e.g. reading, work',
+      value: current.join(', '),
+      'aria-label': 'Tags, separated by commas'
+    }
+  });
+
+  // Tags used on other bookmarks, click to add
+  const suggestions = el('div', { className: 'tag-chips tag-suggestions' });
+  for (const { tag } of known) {
+    suggestions.appendChild(el('button', {
+      className: 'tag-chip',
+      text: tag,
+      attrs: { type: 'button', title: `Add "${tag}"` },
+      events: {
+        click: () => {
+          const tags = parseTags(input.value);
+          if (!tags.includes(tag)) tags.push(tag);
+          input.value = tags.join(', ');
+          input.focus();
+        }
+      }
+    }));
+  }
+
+  // Shown when sync storage rejects the write (e.g. quota); the dialog stays open
+  const saveError = el('span', { className: 'dialog-error', attrs: { role: 'alert' } });
+  saveError.hidden = true;
+
+  const save = async () => {
+    const tags = parseTags(input.value);
+    try {
+      await tagService.setTags(node.url, tags);
+      closeTagEditor();
+    } catch (err) {
+      console.warn('Arc Spaces: save tags failed:', err);
+      saveError.textContent = `Couldn’t save tags: ${err.message || err}`;
+      saveError.hidden = false;
+    }
+  };
+
+  const form = el('form', {
+    className: 'dialog',
+    attrs: { role: 'dialog', 'aria-label': 'Edit tags' },
+    events: {
+      submit: (e) => {
+        e.preventDefault();
+        save();
+      },
+      keydown: (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          closeTagEditor();
+        }
+      }
+    },
+    children: [
+      el('div', { className: 'dialog-title', text: `Tags for “${node.title || node.url}”` }),
+      input,
+      known.length > 0 ? suggestions : null,
+      saveError,
+      el('div', {
+        className: 'dialog-actions',
+        children: [
+          el('button', {
+            className: 'btn btn-ghost btn-sm',
+            text: 'Cancel',
+            attrs: { type: 'button' },
+            events: { click: () => closeTagEditor() }
+          }),
+          el('button', { className: 'btn btn-primary btn-sm', text: 'Save', attrs: { type: 'submit' } })
+        ]
+      })
+    ]
+  });
+
+  activeDialog = el('div', {
+    className: 'dialog-overlay',
+    events: {
+      mousedown: (e) => {
+        if (e.target === activeDialog) closeTagEditor();
+      }
+    },
+    children: [form]
+  });
+  document.body.appendChild(activeDialog);
+  requestAnimationFrame(() => input.focus());
+}
+
+/**
+ * Close the tag editor if open.
+ */
+export function closeTagEditor() {
+  if (activeDialog) {
+    activeDialog.remove();
+    activeDialog = null;
+  }
+}
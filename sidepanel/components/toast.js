@@ -0,0 +1,83 @@
+// Toast — short message at the bottom of the panel with an optional action
+// Singleton: showing a new toast replaces the current one
+
+import { el } from '../utils/dom.js';
+import { undoService } from '../services/undo-service.js';
+
+let activeToast = null;
+let hideTimer = null;
+
+/**
+ * Show a toast.
+ * @param {Object} opts
+ * @param {string} opts.message
+ * @param {string} [opts.actionLabel] - Label of the action button
+ * @param {Function} [opts.onAction] - Called when the action button is clicked;
+ *   errors (and rejections of a returned promise) are logged
+ * @param {number} [opts.duration=6000] - Auto-hide delay in ms
+ */
+export function showToast({ message, actionLabel, onAction, duration = 6000 }) {
+  hideToast();
+
+  const toast = el('div', {
+    className: 'toast',
+    attrs: { role: 'status' },
+    children: [el('span', { className: 'toast-message', text: message })]
+  });
+
+  if (actionLabel && onAction) {
+    toast.appendChild(el('button', {
+      className: 'toast-action',
+      text: actionLabel,
+      attrs: { type: 'button' },
+      events: {
+        click: () => {
+          hideToast();
+          // Actions are mostly async; a failed one shouldn't go unhandled
+          try {
+            const result = onAction();
+            if (result && typeof result.catch === 'function') {
+              result.catch((err) => {
+                console.warn('Arc Spaces: toast action failed:', err);
+              });
+            }
+          } catch (err) {
+            console.warn('Arc Spaces: toast action failed:', err);
+          }
+        }
+      }
+    }));
+  }
+
+  document.body.appendChild(toast);
+  activeToast = toast;
+  hideTimer = setTimeout(hideToast, duration);
+}
+
+/**
+ * Show a toast after a destructive action, offering to undo it.
+ * @param {string} message
+ */
+export function showUndoToast(message) {
+  showToast({
+    message,
+    actionLabel: 'Undo',
+    onAction: () => {
+      undoService.undo().catch((err) => {
+        console.warn('Arc Spaces: undo failed:', err);
+      });
+    }
+  });
+}
+
+/**
+ * Hide the active toast if any.
+ */
+export function hideToast() {
+  clearTimeout(hideTimer);
+  hideTimer = null;
+  if (activeToast) {
+    activeToast.remove();
+    activeToast = null;
+  }
+}
@@ -0,0 +1,222 @@
+// Trash view — restore or permanently delete trashed bookmarks, folders and
+// workspaces. Opens over the sidebar from the workspace menu, like the Archive.
+// The footer sets how long items stay in the trash and empties it.
+
+import { el, clearChildren } from '../utils/dom.js';
+import { createFaviconImg } from '../utils/favicon.js';
+import { trashService } from '../services/trash-service.js';
+import { storageService } from '../services/storage-service.js';
+import { workspaceService } from '../services/workspace-service.js';
+
+const RETENTION_OPTIONS = [
+  { value: '7d', label: 'Delete after 7 days' },
+  { value: '30d', label: 'Delete after 30 days' },
+  { value: '90d', label: 'Delete after 90 days' },
+  { value: 'never', label: 'Keep until emptied' },
+];
+
+const ICON_RESTORE = `<svg width="12" height="12" viewBox="0 0 16 16" fill="none">
+  <path d="M3 8a5 5 0 1 0 1.5-3.5M3 3v2.5h2.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+</svg>`;
+
+const ICON_DELETE = `<svg width="12" height="12" viewBox="0 0 16 16" fill="none">
+  <path d="M3 4.5H13M6.5 4.5V3H9.5V4.5M4.5 4.5L5 13H11L11.5 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+</svg>`;
+
+const ICON_CLOSE = `<svg width="12" height="12" viewBox="0 0 16 16" fill="none">
+  <path d="M4 4L12 12M12 4L4 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+</svg>`;
+
+const ICON_FOLDER = `<svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+  <path d="M2 4C2 3.44772 2.44772 3 3 3H6.17157C6.43679 3 6.69114 3.10536 6.87868 3.29289L7.70711 4.12132C7.89464 4.30886 8.149 4.41421 8.41421 4.41421H13C13.5523 4.41421 14 4.86193 14 5.41421V12C14 12.5523 13.5523 13 13 13H3C2.44772 13 2 12.5523 2 12V4Z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
+</svg>`;
+
+export class TrashView {
+  /**
+   * @param {HTMLElement} container - Element the overlay is appended to (#app)
+   */
+  constructor(container) {
+    this.container = container;
+    this._overlay = null;
+    this._list = null;
+    this._emptyBtn = null;
+    this._unsubStorage = null;
+    this._onKeydown = (e) => {
+      if (e.key === 'Escape') this.close();
+    };
+  }
+
+  async open() {
+    if (this._overlay) return;
+
+    this._overlay = el('div', { className: 'archive-view trash-view' });
+
+    // Header: title + close
+    const header = el('div', { className: 'archive-header' });
+    header.appendChild(el('span', { className: 'archive-title', text: 'Trash' }));
+    const closeBtn = el('button', {
+      className: 'action-btn',
+      attrs: { title: 'Close trash', type: 'button' },
+      events: { click: () => this.close() }
+    });
+    closeBtn.innerHTML = ICON_CLOSE;
+    header.appendChild(closeBtn);
+    this._overlay.appendChild(header);
+
+    this._list = el('div', { className: 'archive-list' });
+    this._overlay.appendChild(this._list);
+
+    // Footer: retention + empty
+    const retention = el('select', {
+      className: 'workspace-create-input trash-retention',
+      attrs: { 'aria-label': 'Keep trashed items' },
+      events: { change: (e) => trashService.setRetention(e.target.value) }
+    });
+    for (const opt of RETENTION_OPTIONS) {
+      retention.appendChild(el('option', { text: opt.label, attrs: { value: opt.value } }));
+    }
+    retention.value = await trashService.getRetention();
+
+    this._emptyBtn = el('button', {
+      className: 'btn btn-ghost btn-sm trash-empty',
+      text: 'Empty trash',
+      attrs: { type: 'button' },
+      events: { click: () => this._empty() }
+    });
+    this._overlay.appendChild(el('div', {
+      className: 'trash-footer',
+      children: [retention, this._emptyBtn]
+    }));
+
+    this.container.appendChild(this._overlay);
+    document.addEventListener('keydown', this._onKeydown);
+
+    // Purges run in the service worker — re-render when the entries change
+    this._unsubStorage = storageService.onChange((changes, area) => {
+      if (area === 'local' && changes.trash) this.render();
+    });
+
+    await this.render();
+  }
+
+  close() {
+    if (!this._overlay) return;
+    this._overlay.remove();
+    this._overlay = null;
+    this._list = null;
+    this._emptyBtn = null;
+    document.removeEventListener('keydown', this._onKeydown);
+    if (this._unsubStorage) this._unsubStorage();
+    this._unsubStorage = null;
+  }
+
+  async render() {
+    if (!this._list) return;
+    const entries = await trashService.getAll();
+    if (!this._list) return; // closed while loading
+
+    clearChildren(this._list);
+    this._emptyBtn.disabled = entries.length === 0;
+
+    if (entries.length === 0) {
+      this._list.appendChild(el('div', {
+        className: 'empty-state',
+        children: [el('p', { className: 'empty-message', text: 'Trash is empty.' })]
+      }));
+      return;
+    }
+
+    for (const entry of entries) {
+      this._list.appendChild(this._createEntryItem(entry));
+    }
+  }
+
+  /**
+   * Render a trashed item (icon, title, where it came from, actions).
+   * @param {Object} entry
+   * @returns {HTMLElement}
+   */
+  _createEntryItem(entry) {
+    const item = el('div', {
+      className: ['bookmark-item', 'archive-item'],
+      dataset: { trashId: entry.id },
+      style: { paddingLeft: '12px' }
+    });
+    if (entry.url) {
+      item.title = entry.url;
+      const faviconWrapper = el('span', { className: 'item-icon' });
+      faviconWrapper.appendChild(createFaviconImg(entry.url, 16));
+      faviconWrapper.appendChild(el('span', { className: 'favicon-fallback' }));
+      item.appendChild(faviconWrapper);
+    } else {
+      const folderIcon = el('span', { className: 'item-icon folder-icon' });
+      folderIcon.innerHTML = ICON_FOLDER;
+      item.appendChild(folderIcon);
+    }
+
+    item.appendChild(el('span', {
+      className: 'item-title',
+      text: entry.workspace ? entry.workspace.name : (entry.title || entry.url)
+    }));
+
+    const ws = entry.workspaceId ? workspaceService.getById(entry.workspaceId) : null;
+    if (entry.workspace) {
+      item.appendChild(el('span', { className: 'archive-workspace', text: 'Workspace' }));
+    } else if (ws) {
+      item.appendChild(el('span', {
+        className: 'archive-workspace',
+        text: ws.name,
+        style: { color: ws.color }
+      }));
+    }
+
+    item.appendChild(this._createAction('Restore', ICON_RESTORE, () => this._restore(entry)));
+    item.appendChild(this._createAction('Delete permanently', ICON_DELETE, () => this._remove(entry)));
+    return item;
+  }
+
+  _createAction(title, svgHtml, onClick) {
+    const btn = el('button', {
+      className: 'archive-action',
+      attrs: { title, type: 'button' },
+      events: {
+        click: (e) => {
+          e.stopPropagation();
+          onClick();
+        }
+      }
+    });
+    btn.innerHTML = svgHtml;
+    return btn;
+  }
+
+  async _restore(entry) {
+    try {
+      await workspaceService.restoreFromTrash(entry.id);
+      await this.render();
+    } catch (err) {
+      console.warn('Arc Spaces: restore from trash failed:', err);
+    }
+  }
+
+  async _remove(entry) {
+    try {
+      await trashService.remove(entry.id);
+      await this.render();
+    } catch (err) {
+      console.warn('Arc Spaces: delete from trash failed:', err);
+    }
+  }
+
+  async _empty() {
+    const entries = await trashService.getAll();
+    if (entries.length === 0) return;
+    if (!confirm(`Permanently delete ${entries.length} item${entries.length === 1 ? '' : 's'}?`)) return;
+    try {
+      await trashService.empty();
+      await this.render();
+    } catch (err) {
+      console.warn('Arc Spaces: empty trash failed:', err);
+    }
+  }
+}
@@ -0,0 +1,180 @@
+// Keyboard navigation for bookmark lists rendered as a WAI-ARIA tree
+// Items are the flat [role="treeitem"] rows produced by createBookmarkItem,
+// nested by aria-level. One row at a time is tabbable (roving tabindex):
+//   ↑/↓ move · → expand / first child · ← collapse / parent · Home/End
+//   Enter open/toggle · F2 rename · Delete delete · letters jump by title
+
+const TYPEAHEAD_RESET_MS = 500;
+
+export class TreeNavigation {
+  /**
+   * @param {HTMLElement} container - Stable element holding the rows; keydown
+   *   and focus events are handled here, so rows can be re-rendered freely
+   * @param {Object} handlers
+   * @param {Function} [handlers.onRename] - Called with (id) on F2
+   * @param {Function} [handlers.onDelete] - Called with (id) on Delete
+   */
+  constructor(container, { onRename, onDelete } = {}) {
+    this.container = container;
+    this._onRename = onRename;
+    this._onDelete = onDelete;
+    this._activeId = null;
+    this._activeIndex = 0;
+    this._typeahead = '';
+    this._typeaheadTimer = null;
+
+    this._onKeydown = (e) => this._handleKeydown(e);
+    this._onFocusin = (e) => {
+      const row = e.target.closest && e.target.closest('[role="treeitem"]');
+      if (row && this.container.contains(row)) this._setActive(row);
+    };
+    container.addEventListener('keydown', this._onKeydown);
+    container.addEventListener('focusin', this._onFocusin);
+  }
+
+  /**
+   * Whether keyboard focus is on one of the rows. Check before re-rendering
+   * and pass the result to sync() so focus survives the refresh.
+   * @returns {boolean}
+   */
+  hasFocus() {
+    return this.container.contains(document.activeElement);
+  }
+
+  /**
+   * Re-apply the roving tabindex after the rows were re-rendered. Keeps the
+   * active row by ID, falling back to the row at the same position.
+   * @param {boolean} [refocus=false] - Move focus to the active row
+   */
+  sync(refocus = false) {
+    const rows = this._rows();
+    if (rows.length === 0) return;
+
+    let active = rows.find(r => r.dataset.id === this._activeId);
+    if (!active) active = rows[Math.min(this._activeIndex, rows.length - 1)];
+
+    for (const row of rows) row.tabIndex = row === active ? 0 : -1;
+    this._activeId = active.dataset.id;
+    this._activeIndex = rows.indexOf(active);
+    if (refocus) active.focus();
+  }
+
+  destroy() {
+    this.container.removeEventListener('keydown', this._onKeydown);
+    this.container.removeEventListener('focusin', this._onFocusin);
+    clearTimeout(this._typeaheadTimer);
+  }
+
+  // ── Internals ──────────────────────────────────────
+
+  _rows() {
+    return [...this.container.querySelectorAll('[role="treeitem"]')];
+  }
+
+  _setActive(row) {
+    const rows = this._rows();
+    for (const r of rows) r.tabIndex = r === row ? 0 : -1;
+    this._activeId = row.dataset.id;
+    this._activeIndex = rows.indexOf(row);
+  }
+
+  _focus(row) {
+    if (!row) return;
+    this._setActive(row);
+    row.focus();
+    if (row.scrollIntoView) row.scrollIntoView({ block: 'nearest' });
+  }
+
+  _level(row) {
+    return Number(row.getAttribute('aria-level')) || 1;
+  }
+
+  _handleKeydown(e) {
+    // Leave keys alone inside inline inputs (rename, new subfolder)
+    const row = e.target;
+    if (!row.getAttribute || row.getAttribute('role') !== 'treeitem') return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const rows = this._rows();
+    const index = rows.indexOf(row);
+    const expanded = row.getAttribute('aria-expanded');
+    let handled = true;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        this._focus(rows[index + 1]);
+        break;
+      case 'ArrowUp':
+        this._focus(rows[index - 1]);
+        break;
+      case 'Home':
+        this._focus(rows[0]);
+        break;
+      case 'End':
+        this._focus(rows[rows.length - 1]);
+        break;
+      case 'ArrowRight':
+        if (expanded === 'false') {
+          row.click();
+        } else if (expanded === 'true') {
+          const next = rows[index + 1];
+          if (next && this._level(next) > this._level(row)) this._focus(next);
+        }
+        break;
+      case 'ArrowLeft':
+        if (expanded === 'true') {
+          row.click();
+        } else {
+          const level = this._level(row);
+          for (let i = index - 1; i >= 0; i--) {
+            if (this._level(rows[i]) < level) {
+              this._focus(rows[i]);
+              break;
+            }
+          }
+        }
+        break;
+      case 'Enter':
+        row.click();
+        break;
+      case 'F2':
+        if (this._onRename) this._onRename(row.dataset.id);
+        break;
+      case 'Delete':
+        if (this._onDelete) this._onDelete(row.dataset.id);
+        break;
+      default:
+        handled = e.key.length === 1 && e.key !== ' ' && this._jumpTo(e.key, rows, index);
+    }
+
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+
+  /**
+   * Type-ahead: focus the next row whose title starts with the typed text.
+   * @returns {boolean} Whether the key was consumed
+   */
+  _jumpTo(char, rows, index) {
+    clearTimeout(this._typeaheadTimer);
+    this._typeaheadTimer = setTimeout(() => { this._typeahead = ''; }, TYPEAHEAD_RESET_MS);
+
+    // Repeating the first letter cycles through rows starting with it
+    const key = char.toLowerCase();
+    const repeated = this._typeahead === key;
+    if (!repeated) this._typeahead += key;
+    const start = this._typeahead.length === 1 ? index + 1 : index;
+
+    for (let i = 0; i < rows.length; i++) {
+      const candidate = rows[(start + i) % rows.length];
+      const title = candidate.querySelector('.item-title');
+      if (title && title.textContent.toLowerCase().startsWith(this._typeahead)) {
+        this._focus(candidate);
+        return true;
+      }
+    }
+    return true;
+  }
+}
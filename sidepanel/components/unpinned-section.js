@@ -1,9 +1,14 @@
-// Unpinned section — wrapper with header label around the bookmark tree
+// Unpinned section — wrapper with header label, filter box, and tag filter bar
+// around the bookmark tree
 
-import { el } from '../utils/dom.js';
+import { el, clearChildren } from '../utils/dom.js';
 import { BookmarkTree } from './bookmark-tree.js';
 import { workspaceService } from '../services/workspace-service.js';
+import { tagService } from '../services/tag-service.js';
 import { bus, Events } from '../utils/event-bus.js';
+import { debounce } from '../utils/debounce.js';
+
+const FILTER_DELAY_MS = 120;
 
 export class UnpinnedSection {
   /**
@@ -12,16 +17,24 @@ export class UnpinnedSection {
   constructor(container) {
     this.container = container;
     this.tree = null;
+    this._filterInput = null;
+    this._tagBar = null;
     this._unsubscribers = [];
   }
 
   async init() {
     this._unsubscribers.push(
-      bus.on(Events.WORKSPACE_CHANGED, () => this._updateHeader()),
+      bus.on(Events.WORKSPACE_CHANGED, () => {
+        this._updateHeader();
+        this._clearFilter();
+        this._setTag(null);
+      }),
+      bus.on(Events.TAGS_CHANGED, () => this._renderTagBar()),
     );
 
     this._render();
     await this.tree.init();
+    await this._renderTagBar();
   }
 
   _render() {
@@ -33,11 +46,83 @@ export class UnpinnedSection {
     // Divider
     this.container.appendChild(el('div', { className: 'section-divider' }));
 
+    // Filter box
+    const applyFilter = debounce(() => this.tree.setFilter(this._filterInput.value), FILTER_DELAY_MS);
+    this._filterInput = el('input', {
+      className: 'workspace-create-input tree-filter-input',
+      attrs: {
+        type: 'search',
+        placeholder: 'Filter bookmarks…',
+        'aria-label': 'Filter bookmarks',
+        spellcheck: 'false'
+      },
+      events: {
+        input: applyFilter,
+        keydown: (e) => {
+          if (e.key === 'Escape' && this._filterInput.value) {
+            e.preventDefault();
+            this._clearFilter();
+          }
+        }
+      }
+    });
+    this.container.appendChild(el('div', { className: 'tree-filter', children: [this._filterInput] }));
+
+    // Tag filter bar (filled by _renderTagBar)
+    this._tagBar = el('div', {
+      className: 'tag-filter-bar hidden',
+      attrs: { role: 'group', 'aria-label': 'Filter by tag' }
+    });
+    this.container.appendChild(this._tagBar);
+
     // Tree container
     const treeContainer = el('div', { className: 'bookmark-tree-container' });
     this.container.appendChild(treeContainer);
 
-    this.tree = new BookmarkTree(treeContainer);
+    this.tree = new BookmarkTree(treeContainer, {
+      onTagClick: (tag) => this._setTag(tag === this.tree.tagFilter ? null : tag)
+    });
+  }
+
+  /**
+   * Render a chip per tag in use; clicking one filters the tree by it.
+   */
+  async _renderTagBar() {
+    const tags = await tagService.listTags();
+    const active = this.tree.tagFilter;
+
+    // The active tag was removed from its last bookmark
+    if (active && !tags.some(t => t.tag === active)) {
+      this._setTag(null);
+      return;
+    }
+
+    clearChildren(this._tagBar);
+    this._tagBar.classList.toggle('hidden', tags.length === 0);
+    for (const { tag, count } of tags) {
+      this._tagBar.appendChild(el('button', {
+        className: ['tag-chip', tag === active ? 'active' : ''],
+        text: tag,
+        attrs: {
+          type: 'button',
+          title: `${count} bookmark${count === 1 ? '' : 's'}`,
+          'aria-pressed': String(tag === active)
+        },
+        events: {
+          click: () => this._setTag(tag === active ? null : tag)
+        }
+      }));
+    }
+  }
+
+  /**
+   * Filter the tree by a tag.
+   * @param {string|null} tag
+   */
+  async _setTag(tag) {
+    if (!this.tree || tag === this.tree.tagFilter) return;
+    await this.tree.setTagFilter(tag);
+    await this._renderTagBar();
   }
 
   _updateHeader() {
@@ -48,6 +133,15 @@ export class UnpinnedSection {
     }
   }
 
+  /**
+   * Empty the filter box and show the unfiltered tree.
+   */
+  _clearFilter() {
+    if (!this._filterInput || !this._filterInput.value) return;
+    this._filterInput.value = '';
+    this.tree.setFilter('');
+  }
+
   destroy() {
     for (const unsub of this._unsubscribers) {
       unsub();
@@ -1,14 +1,30 @@
 // Workspace switcher — vertical space bar (Arc-style colored circle icons)
-// Right-click context menu for Rename / Change Color / Set Icon / Delete
-// Drag-and-drop reordering of workspace circles
+// Right-click (or Shift+F10) context menu for Rename / Change Color / Set Icon / Delete
+// Drag-and-drop reordering of workspace circles; bookmarks dropped on a circle
+// move to that workspace, and hovering one mid-drag switches to it
+// Ctrl/Cmd+1..9 switches to the workspace at that position
 
 import { el, clearChildren } from '../utils/dom.js';
 import { workspaceService } from '../services/workspace-service.js';
+import { bookmarkService } from '../services/bookmark-service.js';
 import { themeService } from '../services/theme-service.js';
 import { storageService } from '../services/storage-service.js';
-import { showContextMenu } from './context-menu.js';
+import { showContextMenu, isContextMenuKey, menuPositionFor } from './context-menu.js';
+import { showUndoToast } from './toast.js';
+import { undoService } from '../services/undo-service.js';
 import { bus, Events } from '../utils/event-bus.js';
 
+// Drag type set by bookmark rows: comma-separated IDs of the dragged items
+const BOOKMARK_DRAG_TYPE = 'application/x-bookmark-ids';
+
+/**
+ * @param {DataTransfer} dataTransfer
+ * @returns {boolean}
+ */
+function isBookmarkDrag(dataTransfer) {
+  return !!dataTransfer && !!dataTransfer.types && Array.from(dataTransfer.types).includes(BOOKMARK_DRAG_TYPE);
+}
+
 export class WorkspaceSwitcher {
   /**
    * @param {HTMLElement} container - The #space-bar element
@@ -18,6 +34,17 @@ export class WorkspaceSwitcher {
     this._unsubscribers = [];
     this._popover = null;        // active create/rename/emoji popover
     this._outsideClickHandler = null;
+    this._springTimer = null;    // pending spring-loaded switch during a bookmark drag
+    this._springTarget = null;
+    this._springDelayMs = 700;
+    this._onGlobalKeydown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey) return;
+      if (!/^[1-9]$/.test(e.key)) return;
+      const ws = workspaceService.getAll()[Number(e.key) - 1];
+      if (!ws) return;
+      e.preventDefault();
+      this._switchWorkspace(ws.id);
+    };
   }
 
   async init() {
@@ -35,6 +62,8 @@ export class WorkspaceSwitcher {
       document.getElementById('app-body')?.classList.add('compact');
     }
 
+    document.addEventListener('keydown', this._onGlobalKeydown);
+
     this.render();
   }
 
@@ -61,6 +90,11 @@ export class WorkspaceSwitcher {
             e.preventDefault();
             e.stopPropagation();
             this._showWorkspaceContextMenu(ws, { x: e.clientX, y: e.clientY });
+          },
+          keydown: (e) => {
+            if (!isContextMenuKey(e)) return;
+            e.preventDefault();
+            this._showWorkspaceContextMenu(ws, menuPositionFor(e.currentTarget));
           }
         }
       });
@@ -94,6 +128,13 @@ export class WorkspaceSwitcher {
         e.stopPropagation();
         e.dataTransfer.dropEffect = 'move';
 
+        // Bookmark drag: highlight the circle and spring-load a switch to it
+        if (isBookmarkDrag(e.dataTransfer)) {
+          btn.classList.add('space-drop-into');
+          this._springLoad(ws.id);
+          return;
+        }
+
         // Clear previous indicators on all siblings
         this.container.querySelectorAll('.space-icon').forEach(el => {
           el.classList.remove('space-drop-before', 'space-drop-after');
@@ -111,13 +152,23 @@ export class WorkspaceSwitcher {
 
       btn.addEventListener('dragleave', (e) => {
         if (!btn.contains(e.relatedTarget)) {
-          btn.classList.remove('space-drop-before', 'space-drop-after');
+          btn.classList.remove('space-drop-before', 'space-drop-after', 'space-drop-into');
+          this._cancelSpring();
         }
       });
 
       btn.addEventListener('drop', (e) => {
         e.preventDefault();
         e.stopPropagation();
+        btn.classList.remove('space-drop-into');
+        this._cancelSpring();
+
+        const bookmarkIds = e.dataTransfer.getData(BOOKMARK_DRAG_TYPE);
+        if (bookmarkIds) {
+          this._moveBookmarksTo(bookmarkIds.split(','), ws);
+          return;
+        }
+
         const draggedId = e.dataTransfer.getData('application/x-workspace-id');
         btn.classList.remove('space-drop-before', 'space-drop-after');
 
@@ -188,6 +239,53 @@ export class WorkspaceSwitcher {
     if (ws) themeService.apply(ws.colorScheme);
   }
 
+  /**
+   * Switch to a workspace once a bookmark drag has hovered its circle for a
+   * moment, so the drop can land anywhere in that workspace's tree.
+   * @param {string} id
+   */
+  _springLoad(id) {
+    const active = workspaceService.getActive();
+    if ((active && active.id === id) || this._springTarget === id) return;
+    this._cancelSpring();
+    this._springTarget = id;
+    this._springTimer = setTimeout(() => {
+      this._springTimer = null;
+      this._springTarget = null;
+      this._switchWorkspace(id);
+    }, this._springDelayMs);
+  }
+
+  _cancelSpring() {
+    clearTimeout(this._springTimer);
+    this._springTimer = null;
+    this._springTarget = null;
+  }
+
+  /**
+   * Move dragged bookmarks/folders to a workspace's root folder as one
+   * undoable step. Items already at its top level stay where they are.
+   * @param {string[]} ids
+   * @param {Object} ws - Target workspace
+   */
+  async _moveBookmarksTo(ids, ws) {
+    if (!ws.rootFolderId) return;
+    try {
+      const nodes = [];
+      for (const id of ids) {
+        const node = await bookmarkService.get(id);
+        if (node && node.id !== ws.rootFolderId && node.parentId !== ws.rootFolderId) nodes.push(node);
+      }
+      if (nodes.length === 0) return;
+
+      const what = nodes.length === 1 ? `"${nodes[0].title || nodes[0].url || 'Untitled'}"` : `${nodes.length} items`;
+      const moved = await undoService.moveToWorkspace(nodes.map(n => n.id), ws, `Move ${what} to ${ws.name}`);
+      if (moved) showUndoToast(`Moved ${what} to ${ws.name}`);
+    } catch (err) {
+      console.warn('Arc Spaces: move to workspace failed:', err);
+    }
+  }
+
   async _toggleCompact() {
     const appBody = document.getElementById('app-body');
     if (!appBody) return;
@@ -232,6 +330,18 @@ export class WorkspaceSwitcher {
       }
     });
 
+    // URL routing rules
+    const ruleCount = workspaceService.getRoutingRules(ws.id).length;
+    items.push({
+      label: ruleCount > 0 ? `URL rules (${ruleCount})…` : 'URL rules…',
+      action: () => {
+        const anchorBtn = this.container.querySelector(`[data-workspace-id="${ws.id}"]`);
+        if (anchorBtn) {
+          this._showRulesPopover(ws, anchorBtn);
+        }
+      }
+    });
+
     items.push({ separator: true });
 
     // Delete (disabled if only 1 workspace)
@@ -240,9 +350,13 @@ export class WorkspaceSwitcher {
         label: 'Delete workspace',
         danger: true,
         action: async () => {
-          const confirmed = confirm(`Delete workspace "${ws.name}"? Its bookmarks will also be removed.`);
-          if (confirmed) {
-            await workspaceService.delete(ws.id);
+          const confirmed = confirm(`Delete workspace "${ws.name}"? Its bookmarks will be moved to the Trash.`);
+          if (!confirmed) return;
+          try {
+            await undoService.deleteWorkspace(ws.id, `Delete workspace "${ws.name}"`);
+            showUndoToast(`Deleted workspace "${ws.name}"`);
+          } catch (err) {
+            console.warn('Arc Spaces: delete workspace failed:', err);
           }
         }
       });
@@ -389,6 +503,119 @@ export class WorkspaceSwitcher {
     });
   }
 
+  // ── URL Rules Popover ──────────────────────────────
+  _showRulesPopover(ws, anchorBtn) {
+    this._closePopover();
+
+    const popover = el('div', { className: ['space-create-popover', 'rules-popover'] });
+
+    // Position next to the anchor
+    const rect = anchorBtn.getBoundingClientRect();
+    popover.style.top = `${rect.top}px`;
+    popover.style.transform = 'none';
+
+    popover.appendChild(el('div', {
+      className: 'popover-label',
+      text: `Open these sites in ${ws.name}`
+    }));
+
+    // Existing rules, each removable
+    const list = el('div', { className: 'rules-list' });
+    const renderList = () => {
+      list.textContent = '';
+      const rules = workspaceService.getRoutingRules(ws.id);
+      if (rules.length === 0) {
+        list.appendChild(el('div', { className: 'rules-empty', text: 'No rules yet.' }));
+      }
+      for (const pattern of rules) {
+        const row = el('div', { className: 'rules-row' });
+        row.appendChild(el('span', { className: 'rules-pattern', text: pattern }));
+        row.appendChild(el('button', {
+          className: 'rules-remove',
+          text: '×',
+          attrs: { title: 'Remove rule', type: 'button' },
+          events: {
+            click: async () => {
+              await workspaceService.removeRoutingRule(ws.id, pattern);
+              renderList();
+            }
+          }
+        }));
+        list.appendChild(row);
+      }
+    };
+    renderList();
+    popover.appendChild(list);
+
+    // New rule input
+    const input = el('input', {
+      className: 'workspace-create-input',
+      attrs: {
+        type: 'text',
+        placeholder: '*.atlassian.net, github.com/org/*, /regex/'
+      }
+    });
+    popover.appendChild(input);
+
+    const error = el('div', { className: 'rules-error' });
+    popover.appendChild(error);
+
+    const actions = el('div', { className: 'workspace-create-actions' });
+
+    const addBtn = el('button', {
+      className: 'btn btn-primary btn-sm',
+      text: 'Add',
+      attrs: { type: 'button' },
+      events: {
+        click: async () => {
+          const pattern = input.value.trim();
+          if (!pattern) return;
+          const added = await workspaceService.addRoutingRule(ws.id, pattern);
+          if (!added) {
+            error.textContent = 'Not a valid pattern.';
+            return;
+          }
+          error.textContent = '';
+          input.value = '';
+          renderList();
+          input.focus();
+        }
+      }
+    });
+
+    const doneBtn = el('button', {
+      className: 'btn btn-ghost btn-sm',
+      text: 'Done',
+      attrs: { type: 'button' },
+      events: { click: () => this._closePopover() }
+    });
+
+    actions.appendChild(addBtn);
+    actions.appendChild(doneBtn);
+    popover.appendChild(actions);
+
+    document.body.appendChild(popover);
+    this._popover = popover;
+
+    requestAnimationFrame(() => input.focus());
+
+    // Keyboard shortcuts
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') addBtn.click();
+      if (e.key === 'Escape') this._closePopover();
+    });
+
+    // Close on outside click
+    requestAnimationFrame(() => {
+      this._outsideClickHandler = (e) => {
+        if (this._popover && !this._popover.contains(e.target) && !this.container.contains(e.target)) {
+          this._closePopover();
+        }
+      };
+      document.addEventListener('click', this._outsideClickHandler, true);
+    });
+  }
+
   // ── Create Popover ─────────────────────────────────
   _showCreatePopover() {
     this._closePopover();
@@ -575,6 +802,8 @@ export class WorkspaceSwitcher {
 
   destroy() {
     this._closePopover();
+    this._cancelSpring();
+    document.removeEventListener('keydown', this._onGlobalKeydown);
     for (const unsub of this._unsubscribers) {
       unsub();
     }
@@ -0,0 +1,229 @@
+// Tab archive — closes idle tabs per workspace and keeps a log of them
+// Runs in the service worker on a chrome.alarms schedule. Each workspace
+// chooses its own idle period (ws_{id}.archiveAfter). Pinned bookmarks and
+// shortcuts of the workspace are never archived.
+
+import { storageService } from './storage-service.js';
+import { bookmarkService } from './bookmark-service.js';
+import { tabService } from './tab-service.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Idle periods a workspace can choose, in ms (0 = never archive). */
+export const ARCHIVE_PERIODS = {
+  '12h': 12 * HOUR_MS,
+  '24h': 24 * HOUR_MS,
+  '7d': 7 * 24 * HOUR_MS,
+  never: 0,
+};
+
+/** Auto-archiving is opt-in per workspace. */
+export const DEFAULT_ARCHIVE_AFTER = 'never';
+
+// Oldest entries are dropped once the log grows past this
+const ARCHIVE_LIMIT = 500;
+
+class ArchiveService {
+  /**
+   * Get all archived tabs, newest first.
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    return storageService.getArchive();
+  }
+
+  /**
+   * Prepend entries to the archive log, dropping the oldest past the cap.
+   * @param {Array<{url: string, title: string, workspaceId: string, reason: string}>} entries
+   * @param {number} [now]
+   * @returns {Promise<Array>} The stored entries
+   */
+  async record(entries, now = Date.now()) {
+    if (entries.length === 0) return [];
+    const stamped = entries.map(entry => ({
+      id: crypto.randomUUID(),
+      url: entry.url,
+      title: entry.title || '',
+      workspaceId: entry.workspaceId || null,
+      archivedAt: now,
+      reason: entry.reason || 'auto',
+    }));
+    const existing = await storageService.getArchive();
+    await storageService.saveArchive([...stamped, ...existing].slice(0, ARCHIVE_LIMIT));
+    return stamped;
+  }
+
+  /**
+   * Find archived tabs whose title or URL contains the query (case-insensitive).
+   * @param {string} query
+   * @returns {Promise<Array>} Matching entries, newest first
+   */
+  async search(query) {
+    const entries = await this.getAll();
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) return entries;
+    return entries.filter(entry =>
+      entry.title.toLowerCase().includes(needle) ||
+      entry.url.toLowerCase().includes(needle)
+    );
+  }
+
+  /**
+   * Remove an entry from the archive log.
+   * @param {string} entryId
+   */
+  async remove(entryId) {
+    const entries = await storageService.getArchive();
+    const remaining = entries.filter(entry => entry.id !== entryId);
+    if (remaining.length !== entries.length) {
+      await storageService.saveArchive(remaining);
+    }
+  }
+
+  /**
+   * Reopen an archived tab in the current window and drop it from the log.
+   * @param {string} entryId
+   * @returns {Promise<chrome.tabs.Tab|null>} The new tab
+   */
+  async restore(entryId) {
+    const entries = await storageService.getArchive();
+    const entry = entries.find(e => e.id === entryId);
+    if (!entry) return null;
+    const tab = await chrome.tabs.create({ url: entry.url, active: true });
+    await this.remove(entryId);
+    return tab;
+  }
+
+  /**
+   * Close a tab by hand, keeping it in the archive so it can be recovered.
+   * @param {chrome.tabs.Tab} tab
+   * @param {string} workspaceId
+   */
+  async closeTab(tab, workspaceId) {
+    if (tab.url) {
+      await this.record([{ url: tab.url, title: tab.title, workspaceId, reason: 'closed' }]);
+    }
+    await chrome.tabs.remove(tab.id);
+  }
+
+  /**
+   * Close every tab that has been idle longer than its workspace allows.
+   * Skips active, pinned, and audible tabs, tabs with no workspace, and
+   * tabs showing one of the workspace's pinned bookmarks or shortcuts.
+   * @param {number} [now]
+   * @returns {Promise<number>} Number of tabs archived
+   */
+  async archiveIdleTabs(now = Date.now()) {
+    const meta = await storageService.getWorkspaceMeta();
+    if (!meta || !meta.order) return 0;
+    const workspaces = await storageService.getAllWorkspaceItems(meta.order);
+
+    let tabs;
+    try {
+      tabs = await chrome.tabs.query({});
+    } catch {
+      return 0;
+    }
+
+    const assignments = await storageService.getTabWorkspaces();
+    const lastActivated = await tabService.getLastActivated();
+    const exemptCache = new Map();
+    const toArchive = [];
+
+    for (const tab of tabs) {
+      if (tab.active || tab.pinned || tab.audible || !tab.url) continue;
+
+      const wsId = assignments[String(tab.id)];
+      const ws = wsId && workspaces[wsId];
+      if (!ws) continue;
+
+      const period = ARCHIVE_PERIODS[ws.archiveAfter || DEFAULT_ARCHIVE_AFTER];
+      if (!period) continue;
+
+      // First sighting of a tab we never saw activated — start its clock now
+      const last = lastActivated[String(tab.id)] ?? tab.lastAccessed;
+      if (last === undefined) {
+        await tabService.markActivated(tab.id, now);
+        continue;
+      }
+      if (now - last < period) continue;
+
+      if (!exemptCache.has(wsId)) {
+        exemptCache.set(wsId, await this._getExemptUrls(ws));
+      }
+      if (this._isExempt(tab.url, exemptCache.get(wsId))) continue;
+
+      toArchive.push({ tab, workspaceId: wsId });
+    }
+
+    if (toArchive.length === 0) return 0;
+
+    await this.record(toArchive.map(({ tab, workspaceId }) => ({
+      url: tab.url,
+      title: tab.title,
+      workspaceId,
+      reason: 'auto',
+    })), now);
+
+    for (const { tab } of toArchive) {
+      try {
+        await chrome.tabs.remove(tab.id);
+      } catch { /* already closed */ }
+    }
+
+    return toArchive.length;
+  }
+
+  /**
+   * Collect URLs a workspace keeps at hand: shortcuts plus pinned bookmarks
+   * (including everything inside pinned folders).
+   * @param {Object} ws - Workspace item from sync storage
+   * @returns {Promise<string[]>}
+   */
+  async _getExemptUrls(ws) {
+    const urls = (ws.shortcuts || []).map(s => s.url);
+
+    for (const pin of ws.pinnedBookmarks || []) {
+      if (pin.url) {
+        urls.push(pin.url);
+        continue;
+      }
+      // Pinned folder — exempt its contents
+      const subtree = await bookmarkService.getSubTree(pin.id);
+      const walk = (node) => {
+        if (node.url) urls.push(node.url);
+        if (node.children) node.children.forEach(walk);
+      };
+      if (subtree && subtree.length > 0) walk(subtree[0]);
+    }
+
+    return urls;
+  }
+
+  /**
+   * Check whether a tab URL is covered by a saved URL: same origin and a
+   * path under the saved one (so a pinned inbox stays exempt after
+   * navigating to a message).
+   * @param {string} tabUrl
+   * @param {string[]} exemptUrls
+   * @returns {boolean}
+   */
+  _isExempt(tabUrl, exemptUrls) {
+    let tab;
+    try {
+      tab = new URL(tabUrl);
+    } catch {
+      return false;
+    }
+    return exemptUrls.some(saved => {
+      try {
+        const url = new URL(saved);
+        return url.origin === tab.origin && tab.pathname.startsWith(url.pathname);
+      } catch {
+        return false;
+      }
+    });
+  }
+}
+
+export const archiveService = new ArchiveService();
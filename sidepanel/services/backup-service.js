@@ -50,8 +50,10 @@ class BackupService {
       }
     }
 
-    // Read settings
+    // Read settings and bookmark tags (tags are keyed by URL, so they
+    // reattach to the recreated bookmarks on restore)
     const settings = await storageService.getSettings() || {};
+    const tags = await storageService.getTags();
 
     // Get extension version (may not exist in test environment)
     let extensionVersion = 'unknown';
@@ -68,6 +70,7 @@ class BackupService {
       workspaces,
       bookmarkTree,
       settings,
+      tags,
     };
   }
 
@@ -269,6 +272,9 @@ class BackupService {
         shortcuts: wsData.shortcuts || [],
         created: wsData.created || Date.now(),
       };
+      if (wsData.archiveAfter) syncItem.archiveAfter = wsData.archiveAfter;
+      if (wsData.routingRules) syncItem.routingRules = wsData.routingRules;
+      if (wsData.smartFolders) syncItem.smartFolders = wsData.smartFolders;
       await storageService.saveWorkspaceItem(wsId, syncItem);
     }
 
@@ -286,6 +292,11 @@ class BackupService {
     if (backup.settings) {
       await storageService.saveSettings(backup.settings);
     }
+
+    // 8. Restore bookmark tags
+    if (backup.tags && typeof backup.tags === 'object') {
+      await storageService.saveTags(backup.tags);
+    }
   }
 
   /**
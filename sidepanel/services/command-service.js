@@ -0,0 +1,133 @@
+// Keyboard commands (manifest "commands") — switch workspaces and save the
+// current tab without opening the side panel. Handled in the service worker:
+// the window's workspace binding and ws_local.activeWorkspaceId are updated
+// here, then the window's side panel (if open) is asked to follow with
+// workspaceService.switchTo(). With no panel to follow, the tab groups are
+// swapped here instead.
+
+import { storageService } from './storage-service.js';
+import { bookmarkService } from './bookmark-service.js';
+import { tabGroupService } from './tab-group-service.js';
+
+// Command name → how it picks the target workspace
+export const WORKSPACE_COMMANDS = {
+  'next-workspace': { step: 1 },
+  'previous-workspace': { step: -1 },
+  'workspace-1': { index: 0 },
+  'workspace-2': { index: 1 },
+  'workspace-3': { index: 2 },
+  'workspace-4': { index: 3 },
+};
+
+export const ADD_TAB_COMMAND = 'add-current-tab';
+
+/**
+ * Pick the workspace a command switches to. Next/previous wrap around.
+ * @param {string} command
+ * @param {string[]} order - Workspace IDs in switcher order
+ * @param {string|null} currentId - Workspace shown in the window
+ * @returns {string|null} null for unknown commands or missing workspaces
+ */
+export function resolveWorkspaceCommand(command, order, currentId) {
+  const spec = WORKSPACE_COMMANDS[command];
+  if (!spec || order.length === 0) return null;
+  if (spec.index !== undefined) return order[spec.index] || null;
+
+  const current = order.indexOf(currentId);
+  if (current === -1) return order[0];
+  return order[(current + spec.step + order.length) % order.length];
+}
+
+class CommandService {
+  /**
+   * Run a keyboard command.
+   * Called from the service worker on chrome.commands.onCommand.
+   * @param {string} command
+   * @param {chrome.tabs.Tab} [tab] - Active tab when the command fired
+   */
+  async handle(command, tab) {
+    // Chrome omits the tab when no window is focused
+    if (!tab) [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const windowId = tab ? tab.windowId : undefined;
+    if (windowId === undefined) return;
+
+    if (command === ADD_TAB_COMMAND) {
+      await this.addTab(tab, windowId);
+    } else if (WORKSPACE_COMMANDS[command]) {
+      const workspaces = await this._getWorkspaces();
+      const currentId = await this._getWindowWorkspaceId(windowId);
+      const targetId = resolveWorkspaceCommand(command, workspaces.map(ws => ws.id), currentId);
+      if (targetId && targetId !== currentId) {
+        await this.switchWindow(windowId, targetId, workspaces);
+      }
+    }
+  }
+
+  /**
+   * Switch a window to a workspace.
+   * @param {number} windowId
+   * @param {string} workspaceId
+   * @param {Object[]} [workspaces] - All workspace items (loaded if omitted)
+   */
+  async switchWindow(windowId, workspaceId, workspaces) {
+    const all = workspaces || await this._getWorkspaces();
+    const incoming = all.find(ws => ws.id === workspaceId);
+    if (!incoming) return;
+    const previousId = await this._getWindowWorkspaceId(windowId);
+    const outgoing = all.find(ws => ws.id === previousId) || null;
+
+    const local = await storageService.getWorkspaceLocal();
+    await storageService.saveWorkspaceLocal({ ...local, activeWorkspaceId: workspaceId });
+    await storageService.setWindowWorkspace(windowId, workspaceId);
+
+    // The panel answers when it takes over; it swaps tab groups itself
+    const response = await chrome.runtime.sendMessage({
+      type: 'workspace:switch',
+      data: { windowId, workspaceId }
+    }).catch(() => null); // Side panel not open
+    if (!response || !response.switched) {
+      await tabGroupService.swap(outgoing, incoming);
+    }
+  }
+
+  /**
+   * Bookmark a tab into the root folder of its window's workspace.
+   * @param {chrome.tabs.Tab} tab
+   * @param {number} windowId
+   * @returns {Promise<chrome.bookmarks.BookmarkTreeNode|null>}
+   */
+  async addTab(tab, windowId) {
+    if (!tab || !tab.url) return null;
+    const wsId = await this._getWindowWorkspaceId(windowId);
+    const local = await storageService.getWorkspaceLocal();
+    const parentId = wsId && local.rootFolderIds ? local.rootFolderIds[wsId] : null;
+    if (!parentId) return null;
+
+    return bookmarkService.create({
+      parentId,
+      title: tab.title || 'Untitled',
+      url: tab.url
+    });
+  }
+
+  async _getWorkspaces() {
+    const meta = await storageService.getWorkspaceMeta();
+    if (!meta || !meta.order) return [];
+    const items = await storageService.getAllWorkspaceItems(meta.order);
+    return meta.order.map(id => items[id]).filter(Boolean);
+  }
+
+  /**
+   * Workspace shown in a window, falling back to the last-used one.
+   * @param {number} windowId
+   * @returns {Promise<string|null>}
+   */
+  async _getWindowWorkspaceId(windowId) {
+    const bound = await storageService.getWindowWorkspace(windowId);
+    if (bound) return bound;
+    const local = await storageService.getWorkspaceLocal();
+    return local.activeWorkspaceId || null;
+  }
+}
+
+export const commandService = new CommandService();
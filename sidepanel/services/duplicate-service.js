@@ -0,0 +1,147 @@
+// Duplicate finder — groups bookmarks that point at the same page across all
+// workspaces, and merges a group down to one bookmark. URLs are compared after
+// normalizeUrl() (no "www.", trailing slash or tracking params). Merging moves
+// the extras to the trash (undoably) and re-points what referenced them: pins,
+// website shortcuts, tags and notes.
+
+import { bookmarkService } from './bookmark-service.js';
+import { workspaceService } from './workspace-service.js';
+import { undoService } from './undo-service.js';
+import { bus, Events } from '../utils/event-bus.js';
+
+// Query params that only track where a click came from
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+  'mc_cid', 'mc_eid', 'igshid', '_ga', '_gl', 'ref_src'
+];
+
+/**
+ * Comparison key for a URL: lowercase host without "www.", no default port,
+ * trailing slash, empty fragment or tracking params.
+ * @param {string} url
+ * @returns {string} The key, or the URL itself if it can't be parsed
+ * @example normalizeUrl('https://www.Example.com/docs/?utm_source=x') → 'https://example.com/docs'
+ */
+export function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return parsed.href;
+
+  const host = parsed.host.toLowerCase().replace(/^www\./, '');
+  const path = parsed.pathname.replace(/\/+$/, '');
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (key.toLowerCase().startsWith('utm_') || TRACKING_PARAMS.includes(key.toLowerCase())) {
+      parsed.searchParams.delete(key);
+    }
+  }
+  const query = parsed.searchParams.toString();
+  const hash = parsed.hash.length > 1 ? parsed.hash : '';
+  return `${parsed.protocol}//${host}${path}${query ? `?${query}` : ''}${hash}`;
+}
+
+class DuplicateService {
+  /**
+   * Walk every workspace and group bookmarks with the same normalized URL.
+   * Shortcut mirrors (the __shortcuts__ folder) are left out.
+   * @returns {Promise<Array<{key: string, items: Object[]}>>} Groups of two or
+   *   more, sorted by key; items are {id, title, url, parentId, dateAdded,
+   *   workspaceId, path, pinnedIn}
+   */
+  async findDuplicates() {
+    const byKey = new Map();
+    const workspaces = workspaceService.getAll();
+
+    for (const ws of workspaces) {
+      if (!ws.rootFolderId) continue;
+      const [root] = await bookmarkService.getSubTree(ws.rootFolderId);
+      if (!root) continue;
+
+      const walk = (nodes, path) => {
+        for (const node of nodes) {
+          if (!node.url) {
+            if (node.title !== '__shortcuts__') walk(node.children || [], [...path, node.title || 'Untitled Folder']);
+            continue;
+          }
+          const key = normalizeUrl(node.url);
+          if (!byKey.has(key)) byKey.set(key, []);
+          byKey.get(key).push({
+            id: node.id,
+            title: node.title || '',
+            url: node.url,
+            parentId: node.parentId,
+            dateAdded: node.dateAdded || 0,
+            workspaceId: ws.id,
+            path: path.join(' › '),
+            pinnedIn: workspaces.filter(w => workspaceService.isPinned(node.id, w.id)).map(w => w.id)
+          });
+        }
+      };
+      walk(root.children || [], [ws.name]);
+    }
+
+    return [...byKey.entries()]
+      .filter(([, items]) => items.length > 1)
+      .map(([key, items]) => ({ key, items }))
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * The bookmark a plain "Merge" keeps: a pinned one, else the oldest.
+   * @param {Object[]} items - A group's items
+   * @returns {Object}
+   */
+  pickKeeper(items) {
+    return [...items].sort((a, b) =>
+      (b.pinnedIn.length > 0) - (a.pinnedIn.length > 0) || a.dateAdded - b.dateAdded
+    )[0];
+  }
+
+  /**
+   * Keep one bookmark of a group and move the others to the trash, as one
+   * undoable entry. A pin of another bookmark in the kept one's workspace is
+   * re-pointed at it; pins in other workspaces are dropped, since a pin must
+   * live in its own workspace. Shortcuts, tags and notes are carried over to
+   * the kept bookmark's URL, and put back on undo.
+   * @param {Object[]} items - A group's items
+   * @param {string} keepId
+   * @returns {Promise<number>} How many bookmarks were trashed
+   */
+  async merge(items, keepId) {
+    const keeper = items.find(item => item.id === keepId);
+    if (!keeper) throw new Error(`Bookmark ${keepId} is not in the group`);
+
+    const steps = [];
+    const movedUrls = new Set();
+    let removed = 0;
+    for (const item of items) {
+      if (item.id === keepId) continue;
+      const dropped = [];
+      for (const ws of workspaceService.getAll()) {
+        if (!workspaceService.isPinned(item.id, ws.id)) continue;
+        if (ws.id === keeper.workspaceId) {
+          steps.push({ op: 'replacePin', id: item.id, newId: keepId, workspaceId: ws.id });
+        } else {
+          steps.push({ op: 'unpin', id: item.id, workspaceId: ws.id });
+          dropped.push(item.id);
+        }
+      }
+      if (item.url !== keeper.url && !movedUrls.has(item.url)) {
+        steps.push({ op: 'moveUrl', from: item.url, to: keeper.url });
+        movedUrls.add(item.url);
+      }
+      steps.push({ op: 'trash', id: item.id, workspaceId: item.workspaceId, pinned: dropped });
+      removed++;
+    }
+
+    const title = keeper.title || keeper.url;
+    await undoService.run(`Merge ${removed + 1} copies of "${title}"`, steps);
+    bus.emit(Events.TREE_REFRESH);
+    return removed;
+  }
+}
+
+export const duplicateService = new DuplicateService();
@@ -0,0 +1,320 @@
+// Link health — checks bookmark URLs for dead links (4xx/5xx, DNS or
+// connection failures) and redirects. Requests go through an injectable
+// fetcher (HEAD first, GET when HEAD isn't allowed) a few at a time. Results
+// are cached per URL in chrome.storage.local; the service worker re-checks
+// stale ones on an alarm, at the interval chosen in settings.
+
+import { storageService } from './storage-service.js';
+import { bookmarkService } from './bookmark-service.js';
+import { tagService } from './tag-service.js';
+import { noteService } from './note-service.js';
+import { bus, Events } from '../utils/event-bus.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const LINK_STATUS = {
+  OK: 'ok',
+  DEAD: 'dead',
+  REDIRECTED: 'redirected',
+};
+
+/** How often cached results are re-checked, in ms (0 = never). */
+export const LINK_RESCAN = {
+  '1d': DAY_MS,
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS,
+  never: 0,
+};
+
+export const DEFAULT_LINK_RESCAN = '7d';
+
+// Origins the extension needs to reach to check links (optional permission)
+export const LINK_CHECK_ORIGINS = ['<all_urls>'];
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * The real network: fetch without cookies, following redirects.
+ * @param {string} url
+ * @param {RequestInit} init
+ * @returns {Promise<Response>}
+ */
+export function defaultFetcher(url, init) {
+  return fetch(url, { ...init, credentials: 'omit', redirect: 'follow', cache: 'no-store' });
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - Called with (item, index)
+ * @returns {Promise<Array>} Results in item order
+ */
+async function runPool(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Whether a redirect only changed the URL cosmetically (a trailing slash).
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function isSameUrl(from, to) {
+  const strip = (url) => url.replace(/\/+$/, '');
+  return strip(from) === strip(to);
+}
+
+class LinkCheckService {
+  /**
+   * Check one URL.
+   * @param {string} url
+   * @param {Object} [opts]
+   * @param {Function} [opts.fetcher] - (url, init) → Promise<Response-like>
+   * @param {number} [opts.timeoutMs]
+   * @param {number} [now]
+   * @returns {Promise<{status: string, code?: number, finalUrl?: string, error?: string, checkedAt: number}>}
+   */
+  async checkUrl(url, { fetcher = defaultFetcher, timeoutMs = DEFAULT_TIMEOUT_MS } = {}, now = Date.now()) {
+    const request = async (method) => {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        return await fetcher(url, { method, signal: controller.signal });
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+
+    let res;
+    try {
+      res = await request('HEAD');
+      // Plenty of servers reject or mishandle HEAD — ask again with GET
+      if (res.status === 405 || res.status === 501 || res.status === 403) {
+        res = await request('GET');
+      }
+    } catch (err) {
+      return {
+        status: LINK_STATUS.DEAD,
+        error: err && err.name === 'AbortError' ? 'Timed out' : 'Could not connect',
+        checkedAt: now
+      };
+    }
+
+    if (res.status >= 400) {
+      return { status: LINK_STATUS.DEAD, code: res.status, checkedAt: now };
+    }
+    if (res.redirected && res.url && !isSameUrl(url, res.url)) {
+      return { status: LINK_STATUS.REDIRECTED, code: res.status, finalUrl: res.url, checkedAt: now };
+    }
+    return { status: LINK_STATUS.OK, code: res.status, checkedAt: now };
+  }
+
+  /**
+   * Check URLs a few at a time and cache the results.
+   * @param {string[]} urls
+   * @param {Object} [opts]
+   * @param {Function} [opts.fetcher]
+   * @param {number} [opts.concurrency]
+   * @param {number} [opts.timeoutMs]
+   * @param {Function} [opts.onProgress] - Called with (done, total)
+   * @param {number} [now]
+   * @returns {Promise<Object<string, Object>>} URL → result, for these URLs
+   */
+  async checkUrls(urls, { fetcher, concurrency = DEFAULT_CONCURRENCY, timeoutMs, onProgress } = {}, now = Date.now()) {
+    const unique = [...new Set(urls)];
+    let done = 0;
+    const results = await runPool(unique, concurrency, async (url) => {
+      const result = await this.checkUrl(url, { fetcher, timeoutMs }, now);
+      done++;
+      if (onProgress) onProgress(done, unique.length);
+      return result;
+    });
+
+    const checked = {};
+    unique.forEach((url, i) => { checked[url] = results[i]; });
+    const cache = await storageService.getLinkHealth();
+    await storageService.saveLinkHealth({ ...cache, ...checked });
+    bus.emit(Events.LINKS_CHECKED, { urls: unique });
+    return checked;
+  }
+
+  /**
+   * Check every bookmark in a workspace.
+   * @param {string} workspaceId
+   * @param {Object} [opts] - See checkUrls
+   * @param {number} [now]
+   * @returns {Promise<{dead: Object[], redirected: Object[]}>} The workspace's report
+   */
+  async scanWorkspace(workspaceId, opts = {}, now = Date.now()) {
+    const bookmarks = await this._collect(workspaceId);
+    await this.checkUrls(bookmarks.map(b => b.url), opts, now);
+    return this.getReport(workspaceId);
+  }
+
+  /**
+   * Dead and redirected bookmarks of a workspace, from cached results.
+   * @param {string} workspaceId
+   * @returns {Promise<{dead: Object[], redirected: Object[], checkedAt: number|null}>}
+   *   Items are {id, title, url, ...result}
+   */
+  async getReport(workspaceId) {
+    const bookmarks = await this._collect(workspaceId);
+    const cache = await storageService.getLinkHealth();
+    const report = { dead: [], redirected: [], checkedAt: null };
+    for (const bm of bookmarks) {
+      const result = cache[bm.url];
+      if (!result) continue;
+      report.checkedAt = Math.max(report.checkedAt || 0, result.checkedAt);
+      if (result.status === LINK_STATUS.DEAD) report.dead.push({ ...bm, ...result });
+      if (result.status === LINK_STATUS.REDIRECTED) report.redirected.push({ ...bm, ...result });
+    }
+    return report;
+  }
+
+  /**
+   * Cached results for every checked URL.
+   * @returns {Promise<Object<string, Object>>} URL → result
+   */
+  async getResults() {
+    return storageService.getLinkHealth();
+  }
+
+  /**
+   * Point redirected bookmarks at where they now lead. Tags and notes follow.
+   * @param {Array<{id: string, url: string, finalUrl: string}>} items
+   * @returns {Promise<number>} How many bookmarks were updated
+   */
+  async updateRedirected(items) {
+    const cache = await storageService.getLinkHealth();
+    let updated = 0;
+    for (const item of items) {
+      if (!item.finalUrl) continue;
+      await bookmarkService.update(item.id, { url: item.finalUrl });
+      await tagService.moveUrl(item.url, item.finalUrl);
+      await noteService.moveUrl(item.url, item.finalUrl);
+      cache[item.finalUrl] = { status: LINK_STATUS.OK, checkedAt: cache[item.url]?.checkedAt || Date.now() };
+      delete cache[item.url];
+      updated++;
+    }
+    await storageService.saveLinkHealth(cache);
+    bus.emit(Events.LINKS_CHECKED, { urls: items.map(i => i.finalUrl) });
+    bus.emit(Events.TREE_REFRESH);
+    return updated;
+  }
+
+  /**
+   * Re-check bookmarks whose results are older than the rescan setting
+   * (or were never checked), across all workspaces. Results for URLs no
+   * longer bookmarked are dropped. Called from the service worker on an alarm.
+   * @param {Object} [opts] - See checkUrls
+   * @param {number} [now]
+   * @returns {Promise<number>} How many URLs were checked
+   */
+  async rescanDue(opts = {}, now = Date.now()) {
+    const maxAge = LINK_RESCAN[await this.getRescan()];
+    if (!maxAge) return 0;
+
+    const urls = new Set();
+    const rootFolderIds = await this._rootFolderIds();
+    for (const rootFolderId of rootFolderIds) {
+      for (const bm of await this._collectFolder(rootFolderId)) urls.add(bm.url);
+    }
+
+    const cache = await storageService.getLinkHealth();
+    const kept = {};
+    for (const url of urls) {
+      if (cache[url]) kept[url] = cache[url];
+    }
+    await storageService.saveLinkHealth(kept);
+
+    const due = [...urls].filter(url => !kept[url] || now - kept[url].checkedAt >= maxAge);
+    if (due.length > 0) await this.checkUrls(due, opts, now);
+    return due.length;
+  }
+
+  /**
+   * How often cached results are re-checked.
+   * @returns {Promise<string>} One of the LINK_RESCAN keys
+   */
+  async getRescan() {
+    const settings = await storageService.getSettings();
+    const period = settings && settings.linkRescan;
+    return period in LINK_RESCAN ? period : DEFAULT_LINK_RESCAN;
+  }
+
+  /**
+   * Set how often cached results are re-checked (synced).
+   * @param {string} period - One of the LINK_RESCAN keys
+   */
+  async setRescan(period) {
+    if (!(period in LINK_RESCAN)) return;
+    await storageService.updateSetting('linkRescan', period);
+  }
+
+  /**
+   * Whether the extension may reach arbitrary sites.
+   * @returns {Promise<boolean>}
+   */
+  async hasPermission() {
+    return chrome.permissions.contains({ origins: LINK_CHECK_ORIGINS });
+  }
+
+  /**
+   * Ask for access to arbitrary sites. Must run inside a user gesture.
+   * @returns {Promise<boolean>} Whether access was granted
+   */
+  async requestPermission() {
+    return chrome.permissions.request({ origins: LINK_CHECK_ORIGINS });
+  }
+
+  /**
+   * http(s) bookmarks of a workspace.
+   * @param {string} workspaceId
+   * @returns {Promise<Array<{id: string, title: string, url: string}>>}
+   */
+  async _collect(workspaceId) {
+    const { rootFolderIds } = await storageService.getWorkspaceLocal();
+    const rootFolderId = rootFolderIds && rootFolderIds[workspaceId];
+    return rootFolderId ? this._collectFolder(rootFolderId) : [];
+  }
+
+  async _collectFolder(folderId) {
+    const [root] = await bookmarkService.getSubTree(folderId);
+    if (!root) return [];
+    const bookmarks = [];
+    const walk = (nodes) => {
+      for (const node of nodes) {
+        if (node.url) {
+          if (/^https?:/i.test(node.url)) bookmarks.push({ id: node.id, title: node.title || '', url: node.url });
+        } else if (node.title !== '__shortcuts__') {
+          walk(node.children || []);
+        }
+      }
+    };
+    walk(root.children || []);
+    return bookmarks;
+  }
+
+  /**
+   * Root folders of all workspaces, from local storage — the service worker
+   * has no initialized workspaceService.
+   * @returns {Promise<string[]>}
+   */
+  async _rootFolderIds() {
+    const { rootFolderIds } = await storageService.getWorkspaceLocal();
+    return Object.values(rootFolderIds || {});
+  }
+}
+
+export const linkCheckService = new LinkCheckService();
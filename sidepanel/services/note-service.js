@@ -0,0 +1,67 @@
+// Bookmark notes — free text attached to bookmark URLs, shown as a tooltip
+// Stored in sync as a URL → note map split over bucket keys (see
+// storageService.getNotes), so a note follows its URL to every device and
+// workspace, like tags do.
+
+import { storageService } from './storage-service.js';
+import { bus, Events } from '../utils/event-bus.js';
+
+// Notes are tooltips, not documents; short ones also go further in the sync quota
+export const MAX_NOTE_LENGTH = 500;
+
+class NoteService {
+  /**
+   * Get the URL → note map.
+   * @returns {Promise<Object<string, string>>}
+   */
+  async getAll() {
+    return storageService.getNotes();
+  }
+
+  /**
+   * Get the note of a URL.
+   * @param {string} url
+   * @returns {Promise<string>} Empty string if there is none
+   */
+  async getNoteFor(url) {
+    const notes = await storageService.getNotes();
+    return notes[url] || '';
+  }
+
+  /**
+   * Replace the note of a URL. An empty note removes its entry.
+   * @param {string} url
+   * @param {string} note
+   */
+  async setNote(url, note) {
+    if (!url) return;
+    const all = await storageService.getNotes();
+    const clean = (note || '').trim().slice(0, MAX_NOTE_LENGTH);
+    if ((all[url] || '') === clean) return;
+    if (clean) {
+      all[url] = clean;
+    } else {
+      delete all[url];
+    }
+    await storageService.saveNotes(all);
+    bus.emit(Events.NOTES_CHANGED, { url, note: clean });
+  }
+
+  /**
+   * Carry the note of a URL over to a new one (a bookmark's URL was edited).
+   * A note already on the new URL wins.
+   * @param {string} oldUrl
+   * @param {string} newUrl
+   */
+  async moveUrl(oldUrl, newUrl) {
+    if (!oldUrl || !newUrl || oldUrl === newUrl) return;
+    const all = await storageService.getNotes();
+    if (!all[oldUrl]) return;
+    if (!all[newUrl]) all[newUrl] = all[oldUrl];
+    delete all[oldUrl];
+    await storageService.saveNotes(all);
+    bus.emit(Events.NOTES_CHANGED, { url: newUrl, note: all[newUrl] });
+  }
+}
+
+export const noteService = new NoteService();
@@ -0,0 +1,107 @@
+// URL routing rules — send tabs to the workspace that owns their site
+// Each workspace keeps a list of patterns in its sync item (ws_{id}.routingRules):
+//   *.atlassian.net         host glob (matched against the hostname)
+//   github.com/our-org/*    host + path glob (matched against host + path)
+//   /^https:\/\/docs\./i    regex between slashes (matched against the full URL)
+// The service worker routes a tab whenever it navigates (see routeTab).
+
+import { storageService } from './storage-service.js';
+import { tabService } from './tab-service.js';
+import { tabGroupService } from './tab-group-service.js';
+
+const REGEX_RULE_RE = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * Compile a routing pattern to a matcher.
+ * @param {string} pattern
+ * @returns {{ test: (url: URL) => boolean }|null} null when the pattern is invalid
+ */
+export function compileRule(pattern) {
+  const trimmed = (pattern || '').trim();
+  if (!trimmed) return null;
+
+  const regexMatch = trimmed.match(REGEX_RULE_RE);
+  if (regexMatch) {
+    try {
+      const re = new RegExp(regexMatch[1], regexMatch[2]);
+      return { test: (url) => re.test(url.href) };
+    } catch {
+      return null;
+    }
+  }
+
+  // Glob: "*" matches any run of characters, everything else is literal
+  const glob = trimmed.replace(/^[a-z]+:\/\//i, '').toLowerCase();
+  const source = glob
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  const re = new RegExp(`^${source}$`);
+  const hasPath = glob.includes('/');
+  return {
+    test: (url) => re.test(hasPath ? `${url.hostname}${url.pathname}` : url.hostname),
+  };
+}
+
+/**
+ * Check whether a URL matches a routing pattern.
+ * @param {string} url
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function matchesRule(url, pattern) {
+  const rule = compileRule(pattern);
+  if (!rule) return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+  return rule.test(parsed);
+}
+
+class RoutingService {
+  /**
+   * Find the first workspace (in sidebar order) with a rule matching the URL.
+   * @param {string} url
+   * @param {Object[]} workspaces - Workspace items in order
+   * @returns {Object|null}
+   */
+  findWorkspace(url, workspaces) {
+    for (const ws of workspaces) {
+      if ((ws.routingRules || []).some(pattern => matchesRule(url, pattern))) {
+        return ws;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Move a tab to the workspace its URL routes to, joining that
+   * workspace's tab group if it has one in the tab's window.
+   * Called from the service worker when a tab navigates.
+   * @param {chrome.tabs.Tab} tab
+   * @returns {Promise<string|null>} The workspace the tab moved to, or null
+   *   if no rule matched or the tab was already there
+   */
+  async routeTab(tab) {
+    if (!tab || !tab.url || tab.pinned) return null;
+
+    const meta = await storageService.getWorkspaceMeta();
+    if (!meta || !meta.order) return null;
+    const items = await storageService.getAllWorkspaceItems(meta.order);
+    const workspaces = meta.order.map(id => items[id]).filter(Boolean);
+
+    const target = this.findWorkspace(tab.url, workspaces);
+    if (!target) return null;
+    if (await tabService.getWorkspaceOf(tab.id) === target.id) return null;
+
+    await tabService.assign(tab.id, target.id);
+    await tabGroupService.addTab(tab, target.id);
+    return target.id;
+  }
+}
+
+export const routingService = new RoutingService();
@@ -0,0 +1,202 @@
+// Tab sessions — snapshot a window's tabs into a workspace folder and reopen them
+// Sessions are plain bookmark folders under the workspace's root folder, so
+// they sync and survive reinstall like any other workspace folder. They are
+// recognised by their title prefix. Any folder can be opened the same way, and
+// a single tab group can be saved as a folder named after the group.
+
+import { bookmarkService } from './bookmark-service.js';
+import { tabGroupService } from './tab-group-service.js';
+import { storageService } from './storage-service.js';
+
+/** Title prefix that marks a folder as a saved session. */
+export const SESSION_PREFIX = 'Session — ';
+
+// How long the service worker holds off grouping new tabs of a window while
+// the panel opens a folder as a group, should the panel close midway
+const GROUPING_TIMEOUT_MS = 30 * 1000;
+
+class SessionService {
+  /**
+   * Check whether a bookmark folder is a saved session.
+   * @param {chrome.bookmarks.BookmarkTreeNode} node
+   * @returns {boolean}
+   */
+  isSession(node) {
+    return !!node && !node.url && (node.title || '').startsWith(SESSION_PREFIX);
+  }
+
+  /**
+   * Build the folder title for a session saved at a given time.
+   * @param {number} now - Epoch ms
+   * @returns {string}
+   */
+  titleFor(now) {
+    const stamp = new Date(now).toLocaleString(undefined, {
+      year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    return `${SESSION_PREFIX}${stamp}`;
+  }
+
+  /**
+   * Save every tab in the current window into a new timestamped folder
+   * at the top of the workspace.
+   * @param {Object} ws - Workspace (needs rootFolderId)
+   * @param {number} [now]
+   * @returns {Promise<chrome.bookmarks.BookmarkTreeNode|null>} The session folder,
+   *   or null when the window has no savable tabs
+   */
+  async save(ws, now = Date.now()) {
+    let tabs;
+    try {
+      tabs = await chrome.tabs.query({ currentWindow: true });
+    } catch {
+      return null;
+    }
+    return this._saveTabs(ws, this.titleFor(now), tabs);
+  }
+
+  /**
+   * List the tab groups of the current window.
+   * @returns {Promise<Array<{id: number, title: string, color: string, tabCount: number}>>}
+   */
+  async listGroups() {
+    let groups;
+    let tabs;
+    try {
+      groups = await chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT });
+      tabs = await chrome.tabs.query({ currentWindow: true });
+    } catch {
+      return [];
+    }
+    return groups.map(group => ({
+      id: group.id,
+      title: group.title || '',
+      color: group.color,
+      tabCount: tabs.filter(tab => tab.groupId === group.id).length
+    }));
+  }
+
+  /**
+   * Save the tabs of one tab group into a new folder, named after the group,
+   * at the top of the workspace.
+   * @param {Object} ws - Workspace (needs rootFolderId)
+   * @param {number} groupId
+   * @returns {Promise<chrome.bookmarks.BookmarkTreeNode|null>} The new folder,
+   *   or null when the group is gone or has no savable tabs
+   */
+  async saveGroup(ws, groupId) {
+    let group;
+    let tabs;
+    try {
+      group = await chrome.tabGroups.get(groupId);
+      tabs = await chrome.tabs.query({ groupId });
+    } catch {
+      return null;
+    }
+    return this._saveTabs(ws, group.title || 'Tab group', tabs);
+  }
+
+  /**
+   * Create a folder at the top of the workspace holding the given tabs.
+   * @param {Object} ws
+   * @param {string} title
+   * @param {chrome.tabs.Tab[]} tabs
+   * @returns {Promise<chrome.bookmarks.BookmarkTreeNode|null>}
+   */
+  async _saveTabs(ws, title, tabs) {
+    const savable = tabs.filter(tab => tab.url);
+    if (savable.length === 0) return null;
+
+    const folder = await bookmarkService.create({
+      parentId: ws.rootFolderId,
+      title,
+      index: 0
+    });
+    for (const tab of savable) {
+      await bookmarkService.create({
+        parentId: folder.id,
+        title: tab.title || tab.url,
+        url: tab.url
+      });
+    }
+    return folder;
+  }
+
+  /**
+   * Collect the URLs of a session folder, in order (nested folders included).
+   * @param {string} folderId
+   * @returns {Promise<string[]>}
+   */
+  async getUrls(folderId) {
+    const subtree = await bookmarkService.getSubTree(folderId);
+    const urls = [];
+    const walk = (node) => {
+      if (node.url) urls.push(node.url);
+      if (node.children) node.children.forEach(walk);
+    };
+    if (subtree && subtree.length > 0) walk(subtree[0]);
+    return urls;
+  }
+
+  /**
+   * Reopen a session's tabs (or open a folder's bookmarks) in a new window.
+   * @param {string} folderId
+   * @returns {Promise<chrome.windows.Window|null>}
+   */
+  async restoreInWindow(folderId) {
+    const urls = await this.getUrls(folderId);
+    if (urls.length === 0) return null;
+    return chrome.windows.create({ url: urls, focused: true });
+  }
+
+  /**
+   * Open the bookmarks of a folder (or reopen a saved session) together,
+   * as one tab group in the current window or in a new window.
+   * @param {chrome.bookmarks.BookmarkTreeNode} folder
+   * @param {'window'|'group'} target
+   * @param {Object} ws - Workspace the folder belongs to (colors the group)
+   * @returns {Promise<void>}
+   */
+  async openFolder(folder, target, ws) {
+    if (target === 'window') {
+      await this.restoreInWindow(folder.id);
+    } else {
+      await this.restoreAsGroup(folder, ws);
+    }
+  }
+
+  /**
+   * Reopen a session's tabs (or open a folder's bookmarks) in the current
+   * window as one tab group named after the session or folder and colored
+   * like the workspace. The window is marked while the tabs open so the
+   * service worker doesn't pull them into the workspace's own group.
+   * @param {chrome.bookmarks.BookmarkTreeNode} folder
+   * @param {Object} ws - Workspace the folder belongs to
+   * @returns {Promise<number|null>} The new group ID
+   */
+  async restoreAsGroup(folder, ws) {
+    const urls = await this.getUrls(folder.id);
+    if (urls.length === 0) return null;
+
+    const win = await chrome.windows.getCurrent();
+    await storageService.setGroupingWindow(win.id, Date.now() + GROUPING_TIMEOUT_MS);
+    try {
+      const tabIds = [];
+      for (const [i, url] of urls.entries()) {
+        const tab = await chrome.tabs.create({ url, active: i === 0 });
+        tabIds.push(tab.id);
+      }
+
+      const groupId = await chrome.tabs.group({ tabIds });
+      await chrome.tabGroups.update(groupId, {
+        title: this.isSession(folder) ? folder.title.slice(SESSION_PREFIX.length) : folder.title || '',
+        color: tabGroupService.colorFor(ws && ws.colorScheme)
+      });
+      return groupId;
+    } finally {
+      await storageService.removeGroupingWindow(win.id);
+    }
+  }
+}
+
+export const sessionService = new SessionService();
@@ -0,0 +1,149 @@
+// Smart folders — saved bookmark queries shown as virtual folders
+// Definitions live in the workspace sync item (ws_{id}.smartFolders):
+//   { id: 'smart_…', name, pinned, query: { text, domain, added, tag, workspaceId } }
+// Every field of the query is optional; set fields must all match. A null
+// workspaceId searches every workspace. Results are computed live from
+// chrome.bookmarks, so there is nothing to keep in sync.
+
+import { bookmarkService } from './bookmark-service.js';
+
+export const SMART_FOLDER_PREFIX = 'smart_';
+
+// Date-added ranges, counted back from the start of the current day/week/month
+export const ADDED_RANGES = [
+  { key: 'today', label: 'Today' },
+  { key: 'week', label: 'This week' },
+  { key: 'month', label: 'This month' },
+];
+
+/**
+ * Start of a date-added range in local time. Weeks start on Monday.
+ * @param {string} range - An ADDED_RANGES key
+ * @param {number} now - Timestamp (ms)
+ * @returns {number|null} Timestamp (ms), or null for an unknown range
+ */
+export function rangeStart(range, now) {
+  const d = new Date(now);
+  d.setHours(0, 0, 0, 0);
+  switch (range) {
+    case 'today':
+      return d.getTime();
+    case 'week':
+      d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+      return d.getTime();
+    case 'month':
+      d.setDate(1);
+      return d.getTime();
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a bookmark matches a smart folder query.
+ * @param {chrome.bookmarks.BookmarkTreeNode} node
+ * @param {Object} query
+ * @param {Object} [opts]
+ * @param {number} [opts.now=Date.now()]
+ * @param {Object<string, string[]>} [opts.tags] - URL → tags
+ * @returns {boolean}
+ */
+export function matchesQuery(node, query, { now = Date.now(), tags = {} } = {}) {
+  if (!node.url) return false;
+
+  if (query.text) {
+    const text = query.text.toLowerCase();
+    if (!(node.title || '').toLowerCase().includes(text) && !node.url.toLowerCase().includes(text)) {
+      return false;
+    }
+  }
+
+  if (query.domain) {
+    const domain = query.domain.toLowerCase().replace(/^www\./, '');
+    let hostname;
+    try {
+      hostname = new URL(node.url).hostname.replace(/^www\./, '');
+    } catch {
+      return false;
+    }
+    if (hostname !== domain && !hostname.endsWith(`.${domain}`)) return false;
+  }
+
+  if (query.added) {
+    const start = rangeStart(query.added, now);
+    if (start !== null && !(node.dateAdded >= start)) return false;
+  }
+
+  if (query.tag) {
+    if (!(tags[node.url] || []).includes(query.tag)) return false;
+  }
+
+  return true;
+}
+
+class SmartFolderService {
+  /**
+   * Whether a tree node is a smart folder (virtual, not a real bookmark).
+   * @param {Object} node
+   * @returns {boolean}
+   */
+  isSmartFolder(node) {
+    return !!node && typeof node.id === 'string' && node.id.startsWith(SMART_FOLDER_PREFIX);
+  }
+
+  /**
+   * Find the bookmarks matching a smart folder, newest first.
+   * @param {Object} smartFolder
+   * @param {Object[]} workspaces - All workspaces (with rootFolderId)
+   * @param {Object} [opts] - Passed to matchesQuery
+   * @returns {Promise<chrome.bookmarks.BookmarkTreeNode[]>}
+   */
+  async getResults(smartFolder, workspaces, opts = {}) {
+    const query = smartFolder.query || {};
+    const scope = query.workspaceId
+      ? workspaces.filter(ws => ws.id === query.workspaceId)
+      : workspaces;
+
+    const results = [];
+    const walk = (node) => {
+      if (node.url) {
+        if (matchesQuery(node, query, opts)) results.push(node);
+        return;
+      }
+      if (node.title === '__shortcuts__') return;
+      for (const child of node.children || []) walk(child);
+    };
+
+    for (const ws of scope) {
+      if (!ws.rootFolderId) continue;
+      try {
+        const subtree = await bookmarkService.getSubTree(ws.rootFolderId);
+        if (subtree && subtree.length > 0) {
+          for (const child of subtree[0].children || []) walk(child);
+        }
+      } catch {
+        // Folder missing on this device — nothing to search
+      }
+    }
+
+    return results.sort((a, b) => (b.dateAdded || 0) - (a.dateAdded || 0));
+  }
+
+  /**
+   * Build the virtual folder node for a smart folder, with its results
+   * as children.
+   * @param {Object} smartFolder
+   * @param {Object[]} workspaces
+   * @param {Object} [opts] - Passed to matchesQuery
+   * @returns {Promise<{id: string, title: string, children: Array}>}
+   */
+  async toNode(smartFolder, workspaces, opts = {}) {
+    return {
+      id: smartFolder.id,
+      title: smartFolder.name,
+      children: await this.getResults(smartFolder, workspaces, opts),
+    };
+  }
+}
+
+export const smartFolderService = new SmartFolderService();
@@ -0,0 +1,167 @@
+// Folder sorting — reorders a folder's children by name, domain, date added or
+// last used, one bookmarkService.move per misplaced child. A folder can be
+// kept sorted: relayed onCreated/onMoved events that land in it re-sort it.
+// Folders always come before bookmarks.
+
+import { storageService } from './storage-service.js';
+import { bookmarkService } from './bookmark-service.js';
+import { bus, Events } from '../utils/event-bus.js';
+
+export const SORT_KEYS = ['name', 'domain', 'dateAdded', 'lastUsed'];
+
+export const SORT_LABELS = {
+  name: 'Name',
+  domain: 'Domain',
+  dateAdded: 'Date added',
+  lastUsed: 'Last used',
+};
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Hostname of a bookmark without "www.", or '' for folders and bad URLs.
+ * @param {chrome.bookmarks.BookmarkTreeNode} node
+ * @returns {string}
+ */
+function domainOf(node) {
+  if (!node.url) return '';
+  try {
+    return new URL(node.url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+const byName = (a, b) => collator.compare(a.title || a.url || '', b.title || b.url || '');
+
+/**
+ * Comparator for a sort key. Ties fall back to the name.
+ * Dates sort newest first; never-used bookmarks go last.
+ * @param {string} key - One of SORT_KEYS
+ * @returns {Function}
+ */
+export function compareBy(key) {
+  const primary = {
+    name: () => 0,
+    domain: (a, b) => collator.compare(domainOf(a), domainOf(b)),
+    dateAdded: (a, b) => (b.dateAdded || 0) - (a.dateAdded || 0),
+    lastUsed: (a, b) => (b.dateLastUsed || 0) - (a.dateLastUsed || 0),
+  }[key];
+  if (!primary) throw new Error(`Unknown sort key: ${key}`);
+
+  return (a, b) => {
+    const folderFirst = (a.url ? 1 : 0) - (b.url ? 1 : 0);
+    return folderFirst || primary(a, b) || byName(a, b);
+  };
+}
+
+class SortService {
+  constructor() {
+    this._running = new Set();  // folders being sorted right now
+    this._pending = new Set();  // ...that saw another event meanwhile
+  }
+
+  /**
+   * Sort a folder's children once.
+   * @param {string} folderId
+   * @param {string} key - One of SORT_KEYS
+   * @returns {Promise<number>} How many children were moved
+   */
+  async sortFolder(folderId, key) {
+    const compare = compareBy(key);
+    const children = await bookmarkService.getChildren(folderId);
+    const sorted = [...children].sort(compare);
+
+    // Place each child in turn. Everything before index i is already in
+    // place, so each move goes to a lower index — no same-parent index quirk.
+    const order = children.map(c => c.id);
+    let moved = 0;
+    for (const [i, child] of sorted.entries()) {
+      if (order[i] === child.id) continue;
+      await bookmarkService.move(child.id, { parentId: folderId, index: i });
+      order.splice(order.indexOf(child.id), 1);
+      order.splice(i, 0, child.id);
+      moved++;
+    }
+
+    if (moved > 0) bus.emit(Events.TREE_REFRESH);
+    return moved;
+  }
+
+  /**
+   * Get the folders that are kept sorted.
+   * @returns {Promise<Object<string, string>>} Folder ID → sort key
+   */
+  async getAll() {
+    return storageService.getSortedFolders();
+  }
+
+  /**
+   * Sort key a folder is kept sorted by.
+   * @param {string} folderId
+   * @returns {Promise<string|null>}
+   */
+  async getKeepSorted(folderId) {
+    const sortedFolders = await storageService.getSortedFolders();
+    return sortedFolders[folderId] || null;
+  }
+
+  /**
+   * Keep a folder sorted by a key (sorting it now), or stop with null.
+   * @param {string} folderId
+   * @param {string|null} key
+   */
+  async setKeepSorted(folderId, key) {
+    if (key && !SORT_KEYS.includes(key)) throw new Error(`Unknown sort key: ${key}`);
+    const sortedFolders = await storageService.getSortedFolders();
+    if (key) {
+      sortedFolders[folderId] = key;
+    } else {
+      delete sortedFolders[folderId];
+    }
+    await storageService.saveSortedFolders(sortedFolders);
+    if (key) await this.sortFolder(folderId, key);
+  }
+
+  /**
+   * Re-sort kept-sorted folders when relayed bookmark events land in them.
+   * @returns {Function} Unsubscribe function
+   */
+  watch() {
+    return bookmarkService.onMessage((message) => {
+      const [, info] = message.data || [];
+      if (!info || !info.parentId) return;
+      if (message.type === 'bookmark:onCreated' || message.type === 'bookmark:onMoved') {
+        this.handleChange(info.parentId).catch(err => {
+          console.warn('Arc Spaces: keep-sorted failed:', err);
+        });
+      }
+    });
+  }
+
+  /**
+   * Re-sort a folder if it is kept sorted. The sort's own moves relay back
+   * as onMoved events; they queue one more (no-op) pass instead of stacking.
+   * @param {string} folderId
+   */
+  async handleChange(folderId) {
+    const key = await this.getKeepSorted(folderId);
+    if (!key) return;
+    if (this._running.has(folderId)) {
+      this._pending.add(folderId);
+      return;
+    }
+
+    this._running.add(folderId);
+    try {
+      do {
+        this._pending.delete(folderId);
+        await this.sortFolder(folderId, key);
+      } while (this._pending.has(folderId));
+    } finally {
+      this._running.delete(folderId);
+    }
+  }
+}
+
+export const sortService = new SortService();
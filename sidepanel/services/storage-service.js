@@ -1,6 +1,44 @@
 // Unified wrapper around chrome.storage
 // Routes data to sync (workspace configs) or local (UI state) as appropriate
 
+// Sync keys per URL-keyed map (tags, notes); each bucket stays under 8KB
+const TAG_BUCKETS = 16;
+const NOTE_BUCKETS = 32;
+
+/**
+ * Bucket key names for a split map.
+ * @param {string} prefix
+ * @param {number} count
+ * @returns {string[]} e.g. ['tags_0', 'tags_1', …]
+ */
+function bucketKeys(prefix, count) {
+  return Array.from({ length: count }, (_, i) => `${prefix}_${i}`);
+}
+
+/**
+ * Stable bucket index of a URL (djb2 string hash).
+ * @param {string} url
+ * @param {number} count
+ * @returns {number}
+ */
+function bucketOf(url, count) {
+  let hash = 5381;
+  for (let i = 0; i < url.length; i++) {
+    hash = ((hash << 5) + hash + url.charCodeAt(i)) >>> 0;
+  }
+  return hash % count;
+}
+
+/**
+ * Whether a sync key holds (part of) a bucketed map.
+ * @param {string} key
+ * @param {string} prefix - e.g. 'tags'
+ * @returns {boolean}
+ */
+export function isBucketKey(key, prefix) {
+  return key === prefix || new RegExp(`^${prefix}_\\d+$`).test(key);
+}
+
 class StorageService {
   /**
    * Get values from sync storage.
@@ -318,6 +356,410 @@ class StorageService {
     return this.setLocal({ ws_local: data });
   }
 
+  // ── Session Bindings (tabs / tab groups / windows → workspace) ─────
+  // Tab and tab group IDs are only valid for the current browser session,
+  // so bindings live in chrome.storage.session as one key per ID
+  // (tab_{tabId} → wsId, grp_{groupId} → wsId, act_{tabId} → last activated
+  // timestamp, pin_{bookmarkId} → tabId, win_{windowId} → wsId,
+  // opn_{windowId} → deadline while the panel opens a tab group). Split keys
+  // let the service worker and side panels write without racing each other.
+
+  /**
+   * Read all session keys with a prefix, keyed by the ID after the prefix.
+   * @param {string} prefix
+   * @returns {Promise<Object>}
+   */
+  async _getSessionPrefixed(prefix) {
+    let all;
+    try {
+      all = await chrome.storage.session.get(null);
+    } catch (err) {
+      console.warn('Arc Spaces: session storage read failed, falling back to empty:', err);
+      return {};
+    }
+    const result = {};
+    for (const [key, value] of Object.entries(all)) {
+      if (key.startsWith(prefix)) result[key.slice(prefix.length)] = value;
+    }
+    return result;
+  }
+
+  /**
+   * Set a single session value.
+   * @param {string} key
+   * @param {*} value
+   */
+  async _setSession(key, value) {
+    try {
+      await chrome.storage.session.set({ [key]: value });
+    } catch (err) {
+      console.warn('Arc Spaces: session storage write failed:', err);
+    }
+  }
+
+  /**
+   * Remove a single session value.
+   * @param {string} key
+   */
+  async _removeSession(key) {
+    try {
+      await chrome.storage.session.remove(key);
+    } catch (err) {
+      console.warn('Arc Spaces: session storage remove failed:', err);
+    }
+  }
+
+  /**
+   * Get all tab → workspace assignments.
+   * @returns {Promise<Object>} Map of tabId (string) → workspace ID
+   */
+  async getTabWorkspaces() {
+    return this._getSessionPrefixed('tab_');
+  }
+
+  /**
+   * Assign a tab to a workspace.
+   * @param {number|string} tabId
+   * @param {string} wsId
+   */
+  async setTabWorkspace(tabId, wsId) {
+    return this._setSession(`tab_${tabId}`, wsId);
+  }
+
+  /**
+   * Forget a tab's workspace assignment (tab closed).
+   * @param {number|string} tabId
+   */
+  async removeTabWorkspace(tabId) {
+    return this._removeSession(`tab_${tabId}`);
+  }
+
+  /**
+   * Get all tab group → workspace bindings.
+   * @returns {Promise<Object>} Map of groupId (string) → workspace ID
+   */
+  async getGroupWorkspaces() {
+    return this._getSessionPrefixed('grp_');
+  }
+
+  /**
+   * Bind a tab group to a workspace.
+   * @param {number|string} groupId
+   * @param {string} wsId
+   */
+  async setGroupWorkspace(groupId, wsId) {
+    return this._setSession(`grp_${groupId}`, wsId);
+  }
+
+  /**
+   * Forget a tab group binding (group closed).
+   * @param {number|string} groupId
+   */
+  async removeGroupWorkspace(groupId) {
+    return this._removeSession(`grp_${groupId}`);
+  }
+
+  /**
+   * Get the workspace shown in a window's side panel.
+   * @param {number|string} windowId
+   * @returns {Promise<string|null>}
+   */
+  async getWindowWorkspace(windowId) {
+    const key = `win_${windowId}`;
+    try {
+      const result = await chrome.storage.session.get(key);
+      return result[key] || null;
+    } catch (err) {
+      console.warn('Arc Spaces: session storage read failed, falling back to empty:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Set the workspace shown in a window's side panel.
+   * @param {number|string} windowId
+   * @param {string} wsId
+   */
+  async setWindowWorkspace(windowId, wsId) {
+    return this._setSession(`win_${windowId}`, wsId);
+  }
+
+  /**
+   * Forget a window's workspace (window closed).
+   * @param {number|string} windowId
+   */
+  async removeWindowWorkspace(windowId) {
+    return this._removeSession(`win_${windowId}`);
+  }
+
+  /**
+   * Get when a window's side panel stops opening tabs into a group of its own.
+   * @param {number|string} windowId
+   * @returns {Promise<number|null>} Epoch ms, or null if it isn't
+   */
+  async getGroupingWindow(windowId) {
+    const key = `opn_${windowId}`;
+    try {
+      const result = await chrome.storage.session.get(key);
+      return result[key] || null;
+    } catch (err) {
+      console.warn('Arc Spaces: session storage read failed, falling back to empty:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Mark a window's side panel as opening tabs into a group of its own, so
+   * the service worker leaves them out of the workspace's group.
+   * @param {number|string} windowId
+   * @param {number} until - Epoch ms after which the mark is stale (panel closed midway)
+   */
+  async setGroupingWindow(windowId, until) {
+    return this._setSession(`opn_${windowId}`, until);
+  }
+
+  /**
+   * Clear a window's grouping mark.
+   * @param {number|string} windowId
+   */
+  async removeGroupingWindow(windowId) {
+    return this._removeSession(`opn_${windowId}`);
+  }
+
+  /**
+   * Get last-activated timestamps for open tabs.
+   * @returns {Promise<Object>} Map of tabId (string) → epoch ms
+   */
+  async getTabActivity() {
+    return this._getSessionPrefixed('act_');
+  }
+
+  /**
+   * Record when a tab was last activated.
+   * @param {number|string} tabId
+   * @param {number} timestamp - Epoch ms
+   */
+  async setTabActivity(tabId, timestamp) {
+    return this._setSession(`act_${tabId}`, timestamp);
+  }
+
+  /**
+   * Forget a closed tab's activity timestamp.
+   * @param {number|string} tabId
+   */
+  async removeTabActivity(tabId) {
+    return this._removeSession(`act_${tabId}`);
+  }
+
+  /**
+   * Get all pinned bookmark → tab bindings.
+   * @returns {Promise<Object>} Map of bookmarkId → tabId
+   */
+  async getPinnedTabs() {
+    return this._getSessionPrefixed('pin_');
+  }
+
+  /**
+   * Bind a pinned bookmark to the tab it was opened in.
+   * @param {string} bookmarkId
+   * @param {number} tabId
+   */
+  async setPinnedTab(bookmarkId, tabId) {
+    return this._setSession(`pin_${bookmarkId}`, tabId);
+  }
+
+  /**
+   * Forget a pinned bookmark's tab (tab closed).
+   * @param {string} bookmarkId
+   */
+  async removePinnedTab(bookmarkId) {
+    return this._removeSession(`pin_${bookmarkId}`);
+  }
+
+  // ── Tab Archive ─────────────────────────────────────
+  // Log of tabs closed from each workspace (auto-archived or manually closed),
+  // newest first. Local only — it holds full URLs and can grow large.
+
+  /**
+   * Get the archive log.
+   * @returns {Promise<Array<{id: string, url: string, title: string, workspaceId: string, archivedAt: number, reason: string}>>}
+   */
+  async getArchive() {
+    const { archive } = await this.getLocal('archive');
+    return archive || [];
+  }
+
+  /**
+   * Save the archive log.
+   * @param {Array} entries
+   */
+  async saveArchive(entries) {
+    return this.setLocal({ archive: entries });
+  }
+
+  // ── Trash ───────────────────────────────────────────
+  // Local only — entries point at device-local bookmark IDs.
+
+  /**
+   * Get the trash entries.
+   * @returns {Promise<Array<{id: string, title: string, url?: string, parentId: string|null, index?: number, workspaceId: string|null, pinned: string[], trashedAt: number}>>}
+   */
+  async getTrash() {
+    const { trash } = await this.getLocal('trash');
+    return trash || [];
+  }
+
+  /**
+   * Save the trash entries.
+   * @param {Array} entries
+   */
+  async saveTrash(entries) {
+    return this.setLocal({ trash: entries });
+  }
+
+  // ── Undo Journal ────────────────────────────────────
+  // Local only — entries hold device-local bookmark IDs and subtree snapshots.
+
+  /**
+   * Get the undo journal.
+   * @returns {Promise<{undo: Array, redo: Array, idMap: Object<string, string>}>}
+   */
+  async getUndoJournal() {
+    const { undoJournal } = await this.getLocal('undoJournal');
+    return { undo: [], redo: [], idMap: {}, ...undoJournal };
+  }
+
+  /**
+   * Save the undo journal.
+   * @param {{undo: Array, redo: Array, idMap: Object<string, string>}} journal
+   */
+  async saveUndoJournal(journal) {
+    return this.setLocal({ undoJournal: journal });
+  }
+
+  // ── Bookmark Tags ───────────────────────────────────
+  // Synced and keyed by URL: bookmark IDs are device-local, URLs are not.
+  // Spread over TAG_BUCKETS keys (tags_0…) by URL hash so no single item
+  // reaches the 8KB per-item limit; the pre-split "tags" key is folded in.
+
+  /**
+   * Get all bookmark tags.
+   * @returns {Promise<Object<string, string[]>>} URL → tags
+   */
+  async getTags() {
+    return this._getBuckets('tags', TAG_BUCKETS);
+  }
+
+  /**
+   * Save all bookmark tags. Only buckets whose contents changed are written.
+   * @param {Object<string, string[]>} tags - URL → tags
+   */
+  async saveTags(tags) {
+    return this._saveBuckets('tags', TAG_BUCKETS, tags);
+  }
+
+  // ── Bookmark Notes ──────────────────────────────────
+  // Synced and keyed by URL, bucketed like tags (notes_0…).
+
+  /**
+   * Get all bookmark notes.
+   * @returns {Promise<Object<string, string>>} URL → note
+   */
+  async getNotes() {
+    return this._getBuckets('notes', NOTE_BUCKETS);
+  }
+
+  /**
+   * Save all bookmark notes. Only buckets whose contents changed are written.
+   * @param {Object<string, string>} notes - URL → note
+   */
+  async saveNotes(notes) {
+    return this._saveBuckets('notes', NOTE_BUCKETS, notes);
+  }
+
+  /**
+   * Read a URL-keyed map spread over bucket keys, plus its legacy single key.
+   * @param {string} prefix - Legacy key and bucket key prefix
+   * @param {number} count - Number of buckets
+   * @returns {Promise<Object>}
+   */
+  async _getBuckets(prefix, count) {
+    const keys = bucketKeys(prefix, count);
+    const stored = await this.getSync([prefix, ...keys]);
+    const merged = { ...(stored[prefix] || {}) };
+    for (const key of keys) Object.assign(merged, stored[key] || {});
+    return merged;
+  }
+
+  /**
+   * Write a URL-keyed map into bucket keys. Unchanged buckets are skipped,
+   * emptied ones and the legacy single key are removed.
+   * @param {string} prefix
+   * @param {number} count
+   * @param {Object} map
+   */
+  async _saveBuckets(prefix, count, map) {
+    const keys = bucketKeys(prefix, count);
+    const stored = await this.getSync([prefix, ...keys]);
+    const buckets = keys.map(() => ({}));
+    for (const [url, value] of Object.entries(map)) {
+      buckets[bucketOf(url, count)][url] = value;
+    }
+
+    const changed = {};
+    const removed = prefix in stored ? [prefix] : [];
+    keys.forEach((key, i) => {
+      if (Object.keys(buckets[i]).length === 0) {
+        if (key in stored) removed.push(key);
+      } else if (JSON.stringify(stored[key]) !== JSON.stringify(buckets[i])) {
+        changed[key] = buckets[i];
+      }
+    });
+
+    if (Object.keys(changed).length > 0) await this.setSync(changed);
+    if (removed.length > 0) await chrome.storage.sync.remove(removed);
+  }
+
+  // ── Link Health ─────────────────────────────────────
+  // Local only — results of the broken link checker, keyed by URL.
+
+  /**
+   * Get cached link check results.
+   * @returns {Promise<Object<string, {status: string, code?: number, finalUrl?: string, error?: string, checkedAt: number}>>}
+   */
+  async getLinkHealth() {
+    const { linkHealth } = await this.getLocal('linkHealth');
+    return linkHealth || {};
+  }
+
+  /**
+   * Save cached link check results.
+   * @param {Object<string, Object>} linkHealth - URL → result
+   */
+  async saveLinkHealth(linkHealth) {
+    return this.setLocal({ linkHealth });
+  }
+
+  // ── Kept-Sorted Folders ─────────────────────────────
+  // Local only — keyed by device-local folder IDs.
+
+  /**
+   * Get the folders that are kept sorted.
+   * @returns {Promise<Object<string, string>>} Folder ID → sort key
+   */
+  async getSortedFolders() {
+    const { sortedFolders } = await this.getLocal('sortedFolders');
+    return sortedFolders || {};
+  }
+
+  /**
+   * Save the folders that are kept sorted.
+   * @param {Object<string, string>} sortedFolders - Folder ID → sort key
+   */
+  async saveSortedFolders(sortedFolders) {
+    return this.setLocal({ sortedFolders });
+  }
+
   /**
    * Delete old v1 "workspaces" key from sync storage (migration cleanup).
    */
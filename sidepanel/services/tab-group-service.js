@@ -0,0 +1,172 @@
+// Binds each workspace to a Chrome tab group (one group per workspace per window)
+// Switching workspaces expands the incoming group and collapses the outgoing one,
+// so the tab strip follows the active space. Group → workspace bindings are
+// session-scoped (see storageService.getGroupWorkspaces).
+
+import { storageService } from './storage-service.js';
+import { tabService } from './tab-service.js';
+
+// Workspace color schemes share names with chrome.tabGroups.Color
+const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+class TabGroupService {
+  /**
+   * Map a workspace color scheme to a tab group color.
+   * @param {string} colorScheme
+   * @returns {string}
+   */
+  colorFor(colorScheme) {
+    return GROUP_COLORS.includes(colorScheme) ? colorScheme : 'grey';
+  }
+
+  /**
+   * Find the tab group bound to a workspace in a window.
+   * Drops bindings whose group no longer exists.
+   * @param {string} workspaceId
+   * @param {number} windowId
+   * @returns {Promise<number|null>}
+   */
+  async findGroup(workspaceId, windowId) {
+    const bindings = await storageService.getGroupWorkspaces();
+    for (const [groupId, wsId] of Object.entries(bindings)) {
+      if (wsId !== workspaceId) continue;
+      try {
+        const group = await chrome.tabGroups.get(Number(groupId));
+        if (group.windowId === windowId) return group.id;
+      } catch {
+        await storageService.removeGroupWorkspace(groupId);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the workspace a tab group is bound to.
+   * @param {number} groupId
+   * @returns {Promise<string|null>}
+   */
+  async getWorkspaceOf(groupId) {
+    const bindings = await storageService.getGroupWorkspaces();
+    return bindings[String(groupId)] || null;
+  }
+
+  /**
+   * Put tabs into the workspace's group (creating it if needed) and
+   * refresh the group's title and color from the workspace.
+   * @param {Object} ws - Workspace
+   * @param {number[]} tabIds
+   * @param {number} windowId
+   * @returns {Promise<number>} The group ID
+   */
+  async ensureGroup(ws, tabIds, windowId) {
+    let groupId = await this.findGroup(ws.id, windowId);
+    if (groupId !== null) {
+      await chrome.tabs.group({ groupId, tabIds });
+    } else {
+      groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+      await storageService.setGroupWorkspace(groupId, ws.id);
+    }
+    await chrome.tabGroups.update(groupId, {
+      title: ws.name,
+      color: this.colorFor(ws.colorScheme),
+    });
+    return groupId;
+  }
+
+  /**
+   * Swap the visible tab group from one workspace to another.
+   * The incoming group is expanded and its most recently used tab focused
+   * first, because Chrome refuses to collapse a group holding the active tab.
+   * Errors are logged, never thrown — switching must not fail on tab state.
+   * @param {Object|null} outgoing - Previously active workspace
+   * @param {Object} incoming - Newly active workspace
+   */
+  async swap(outgoing, incoming) {
+    try {
+      const groupable = (tabs) => tabs.filter(t => !t.pinned);
+
+      // Claim unassigned tabs for the outgoing workspace first — they were
+      // on screen while it was active.
+      const outgoingTabs = outgoing
+        ? groupable(await tabService.getWorkspaceTabs(outgoing.id))
+        : [];
+      let incomingTabs = groupable(await tabService.getWorkspaceTabs(incoming.id));
+
+      if (incomingTabs.length === 0) {
+        const tab = await chrome.tabs.create({ active: true });
+        await tabService.assign(tab.id, incoming.id);
+        incomingTabs = [tab];
+      }
+
+      const windowId = incomingTabs[0].windowId;
+      const incomingGroup = await this.ensureGroup(
+        incoming, incomingTabs.map(t => t.id), windowId
+      );
+      await chrome.tabGroups.update(incomingGroup, { collapsed: false });
+
+      const focusTab = incomingTabs.reduce((best, t) =>
+        (t.lastAccessed || 0) > (best.lastAccessed || 0) ? t : best
+      );
+      await chrome.tabs.update(focusTab.id, { active: true });
+
+      if (outgoingTabs.length > 0) {
+        const outgoingGroup = await this.ensureGroup(
+          outgoing, outgoingTabs.map(t => t.id), windowId
+        );
+        await chrome.tabGroups.update(outgoingGroup, { collapsed: true });
+      }
+    } catch (err) {
+      console.warn('Arc Spaces: tab group swap failed:', err);
+    }
+  }
+
+  /**
+   * Add a newly opened tab to its workspace's group, if that workspace
+   * already has a group in the tab's window. Tabs the side panel is opening
+   * as a group of their own (see sessionService.restoreAsGroup), and tabs in
+   * a group no workspace owns, are left alone; a tab in another workspace's
+   * group moves over.
+   * Called from the service worker on chrome.tabs.onCreated, and when a
+   * routing rule moves a tab (routingService.routeTab).
+   * @param {chrome.tabs.Tab} tab
+   * @param {string} workspaceId
+   */
+  async addTab(tab, workspaceId) {
+    if (tab.pinned) return;
+    try {
+      const until = await storageService.getGroupingWindow(tab.windowId);
+      if (until && until > Date.now()) return;
+      const groupId = await this.findGroup(workspaceId, tab.windowId);
+      if (groupId === null) return;
+      // The tab object may be stale; the panel may have grouped it since
+      const current = await chrome.tabs.get(tab.id);
+      if (current.groupId === groupId) return;
+      if (current.groupId !== undefined && current.groupId !== -1 &&
+          !await this.getWorkspaceOf(current.groupId)) return;
+      await chrome.tabs.group({ groupId, tabIds: [tab.id] });
+    } catch (err) {
+      console.warn('Arc Spaces: failed to add tab to workspace group:', err);
+    }
+  }
+
+  /**
+   * Follow a tab the user dragged into a workspace's group.
+   * @param {number} tabId
+   * @param {number} groupId - chrome.tabGroups.TAB_GROUP_ID_NONE (-1) when ungrouped
+   */
+  async handleTabGrouped(tabId, groupId) {
+    if (groupId === -1) return;
+    const wsId = await this.getWorkspaceOf(groupId);
+    if (wsId) await tabService.assign(tabId, wsId);
+  }
+
+  /**
+   * Forget a closed tab group.
+   * @param {number} groupId
+   */
+  async forgetGroup(groupId) {
+    await storageService.removeGroupWorkspace(groupId);
+  }
+}
+
+export const tabGroupService = new TabGroupService();
@@ -0,0 +1,257 @@
+// Abstraction over chrome.tabs for the "Today" tab list
+// Tracks which workspace each open tab belongs to. Assignments are written
+// by the service worker when tabs open and claimed lazily by the side panel
+// for tabs that predate the extension (see storageService.getTabWorkspaces).
+
+import { storageService } from './storage-service.js';
+
+class TabService {
+  /**
+   * Get all tabs in the side panel's window, in tab strip order.
+   * @returns {Promise<chrome.tabs.Tab[]>}
+   */
+  async getWindowTabs() {
+    try {
+      return await chrome.tabs.query({ currentWindow: true });
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Get the current window's tabs that belong to a workspace.
+   * Tabs with no assignment yet are claimed by the given workspace.
+   * @param {string} workspaceId
+   * @returns {Promise<chrome.tabs.Tab[]>}
+   */
+  async getWorkspaceTabs(workspaceId) {
+    if (!workspaceId) return [];
+    const tabs = await this.getWindowTabs();
+    const assignments = await storageService.getTabWorkspaces();
+
+    const result = [];
+    for (const tab of tabs) {
+      const assigned = assignments[String(tab.id)];
+      if (!assigned) {
+        await storageService.setTabWorkspace(tab.id, workspaceId);
+        result.push(tab);
+      } else if (assigned === workspaceId) {
+        result.push(tab);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get the workspace a tab belongs to.
+   * @param {number} tabId
+   * @returns {Promise<string|null>}
+   */
+  async getWorkspaceOf(tabId) {
+    const assignments = await storageService.getTabWorkspaces();
+    return assignments[String(tabId)] || null;
+  }
+
+  /**
+   * Assign a tab to a workspace.
+   * @param {number} tabId
+   * @param {string} workspaceId
+   */
+  async assign(tabId, workspaceId) {
+    await storageService.setTabWorkspace(tabId, workspaceId);
+  }
+
+  /**
+   * Record the workspace of a newly created tab.
+   * Tabs opened from another tab inherit the opener's workspace; everything
+   * else joins the workspace shown in the tab's window, falling back to the
+   * last-used workspace.
+   * Called from the service worker on chrome.tabs.onCreated.
+   * @param {chrome.tabs.Tab} tab
+   * @returns {Promise<string|null>} The assigned workspace ID
+   */
+  async assignNewTab(tab) {
+    let wsId = null;
+    if (tab.openerTabId !== undefined) {
+      wsId = await this.getWorkspaceOf(tab.openerTabId);
+    }
+    if (!wsId && tab.windowId !== undefined) {
+      wsId = await storageService.getWindowWorkspace(tab.windowId);
+    }
+    if (!wsId) {
+      const local = await storageService.getWorkspaceLocal();
+      wsId = local.activeWorkspaceId;
+    }
+    if (wsId) await this.assign(tab.id, wsId);
+    return wsId;
+  }
+
+  /**
+   * Forget a closed tab's workspace assignment, activity, and pinned binding.
+   * @param {number} tabId
+   */
+  async forget(tabId) {
+    await storageService.removeTabWorkspace(tabId);
+    await storageService.removeTabActivity(tabId);
+    const pinned = await storageService.getPinnedTabs();
+    for (const [bookmarkId, pinnedTabId] of Object.entries(pinned)) {
+      if (pinnedTabId === tabId) await storageService.removePinnedTab(bookmarkId);
+    }
+  }
+
+  /**
+   * Record that a tab was just activated (drives idle-tab archiving).
+   * Called from the service worker on chrome.tabs.onActivated.
+   * @param {number} tabId
+   * @param {number} [now]
+   */
+  async markActivated(tabId, now = Date.now()) {
+    await storageService.setTabActivity(tabId, now);
+  }
+
+  /**
+   * Get last-activated timestamps for open tabs.
+   * @returns {Promise<Object>} Map of tabId (string) → epoch ms
+   */
+  async getLastActivated() {
+    return storageService.getTabActivity();
+  }
+
+  // ── Pinned bookmark tabs ──────────────────────
+  // A pinned bookmark behaves like a pinned tab: it owns at most one tab,
+  // clicking it focuses that tab instead of re-navigating the current one.
+
+  /**
+   * Get the open tab of every pinned bookmark that has one.
+   * Bindings to tabs that no longer exist are dropped.
+   * @returns {Promise<Object>} Map of bookmarkId → chrome.tabs.Tab
+   */
+  async getPinnedTabs() {
+    const bindings = await storageService.getPinnedTabs();
+    const result = {};
+    for (const [bookmarkId, tabId] of Object.entries(bindings)) {
+      const tab = await this.get(tabId);
+      if (tab) {
+        result[bookmarkId] = tab;
+      } else {
+        await storageService.removePinnedTab(bookmarkId);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Open a pinned bookmark: focus its tab if still open, otherwise open
+   * it in a new tab and remember that tab.
+   * @param {chrome.bookmarks.BookmarkTreeNode} node
+   * @returns {Promise<chrome.tabs.Tab|null>}
+   */
+  async openPinned(node) {
+    if (!node.url) return null;
+    const bindings = await storageService.getPinnedTabs();
+    const existing = bindings[node.id] !== undefined ? await this.get(bindings[node.id]) : null;
+    if (existing) {
+      await this.focus(existing.id);
+      return existing;
+    }
+    const tab = await chrome.tabs.create({ url: node.url, active: true });
+    await storageService.setPinnedTab(node.id, tab.id);
+    return tab;
+  }
+
+  /**
+   * Navigate a pinned bookmark's tab back to the saved URL.
+   * @param {chrome.bookmarks.BookmarkTreeNode} node
+   */
+  async resetPinned(node) {
+    const bindings = await storageService.getPinnedTabs();
+    if (bindings[node.id] === undefined) return;
+    await chrome.tabs.update(bindings[node.id], { url: node.url, active: true });
+  }
+
+  /**
+   * Check whether a tab has navigated away from a saved URL.
+   * Compares normalized URLs, so "https://a.com" and "https://a.com/" match.
+   * @param {chrome.tabs.Tab} tab
+   * @param {string} savedUrl
+   * @returns {boolean}
+   */
+  hasNavigatedAway(tab, savedUrl) {
+    const current = tab.pendingUrl || tab.url;
+    if (!current || !savedUrl) return false;
+    try {
+      return new URL(current).href !== new URL(savedUrl).href;
+    } catch {
+      return current !== savedUrl;
+    }
+  }
+
+  /**
+   * Get a single tab by ID.
+   * @param {number} tabId
+   * @returns {Promise<chrome.tabs.Tab|null>}
+   */
+  async get(tabId) {
+    try {
+      return await chrome.tabs.get(tabId);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Navigate the current window's active tab to a URL.
+   * @param {string} url
+   */
+  async openInCurrentTab(url) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab) {
+      await chrome.tabs.update(tab.id, { url });
+    }
+  }
+
+  /**
+   * Activate a tab and focus its window.
+   * @param {number} tabId
+   */
+  async focus(tabId) {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    if (tab && tab.windowId !== undefined) {
+      await chrome.windows.update(tab.windowId, { focused: true });
+    }
+  }
+
+  /**
+   * Close a tab.
+   * @param {number} tabId
+   */
+  async close(tabId) {
+    return chrome.tabs.remove(tabId);
+  }
+
+  /**
+   * Move a tab to a new position in its window's tab strip.
+   * @param {number} tabId
+   * @param {number} index
+   */
+  async move(tabId, index) {
+    return chrome.tabs.move(tabId, { index });
+  }
+
+  /**
+   * Listen for tab events relayed from the service worker.
+   * @param {Function} callback - Called with message object
+   * @returns {Function} Unsubscribe function
+   */
+  onMessage(callback) {
+    const handler = (message) => {
+      if (message.type && message.type.startsWith('tab:')) {
+        callback(message);
+      }
+    };
+    chrome.runtime.onMessage.addListener(handler);
+    return () => chrome.runtime.onMessage.removeListener(handler);
+  }
+}
+
+export const tabService = new TabService();
@@ -0,0 +1,109 @@
+// Bookmark tags — free-form labels attached to bookmark URLs
+// Stored in sync as a URL → tags map split over bucket keys (see
+// storageService.getTags), so a bookmark keeps its tags on every device and
+// in every workspace it's saved to.
+
+import { storageService } from './storage-service.js';
+import { bus, Events } from '../utils/event-bus.js';
+
+const MAX_TAG_LENGTH = 32;
+
+/**
+ * Normalize a tag: trimmed, lowercase, single spaces, no leading "#".
+ * @param {string} tag
+ * @returns {string} Empty string if nothing is left
+ * @example normalizeTag('  #Read  Later ') → 'read later'
+ */
+export function normalizeTag(tag) {
+  return (tag || '')
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+    .slice(0, MAX_TAG_LENGTH)
+    .trim();
+}
+
+/**
+ * Split comma-separated input into normalized, de-duplicated tags.
+ * @param {string} input
+ * @returns {string[]}
+ * @example parseTags('work, #Reading,work') → ['work', 'reading']
+ */
+export function parseTags(input) {
+  const tags = (input || '').split(',').map(normalizeTag).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+class TagService {
+  /**
+   * Get the URL → tags map.
+   * @returns {Promise<Object<string, string[]>>}
+   */
+  async getAll() {
+    return storageService.getTags();
+  }
+
+  /**
+   * Get the tags of a URL.
+   * @param {string} url
+   * @returns {Promise<string[]>}
+   */
+  async getTagsFor(url) {
+    const tags = await storageService.getTags();
+    return tags[url] || [];
+  }
+
+  /**
+   * Replace the tags of a URL. An empty list removes its entry.
+   * @param {string} url
+   * @param {string[]} tags
+   */
+  async setTags(url, tags) {
+    if (!url) return;
+    const all = await storageService.getTags();
+    const clean = [...new Set(tags.map(normalizeTag).filter(Boolean))].sort();
+    if (clean.length > 0) {
+      all[url] = clean;
+    } else {
+      delete all[url];
+    }
+    await storageService.saveTags(all);
+    bus.emit(Events.TAGS_CHANGED, { url, tags: clean });
+  }
+
+  /**
+   * Carry the tags of a URL over to a new one (a bookmark's URL was edited).
+   * Tags already on the new URL are kept.
+   * @param {string} oldUrl
+   * @param {string} newUrl
+   */
+  async moveUrl(oldUrl, newUrl) {
+    if (!oldUrl || !newUrl || oldUrl === newUrl) return;
+    const all = await storageService.getTags();
+    if (!all[oldUrl]) return;
+    const merged = [...new Set([...(all[newUrl] || []), ...all[oldUrl]])].sort();
+    all[newUrl] = merged;
+    delete all[oldUrl];
+    await storageService.saveTags(all);
+    bus.emit(Events.TAGS_CHANGED, { url: newUrl, tags: merged });
+  }
+
+  /**
+   * List every tag in use with how many URLs carry it, alphabetically.
+   * @param {Object<string, string[]>} [tagsByUrl] - Map to count (defaults to storage)
+   * @returns {Promise<Array<{tag: string, count: number}>>}
+   */
+  async listTags(tagsByUrl) {
+    const all = tagsByUrl || await storageService.getTags();
+    const counts = new Map();
+    for (const tags of Object.values(all)) {
+      for (const tag of tags) counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+    return [...counts.entries()]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => a.tag.localeCompare(b.tag));
+  }
+}
+
+export const tagService = new TagService();
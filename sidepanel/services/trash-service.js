@@ -0,0 +1,208 @@
+// Trash — deleted bookmarks, folders and workspace folders are moved into a
+// hidden "__trash__" folder under the Arc Spaces root instead of being removed.
+// Each entry remembers where the item came from (parent, position, workspace)
+// so it can be put back. Entries older than the retention setting are purged
+// on a chrome.alarms schedule in the service worker.
+
+import { storageService } from './storage-service.js';
+import { bookmarkService } from './bookmark-service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TRASH_FOLDER_NAME = '__trash__';
+
+/** How long trashed items are kept, in ms (0 = until emptied). */
+export const TRASH_RETENTION = {
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS,
+  '90d': 90 * DAY_MS,
+  never: 0,
+};
+
+export const DEFAULT_TRASH_RETENTION = '30d';
+
+class TrashService {
+  /**
+   * ID of the trash folder, created on demand.
+   * @param {boolean} [create=false]
+   * @returns {Promise<string|null>} null if it doesn't exist (or there is no Arc Spaces root)
+   */
+  async getFolderId(create = false) {
+    const rootId = await storageService.getArcSpacesRootIdLocal();
+    if (!rootId) return null;
+    const children = await bookmarkService.getChildren(rootId);
+    const folder = children.find(c => !c.url && c.title === TRASH_FOLDER_NAME);
+    if (folder) return folder.id;
+    if (!create) return null;
+    const created = await bookmarkService.create({ parentId: rootId, title: TRASH_FOLDER_NAME });
+    return created.id;
+  }
+
+  /**
+   * Move a bookmark or folder to the trash.
+   * @param {string} id
+   * @param {Object} [meta]
+   * @param {string} [meta.workspaceId] - Workspace it was deleted from
+   * @param {string[]} [meta.pinned] - IDs in the subtree that were pinned there
+   * @param {Object} [meta.workspace] - For a workspace folder: the workspace item
+   * @param {number} [meta.workspaceIndex] - ...and its position in the workspace order
+   * @param {number} [now]
+   * @returns {Promise<Object>} The trash entry
+   */
+  async trash(id, meta = {}, now = Date.now()) {
+    const node = await bookmarkService.get(id);
+    if (!node) throw new Error(`Bookmark ${id} not found`);
+    const folderId = await this.getFolderId(true);
+    if (!folderId) throw new Error('Cannot trash: Arc Spaces root folder not found');
+
+    const entry = {
+      id,
+      title: node.title || '',
+      parentId: node.parentId,
+      index: node.index,
+      workspaceId: meta.workspaceId || null,
+      pinned: meta.pinned || [],
+      trashedAt: now,
+    };
+    if (node.url) entry.url = node.url;
+    if (meta.workspace) {
+      entry.workspace = meta.workspace;
+      entry.workspaceIndex = meta.workspaceIndex;
+    }
+
+    await bookmarkService.move(id, { parentId: folderId });
+    const entries = (await storageService.getTrash()).filter(e => e.id !== id);
+    await storageService.saveTrash([entry, ...entries]);
+    return entry;
+  }
+
+  /**
+   * Everything in the trash, newest first. Items that showed up in the trash
+   * folder without an entry (trashed on another device, bookmarks sync) get
+   * one dated now; entries whose item is gone are dropped.
+   * @param {number} [now]
+   * @returns {Promise<Array>}
+   */
+  async getAll(now = Date.now()) {
+    const folderId = await this.getFolderId();
+    const stored = await storageService.getTrash();
+    const children = folderId ? await bookmarkService.getChildren(folderId) : [];
+    const present = new Set(children.map(c => c.id));
+
+    const entries = stored.filter(e => present.has(e.id));
+    const known = new Set(entries.map(e => e.id));
+    const untracked = children.filter(c => !known.has(c.id)).map(c => {
+      const entry = { id: c.id, title: c.title || '', parentId: null, index: undefined, workspaceId: null, pinned: [], trashedAt: now };
+      if (c.url) entry.url = c.url;
+      return entry;
+    });
+
+    const all = [...untracked, ...entries];
+    if (untracked.length > 0 || entries.length !== stored.length) {
+      await storageService.saveTrash(all);
+    }
+    return all;
+  }
+
+  /**
+   * Get the entry for a trashed item.
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const entries = await this.getAll();
+    return entries.find(e => e.id === id) || null;
+  }
+
+  /**
+   * Move an item back to where it was deleted from. If that folder is gone
+   * too, it goes to the fallback folder instead.
+   * @param {string} id
+   * @param {string} [fallbackParentId]
+   * @returns {Promise<Object>} The entry, with parentId set to where it went
+   */
+  async restore(id, fallbackParentId) {
+    const entry = await this.get(id);
+    if (!entry) throw new Error(`Bookmark ${id} is not in the trash`);
+
+    const original = entry.parentId ? await bookmarkService.get(entry.parentId) : null;
+    const parentId = original ? entry.parentId : fallbackParentId;
+    if (!parentId) throw new Error(`Nowhere to restore bookmark ${id} to`);
+
+    const destination = { parentId };
+    if (original && entry.index !== undefined) {
+      const siblings = await bookmarkService.getChildren(parentId);
+      destination.index = Math.min(entry.index, siblings.length);
+    }
+    await bookmarkService.move(id, destination);
+    await this._forget([id]);
+    return { ...entry, parentId };
+  }
+
+  /**
+   * Permanently delete one trashed item.
+   * @param {string} id
+   */
+  async remove(id) {
+    try { await bookmarkService.removeTree(id); } catch { /* already gone */ }
+    await this._forget([id]);
+  }
+
+  /**
+   * Permanently delete everything in the trash.
+   * @returns {Promise<number>} Number of items deleted
+   */
+  async empty() {
+    const entries = await this.getAll();
+    for (const entry of entries) {
+      try { await bookmarkService.removeTree(entry.id); } catch { /* already gone */ }
+    }
+    await storageService.saveTrash([]);
+    return entries.length;
+  }
+
+  /**
+   * Permanently delete items trashed longer ago than the retention setting.
+   * Called from the service worker on an alarm.
+   * @param {number} [now]
+   * @returns {Promise<number>} Number of items deleted
+   */
+  async purgeExpired(now = Date.now()) {
+    const maxAge = TRASH_RETENTION[await this.getRetention()];
+    if (!maxAge) return 0;
+    const expired = (await this.getAll(now)).filter(e => now - e.trashedAt > maxAge);
+    for (const entry of expired) {
+      try { await bookmarkService.removeTree(entry.id); } catch { /* already gone */ }
+    }
+    await this._forget(expired.map(e => e.id));
+    return expired.length;
+  }
+
+  /**
+   * How long trashed items are kept.
+   * @returns {Promise<string>} One of the TRASH_RETENTION keys
+   */
+  async getRetention() {
+    const settings = await storageService.getSettings();
+    const period = settings && settings.trashRetention;
+    return period in TRASH_RETENTION ? period : DEFAULT_TRASH_RETENTION;
+  }
+
+  /**
+   * Set how long trashed items are kept (synced).
+   * @param {string} period - One of the TRASH_RETENTION keys
+   */
+  async setRetention(period) {
+    if (!(period in TRASH_RETENTION)) return;
+    await storageService.updateSetting('trashRetention', period);
+  }
+
+  async _forget(ids) {
+    if (ids.length === 0) return;
+    const drop = new Set(ids);
+    const entries = await storageService.getTrash();
+    await storageService.saveTrash(entries.filter(e => !drop.has(e.id)));
+  }
+}
+
+export const trashService = new TrashService();
@@ -0,0 +1,425 @@
+// Undo journal — makes destructive bookmark and workspace operations reversible
+// A mutation is a list of steps. Running a step returns the step that reverses
+// it, so undo and redo share one interpreter: undoing an entry records its
+// inverse for redo and vice versa. Deletes move items to the trash and also
+// keep a full subtree snapshot, so they can be undone after the trash is
+// emptied. Recreated bookmarks get new IDs; the old → new mapping (idMap) lets
+// older entries find them. Kept in chrome.storage.local so it survives a reload.
+
+import { storageService } from './storage-service.js';
+import { bookmarkService } from './bookmark-service.js';
+import { workspaceService } from './workspace-service.js';
+import { trashService } from './trash-service.js';
+import { tagService } from './tag-service.js';
+import { noteService } from './note-service.js';
+import { bus, Events } from '../utils/event-bus.js';
+
+// Oldest entries are dropped once either stack grows past this
+const JOURNAL_LIMIT = 30;
+
+/**
+ * Follow the idMap to the current ID of a (possibly recreated) bookmark.
+ * @param {Object<string, string>} idMap
+ * @param {string} id
+ * @returns {string}
+ */
+function resolveId(idMap, id) {
+  while (id && idMap[id]) id = idMap[id];
+  return id;
+}
+
+/**
+ * Drop idMap entries no step on either stack can reach any more, once
+ * entries fall off the stacks (JOURNAL_LIMIT, redo cleared by a new action).
+ * Steps store resolved IDs when recorded, so only older entries ever need
+ * the map; a chain old → … → current is kept whole from any ID still used.
+ * @param {{undo: Object[], redo: Object[], idMap: Object<string, string>}} journal
+ */
+function pruneIdMap(journal) {
+  const used = new Set();
+  const addNode = (node) => {
+    used.add(node.id);
+    (node.children || []).forEach(addNode);
+  };
+  for (const entry of [...journal.undo, ...journal.redo]) {
+    for (const step of entry.steps) {
+      for (const id of [step.id, step.newId, step.parentId]) {
+        if (id) used.add(id);
+      }
+      if (step.node) addNode(step.node);
+      if (step.workspace) (step.workspace.pinnedBookmarks || []).forEach(m => used.add(m.id));
+    }
+  }
+
+  const kept = {};
+  for (let id of used) {
+    while (id && journal.idMap[id] && !(id in kept)) {
+      kept[id] = journal.idMap[id];
+      id = journal.idMap[id];
+    }
+  }
+  journal.idMap = kept;
+}
+
+/**
+ * Copy of a bookmark subtree with only what's needed to recreate it.
+ * @param {chrome.bookmarks.BookmarkTreeNode} node
+ * @returns {Object}
+ */
+function snapshot(node) {
+  const copy = { id: node.id, title: node.title || '' };
+  if (node.url) copy.url = node.url;
+  if (node.children) copy.children = node.children.map(snapshot);
+  return copy;
+}
+
+class UndoService {
+  constructor() {
+    this._queue = Promise.resolve();  // journal updates run one at a time
+  }
+
+  /**
+   * Move bookmarks/folders to the trash, unpinning them and their
+   * descendants from the active workspace first.
+   * @param {string[]} ids
+   * @param {string} label - Shown as "Undo: <label>"
+   * @returns {Promise<string|null>} The label, or null if nothing was deleted
+   */
+  async deleteBookmarks(ids, label) {
+    const ws = workspaceService.getActive();
+    const steps = [];
+    for (const id of ids) {
+      const [node] = await bookmarkService.getSubTree(id);
+      if (!node) continue;
+      const unpin = this._unpinSteps(node);
+      steps.push(...unpin, {
+        op: 'trash',
+        id,
+        workspaceId: ws ? ws.id : null,
+        pinned: unpin.map(step => step.id)
+      });
+    }
+    return this.run(label, steps);
+  }
+
+  /**
+   * Move bookmarks/folders to another workspace's root folder, unpinning
+   * them and their descendants from the active workspace first.
+   * @param {string[]} ids
+   * @param {Object} targetWorkspace
+   * @param {string} label
+   * @returns {Promise<string|null>}
+   */
+  async moveToWorkspace(ids, targetWorkspace, label) {
+    const steps = [];
+    for (const id of ids) {
+      const [node] = await bookmarkService.getSubTree(id);
+      if (!node) continue;
+      steps.push(...this._unpinSteps(node), { op: 'move', id, parentId: targetWorkspace.rootFolderId });
+    }
+    return this.run(label, steps);
+  }
+
+  /**
+   * Delete a workspace and its bookmark folder.
+   * @param {string} workspaceId
+   * @param {string} label
+   * @returns {Promise<string|null>}
+   */
+  async deleteWorkspace(workspaceId, label) {
+    return this.run(label, [{ op: 'deleteWorkspace', workspaceId }]);
+  }
+
+  /**
+   * Run steps and record their inverse as one undoable entry.
+   * Clears the redo stack.
+   * @param {string} label
+   * @param {Object[]} steps
+   * @returns {Promise<string|null>}
+   */
+  async run(label, steps) {
+    if (steps.length === 0) return null;
+    return this._serialize(async () => {
+      const journal = await storageService.getUndoJournal();
+      const { inverse, error } = await this._apply(steps, journal.idMap);
+      if (inverse.length > 0) {
+        journal.undo = [...journal.undo, { label, steps: inverse, at: Date.now() }].slice(-JOURNAL_LIMIT);
+        journal.redo = [];
+      }
+      pruneIdMap(journal);
+      await storageService.saveUndoJournal(journal);
+      if (error) throw error;
+      return label;
+    });
+  }
+
+  /**
+   * Undo the most recent entry.
+   * @returns {Promise<string|null>} Its label, or null if there was nothing to undo
+   */
+  async undo() {
+    return this._replay('undo', 'redo');
+  }
+
+  /**
+   * Redo the most recently undone entry.
+   * @returns {Promise<string|null>} Its label, or null if there was nothing to redo
+   */
+  async redo() {
+    return this._replay('redo', 'undo');
+  }
+
+  /**
+   * Labels of the entries the next undo and redo would apply.
+   * @returns {Promise<{undo: string|null, redo: string|null}>}
+   */
+  async peek() {
+    const journal = await storageService.getUndoJournal();
+    const last = (stack) => stack.length > 0 ? stack[stack.length - 1].label : null;
+    return { undo: last(journal.undo), redo: last(journal.redo) };
+  }
+
+  /**
+   * Apply the top entry of one stack and push its inverse onto the other.
+   * A step that fails (its folder is gone, say) drops the rest of the entry.
+   * @param {'undo'|'redo'} from
+   * @param {'undo'|'redo'} to
+   * @returns {Promise<string|null>}
+   */
+  async _replay(from, to) {
+    return this._serialize(async () => {
+      const journal = await storageService.getUndoJournal();
+      const entry = journal[from].pop();
+      if (!entry) return null;
+
+      const { inverse, error } = await this._apply(entry.steps, journal.idMap);
+      if (inverse.length > 0) {
+        journal[to] = [...journal[to], { ...entry, steps: inverse }].slice(-JOURNAL_LIMIT);
+      }
+      pruneIdMap(journal);
+      await storageService.saveUndoJournal(journal);
+      bus.emit(Events.TREE_REFRESH);
+      if (error) throw error;
+      return entry.label;
+    });
+  }
+
+  /**
+   * Run steps in order, collecting their inverses in reverse order.
+   * Stops at the first failing step.
+   * @param {Object[]} steps
+   * @param {Object<string, string>} idMap - Updated in place
+   * @returns {Promise<{inverse: Object[], error: Error|null}>}
+   */
+  async _apply(steps, idMap) {
+    const inverse = [];
+    for (const step of steps) {
+      try {
+        inverse.unshift(await this._applyStep(step, idMap));
+      } catch (err) {
+        return { inverse, error: err };
+      }
+    }
+    return { inverse, error: null };
+  }
+
+  /**
+   * Run one step.
+   * @param {Object} step
+   * @param {Object<string, string>} idMap
+   * @returns {Promise<Object>} The step that reverses it
+   */
+  async _applyStep(step, idMap) {
+    switch (step.op) {
+      case 'trash': {
+        const id = resolveId(idMap, step.id);
+        const [node] = await bookmarkService.getSubTree(id);
+        if (!node) throw new Error(`Bookmark ${id} not found`);
+        await trashService.trash(id, { workspaceId: step.workspaceId, pinned: step.pinned });
+        bus.emit(Events.BOOKMARK_REMOVED, { id });
+        return {
+          op: 'untrash',
+          id,
+          workspaceId: step.workspaceId,
+          pinned: step.pinned,
+          node: snapshot(node),
+          parentId: node.parentId,
+          index: node.index
+        };
+      }
+
+      case 'untrash': {
+        // Pins come back through the journal's own pin steps
+        let id = resolveId(idMap, step.id);
+        if (await trashService.get(id)) {
+          await trashService.restore(id, resolveId(idMap, step.parentId));
+        } else if (!await bookmarkService.get(id)) {
+          // Trash was emptied since — recreate from the snapshot
+          id = await this._createTree(step.node, resolveId(idMap, step.parentId), step.index, idMap);
+        }
+        // Otherwise it was restored from the Trash view already
+        return { op: 'trash', id, workspaceId: step.workspaceId, pinned: step.pinned };
+      }
+
+      case 'move': {
+        const id = resolveId(idMap, step.id);
+        const current = await bookmarkService.get(id);
+        if (!current) throw new Error(`Bookmark ${id} not found`);
+        const destination = { parentId: resolveId(idMap, step.parentId) };
+        if (step.index !== undefined) destination.index = step.index;
+        await bookmarkService.move(id, destination);
+        return { op: 'move', id, parentId: current.parentId, index: current.index };
+      }
+
+      case 'pin':
+      case 'unpin': {
+        const id = resolveId(idMap, step.id);
+        if (step.op === 'pin') {
+          await workspaceService.pinBookmark(id, step.workspaceId);
+        } else {
+          await workspaceService.unpinBookmark(id, step.workspaceId);
+        }
+        return { op: step.op === 'pin' ? 'unpin' : 'pin', id, workspaceId: step.workspaceId };
+      }
+
+      case 'replacePin': {
+        // Swap a pin for another bookmark in place; if that one was already
+        // pinned the old pin is just dropped, and comes back at the end
+        const id = resolveId(idMap, step.id);
+        const newId = resolveId(idMap, step.newId);
+        const hadNew = workspaceService.isPinned(newId, step.workspaceId);
+        await workspaceService.replacePinned(id, newId, step.workspaceId);
+        return hadNew
+          ? { op: 'pin', id, workspaceId: step.workspaceId }
+          : { op: 'replacePin', id: newId, newId: id, workspaceId: step.workspaceId };
+      }
+
+      case 'moveUrl': {
+        // Carry a URL's shortcuts, tags and note over to another (duplicates
+        // being merged), remembering both URLs' data to put back
+        const tags = await tagService.getAll();
+        const notes = await noteService.getAll();
+        const inverse = {
+          op: 'restoreUrl',
+          from: step.from,
+          to: step.to,
+          tags: { from: tags[step.from] || [], to: tags[step.to] || [] },
+          notes: { from: notes[step.from] || '', to: notes[step.to] || '' },
+          shortcuts: workspaceService.getAll()
+            .filter(ws => (ws.shortcuts || []).some(sc => sc.url === step.from))
+            .map(ws => ({ workspaceId: ws.id, shortcuts: ws.shortcuts.map(sc => ({ ...sc })) }))
+        };
+        await workspaceService.replaceShortcutUrl(step.from, step.to);
+        await tagService.moveUrl(step.from, step.to);
+        await noteService.moveUrl(step.from, step.to);
+        return inverse;
+      }
+
+      case 'restoreUrl': {
+        for (const { workspaceId, shortcuts } of step.shortcuts) {
+          await workspaceService.setShortcuts(workspaceId, shortcuts);
+        }
+        await tagService.setTags(step.from, step.tags.from);
+        await tagService.setTags(step.to, step.tags.to);
+        await noteService.setNote(step.from, step.notes.from);
+        await noteService.setNote(step.to, step.notes.to);
+        return { op: 'moveUrl', from: step.from, to: step.to };
+      }
+
+      case 'deleteWorkspace': {
+        const ws = workspaceService.getById(step.workspaceId);
+        if (!ws) throw new Error(`Workspace ${step.workspaceId} not found`);
+        const all = workspaceService.getAll();
+        if (all.length <= 1) throw new Error('Cannot delete the last workspace');
+
+        const [folder] = await bookmarkService.getSubTree(ws.rootFolderId);
+        const { rootFolderId, pinnedBookmarkIds, ...item } = ws;
+        const inverse = {
+          op: 'restoreWorkspace',
+          workspace: item,
+          index: all.indexOf(ws),
+          node: folder ? snapshot(folder) : { id: rootFolderId, title: ws.name, children: [] },
+          parentId: folder ? folder.parentId : await storageService.getArcSpacesRootIdLocal()
+        };
+        await workspaceService.delete(ws.id);
+        return inverse;
+      }
+
+      case 'restoreWorkspace': {
+        const folderId = resolveId(idMap, step.node.id);
+        const trashed = await trashService.get(folderId);
+        if (trashed && trashed.workspace) {
+          await workspaceService.restoreFromTrash(folderId);
+          return { op: 'deleteWorkspace', workspaceId: step.workspace.id };
+        }
+
+        // Restored from the Trash view already
+        if (workspaceService.getById(step.workspace.id)) {
+          return { op: 'deleteWorkspace', workspaceId: step.workspace.id };
+        }
+
+        // Trash was emptied since — recreate the folder from the snapshot,
+        // unless it's still there
+        const rootFolderId = await bookmarkService.get(folderId)
+          ? folderId
+          : await this._createTree(step.node, resolveId(idMap, step.parentId), undefined, idMap);
+        const workspace = {
+          ...step.workspace,
+          pinnedBookmarks: (step.workspace.pinnedBookmarks || []).map(m => ({ ...m, id: resolveId(idMap, m.id) }))
+        };
+        await workspaceService.restore(workspace, rootFolderId, step.index);
+        return { op: 'deleteWorkspace', workspaceId: workspace.id };
+      }
+
+      default:
+        throw new Error(`Unknown undo step: ${step.op}`);
+    }
+  }
+
+  /**
+   * Recreate a snapshot, mapping each old ID to its new one.
+   * @param {Object} node - From snapshot()
+   * @param {string} parentId
+   * @param {number} [index]
+   * @param {Object<string, string>} idMap
+   * @returns {Promise<string>} ID of the recreated root
+   */
+  async _createTree(node, parentId, index, idMap) {
+    const created = await bookmarkService.create({ parentId, title: node.title, url: node.url, index });
+    idMap[node.id] = created.id;
+    for (const child of node.children || []) {
+      await this._createTree(child, created.id, undefined, idMap);
+    }
+    return created.id;
+  }
+
+  /**
+   * Unpin steps for the pinned nodes of a subtree in the active workspace.
+   * @param {chrome.bookmarks.BookmarkTreeNode} root
+   * @returns {Object[]}
+   */
+  _unpinSteps(root) {
+    const ws = workspaceService.getActive();
+    if (!ws) return [];
+    const steps = [];
+    const walk = (n) => {
+      if (workspaceService.isPinned(n.id)) steps.push({ op: 'unpin', id: n.id, workspaceId: ws.id });
+      if (n.children) n.children.forEach(walk);
+    };
+    walk(root);
+    return steps;
+  }
+
+  /**
+   * Queue a journal update behind the ones already running.
+   * @param {Function} fn
+   * @returns {Promise<*>}
+   */
+  _serialize(fn) {
+    const result = this._queue.then(fn);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+}
+
+export const undoService = new UndoService();
@@ -1,17 +1,34 @@
 // Workspace CRUD and state management
 // Workspaces are stored as split keys in chrome.storage.sync (v2 format):
 //   ws_meta  → { order: [...], version: 2 }
-//   ws_{id}  → { id, name, icon, color, colorScheme, pinnedBookmarks, shortcuts, created }
+//   ws_{id}  → { id, name, icon, color, colorScheme, pinnedBookmarks, shortcuts, routingRules, smartFolders, archiveAfter, created }
 // Device-local state (activeWorkspaceId, rootFolderIds) stored in chrome.storage.local.
+// Each window shows its own workspace (session binding win_{windowId}); the
+// local activeWorkspaceId is the last-used one, which new windows start on.
 // Each workspace maps to a Chrome bookmark folder under "Arc Spaces".
 // This service OWNS all first-run initialization (not the service worker).
 
 import { storageService } from './storage-service.js';
 import { bookmarkService } from './bookmark-service.js';
+import { tabGroupService } from './tab-group-service.js';
+import { ARCHIVE_PERIODS, DEFAULT_ARCHIVE_AFTER } from './archive-service.js';
+import { compileRule } from './routing-service.js';
+import { SMART_FOLDER_PREFIX } from './smart-folder-service.js';
+import { trashService, TRASH_FOLDER_NAME } from './trash-service.js';
 import { bus, Events } from '../utils/event-bus.js';
 
 const SHORTCUTS_FOLDER_NAME = '__shortcuts__';
 
+/**
+ * Whether a child of the Arc Spaces root is a workspace folder (not a
+ * bookmark, not the trash).
+ * @param {chrome.bookmarks.BookmarkTreeNode} node
+ * @returns {boolean}
+ */
+function isWorkspaceFolder(node) {
+  return !node.url && node.title !== TRASH_FOLDER_NAME;
+}
+
 /**
  * Regex to match a single emoji (or ZWJ sequence) at the start of a string,
  * followed by a space. Covers most common emoji including skin tones and flags.
@@ -63,6 +80,7 @@ class WorkspaceService {
     this._order = [];        // workspace ID order (from ws_meta)
     this._items = {};        // workspace items keyed by ID
     this._localState = null; // { activeWorkspaceId, rootFolderIds }
+    this._windowId = null;   // window this side panel belongs to
     this._arcSpacesRootId = null;
     // Delay before first-run setup writes — gives Chrome sync time to propagate.
     // Can be set to 0 in tests.
@@ -76,6 +94,11 @@ class WorkspaceService {
     return WORKSPACE_COLORS;
   }
 
+  /** ID of the window this side panel belongs to (null until init). */
+  get windowId() {
+    return this._windowId;
+  }
+
   // ── Persistence Helpers ───────────────────────────────
 
   /**
@@ -228,10 +251,14 @@ class WorkspaceService {
     this._localState = await storageService.getWorkspaceLocal();
     this._arcSpacesRootId = await storageService.getArcSpacesRootIdLocal();
 
-    // Use local activeWorkspaceId (fallback to first in order)
+    // This window's workspace, else the last-used one (fallback to first in order)
+    await this._resolveWindowWorkspace();
     if (!this._localState.activeWorkspaceId || !this._items[this._localState.activeWorkspaceId]) {
       this._localState.activeWorkspaceId = this._order[0] || null;
     }
+    if (this._windowId !== null && this._localState.activeWorkspaceId) {
+      await storageService.setWindowWorkspace(this._windowId, this._localState.activeWorkspaceId);
+    }
 
     // Attach rootFolderIds from local state to in-memory items
     for (const wsId of this._order) {
@@ -253,6 +280,27 @@ class WorkspaceService {
     console.log('Arc Spaces init complete:', this._order.length, 'workspaces loaded:', this._order);
   }
 
+  /**
+   * Look up the side panel's window and adopt the workspace it was showing.
+   * New windows have no binding yet and keep the last-used workspace.
+   */
+  async _resolveWindowWorkspace() {
+    if (this._windowId === null) {
+      try {
+        const win = await chrome.windows.getCurrent();
+        this._windowId = win ? win.id : null;
+      } catch {
+        this._windowId = null;
+      }
+    }
+    if (this._windowId === null) return;
+
+    const bound = await storageService.getWindowWorkspace(this._windowId);
+    if (bound && this._items[bound]) {
+      this._localState.activeWorkspaceId = bound;
+    }
+  }
+
   /**
    * Continue initialization after reinstall prompt — user chose "Restore".
    * Runs the remaining init steps that were deferred.
@@ -510,7 +558,7 @@ class WorkspaceService {
       const bestRootId = await this._findBestArcSpacesRoot();
       if (bestRootId) {
         const rootChildren = await bookmarkService.getChildren(bestRootId);
-        const subfolders = rootChildren.filter(c => !c.url);
+        const subfolders = rootChildren.filter(isWorkspaceFolder);
 
         if (subfolders.length > 0) {
           // Check for meaningful content: >1 subfolder, or 1 subfolder with bookmarks
@@ -692,7 +740,7 @@ class WorkspaceService {
 
     for (const candidate of candidates) {
       const children = await bookmarkService.getChildren(candidate.id);
-      const folderChildren = children.filter(c => !c.url);
+      const folderChildren = children.filter(isWorkspaceFolder);
       // Primary score: number of folder children
       let score = folderChildren.length * 1000;
       // Tiebreaker: how many folder names match synced workspace names
@@ -755,7 +803,7 @@ class WorkspaceService {
     }
 
     const localChildren = await bookmarkService.getChildren(this._arcSpacesRootId);
-    const localFolders = localChildren.filter(c => !c.url);
+    const localFolders = localChildren.filter(isWorkspaceFolder);
     let changed = false;
 
     if (!this._localState) {
@@ -850,7 +898,7 @@ class WorkspaceService {
     }
 
     const children = await bookmarkService.getChildren(rootId);
-    const subfolders = children.filter(c => !c.url);
+    const subfolders = children.filter(isWorkspaceFolder);
     if (subfolders.length === 0) return 0;
 
     // Build set of already-claimed folder IDs
@@ -918,7 +966,7 @@ class WorkspaceService {
     const rootId = await this._findBestArcSpacesRoot();
     if (!rootId) return [];
     const children = await bookmarkService.getChildren(rootId);
-    return children.filter(c => !c.url).map(c => c.title);
+    return children.filter(isWorkspaceFolder).map(c => c.title);
   }
 
   // ── Shortcut Bookmark Persistence ─────────────────
@@ -1005,6 +1053,10 @@ class WorkspaceService {
     return this._order.map(id => this._items[id]).filter(Boolean);
   }
 
+  /**
+   * Get the workspace shown in this side panel's window.
+   * @returns {Object|null}
+   */
   getActive() {
     if (!this._localState || !this._localState.activeWorkspaceId) return null;
     return this._items[this._localState.activeWorkspaceId] || null;
@@ -1016,11 +1068,24 @@ class WorkspaceService {
 
   // ── Workspace CRUD ────────────────────────────────────
 
+  /**
+   * Switch this side panel's window to a workspace. Other windows keep
+   * theirs; the choice also becomes the last-used workspace for new windows.
+   * @param {string} workspaceId
+   */
   async switchTo(workspaceId) {
     if (!this._items[workspaceId]) return;
+    const previous = this.getActive();
     this._localState.activeWorkspaceId = workspaceId;
-    // Only save to LOCAL — switching is device-specific, no sync write
+    // Only save to LOCAL/SESSION — switching is device-specific, no sync write
     await this._saveLocal();
+    if (this._windowId !== null) {
+      await storageService.setWindowWorkspace(this._windowId, workspaceId);
+    }
+    // Swap tab groups so the tab strip follows the active workspace
+    if (!previous || previous.id !== workspaceId) {
+      await tabGroupService.swap(previous, this._items[workspaceId]);
+    }
     bus.emit(Events.WORKSPACE_CHANGED, this.getActive());
   }
 
@@ -1132,11 +1197,48 @@ class WorkspaceService {
     bus.emit(Events.WORKSPACE_RENAMED, ws);
   }
 
+  /**
+   * Get how long a workspace's tabs may sit idle before being archived.
+   * @param {string} workspaceId
+   * @returns {string} One of the ARCHIVE_PERIODS keys
+   */
+  getArchiveAfter(workspaceId) {
+    const ws = this._items[workspaceId];
+    return (ws && ws.archiveAfter) || DEFAULT_ARCHIVE_AFTER;
+  }
+
+  /**
+   * Set how long a workspace's tabs may sit idle before being archived.
+   * @param {string} workspaceId
+   * @param {string} period - One of the ARCHIVE_PERIODS keys ('12h', '24h', '7d', 'never')
+   */
+  async setArchiveAfter(workspaceId, period) {
+    const ws = this._items[workspaceId];
+    if (!ws || !(period in ARCHIVE_PERIODS)) return;
+    ws.archiveAfter = period;
+    await this._saveItem(workspaceId);
+  }
+
+  /**
+   * Delete a workspace. Its bookmark folder goes to the trash along with the
+   * workspace settings, so restoreFromTrash() can bring both back.
+   * @param {string} workspaceId
+   * @returns {Promise<Object|null>} The trash entry, or null if the folder was already gone
+   */
   async delete(workspaceId) {
-    if (this._order.length <= 1) return;
+    if (this._order.length <= 1) return null;
     const ws = this._items[workspaceId];
-    if (!ws) return;
-    try { await bookmarkService.removeTree(ws.rootFolderId); } catch { /* already gone */ }
+    if (!ws) return null;
+    // Any failure other than a missing folder aborts before the workspace
+    // is forgotten, so the folder is never left without a trash entry
+    let entry = null;
+    if (ws.rootFolderId && await bookmarkService.get(ws.rootFolderId)) {
+      entry = await trashService.trash(ws.rootFolderId, {
+        workspaceId,
+        workspace: this._syncableItem(ws),
+        workspaceIndex: this._order.indexOf(workspaceId)
+      });
+    }
     delete this._items[workspaceId];
     this._order = this._order.filter(id => id !== workspaceId);
     delete this._localState.rootFolderIds[workspaceId];
@@ -1150,12 +1252,68 @@ class WorkspaceService {
     await this._saveLocal();
     bus.emit(Events.WORKSPACE_DELETED, { id: workspaceId });
     bus.emit(Events.WORKSPACE_CHANGED, this.getActive());
+    return entry;
+  }
+
+  /**
+   * Put a trashed item back where it was deleted from. A workspace folder
+   * brings its workspace back; other items are pinned again in the
+   * workspace they were deleted from. Items whose folder is gone land in
+   * the active workspace.
+   * @param {string} bookmarkId
+   * @returns {Promise<Object>} The trash entry
+   */
+  async restoreFromTrash(bookmarkId) {
+    const active = this.getActive();
+    const entry = await trashService.get(bookmarkId);
+    if (entry && entry.workspace) {
+      const restored = await trashService.restore(bookmarkId, this._arcSpacesRootId);
+      await this.restore(entry.workspace, bookmarkId, entry.workspaceIndex);
+      return restored;
+    }
+
+    const restored = await trashService.restore(bookmarkId, active ? active.rootFolderId : null);
+    const ws = this.getById(restored.workspaceId);
+    if (ws) {
+      for (const id of restored.pinned) {
+        await this.pinBookmark(id, ws.id);
+      }
+    }
+    bus.emit(Events.TREE_REFRESH);
+    return restored;
+  }
+
+  /**
+   * Put a deleted workspace back (undo). Its bookmark folder must already
+   * have been recreated.
+   * @param {Object} item - The workspace as stored in sync
+   * @param {string} rootFolderId - The recreated bookmark folder
+   * @param {number} [index] - Position in the workspace order
+   * @returns {Promise<Object>}
+   */
+  async restore(item, rootFolderId, index = this._order.length) {
+    if (this._items[item.id]) return this._items[item.id];
+    this._items[item.id] = { ...this._syncableItem(item), rootFolderId };
+    this._order.splice(Math.min(index, this._order.length), 0, item.id);
+    this._localState.rootFolderIds[item.id] = rootFolderId;
+
+    await this._saveItem(item.id);
+    await this._saveMeta();
+    await this._saveLocal();
+
+    bus.emit(Events.WORKSPACE_CREATED, this._items[item.id]);
+    return this._items[item.id];
   }
 
   // ── Pinned Bookmarks ─────────────────────────────────
 
-  async pinBookmark(bookmarkId) {
-    const ws = this.getActive();
+  /**
+   * Pin a bookmark or folder.
+   * @param {string} bookmarkId
+   * @param {string} [workspaceId] - Defaults to the active workspace
+   */
+  async pinBookmark(bookmarkId, workspaceId) {
+    const ws = workspaceId ? this.getById(workspaceId) : this.getActive();
     if (!ws) return;
     if (!ws.pinnedBookmarks) ws.pinnedBookmarks = [];
     // Also maintain pinnedBookmarkIds for in-memory lookups
@@ -1177,8 +1335,13 @@ class WorkspaceService {
     bus.emit(Events.BOOKMARK_PINNED, { bookmarkId, workspaceId: ws.id });
   }
 
-  async unpinBookmark(bookmarkId) {
-    const ws = this.getActive();
+  /**
+   * Unpin a bookmark or folder.
+   * @param {string} bookmarkId
+   * @param {string} [workspaceId] - Defaults to the active workspace
+   */
+  async unpinBookmark(bookmarkId, workspaceId) {
+    const ws = workspaceId ? this.getById(workspaceId) : this.getActive();
     if (!ws) return;
     if (!ws.pinnedBookmarkIds) ws.pinnedBookmarkIds = (ws.pinnedBookmarks || []).map(m => m.id);
     ws.pinnedBookmarkIds = ws.pinnedBookmarkIds.filter(id => id !== bookmarkId);
@@ -1189,13 +1352,51 @@ class WorkspaceService {
     bus.emit(Events.BOOKMARK_UNPINNED, { bookmarkId, workspaceId: ws.id });
   }
 
-  isPinned(bookmarkId) {
-    const ws = this.getActive();
+  isPinned(bookmarkId, workspaceId) {
+    const ws = workspaceId ? this.getById(workspaceId) : this.getActive();
     if (!ws) return false;
     if (!ws.pinnedBookmarkIds) ws.pinnedBookmarkIds = (ws.pinnedBookmarks || []).map(m => m.id);
     return ws.pinnedBookmarkIds.includes(bookmarkId);
   }
 
+  /**
+   * Point a workspace's pin of one bookmark at another (duplicates being
+   * merged). The pin keeps its position; a workspace that already pins the
+   * replacement just drops the old pin. Pins live in their own workspace's
+   * folder, so the replacement should be a bookmark of that workspace.
+   * @param {string} oldId
+   * @param {string} newId
+   * @param {string} [workspaceId] - Defaults to every workspace
+   * @returns {Promise<string[]>} IDs of the workspaces that changed
+   */
+  async replacePinned(oldId, newId, workspaceId) {
+    const changed = [];
+    const bm = await bookmarkService.get(newId);
+    const workspaces = workspaceId ? [this.getById(workspaceId)].filter(Boolean) : this.getAll();
+    for (const ws of workspaces) {
+      const pins = ws.pinnedBookmarks || [];
+      const index = pins.findIndex(m => m.id === oldId);
+      if (index === -1) continue;
+
+      if (pins.some(m => m.id === newId)) {
+        pins.splice(index, 1);
+      } else {
+        const meta = { id: newId };
+        if (bm) {
+          if (bm.url) meta.url = bm.url;
+          meta.title = bm.title;
+        }
+        pins.splice(index, 1, meta);
+      }
+      ws.pinnedBookmarks = pins;
+      ws.pinnedBookmarkIds = pins.map(m => m.id);
+      await this._saveItem(ws.id);
+      changed.push(ws.id);
+    }
+    if (changed.length > 0) bus.emit(Events.BOOKMARK_PINNED, { bookmarkId: newId });
+    return changed;
+  }
+
   // ── Website Shortcuts ──────────────────────────────
 
   /**
@@ -1242,6 +1443,195 @@ class WorkspaceService {
     bus.emit(Events.SHORTCUT_REMOVED, { url, workspaceId: ws.id });
   }
 
+  /**
+   * Point every workspace's shortcut to one URL at another (duplicates
+   * being merged). A workspace that already has the new URL drops the old one.
+   * @param {string} oldUrl
+   * @param {string} newUrl
+   * @returns {Promise<string[]>} IDs of the workspaces that changed
+   */
+  async replaceShortcutUrl(oldUrl, newUrl) {
+    const changed = [];
+    if (!oldUrl || !newUrl || oldUrl === newUrl) return changed;
+    for (const ws of this.getAll()) {
+      const shortcuts = ws.shortcuts || [];
+      const index = shortcuts.findIndex(sc => sc.url === oldUrl);
+      if (index === -1) continue;
+
+      if (shortcuts.some(sc => sc.url === newUrl)) {
+        shortcuts.splice(index, 1);
+      } else {
+        shortcuts[index] = { ...shortcuts[index], url: newUrl };
+      }
+      ws.shortcuts = shortcuts;
+      await this._saveItem(ws.id);
+      await this._syncShortcutsToBookmarks(ws.id);
+      changed.push(ws.id);
+    }
+    if (changed.length > 0) bus.emit(Events.SHORTCUT_REMOVED, { url: oldUrl });
+    return changed;
+  }
+
+  /**
+   * Replace a workspace's shortcuts wholesale (undoing a merge).
+   * @param {string} workspaceId
+   * @param {Array<{url: string, title: string}>} shortcuts
+   */
+  async setShortcuts(workspaceId, shortcuts) {
+    const ws = this.getById(workspaceId);
+    if (!ws) return;
+    ws.shortcuts = shortcuts.map(sc => ({ ...sc }));
+    await this._saveItem(ws.id);
+    await this._syncShortcutsToBookmarks(ws.id);
+    bus.emit(Events.SHORTCUT_ADDED, { workspaceId: ws.id });
+  }
+
+  // ── URL Routing Rules ──────────────────────────────────
+
+  /**
+   * Get a workspace's URL routing patterns.
+   * @param {string} workspaceId
+   * @returns {string[]}
+   */
+  getRoutingRules(workspaceId) {
+    const ws = this._items[workspaceId];
+    return ws && ws.routingRules ? ws.routingRules : [];
+  }
+
+  /**
+   * Add a URL routing pattern to a workspace.
+   * @param {string} workspaceId
+   * @param {string} pattern - Host/path glob or /regex/
+   * @returns {Promise<boolean>} False if the pattern is invalid
+   */
+  async addRoutingRule(workspaceId, pattern) {
+    const ws = this._items[workspaceId];
+    const trimmed = (pattern || '').trim();
+    if (!ws || !compileRule(trimmed)) return false;
+    if (!ws.routingRules) ws.routingRules = [];
+    if (!ws.routingRules.includes(trimmed)) {
+      ws.routingRules.push(trimmed);
+      await this._saveItem(workspaceId);
+    }
+    return true;
+  }
+
+  /**
+   * Remove a URL routing pattern from a workspace.
+   * @param {string} workspaceId
+   * @param {string} pattern
+   */
+  async removeRoutingRule(workspaceId, pattern) {
+    const ws = this._items[workspaceId];
+    if (!ws || !ws.routingRules) return;
+    ws.routingRules = ws.routingRules.filter(p => p !== pattern);
+    await this._saveItem(workspaceId);
+  }
+
+  // ── Smart Folders ──────────────────────────────────────
+
+  /**
+   * Get the active workspace's smart folders.
+   * @returns {Array<{id: string, name: string, pinned: boolean, query: Object}>}
+   */
+  getSmartFolders() {
+    const ws = this.getActive();
+    return ws && ws.smartFolders ? ws.smartFolders : [];
+  }
+
+  /**
+   * Save a query as a smart folder in the active workspace.
+   * @param {string} name
+   * @param {Object} query - { text, domain, added, tag, workspaceId }
+   * @returns {Promise<Object|null>} The new smart folder
+   */
+  async addSmartFolder(name, query) {
+    const ws = this.getActive();
+    if (!ws) return null;
+    if (!ws.smartFolders) ws.smartFolders = [];
+
+    const smartFolder = {
+      id: SMART_FOLDER_PREFIX + Date.now().toString(36),
+      name: (name || '').trim() || 'Smart folder',
+      pinned: false,
+      query: this._cleanSmartQuery(query),
+    };
+    ws.smartFolders.push(smartFolder);
+    await this._saveItem(ws.id);
+    bus.emit(Events.TREE_REFRESH);
+    return smartFolder;
+  }
+
+  /**
+   * Rename a smart folder or change its query.
+   * @param {string} smartFolderId
+   * @param {{name?: string, query?: Object}} changes
+   */
+  async updateSmartFolder(smartFolderId, { name, query }) {
+    const ws = this.getActive();
+    const smartFolder = (ws && ws.smartFolders || []).find(f => f.id === smartFolderId);
+    if (!smartFolder) return;
+    if (name !== undefined && name.trim()) smartFolder.name = name.trim();
+    if (query !== undefined) smartFolder.query = this._cleanSmartQuery(query);
+    await this._saveItem(ws.id);
+    bus.emit(Events.TREE_REFRESH);
+  }
+
+  /**
+   * Delete a smart folder. Its bookmarks are untouched.
+   * @param {string} smartFolderId
+   */
+  async removeSmartFolder(smartFolderId) {
+    const ws = this.getActive();
+    if (!ws || !ws.smartFolders) return;
+    ws.smartFolders = ws.smartFolders.filter(f => f.id !== smartFolderId);
+    await this._saveItem(ws.id);
+    bus.emit(Events.TREE_REFRESH);
+  }
+
+  /**
+   * Pin a smart folder to the Pinned section.
+   * @param {string} smartFolderId
+   */
+  async pinSmartFolder(smartFolderId) {
+    await this._setSmartFolderPinned(smartFolderId, true);
+  }
+
+  /**
+   * Move a pinned smart folder back to the bookmark tree.
+   * @param {string} smartFolderId
+   */
+  async unpinSmartFolder(smartFolderId) {
+    await this._setSmartFolderPinned(smartFolderId, false);
+  }
+
+  async _setSmartFolderPinned(smartFolderId, pinned) {
+    const ws = this.getActive();
+    const smartFolder = (ws && ws.smartFolders || []).find(f => f.id === smartFolderId);
+    if (!smartFolder || smartFolder.pinned === pinned) return;
+    smartFolder.pinned = pinned;
+    await this._saveItem(ws.id);
+    bus.emit(pinned ? Events.BOOKMARK_PINNED : Events.BOOKMARK_UNPINNED, {
+      bookmarkId: smartFolderId,
+      workspaceId: ws.id
+    });
+  }
+
+  /**
+   * Keep only the set fields of a smart folder query.
+   * @param {Object} query
+   * @returns {Object}
+   */
+  _cleanSmartQuery(query = {}) {
+    const clean = {};
+    for (const key of ['text', 'domain', 'added', 'tag']) {
+      const value = typeof query[key] === 'string' ? query[key].trim() : '';
+      if (value) clean[key] = value;
+    }
+    clean.workspaceId = query.workspaceId || null;
+    return clean;
+  }
+
   // ── Pinned Bookmark Reconciliation ────────────────────
 
   /**
@@ -3,12 +3,18 @@
 
 import { workspaceService } from './services/workspace-service.js';
 import { themeService } from './services/theme-service.js';
-import { storageService } from './services/storage-service.js';
+import { storageService, isBucketKey } from './services/storage-service.js';
 import { WorkspaceSwitcher } from './components/workspace-switcher.js';
 import { ActionBar } from './components/action-bar.js';
 import { ShortcutBar } from './components/shortcut-bar.js';
 import { PinnedSection } from './components/pinned-section.js';
 import { UnpinnedSection } from './components/unpinned-section.js';
+import { TabSection } from './components/tab-section.js';
+import { CommandPalette } from './components/command-palette.js';
+import { showToast } from './components/toast.js';
+import { tabService } from './services/tab-service.js';
+import { undoService } from './services/undo-service.js';
+import { sortService } from './services/sort-service.js';
 import { bus, Events } from './utils/event-bus.js';
 
 class App {
@@ -18,6 +24,8 @@ class App {
     this.shortcutBar = null;
     this.pinnedSection = null;
     this.unpinnedSection = null;
+    this.tabSection = null;
+    this.commandPalette = null;
   }
 
   async init() {
@@ -62,6 +70,23 @@ class App {
       );
       await this.unpinnedSection.init();
 
+      this.tabSection = new TabSection(
+        document.getElementById('tab-section')
+      );
+      await this.tabSection.init();
+
+      this.commandPalette = new CommandPalette(
+        document.getElementById('app'),
+        { actionBar: this.actionBar }
+      );
+      this.commandPalette.init();
+
+      // Re-sort kept-sorted folders as bookmarks land in them
+      sortService.watch();
+
+      // Ctrl+Z / Ctrl+Shift+Z undo and redo deletes and workspace moves
+      document.addEventListener('keydown', (e) => this._onUndoKeydown(e));
+
       // Listen for workspace changes to update the theme
       bus.on(Events.WORKSPACE_CHANGED, (ws) => {
         if (ws) themeService.apply(ws.colorScheme);
@@ -92,16 +117,33 @@ class App {
             // Another device updated settings — apply locally
             this._handleSettingsSync(changes.settings.newValue);
           }
+          // Tags and notes are split over bucket keys (tags_0…, notes_0…)
+          if (Object.keys(changes).some(key => isBucketKey(key, 'tags'))) {
+            bus.emit(Events.TAGS_CHANGED);
+          }
+          if (Object.keys(changes).some(key => isBucketKey(key, 'notes'))) {
+            bus.emit(Events.NOTES_CHANGED);
+          }
+        } else if (area === 'local' && changes.linkHealth) {
+          // Scheduled link checks run in the service worker
+          bus.emit(Events.LINKS_CHECKED);
         }
       });
 
       // Also listen for sync relay messages from the service worker.
       // The service worker forwards sync:changed events so the side panel
       // can pick up changes that happened while it was closed.
-      chrome.runtime.onMessage.addListener((message) => {
+      chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (message && message.type === 'sync:changed') {
           this._handleRemoteSync();
         }
+        if (message && message.type === 'route:moved') {
+          this._offerRouteSwitch(message.data);
+        }
+        if (message && message.type === 'workspace:switch' && this._followWorkspaceCommand(message.data)) {
+          // Tell the service worker this panel swaps the tab groups
+          sendResponse({ switched: true });
+        }
       });
 
     } catch (err) {
@@ -203,6 +245,65 @@ class App {
     });
   }
 
+  /**
+   * A URL routing rule moved a tab in this window to another workspace —
+   * offer to switch there.
+   * @param {{tabId: number, windowId: number, workspaceId: string}} data
+   */
+  _offerRouteSwitch(data) {
+    if (!data || data.windowId !== workspaceService.windowId) return;
+    const active = workspaceService.getActive();
+    const target = workspaceService.getById(data.workspaceId);
+    if (!target || (active && active.id === target.id)) return;
+
+    showToast({
+      message: `Tab moved to ${target.name}`,
+      actionLabel: 'Switch',
+      onAction: async () => {
+        try {
+          await workspaceService.switchTo(target.id);
+          await tabService.focus(data.tabId);
+        } catch (err) {
+          // The tab may have been closed since
+          console.warn('Arc Spaces: switch to routed tab failed:', err);
+        }
+      }
+    });
+  }
+
+  /**
+   * Undo (Ctrl/Cmd+Z) or redo (Ctrl/Cmd+Shift+Z) from the undo journal.
+   * Text fields keep their own undo.
+   * @param {KeyboardEvent} e
+   */
+  _onUndoKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+    const target = e.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+    e.preventDefault();
+
+    const redo = e.shiftKey;
+    (redo ? undoService.redo() : undoService.undo()).then((label) => {
+      if (label) showToast({ message: `${redo ? 'Redo' : 'Undo'}: ${label}` });
+    }).catch((err) => {
+      console.warn(`Arc Spaces: ${redo ? 'redo' : 'undo'} failed:`, err);
+    });
+  }
+
+  /**
+   * A keyboard command switched this window's workspace (see command-service.js).
+   * @param {{windowId: number, workspaceId: string}} data
+   * @returns {boolean} Whether this panel followed the switch
+   */
+  _followWorkspaceCommand(data) {
+    if (!data || data.windowId !== workspaceService.windowId) return false;
+    if (!workspaceService.getById(data.workspaceId)) return false;
+    workspaceService.switchTo(data.workspaceId).catch((err) => {
+      console.warn('Arc Spaces: workspace switch failed:', err);
+    });
+    return true;
+  }
+
   _handleSettingsSync(newSettings) {
     if (!newSettings) return;
 
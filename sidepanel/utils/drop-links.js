@@ -0,0 +1,105 @@
+// Links dragged in from outside the side panel — page links, the address bar,
+// other windows. Internal drags carry a bookmark ID as text/plain, which never
+// parses as a URL, so both kinds can share one drop handler.
+
+// Schemes accepted from a drop; javascript: and data: links on a web page
+// shouldn't become bookmarks by accident
+const DROP_PROTOCOLS = ['http:', 'https:', 'ftp:', 'file:'];
+
+/**
+ * Whether a drag carries links (usable during dragover, when getData is empty).
+ * Plain-text URLs can't be told apart from internal drags until the drop.
+ * @param {DataTransfer} dataTransfer
+ * @returns {boolean}
+ */
+export function hasDroppedLinks(dataTransfer) {
+  const types = dataTransfer && dataTransfer.types;
+  if (!types) return false;
+  return Array.from(types).some(type => type === 'text/uri-list' || type === 'text/x-moz-url');
+}
+
+/**
+ * Read the links out of a drop. Prefers text/x-moz-url (URL and title pairs),
+ * then text/uri-list, then URLs in plain text, one per line. Titles come from
+ * the payload (or the anchor text of dropped HTML), else the hostname.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Array<{url: string, title: string}>} Unique links, in drop order
+ */
+export function parseDroppedLinks(dataTransfer) {
+  const read = (type) => {
+    try {
+      return dataTransfer.getData(type) || '';
+    } catch {
+      return '';
+    }
+  };
+  const lines = (text) => text.split(/\r?\n/).map(line => line.trim());
+
+  let pairs = [];
+  const mozUrl = read('text/x-moz-url');
+  if (mozUrl) {
+    const parts = lines(mozUrl);
+    for (let i = 0; i < parts.length; i += 2) {
+      pairs.push({ url: parts[i], title: parts[i + 1] || '' });
+    }
+  }
+  if (!pairs.some(p => isDroppableUrl(p.url))) {
+    pairs = lines(read('text/uri-list'))
+      .filter(line => line && !line.startsWith('#'))
+      .map(url => ({ url, title: '' }));
+  }
+  if (!pairs.some(p => isDroppableUrl(p.url))) {
+    pairs = lines(read('text/plain')).map(url => ({ url, title: '' }));
+  }
+
+  const anchorTitles = readAnchorTitles(read('text/html'));
+  const seen = new Set();
+  const links = [];
+  for (const { url, title } of pairs) {
+    if (!isDroppableUrl(url) || seen.has(url)) continue;
+    seen.add(url);
+    links.push({ url, title: title || anchorTitles.get(new URL(url).href) || fallbackTitle(url) });
+  }
+  return links;
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isDroppableUrl(text) {
+  if (!text) return false;
+  try {
+    return DROP_PROTOCOLS.includes(new URL(text).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Map each link in an HTML fragment to its anchor text.
+ * @param {string} html
+ * @returns {Map<string, string>} Resolved href → text
+ */
+function readAnchorTitles(html) {
+  const titles = new Map();
+  if (!html) return titles;
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  for (const a of doc.querySelectorAll('a[href]')) {
+    const text = a.textContent.trim().replace(/\s+/g, ' ');
+    if (text && !titles.has(a.href)) titles.set(a.href, text);
+  }
+  return titles;
+}
+
+/**
+ * @param {string} url
+ * @returns {string} The hostname, or the URL itself when it has none
+ */
+function fallbackTitle(url) {
+  try {
+    return new URL(url).hostname || url;
+  } catch {
+    return url;
+  }
+}
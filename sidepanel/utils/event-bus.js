@@ -68,5 +68,8 @@ export const Events = {
   SHORTCUT_ADDED: 'shortcut:added',
   SHORTCUT_REMOVED: 'shortcut:removed',
   TREE_REFRESH: 'tree:refresh',
+  TAGS_CHANGED: 'tags:changed',
+  NOTES_CHANGED: 'notes:changed',
+  LINKS_CHECKED: 'links:checked',
   THEME_CHANGED: 'theme:changed',
 };
@@ -0,0 +1,37 @@
+// Fuzzy matching for the command palette
+
+/**
+ * Score how well a query matches a text as a case-insensitive subsequence.
+ * Consecutive characters, word starts, and early matches score higher.
+ * @param {string} query
+ * @param {string} text
+ * @returns {number|null} Score (higher is better), or null if no match
+ * @example fuzzyScore('gh', 'GitHub') → positive score
+ * @example fuzzyScore('xyz', 'GitHub') → null
+ */
+export function fuzzyScore(query, text) {
+  const q = (query || '').toLowerCase();
+  const t = (text || '').toLowerCase();
+  if (!q) return 0;
+
+  // Whole-query substring beats any scattered match
+  const substringAt = t.indexOf(q);
+  if (substringAt !== -1) {
+    const atWordStart = substringAt === 0 || /[\s\-_./:]/.test(t[substringAt - 1]);
+    return 1000 - substringAt + (atWordStart ? 100 : 0) + q.length * 10;
+  }
+
+  let score = 0;
+  let ti = 0;
+  let prev = -2;
+  for (const ch of q) {
+    const found = t.indexOf(ch, ti);
+    if (found === -1) return null;
+    if (found === prev + 1) score += 15;               // consecutive
+    if (found === 0 || /[\s\-_./:]/.test(t[found - 1])) score += 10; // word start
+    score -= Math.min(found - ti, 10);                  // gap penalty
+    prev = found;
+    ti = found + 1;
+  }
+  return score;
+}
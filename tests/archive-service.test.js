@@ -0,0 +1,197 @@
+// Tests for the archive service — idle-tab archiving and the archive log
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetMocks } from './setup.js';
+import { archiveService } from '../sidepanel/services/archive-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+import { tabService } from '../sidepanel/services/tab-service.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = 1_700_000_000_000;
+
+async function seedWorkspace(overrides = {}) {
+  const ws = {
+    id: 'ws_a',
+    name: 'Work',
+    colorScheme: 'blue',
+    pinnedBookmarks: [],
+    shortcuts: [],
+    archiveAfter: '12h',
+    ...overrides,
+  };
+  await storageService.saveWorkspaceItem(ws.id, ws);
+  await storageService.saveWorkspaceMeta({ order: [ws.id], version: 2 });
+  return ws;
+}
+
+function mockAllTabs(tabs) {
+  chrome.tabs.query.mockImplementation(async () => tabs);
+}
+
+describe('ArchiveService', () => {
+  beforeEach(() => {
+    resetMocks();
+    mockAllTabs([]);
+  });
+
+  // ── Archive log ────────────────────────────────
+
+  describe('record', () => {
+    it('prepends entries newest first with id and timestamp', async () => {
+      await archiveService.record([{ url: 'https://a.com', title: 'A', workspaceId: 'ws_a' }], NOW);
+      await archiveService.record([{ url: 'https://b.com', title: 'B', workspaceId: 'ws_a' }], NOW + 1);
+
+      const all = await archiveService.getAll();
+      expect(all.map(e => e.url)).toEqual(['https://b.com', 'https://a.com']);
+      expect(all[0].archivedAt).toBe(NOW + 1);
+      expect(all[0].reason).toBe('auto');
+      expect(all[0].id).toBeTruthy();
+    });
+
+    it('gives entries recorded in the same millisecond distinct ids', async () => {
+      await archiveService.record([{ url: 'https://a.com', workspaceId: 'ws_a' }], NOW);
+      await archiveService.record([{ url: 'https://b.com', workspaceId: 'ws_a' }], NOW);
+
+      const ids = (await archiveService.getAll()).map(e => e.id);
+      expect(new Set(ids).size).toBe(2);
+    });
+
+    it('caps the log at 500 entries', async () => {
+      const many = Array.from({ length: 510 }, (_, i) => ({ url: `https://x.com/${i}`, workspaceId: 'ws_a' }));
+      await archiveService.record(many, NOW);
+      expect((await archiveService.getAll()).length).toBe(500);
+    });
+  });
+
+  describe('search', () => {
+    it('filters by title or URL, case-insensitively', async () => {
+      await archiveService.record([
+        { url: 'https://github.com/org/repo', title: 'Pull requests', workspaceId: 'ws_a' },
+        { url: 'https://news.example.com', title: 'Morning News', workspaceId: 'ws_a' },
+      ], NOW);
+
+      expect((await archiveService.search('GITHUB')).map(e => e.title)).toEqual(['Pull requests']);
+      expect((await archiveService.search('news')).map(e => e.title)).toEqual(['Morning News']);
+      expect((await archiveService.search('  ')).length).toBe(2);
+    });
+  });
+
+  describe('restore', () => {
+    it('reopens the tab and drops it from the log', async () => {
+      const [entry] = await archiveService.record([{ url: 'https://a.com', title: 'A', workspaceId: 'ws_a' }], NOW);
+
+      await archiveService.restore(entry.id);
+
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://a.com', active: true });
+      expect(await archiveService.getAll()).toEqual([]);
+    });
+
+    it('ignores unknown entries', async () => {
+      expect(await archiveService.restore('missing')).toBeNull();
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+  });
+
+  it('closeTab() logs a manually closed tab before closing it', async () => {
+    await archiveService.closeTab({ id: 7, url: 'https://a.com', title: 'A' }, 'ws_a');
+
+    expect(chrome.tabs.remove).toHaveBeenCalledWith(7);
+    const [entry] = await archiveService.getAll();
+    expect(entry).toMatchObject({ url: 'https://a.com', workspaceId: 'ws_a', reason: 'closed' });
+  });
+
+  // ── archiveIdleTabs ────────────────────────────
+
+  describe('archiveIdleTabs', () => {
+    it('closes tabs idle longer than the workspace period and logs them', async () => {
+      await seedWorkspace();
+      await tabService.assign(1, 'ws_a');
+      await tabService.assign(2, 'ws_a');
+      await tabService.markActivated(1, NOW - 13 * HOUR);
+      await tabService.markActivated(2, NOW - 1 * HOUR);
+      mockAllTabs([
+        { id: 1, url: 'https://old.com', title: 'Old' },
+        { id: 2, url: 'https://fresh.com', title: 'Fresh' },
+      ]);
+
+      const count = await archiveService.archiveIdleTabs(NOW);
+
+      expect(count).toBe(1);
+      expect(chrome.tabs.remove).toHaveBeenCalledWith(1);
+      expect(chrome.tabs.remove).not.toHaveBeenCalledWith(2);
+      const [entry] = await archiveService.getAll();
+      expect(entry).toMatchObject({ url: 'https://old.com', title: 'Old', workspaceId: 'ws_a', archivedAt: NOW });
+    });
+
+    it('never archives workspaces set to "never" (the default)', async () => {
+      await seedWorkspace({ archiveAfter: undefined });
+      await tabService.assign(1, 'ws_a');
+      await tabService.markActivated(1, NOW - 30 * 24 * HOUR);
+      mockAllTabs([{ id: 1, url: 'https://old.com' }]);
+
+      expect(await archiveService.archiveIdleTabs(NOW)).toBe(0);
+    });
+
+    it('skips active, pinned and audible tabs', async () => {
+      await seedWorkspace();
+      for (const id of [1, 2, 3]) {
+        await tabService.assign(id, 'ws_a');
+        await tabService.markActivated(id, NOW - 13 * HOUR);
+      }
+      mockAllTabs([
+        { id: 1, url: 'https://a.com', active: true },
+        { id: 2, url: 'https://b.com', pinned: true },
+        { id: 3, url: 'https://c.com', audible: true },
+      ]);
+
+      expect(await archiveService.archiveIdleTabs(NOW)).toBe(0);
+    });
+
+    it('exempts shortcuts and pinned bookmarks, including paths below them', async () => {
+      await seedWorkspace({
+        shortcuts: [{ url: 'https://mail.example.com/inbox', title: 'Mail' }],
+        pinnedBookmarks: [{ id: '999', url: 'https://docs.example.com/', title: 'Docs' }],
+      });
+      for (const id of [1, 2, 3]) {
+        await tabService.assign(id, 'ws_a');
+        await tabService.markActivated(id, NOW - 13 * HOUR);
+      }
+      mockAllTabs([
+        { id: 1, url: 'https://mail.example.com/inbox/42' },
+        { id: 2, url: 'https://docs.example.com/page' },
+        { id: 3, url: 'https://other.example.com/' },
+      ]);
+
+      expect(await archiveService.archiveIdleTabs(NOW)).toBe(1);
+      expect(chrome.tabs.remove).toHaveBeenCalledWith(3);
+    });
+
+    it('exempts bookmarks inside pinned folders', async () => {
+      const folder = await chrome.bookmarks.create({ parentId: '2', title: 'Pinned folder' });
+      await chrome.bookmarks.create({ parentId: folder.id, title: 'Wiki', url: 'https://wiki.example.com/' });
+      await seedWorkspace({ pinnedBookmarks: [{ id: folder.id, title: 'Pinned folder' }] });
+      await tabService.assign(1, 'ws_a');
+      await tabService.markActivated(1, NOW - 13 * HOUR);
+      mockAllTabs([{ id: 1, url: 'https://wiki.example.com/home' }]);
+
+      expect(await archiveService.archiveIdleTabs(NOW)).toBe(0);
+    });
+
+    it('starts the idle clock for tabs never seen activated', async () => {
+      await seedWorkspace();
+      await tabService.assign(1, 'ws_a');
+      mockAllTabs([{ id: 1, url: 'https://a.com' }]);
+
+      expect(await archiveService.archiveIdleTabs(NOW)).toBe(0);
+      const activity = await tabService.getLastActivated();
+      expect(activity['1']).toBe(NOW);
+    });
+
+    it('ignores tabs that belong to no workspace', async () => {
+      await seedWorkspace();
+      mockAllTabs([{ id: 1, url: 'https://a.com', lastAccessed: NOW - 30 * HOUR }]);
+
+      expect(await archiveService.archiveIdleTabs(NOW)).toBe(0);
+    });
+  });
+});
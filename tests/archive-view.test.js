@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { workspaceService } from '../sidepanel/services/workspace-service.js';
+import { archiveService } from '../sidepanel/services/archive-service.js';
+import { ArchiveView, groupByDay } from '../sidepanel/components/archive-view.js';
+
+const flush = () => new Promise(r => setTimeout(r, 0));
+
+describe('groupByDay', () => {
+  it('buckets newest-first entries into Today, Yesterday, and older dates', () => {
+    const now = new Date(2024, 4, 15, 12, 0).getTime();
+    const groups = groupByDay([
+      { id: 'a', archivedAt: new Date(2024, 4, 15, 9, 0).getTime() },
+      { id: 'b', archivedAt: new Date(2024, 4, 15, 1, 0).getTime() },
+      { id: 'c', archivedAt: new Date(2024, 4, 14, 23, 0).getTime() },
+      { id: 'd', archivedAt: new Date(2024, 4, 10, 8, 0).getTime() },
+    ], now);
+
+    expect(groups.map(g => g.label).slice(0, 2)).toEqual(['Today', 'Yesterday']);
+    expect(groups.length).toBe(3);
+    expect(groups[0].entries.map(e => e.id)).toEqual(['a', 'b']);
+    expect(groups[2].entries.map(e => e.id)).toEqual(['d']);
+  });
+});
+
+describe('ArchiveView', () => {
+  let app;
+  let view;
+  let ws;
+
+  beforeEach(async () => {
+    resetMocks();
+    document.body.innerHTML = '<div id="app"></div>';
+    app = document.getElementById('app');
+
+    const { arcRoot, wsFolder } = await seedBookmarks();
+    await chrome.storage.sync.set({
+      arcSpacesRootId: arcRoot.id,
+      workspaces: {
+        activeWorkspaceId: 'ws_default',
+        order: ['ws_default'],
+        items: {
+          ws_default: {
+            id: 'ws_default',
+            name: 'Personal',
+            color: '#7C5CFC',
+            colorScheme: 'purple',
+            pinnedBookmarkIds: [],
+            rootFolderId: wsFolder.id,
+            created: Date.now(),
+          },
+        },
+      },
+    });
+    await workspaceService.init();
+    ws = workspaceService.getActive();
+
+    await archiveService.record([
+      { url: 'https://github.com/org/repo', title: 'Repo', workspaceId: ws.id },
+      { url: 'https://news.example.com', title: 'News', workspaceId: ws.id },
+    ]);
+
+    view = new ArchiveView(app);
+    await view.open();
+  });
+
+  afterEach(() => {
+    view.close();
+  });
+
+  it('lists archived tabs under a day header with their workspace', () => {
+    expect(app.querySelector('.archive-view .section-label').textContent).toBe('Today');
+    const items = app.querySelectorAll('.archive-item');
+    expect(items.length).toBe(2);
+    expect(items[0].querySelector('.archive-workspace').textContent).toBe('Personal');
+  });
+
+  it('filters entries as the user types', async () => {
+    view._query = 'news';
+    await view.render();
+    const items = app.querySelectorAll('.archive-item');
+    expect(items.length).toBe(1);
+    expect(items[0].querySelector('.item-title').textContent).toBe('News');
+  });
+
+  it('clicking an entry restores it to the current window', async () => {
+    app.querySelector('.archive-item').click();
+    await flush();
+    await flush();
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://github.com/org/repo', active: true });
+    expect((await archiveService.getAll()).length).toBe(1);
+  });
+
+  it('saves an entry as a bookmark in the active workspace', async () => {
+    const saveBtn = app.querySelector('.archive-action[title="Save as bookmark in this workspace"]');
+    saveBtn.click();
+    await flush();
+    const children = await chrome.bookmarks.getChildren(ws.rootFolderId);
+    expect(children.some(c => c.url === 'https://github.com/org/repo')).toBe(true);
+  });
+
+  it('closes on Escape', () => {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(app.querySelector('.archive-view')).toBeNull();
+  });
+});
@@ -6,6 +6,7 @@ import { backupService } from '../sidepanel/services/backup-service.js';
 import { workspaceService } from '../sidepanel/services/workspace-service.js';
 import { storageService } from '../sidepanel/services/storage-service.js';
 import { bookmarkService } from '../sidepanel/services/bookmark-service.js';
+import { tagService } from '../sidepanel/services/tag-service.js';
 
 /**
  * Helper: seed workspaces and bookmarks for backup tests.
@@ -560,5 +561,20 @@ describe('BackupService', () => {
       expect(restoredPersonal.shortcuts.length).toBe(1);
       expect(restoredPersonal.shortcuts[0].url).toBe('https://example.com');
     });
+
+    it('export then import preserves bookmark tags', async () => {
+      await seedForBackup();
+      await tagService.setTags('https://github.com', ['work', 'code']);
+
+      const backup = await backupService.createBackup();
+      expect(backup.tags).toEqual({ 'https://github.com': ['code', 'work'] });
+
+      resetMocks();
+      await workspaceService.init();
+      expect(await tagService.getTagsFor('https://github.com')).toEqual([]);
+
+      await backupService.restoreBackup(backup);
+      expect(await tagService.getTagsFor('https://github.com')).toEqual(['code', 'work']);
+    });
   });
 });
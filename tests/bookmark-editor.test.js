@@ -0,0 +1,158 @@
+// Tests for the bookmark edit dialog — URL validation, the folder picker,
+// and saving title, URL, folder and note
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { workspaceService } from '../sidepanel/services/workspace-service.js';
+import { bookmarkService } from '../sidepanel/services/bookmark-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+import { tagService } from '../sidepanel/services/tag-service.js';
+import { noteService } from '../sidepanel/services/note-service.js';
+import {
+  showBookmarkEditor, closeBookmarkEditor, normalizeBookmarkUrl, listWorkspaceFolders
+} from '../sidepanel/components/bookmark-editor.js';
+
+const flush = () => new Promise(r => setTimeout(r, 0));
+
+describe('normalizeBookmarkUrl', () => {
+  it('adds https:// to a bare host', () => {
+    expect(normalizeBookmarkUrl(' example.com/docs ')).toBe('https://example.com/docs');
+    expect(normalizeBookmarkUrl('localhost:3000')).toBe('https://localhost:3000');
+  });
+
+  it('keeps URLs that already have a scheme', () => {
+    expect(normalizeBookmarkUrl('http://example.com')).toBe('http://example.com');
+    expect(normalizeBookmarkUrl('chrome://settings')).toBe('chrome://settings');
+    expect(normalizeBookmarkUrl('mailto:me@example.com')).toBe('mailto:me@example.com');
+  });
+
+  it('rejects empty, malformed and unsupported URLs', () => {
+    expect(normalizeBookmarkUrl('   ')).toBeNull();
+    expect(normalizeBookmarkUrl('not a url')).toBeNull();
+    expect(normalizeBookmarkUrl('https://')).toBeNull();
+    expect(normalizeBookmarkUrl('gopher://example.com')).toBeNull();
+  });
+});
+
+describe('showBookmarkEditor', () => {
+  let seeded;
+  let workFolder;
+
+  const dialog = () => document.querySelector('.dialog');
+  const inputs = () => dialog().querySelectorAll('input, select, textarea');
+  const submit = async () => {
+    dialog().dispatchEvent(new Event('submit', { cancelable: true }));
+    await flush();
+    await flush();
+  };
+
+  beforeEach(async () => {
+    resetMocks();
+    document.body.innerHTML = '';
+    workspaceService._firstRunDelayMs = 0;
+    workspaceService._windowId = null;
+
+    seeded = await seedBookmarks();
+    workFolder = await chrome.bookmarks.create({ parentId: seeded.arcRoot.id, title: 'Work' });
+
+    await storageService.saveWorkspaceItem('ws_personal', {
+      id: 'ws_personal', name: 'Personal', colorScheme: 'purple',
+      pinnedBookmarks: [{ id: seeded.bm1.id, url: 'https://google.com', title: 'Google' }]
+    });
+    await storageService.saveWorkspaceItem('ws_work', {
+      id: 'ws_work', name: 'Work', colorScheme: 'blue', pinnedBookmarks: []
+    });
+    await storageService.saveWorkspaceMeta({ order: ['ws_personal', 'ws_work'], version: 2 });
+    await storageService.saveWorkspaceLocal({
+      activeWorkspaceId: 'ws_personal',
+      rootFolderIds: { ws_personal: seeded.wsFolder.id, ws_work: workFolder.id }
+    });
+    await storageService.saveArcSpacesRootIdLocal(seeded.arcRoot.id);
+    await workspaceService.init();
+  });
+
+  afterEach(() => {
+    closeBookmarkEditor();
+  });
+
+  it('lists the folders of every workspace, leaving out the edited folder', async () => {
+    const groups = await listWorkspaceFolders(seeded.subFolder.id);
+    expect(groups.map(g => g.workspace.name)).toEqual(['Personal', 'Work']);
+    expect(groups[0].folders.map(f => f.label)).toEqual(['Top level']);
+
+    const all = await listWorkspaceFolders();
+    expect(all[0].folders.map(f => f.label)).toEqual(['Top level', 'Dev Resources']);
+  });
+
+  it('fills in the bookmark and its note', async () => {
+    await noteService.setNote('https://github.com', 'Code hosting');
+    await showBookmarkEditor(await bookmarkService.get(seeded.bm2.id));
+
+    const [title, url, folder, note] = inputs();
+    expect(title.value).toBe('GitHub');
+    expect(url.value).toBe('https://github.com');
+    expect(folder.value).toBe(seeded.wsFolder.id);
+    expect(note.value).toBe('Code hosting');
+    expect(dialog().querySelectorAll('optgroup').length).toBe(2);
+  });
+
+  it('keeps the dialog open on an invalid URL', async () => {
+    await showBookmarkEditor(await bookmarkService.get(seeded.bm2.id));
+    inputs()[1].value = 'not a url';
+    await submit();
+
+    expect(dialog()).toBeTruthy();
+    expect(inputs()[1].getAttribute('aria-invalid')).toBe('true');
+    expect((await bookmarkService.get(seeded.bm2.id)).url).toBe('https://github.com');
+  });
+
+  it('saves title, URL and note, carrying tags and note to the new URL', async () => {
+    await tagService.setTags('https://github.com', ['code']);
+    await noteService.setNote('https://github.com', 'Code hosting');
+    await showBookmarkEditor(await bookmarkService.get(seeded.bm2.id));
+
+    const [title, url, , note] = inputs();
+    title.value = 'GitHub Home';
+    url.value = 'github.com/home';
+    note.value = 'Start page';
+    await submit();
+
+    expect(dialog()).toBeNull();
+    const saved = await bookmarkService.get(seeded.bm2.id);
+    expect(saved).toMatchObject({ title: 'GitHub Home', url: 'https://github.com/home' });
+    expect(await tagService.getAll()).toEqual({ 'https://github.com/home': ['code'] });
+    expect(await noteService.getAll()).toEqual({ 'https://github.com/home': 'Start page' });
+  });
+
+  it('keeps the dialog open and shows the error when the note can’t be saved', async () => {
+    await showBookmarkEditor(await bookmarkService.get(seeded.bm2.id));
+    chrome.storage.sync.set.mockRejectedValueOnce(new Error('QUOTA_BYTES_PER_ITEM quota exceeded'));
+
+    inputs()[3].value = 'Start page';
+    await submit();
+
+    await vi.waitFor(() => {
+      expect(dialog().querySelector('[role="alert"]').hidden).toBe(false);
+    });
+    expect(dialog().querySelector('[role="alert"]').textContent).toContain('quota exceeded');
+    expect(await noteService.getAll()).toEqual({});
+  });
+
+  it('moves a pinned bookmark to another workspace and unpins it', async () => {
+    await showBookmarkEditor(await bookmarkService.get(seeded.bm1.id));
+    inputs()[2].value = workFolder.id;
+    await submit();
+
+    expect((await bookmarkService.get(seeded.bm1.id)).parentId).toBe(workFolder.id);
+    expect(workspaceService.isPinned(seeded.bm1.id, 'ws_personal')).toBe(false);
+  });
+
+  it('edits a folder without URL or note fields', async () => {
+    await showBookmarkEditor(await bookmarkService.get(seeded.subFolder.id));
+    expect(inputs().length).toBe(2);
+
+    inputs()[0].value = 'Docs';
+    await submit();
+    expect((await bookmarkService.get(seeded.subFolder.id)).title).toBe('Docs');
+  });
+});
@@ -65,6 +65,21 @@ describe('createBookmarkItem', () => {
     expect(chevron.classList.contains('chevron-expanded')).toBe(true);
   });
 
+  it('exposes tree item roles and state', () => {
+    const folder = createBookmarkItem(folderNode, { depth: 1, isExpanded: true, posInSet: 2, setSize: 3 });
+    expect(folder.getAttribute('role')).toBe('treeitem');
+    expect(folder.getAttribute('aria-level')).toBe('2');
+    expect(folder.getAttribute('aria-expanded')).toBe('true');
+    expect(folder.getAttribute('aria-posinset')).toBe('2');
+    expect(folder.getAttribute('aria-setsize')).toBe('3');
+    expect(folder.tabIndex).toBe(-1);
+
+    const link = createBookmarkItem(bookmarkNode, { depth: 0 });
+    expect(link.getAttribute('aria-level')).toBe('1');
+    expect(link.hasAttribute('aria-expanded')).toBe(false);
+    expect(link.hasAttribute('aria-posinset')).toBe(false);
+  });
+
   it('shows pinned badge when isPinned is true', () => {
     const item = createBookmarkItem(bookmarkNode, { depth: 0, isPinned: true });
 
@@ -73,6 +88,18 @@ describe('createBookmarkItem', () => {
     expect(pinBadge).toBeTruthy();
   });
 
+  it('marks items with an open tab', () => {
+    const item = createBookmarkItem(bookmarkNode, { depth: 0, isPinned: true, isOpen: true });
+    expect(item.classList.contains('tab-open')).toBe(true);
+    expect(createBookmarkItem(bookmarkNode, { depth: 0 }).classList.contains('tab-open')).toBe(false);
+  });
+
+  it('shows the note as the tooltip', () => {
+    const item = createBookmarkItem(bookmarkNode, { depth: 0, note: 'Search engine' });
+    expect(item.title).toBe('Search engine');
+    expect(createBookmarkItem(bookmarkNode, { depth: 0 }).hasAttribute('title')).toBe(false);
+  });
+
   // ── Draggable ───────────────────────────────────
 
   it('makes items draggable', () => {
@@ -126,6 +153,15 @@ describe('createBookmarkItem', () => {
     expect(onContextMenu).toHaveBeenCalledWith(bookmarkNode, { x: 100, y: 200 });
   });
 
+  it('opens the context menu from the keyboard with Shift+F10', () => {
+    const onContextMenu = vi.fn();
+    const item = createBookmarkItem(bookmarkNode, { depth: 0, onContextMenu });
+    document.body.appendChild(item);
+
+    item.dispatchEvent(new KeyboardEvent('keydown', { key: 'F10', shiftKey: true, bubbles: true }));
+    expect(onContextMenu).toHaveBeenCalledWith(bookmarkNode, expect.objectContaining({ x: expect.any(Number), y: expect.any(Number) }));
+  });
+
   it('does not add contextmenu listener when onContextMenu is not provided', () => {
     const item = createBookmarkItem(bookmarkNode, { depth: 0 });
     document.body.appendChild(item);
@@ -281,6 +317,42 @@ describe('createBookmarkItem', () => {
     expect(onDropBetween).not.toHaveBeenCalled();
   });
 
+  it('calls onDropTab (not onDrop) when an open tab is dropped into a folder', () => {
+    const onDrop = vi.fn();
+    const onDropTab = vi.fn();
+    const item = createBookmarkItem(folderNode, { depth: 0, onDrop, onDropTab });
+    document.body.appendChild(item);
+
+    item.classList.add('drag-over');
+
+    const dropEvt = new Event('drop', { bubbles: true, cancelable: true });
+    Object.defineProperty(dropEvt, 'dataTransfer', {
+      value: { getData: (type) => (type === 'application/x-tab-id' ? '7' : '') },
+    });
+    item.dispatchEvent(dropEvt);
+
+    expect(onDropTab).toHaveBeenCalledWith(7, '50', 'into');
+    expect(onDrop).not.toHaveBeenCalled();
+  });
+
+  it('calls onDropLinks with dropped URLs and the zone', () => {
+    const onDropBetween = vi.fn();
+    const onDropLinks = vi.fn();
+    const item = createBookmarkItem(bookmarkNode, { depth: 0, onDropBetween, onDropLinks });
+    document.body.appendChild(item);
+
+    item.classList.add('drop-before');
+
+    const dropEvt = new Event('drop', { bubbles: true, cancelable: true });
+    Object.defineProperty(dropEvt, 'dataTransfer', {
+      value: { getData: (type) => (type === 'text/uri-list' ? 'https://example.com/' : '') },
+    });
+    item.dispatchEvent(dropEvt);
+
+    expect(onDropLinks).toHaveBeenCalledWith([{ url: 'https://example.com/', title: 'example.com' }], '42', 'before');
+    expect(onDropBetween).not.toHaveBeenCalled();
+  });
+
   it('cleans up all drop classes on dragleave', () => {
     const onDropBetween = vi.fn();
     const item = createBookmarkItem(bookmarkNode, { depth: 0, onDropBetween });
@@ -297,6 +369,47 @@ describe('createBookmarkItem', () => {
     expect(item.classList.contains('drop-after')).toBe(false);
   });
 
+  // ── Filter highlight ────────────────────────────
+
+  it('marks the filter match in the title', () => {
+    const item = createBookmarkItem({ id: '7', title: 'GitHub Issues', url: 'https://github.com' }, { highlight: 'hub' });
+    const mark = item.querySelector('.item-title mark.filter-match');
+    expect(mark.textContent).toBe('Hub');
+    expect(item.querySelector('.item-title').textContent).toBe('GitHub Issues');
+  });
+
+  it('renders a plain title when the filter only matches the URL', () => {
+    const item = createBookmarkItem(bookmarkNode, { highlight: 'google.com' });
+    expect(item.querySelector('.item-title mark')).toBeNull();
+  });
+
+  // ── Tags ────────────────────────────────────────
+
+  it('renders tag chips that report clicks without opening the bookmark', () => {
+    const onClick = vi.fn();
+    const onTagClick = vi.fn();
+    const item = createBookmarkItem(bookmarkNode, { tags: ['work', 'search'], onClick, onTagClick });
+    const chips = item.querySelectorAll('.tag-chip');
+    expect([...chips].map(c => c.textContent)).toEqual(['work', 'search']);
+
+    chips[1].click();
+    expect(onTagClick).toHaveBeenCalledWith('search');
+    expect(onClick).not.toHaveBeenCalled();
+  });
+
+  // ── Link Health ─────────────────────────────────
+
+  it('badges broken and redirected links', () => {
+    const dead = createBookmarkItem(bookmarkNode, { linkHealth: { status: 'dead', code: 404 } });
+    expect(dead.querySelector('.link-badge-dead').title).toBe('Broken link (404)');
+
+    const moved = createBookmarkItem(bookmarkNode, { linkHealth: { status: 'redirected', finalUrl: 'https://www.google.com/' } });
+    expect(moved.querySelector('.link-badge-redirected').title).toBe('Redirects to https://www.google.com/');
+
+    const ok = createBookmarkItem(bookmarkNode, { linkHealth: { status: 'ok', code: 200 } });
+    expect(ok.querySelector('.link-badge')).toBeNull();
+  });
+
   // ── Edge Cases ──────────────────────────────────
 
   it('handles bookmark with no title (uses hostname)', () => {
@@ -0,0 +1,424 @@
+// Tests for the bookmark tree — filtering, tags, smart folders, keyboard navigation, and multi-select
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { workspaceService } from '../sidepanel/services/workspace-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+import { BookmarkTree } from '../sidepanel/components/bookmark-tree.js';
+import { tagService } from '../sidepanel/services/tag-service.js';
+import { closeContextMenu } from '../sidepanel/components/context-menu.js';
+
+describe('BookmarkTree', () => {
+  let container;
+  let tree;
+  let seeded;
+
+  const flush = () => new Promise(r => setTimeout(r, 0));
+  const titles = () => [...container.querySelectorAll('.bookmark-item .item-title')].map(t => t.textContent);
+
+  beforeEach(async () => {
+    resetMocks();
+    document.body.innerHTML = '<div id="tree"></div>';
+    container = document.getElementById('tree');
+
+    seeded = await seedBookmarks();
+    await chrome.storage.sync.set({
+      arcSpacesRootId: seeded.arcRoot.id,
+      workspaces: {
+        activeWorkspaceId: 'ws_default',
+        order: ['ws_default'],
+        items: {
+          ws_default: {
+            id: 'ws_default',
+            name: 'Personal',
+            color: '#7C5CFC',
+            colorScheme: 'purple',
+            pinnedBookmarkIds: [],
+            rootFolderId: seeded.wsFolder.id,
+            created: Date.now(),
+          },
+        },
+      },
+    });
+    await workspaceService.init();
+
+    tree = new BookmarkTree(container);
+    await tree.init();
+  });
+
+  afterEach(() => {
+    tree.destroy();
+  });
+
+  it('shows only matches and expands their ancestor folders', async () => {
+    expect(titles()).toEqual(['Google', 'GitHub', 'Dev Resources']);
+
+    await tree.setFilter('mdn');
+    expect(titles()).toEqual(['Dev Resources', 'MDN']);
+    expect(container.querySelector('mark.filter-match').textContent).toBe('MDN');
+  });
+
+  it('matches URLs as well as titles', async () => {
+    await tree.setFilter('mozilla.org');
+    expect(titles()).toEqual(['Dev Resources', 'MDN']);
+  });
+
+  it('shows an empty state when nothing matches', async () => {
+    await tree.setFilter('zzz');
+    expect(container.querySelector('.empty-message').textContent).toBe('No bookmarks match "zzz"');
+  });
+
+  it('does not save expansion changes made while filtering', async () => {
+    await tree.setFilter('mdn');
+    container.querySelector(`[data-id="${seeded.subFolder.id}"]`).click();
+    await flush();
+    expect(titles()).toEqual(['Dev Resources']);
+
+    const uiState = await storageService.getUIState();
+    expect(uiState.expandedFolders?.ws_default || []).not.toContain(seeded.subFolder.id);
+  });
+
+  it('restores the saved expanded folders when cleared', async () => {
+    await storageService.saveUIState({ expandedFolders: { ws_default: [seeded.subFolder.id] } });
+    await tree.setFilter('google');
+    expect(titles()).toEqual(['Google']);
+
+    await tree.setFilter('');
+    expect(titles()).toEqual(['Google', 'GitHub', 'Dev Resources', 'MDN']);
+    expect(container.querySelector('mark')).toBeNull();
+  });
+
+  // ── Tags ───────────────────────────────────────
+
+  it('filters by tag, alone or with the text filter', async () => {
+    await tagService.setTags('https://github.com', ['code']);
+    await tagService.setTags('https://developer.mozilla.org', ['code', 'docs']);
+    await flush();
+    expect(container.querySelector('[data-id] .tag-chip').textContent).toBe('code');
+
+    await tree.setTagFilter('code');
+    expect(titles()).toEqual(['GitHub', 'Dev Resources', 'MDN']);
+
+    await tree.setFilter('mdn');
+    expect(titles()).toEqual(['Dev Resources', 'MDN']);
+
+    await tree.setFilter('');
+    await tree.setTagFilter('docs');
+    expect(titles()).toEqual(['Dev Resources', 'MDN']);
+
+    await tree.setTagFilter(null);
+    expect(titles()).toEqual(['Google', 'GitHub', 'Dev Resources']);
+  });
+
+  it('toggles the tag filter from a chip', async () => {
+    await tagService.setTags('https://github.com', ['code']);
+    await flush();
+    container.querySelector('.tag-chip').click();
+    await flush();
+    expect(tree.tagFilter).toBe('code');
+    expect(titles()).toEqual(['GitHub']);
+  });
+
+  it('feeds tags to smart folder queries', async () => {
+    await tagService.setTags('https://google.com', ['search']);
+    await workspaceService.addSmartFolder('Search', { tag: 'search' });
+    await flush();
+    container.querySelector('.smart-folder').click();
+    await flush();
+    expect(titles().slice(0, 2)).toEqual(['Search', 'Google']);
+  });
+
+  // ── Smart folders ──────────────────────────────
+
+  it('renders smart folders first with live results', async () => {
+    const sf = await workspaceService.addSmartFolder('GitHub links', { domain: 'github.com' });
+    await flush();
+    expect(titles()[0]).toBe('GitHub links');
+    expect(container.querySelector('.bookmark-item').classList.contains('smart-folder')).toBe(true);
+
+    container.querySelector(`[data-id="${sf.id}"]`).click();
+    await flush();
+    expect(titles().slice(0, 2)).toEqual(['GitHub links', 'GitHub']);
+
+    await chrome.bookmarks.create({ parentId: seeded.subFolder.id, title: 'Gist', url: 'https://gist.github.com/' });
+    await tree.refresh();
+    await flush();
+    expect(titles().slice(1, 3).sort()).toEqual(['Gist', 'GitHub']);
+  });
+
+  it('leaves pinned smart folders to the Pinned section', async () => {
+    const sf = await workspaceService.addSmartFolder('GitHub links', { domain: 'github.com' });
+    await workspaceService.pinSmartFolder(sf.id);
+    await flush();
+    expect(titles()).not.toContain('GitHub links');
+  });
+
+  // ── Keyboard navigation ─────────────────────────
+
+  describe('keyboard', () => {
+    const row = (id) => container.querySelector(`[data-id="${id}"]`);
+    const press = (key, target = document.activeElement) => {
+      target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    };
+
+    it('is a tree with one tabbable row', () => {
+      expect(container.getAttribute('role')).toBe('tree');
+      const tabbable = [...container.querySelectorAll('[role="treeitem"]')].filter(r => r.tabIndex === 0);
+      expect(tabbable).toHaveLength(1);
+      expect(tabbable[0].textContent).toContain('Google');
+    });
+
+    it('moves focus with the arrow keys, Home and End', () => {
+      row(seeded.bm1.id).focus();
+      press('ArrowDown');
+      expect(document.activeElement).toBe(row(seeded.bm2.id));
+      expect(row(seeded.bm2.id).tabIndex).toBe(0);
+      expect(row(seeded.bm1.id).tabIndex).toBe(-1);
+
+      press('End');
+      expect(document.activeElement).toBe(row(seeded.subFolder.id));
+      press('Home');
+      expect(document.activeElement).toBe(row(seeded.bm1.id));
+      press('ArrowUp');
+      expect(document.activeElement).toBe(row(seeded.bm1.id));
+    });
+
+    it('expands with ArrowRight, enters the folder, and returns with ArrowLeft', async () => {
+      row(seeded.subFolder.id).focus();
+      press('ArrowRight');
+      await flush();
+      await flush();
+      expect(titles()).toContain('MDN');
+      expect(row(seeded.subFolder.id).getAttribute('aria-expanded')).toBe('true');
+      expect(document.activeElement).toBe(row(seeded.subFolder.id));
+
+      press('ArrowRight');
+      expect(document.activeElement).toBe(row(seeded.bm3.id));
+      expect(row(seeded.bm3.id).getAttribute('aria-level')).toBe('2');
+
+      press('ArrowLeft');
+      expect(document.activeElement).toBe(row(seeded.subFolder.id));
+      press('ArrowLeft');
+      await flush();
+      await flush();
+      expect(titles()).not.toContain('MDN');
+    });
+
+    it('opens a bookmark with Enter', () => {
+      row(seeded.bm2.id).focus();
+      press('Enter');
+      expect(chrome.tabs.query).toHaveBeenCalled();
+    });
+
+    it('jumps to a row by typing its title', () => {
+      row(seeded.bm1.id).focus();
+      press('d');
+      expect(document.activeElement).toBe(row(seeded.subFolder.id));
+    });
+
+    it('matches several typed characters as one prefix', () => {
+      row(seeded.subFolder.id).focus();
+      press('g');
+      expect(document.activeElement).toBe(row(seeded.bm1.id));
+      press('i');
+      expect(document.activeElement).toBe(row(seeded.bm2.id));
+    });
+
+    it('renames with F2', async () => {
+      row(seeded.bm2.id).focus();
+      press('F2');
+      const input = row(seeded.bm2.id).querySelector('.inline-rename-input');
+      expect(input.value).toBe('GitHub');
+    });
+
+    it('deletes with the Delete key', async () => {
+      row(seeded.bm2.id).focus();
+      press('Delete');
+      await flush();
+      await flush();
+      expect(titles()).toEqual(['Google', 'Dev Resources']);
+      expect(container.contains(document.activeElement)).toBe(true);
+    });
+
+    it('ignores keys typed into inline inputs', () => {
+      const spy = vi.spyOn(tree, '_deleteItem');
+      row(seeded.bm2.id).focus();
+      press('F2');
+      const input = row(seeded.bm2.id).querySelector('.inline-rename-input');
+      press('Delete', input);
+      expect(spy).not.toHaveBeenCalled();
+    });
+  });
+
+  // ── Multi-select ────────────────────────────────
+
+  describe('multi-select', () => {
+    const row = (id) => container.querySelector(`[data-id="${id}"]`);
+    const click = (id, opts = {}) => {
+      row(id).dispatchEvent(new MouseEvent('click', { bubbles: true, ...opts }));
+    };
+    const selectedIds = () => [...container.querySelectorAll('.bookmark-item.selected')].map(r => r.dataset.id);
+    const menuLabels = () => [...document.querySelectorAll('.context-menu > .context-menu-item')].map(i => i.textContent.trim());
+
+    afterEach(() => closeContextMenu());
+
+    it('toggles rows with Ctrl/Cmd-click without opening them', () => {
+      click(seeded.bm1.id, { ctrlKey: true });
+      click(seeded.bm2.id, { metaKey: true });
+      expect(selectedIds()).toEqual([seeded.bm1.id, seeded.bm2.id]);
+      expect(row(seeded.bm1.id).getAttribute('aria-selected')).toBe('true');
+      expect(chrome.tabs.query).not.toHaveBeenCalled();
+
+      click(seeded.bm1.id, { ctrlKey: true });
+      expect(selectedIds()).toEqual([seeded.bm2.id]);
+    });
+
+    it('selects a range with Shift-click', () => {
+      click(seeded.bm1.id, { ctrlKey: true });
+      click(seeded.subFolder.id, { shiftKey: true });
+      expect(selectedIds()).toEqual([seeded.bm1.id, seeded.bm2.id, seeded.subFolder.id]);
+    });
+
+    it('drops the selection on a plain click or Escape', () => {
+      click(seeded.bm1.id, { ctrlKey: true });
+      click(seeded.bm2.id);
+      expect(selectedIds()).toEqual([]);
+
+      click(seeded.bm1.id, { ctrlKey: true });
+      row(seeded.bm1.id).dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+      expect(selectedIds()).toEqual([]);
+    });
+
+    it('moves the whole selection when one selected row is dragged', async () => {
+      click(seeded.bm1.id, { ctrlKey: true });
+      click(seeded.bm2.id, { ctrlKey: true });
+      await tree._moveBookmark(seeded.bm2.id, seeded.subFolder.id);
+
+      const [folder] = await chrome.bookmarks.getSubTree(seeded.subFolder.id);
+      expect(folder.children.map(c => c.title)).toEqual(['MDN', 'Google', 'GitHub']);
+    });
+
+    it('never moves a selected folder into itself', async () => {
+      click(seeded.bm1.id, { ctrlKey: true });
+      click(seeded.subFolder.id, { ctrlKey: true });
+      await tree._moveBookmark(seeded.bm1.id, seeded.subFolder.id);
+
+      const [root] = await chrome.bookmarks.getSubTree(seeded.wsFolder.id);
+      expect(root.children.map(c => c.title)).toEqual(['GitHub', 'Dev Resources']);
+      expect(root.children[1].children.map(c => c.title)).toEqual(['MDN', 'Google']);
+    });
+
+    it('offers moving a single bookmark to another workspace', async () => {
+      const work = await workspaceService.create('Work', 'blue');
+      row(seeded.bm1.id).dispatchEvent(new MouseEvent('contextmenu', { bubbles: true }));
+      expect(menuLabels()).toContain('Move to workspace…');
+
+      await tree._moveToWorkspace([seeded.bm1], work);
+      expect(await chrome.bookmarks.getChildren(work.rootFolderId)).toEqual([
+        expect.objectContaining({ id: seeded.bm1.id })
+      ]);
+    });
+
+    it('opens a folder as a tab group named after it', async () => {
+      row(seeded.subFolder.id).dispatchEvent(new MouseEvent('contextmenu', { bubbles: true }));
+      expect(menuLabels()).toEqual(expect.arrayContaining(['Open all in new tab group', 'Open all in new window']));
+
+      [...document.querySelectorAll('.context-menu-item')].find(i => i.textContent === 'Open all in new tab group').click();
+      await vi.waitFor(() => {
+        expect(chrome.tabGroups.update).toHaveBeenCalledWith(500, { title: 'Dev Resources', color: 'purple' });
+      });
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://developer.mozilla.org', active: true });
+    });
+
+    it('carries the whole selection when a selected row is dragged', () => {
+      click(seeded.bm1.id, { ctrlKey: true });
+      click(seeded.bm2.id, { ctrlKey: true });
+      const data = {};
+      const evt = new Event('dragstart', { bubbles: true });
+      Object.defineProperty(evt, 'dataTransfer', {
+        value: { setData: (type, value) => { data[type] = value; } },
+      });
+      row(seeded.bm2.id).dispatchEvent(evt);
+
+      expect(data['application/x-bookmark-ids']).toBe(`${seeded.bm1.id},${seeded.bm2.id}`);
+    });
+
+    it('shows bulk actions for a selection and copies its links', async () => {
+      click(seeded.bm2.id, { ctrlKey: true });
+      click(seeded.subFolder.id, { ctrlKey: true });
+      row(seeded.bm2.id).dispatchEvent(new MouseEvent('contextmenu', { bubbles: true }));
+      await flush();
+
+      expect(menuLabels()).toEqual([
+        'Move to folder…', 'Pin to top', 'Open all in new tabs', 'Copy links', 'Delete 2 items'
+      ]);
+
+      [...document.querySelectorAll('.context-menu-item')].find(i => i.textContent === 'Copy links').click();
+      await flush();
+      expect(navigator.clipboard.writeText).toHaveBeenCalledWith('https://github.com\nhttps://developer.mozilla.org');
+    });
+
+    it('deletes the selection after one confirmation', async () => {
+      vi.stubGlobal('confirm', vi.fn(() => true));
+      click(seeded.bm1.id, { ctrlKey: true });
+      click(seeded.bm2.id, { ctrlKey: true });
+      row(seeded.bm2.id).focus();
+      row(seeded.bm2.id).dispatchEvent(new KeyboardEvent('keydown', { key: 'Delete', bubbles: true }));
+      await flush();
+      await flush();
+
+      expect(confirm).toHaveBeenCalledOnce();
+      expect(titles()).toEqual(['Dev Resources']);
+      vi.unstubAllGlobals();
+    });
+  });
+
+  it('does not reorder items inside a kept-sorted folder', async () => {
+    await storageService.saveSortedFolders({ [seeded.wsFolder.id]: 'name' });
+    await tree.refresh();
+
+    await tree._moveBookmarkBetween(seeded.bm2.id, seeded.bm1.id, 'before');
+    expect(titles()).toEqual(['Google', 'GitHub', 'Dev Resources']);
+
+    await tree._moveBookmarkBetween(seeded.bm3.id, seeded.bm1.id, 'before');
+    const children = await chrome.bookmarks.getChildren(seeded.wsFolder.id);
+    expect(children.map(c => c.title)).toEqual(['Google', 'GitHub', 'Dev Resources', 'MDN']);
+  });
+
+  describe('external link drops', () => {
+    const drop = (target, data) => {
+      const evt = new Event('drop', { bubbles: true, cancelable: true });
+      Object.defineProperty(evt, 'dataTransfer', { value: { getData: (type) => data[type] || '' } });
+      target.dispatchEvent(evt);
+    };
+    const childTitles = async () => (await chrome.bookmarks.getChildren(seeded.wsFolder.id)).map(c => c.title);
+
+    it('bookmarks every dropped URL at the drop position', async () => {
+      const row = container.querySelector(`[data-id="${seeded.bm1.id}"]`);
+      row.classList.add('drop-after');
+      drop(row, { 'text/uri-list': 'https://example.com/a\r\n# comment\r\nhttps://example.org/b' });
+
+      await vi.waitFor(async () => {
+        expect(await childTitles()).toEqual(['Google', 'example.com', 'example.org', 'GitHub', 'Dev Resources']);
+      });
+    });
+
+    it('uses the payload title and lands at the end of the workspace on the root', async () => {
+      drop(container, { 'text/x-moz-url': 'https://example.com/\nExample Domain' });
+
+      await vi.waitFor(async () => {
+        expect(await childTitles()).toEqual(['Google', 'GitHub', 'Dev Resources', 'Example Domain']);
+      });
+    });
+
+    it('still moves bookmarks dragged inside the tree', async () => {
+      const row = container.querySelector(`[data-id="${seeded.subFolder.id}"]`);
+      row.classList.add('drag-over');
+      drop(row, { 'text/plain': seeded.bm1.id });
+
+      await vi.waitFor(async () => {
+        expect(await childTitles()).toEqual(['GitHub', 'Dev Resources']);
+      });
+    });
+  });
+});
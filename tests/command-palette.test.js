@@ -0,0 +1,173 @@
+// Tests for the Ctrl/Cmd+K command palette
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { workspaceService } from '../sidepanel/services/workspace-service.js';
+import { CommandPalette, rankItems } from '../sidepanel/components/command-palette.js';
+
+const flush = () => new Promise(r => setTimeout(r, 0));
+
+describe('rankItems', () => {
+  const items = [
+    { type: 'bookmark', title: 'GitHub', url: 'https://github.com' },
+    { type: 'bookmark', title: 'Google', url: 'https://google.com' },
+    { type: 'action', title: 'New folder' },
+    { type: 'tab', title: 'Inbox', url: 'https://mail.example.com' },
+  ];
+
+  it('groups results by type in display order', () => {
+    const groups = rankItems(items, '');
+    expect(groups.map(g => g.label)).toEqual(['Actions', 'Open tabs', 'Bookmarks']);
+  });
+
+  it('drops non-matching items and empty groups', () => {
+    const groups = rankItems(items, 'gith');
+    expect(groups.length).toBe(1);
+    expect(groups[0].items.map(i => i.title)).toEqual(['GitHub']);
+  });
+
+  it('also matches on URL', () => {
+    const groups = rankItems(items, 'mail.example');
+    expect(groups[0].items[0].title).toBe('Inbox');
+  });
+});
+
+describe('CommandPalette', () => {
+  let app;
+  let palette;
+  let actionBar;
+
+  beforeEach(async () => {
+    resetMocks();
+    document.body.innerHTML = '<div id="app"></div>';
+    app = document.getElementById('app');
+
+    const { arcRoot, wsFolder } = await seedBookmarks();
+    await chrome.storage.sync.set({
+      arcSpacesRootId: arcRoot.id,
+      workspaces: {
+        activeWorkspaceId: 'ws_default',
+        order: ['ws_default'],
+        items: {
+          ws_default: {
+            id: 'ws_default',
+            name: 'Personal',
+            color: '#7C5CFC',
+            colorScheme: 'purple',
+            pinnedBookmarkIds: [],
+            rootFolderId: wsFolder.id,
+            created: Date.now(),
+          },
+        },
+      },
+    });
+    await workspaceService.init();
+    const work = await workspaceService.create('Work');
+    await chrome.bookmarks.create({ parentId: work.rootFolderId, title: 'Jira', url: 'https://acme.atlassian.net' });
+
+    actionBar = {
+      addBookmark: vi.fn(),
+      addFolder: vi.fn(),
+      saveSession: vi.fn(),
+      openArchive: vi.fn(),
+      exportBackup: vi.fn(),
+      importBackup: vi.fn(),
+      setColor: vi.fn(),
+    };
+    palette = new CommandPalette(app, { actionBar });
+    palette.init();
+  });
+
+  afterEach(() => {
+    palette.destroy();
+  });
+
+  async function type(query) {
+    const input = app.querySelector('.palette-input');
+    input.value = query;
+    input.dispatchEvent(new Event('input'));
+  }
+
+  function press(key) {
+    app.querySelector('.palette-input').dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+  }
+
+  it('opens and closes with Ctrl+K', async () => {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'k', ctrlKey: true }));
+    await flush();
+    expect(app.querySelector('.palette-overlay')).not.toBeNull();
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'k', metaKey: true }));
+    expect(app.querySelector('.palette-overlay')).toBeNull();
+  });
+
+  it('finds bookmarks in every workspace, including nested ones', async () => {
+    await palette.open();
+    await type('jira');
+    expect(app.querySelector('.palette-item-title').textContent).toBe('Jira');
+    expect(app.querySelector('.palette-item-subtitle').textContent).toBe('Work');
+
+    await type('mdn');
+    expect(app.querySelector('.palette-item-subtitle').textContent).toBe('Personal › Dev Resources');
+  });
+
+  it('opens the selected bookmark in the current tab on Enter', async () => {
+    await palette.open();
+    await type('github');
+    press('Enter');
+    await flush();
+    expect(chrome.tabs.update).toHaveBeenCalledWith(1, { url: 'https://github.com' });
+    expect(app.querySelector('.palette-overlay')).toBeNull();
+  });
+
+  it('moves the selection with the arrow keys', async () => {
+    await palette.open();
+    const before = app.querySelector('.palette-item.selected');
+    press('ArrowDown');
+    const after = app.querySelector('.palette-item.selected');
+    expect(after).not.toBe(before);
+    press('ArrowUp');
+    expect(app.querySelector('.palette-item.selected')).toBe(before);
+  });
+
+  it('runs actions through the action bar', async () => {
+    await palette.open();
+    await type('new folder');
+    press('Enter');
+    await flush();
+    expect(actionBar.addFolder).toHaveBeenCalled();
+  });
+
+  it('offers color changes for the active workspace', async () => {
+    await palette.open();
+    await type('color to green');
+    press('Enter');
+    await flush();
+    expect(actionBar.setColor).toHaveBeenCalledWith(workspaceService.getActive(), 'green');
+  });
+
+  it('switches workspaces', async () => {
+    await palette.open();
+    await type('switch to work');
+    press('Enter');
+    await flush();
+    await flush();
+    expect(workspaceService.getActive().name).toBe('Work');
+  });
+
+  it('focuses open tabs', async () => {
+    await palette.open();
+    await type('example');
+    const labels = [...app.querySelectorAll('.palette-group-label')].map(l => l.textContent);
+    expect(labels).toContain('Open tabs');
+    press('Enter');
+    await flush();
+    expect(chrome.tabs.update).toHaveBeenCalledWith(1, { active: true });
+  });
+
+  it('closes on Escape', async () => {
+    await palette.open();
+    press('Escape');
+    expect(app.querySelector('.palette-overlay')).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+// Tests for keyboard commands — workspace switching and saving the current tab
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { resetMocks } from './setup.js';
+import { commandService, resolveWorkspaceCommand } from '../sidepanel/services/command-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+import { tabGroupService } from '../sidepanel/services/tab-group-service.js';
+
+const home = { id: 'ws_home', name: 'Home', colorScheme: 'purple' };
+const work = { id: 'ws_work', name: 'Work', colorScheme: 'blue' };
+const play = { id: 'ws_play', name: 'Play', colorScheme: 'green' };
+
+describe('Keyboard commands', () => {
+  beforeEach(async () => {
+    resetMocks();
+    for (const ws of [home, work, play]) {
+      await storageService.saveWorkspaceItem(ws.id, ws);
+    }
+    await storageService.saveWorkspaceMeta({ order: ['ws_home', 'ws_work', 'ws_play'], version: 2 });
+    await storageService.saveWorkspaceLocal({ activeWorkspaceId: 'ws_home', rootFolderIds: { ws_work: '2' } });
+    await storageService.setWindowWorkspace(1, 'ws_work');
+  });
+
+  describe('resolveWorkspaceCommand', () => {
+    const order = ['a', 'b', 'c'];
+
+    it('steps through workspaces and wraps around', () => {
+      expect(resolveWorkspaceCommand('next-workspace', order, 'b')).toBe('c');
+      expect(resolveWorkspaceCommand('next-workspace', order, 'c')).toBe('a');
+      expect(resolveWorkspaceCommand('previous-workspace', order, 'a')).toBe('c');
+    });
+
+    it('picks workspaces by position', () => {
+      expect(resolveWorkspaceCommand('workspace-2', order, 'a')).toBe('b');
+      expect(resolveWorkspaceCommand('workspace-4', order, 'a')).toBeNull();
+    });
+
+    it('ignores unknown commands and empty orders', () => {
+      expect(resolveWorkspaceCommand('other', order, 'a')).toBeNull();
+      expect(resolveWorkspaceCommand('next-workspace', [], null)).toBeNull();
+    });
+  });
+
+  it('switches the window and updates the last-used workspace', async () => {
+    await commandService.handle('next-workspace', { id: 7, windowId: 1 });
+
+    expect(await storageService.getWindowWorkspace(1)).toBe('ws_play');
+    expect((await storageService.getWorkspaceLocal()).activeWorkspaceId).toBe('ws_play');
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      type: 'workspace:switch',
+      data: { windowId: 1, workspaceId: 'ws_play' }
+    });
+  });
+
+  it('swaps tab groups itself when no side panel follows', async () => {
+    const swap = vi.spyOn(tabGroupService, 'swap').mockResolvedValueOnce();
+    chrome.runtime.sendMessage.mockRejectedValueOnce(new Error('Receiving end does not exist'));
+
+    await commandService.handle('workspace-1', { id: 7, windowId: 1 });
+    expect(swap).toHaveBeenCalledWith(work, home);
+  });
+
+  it('leaves tab groups to the side panel when it follows', async () => {
+    const swap = vi.spyOn(tabGroupService, 'swap');
+    chrome.runtime.sendMessage.mockResolvedValueOnce({ switched: true });
+
+    await commandService.handle('workspace-1', { id: 7, windowId: 1 });
+    expect(swap).not.toHaveBeenCalled();
+    swap.mockRestore();
+  });
+
+  it('does nothing when the window already shows the workspace', async () => {
+    await commandService.handle('workspace-2', { id: 7, windowId: 1 });
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('bookmarks the current tab into the window\'s workspace', async () => {
+    await commandService.handle('add-current-tab', { id: 7, windowId: 1, title: 'Docs', url: 'https://docs.example.com/' });
+
+    const [folder] = await chrome.bookmarks.getSubTree('2');
+    expect(folder.children.map(c => c.url)).toEqual(['https://docs.example.com/']);
+  });
+
+  it('skips tabs of workspaces without a folder on this device', async () => {
+    await storageService.setWindowWorkspace(1, 'ws_play');
+    const created = await commandService.addTab({ id: 7, windowId: 1, url: 'https://example.com/' }, 1);
+    expect(created).toBeNull();
+  });
+});
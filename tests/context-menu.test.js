@@ -1,7 +1,7 @@
 // Tests for the context menu component
 
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { showContextMenu, closeContextMenu } from '../sidepanel/components/context-menu.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { showContextMenu, closeContextMenu, isContextMenuKey } from '../sidepanel/components/context-menu.js';
 
 describe('ContextMenu', () => {
   beforeEach(() => {
@@ -381,4 +381,92 @@ describe('ContextMenu', () => {
     expect(document.querySelector('.context-submenu')).toBeTruthy();
     expect(submenu.classList.contains('context-submenu-visible')).toBe(true);
   });
+
+  // ── Keyboard ────────────────────────────────────
+
+  describe('keyboard', () => {
+    const press = (key, opts = {}) => {
+      document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...opts }));
+    };
+    const nested = (action = () => {}) => [
+      { label: 'Rename', action: () => {} },
+      { separator: true },
+      { label: 'Move to…', children: [{ label: 'Work', action }, { label: 'Play', action: () => {} }] },
+      { label: 'Delete', danger: true, action: () => {} },
+    ];
+
+    it('exposes menu roles and focuses the first item', () => {
+      showContextMenu({ x: 0, y: 0, items: nested() });
+
+      const menu = document.querySelector('.context-menu');
+      expect(menu.getAttribute('role')).toBe('menu');
+      expect(menu.querySelector('.context-menu-separator').getAttribute('role')).toBe('separator');
+      const submenuRow = menu.querySelector('.context-menu-item-submenu');
+      expect(submenuRow.getAttribute('aria-haspopup')).toBe('menu');
+      expect(document.activeElement.textContent).toBe('Rename');
+      expect(document.activeElement.getAttribute('role')).toBe('menuitem');
+    });
+
+    it('moves with the arrow keys, Home and End, skipping separators', () => {
+      showContextMenu({ x: 0, y: 0, items: nested() });
+
+      press('ArrowDown');
+      expect(document.activeElement.textContent.trim()).toBe('Move to…');
+      press('End');
+      expect(document.activeElement.textContent).toBe('Delete');
+      press('ArrowDown');
+      expect(document.activeElement.textContent).toBe('Rename');
+      press('ArrowUp');
+      expect(document.activeElement.textContent).toBe('Delete');
+      press('Home');
+      expect(document.activeElement.textContent).toBe('Rename');
+    });
+
+    it('opens submenus with ArrowRight and closes them with ArrowLeft', () => {
+      const action = vi.fn();
+      showContextMenu({ x: 0, y: 0, items: nested(action) });
+
+      press('ArrowDown');
+      press('ArrowRight');
+      const submenu = document.querySelector('.context-submenu');
+      expect(submenu.classList.contains('context-submenu-visible')).toBe(true);
+      expect(document.activeElement.textContent).toBe('Work');
+      expect(document.querySelector('.context-menu-item-submenu').getAttribute('aria-expanded')).toBe('true');
+
+      press('ArrowLeft');
+      expect(document.querySelector('.context-submenu')).toBeFalsy();
+      expect(document.activeElement.textContent.trim()).toBe('Move to…');
+
+      press('ArrowRight');
+      press('Enter');
+      expect(action).toHaveBeenCalledOnce();
+      expect(document.querySelector('.context-menu')).toBeFalsy();
+    });
+
+    it('closes on Escape and returns focus to the opener', () => {
+      const opener = document.createElement('button');
+      document.body.appendChild(opener);
+      opener.focus();
+
+      showContextMenu({ x: 0, y: 0, items: nested() });
+      expect(document.activeElement).not.toBe(opener);
+
+      press('Escape');
+      expect(document.querySelector('.context-menu')).toBeFalsy();
+      expect(document.activeElement).toBe(opener);
+    });
+
+    it('activates the focused item with Enter', () => {
+      const action = vi.fn();
+      showContextMenu({ x: 0, y: 0, items: [{ label: 'Go', action }] });
+      press('Enter');
+      expect(action).toHaveBeenCalledOnce();
+    });
+
+    it('recognizes Shift+F10 and the ContextMenu key', () => {
+      expect(isContextMenuKey(new KeyboardEvent('keydown', { key: 'F10', shiftKey: true }))).toBe(true);
+      expect(isContextMenuKey(new KeyboardEvent('keydown', { key: 'ContextMenu' }))).toBe(true);
+      expect(isContextMenuKey(new KeyboardEvent('keydown', { key: 'F10' }))).toBe(false);
+    });
+  });
 });
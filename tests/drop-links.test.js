@@ -0,0 +1,58 @@
+// Tests for reading links out of external drag-and-drop payloads
+
+import { describe, it, expect } from 'vitest';
+import { hasDroppedLinks, parseDroppedLinks } from '../sidepanel/utils/drop-links.js';
+
+const transfer = (data) => ({
+  types: Object.keys(data),
+  getData: (type) => data[type] || '',
+});
+
+describe('parseDroppedLinks', () => {
+  it('reads URL and title pairs from text/x-moz-url', () => {
+    const links = parseDroppedLinks(transfer({
+      'text/x-moz-url': 'https://a.example/\nFirst\r\nhttps://b.example/\nSecond',
+    }));
+    expect(links).toEqual([
+      { url: 'https://a.example/', title: 'First' },
+      { url: 'https://b.example/', title: 'Second' },
+    ]);
+  });
+
+  it('reads text/uri-list, skipping comments and repeats', () => {
+    const links = parseDroppedLinks(transfer({
+      'text/uri-list': '# dragged\r\nhttps://a.example/x\r\nhttps://a.example/x\r\nhttps://b.example/',
+    }));
+    expect(links.map(l => l.url)).toEqual(['https://a.example/x', 'https://b.example/']);
+  });
+
+  it('takes titles from dropped anchor text, else the hostname', () => {
+    const links = parseDroppedLinks(transfer({
+      'text/uri-list': 'https://a.example\nhttps://b.example/page',
+      'text/html': '<a href="https://a.example">  The  A site </a>',
+    }));
+    expect(links).toEqual([
+      { url: 'https://a.example', title: 'The A site' },
+      { url: 'https://b.example/page', title: 'b.example' },
+    ]);
+  });
+
+  it('accepts plain-text URLs, one per line', () => {
+    const links = parseDroppedLinks(transfer({ 'text/plain': 'https://a.example/\nnot a link\nftp://files.example/x' }));
+    expect(links.map(l => l.url)).toEqual(['https://a.example/', 'ftp://files.example/x']);
+  });
+
+  it('ignores bookmark IDs, plain text and script links', () => {
+    expect(parseDroppedLinks(transfer({ 'text/plain': '42' }))).toEqual([]);
+    expect(parseDroppedLinks(transfer({ 'text/plain': 'example.com is nice' }))).toEqual([]);
+    expect(parseDroppedLinks(transfer({ 'text/uri-list': 'javascript:alert(1)' }))).toEqual([]);
+  });
+});
+
+describe('hasDroppedLinks', () => {
+  it('looks at the drag types only', () => {
+    expect(hasDroppedLinks(transfer({ 'text/uri-list': '' }))).toBe(true);
+    expect(hasDroppedLinks(transfer({ 'text/plain': '' }))).toBe(false);
+    expect(hasDroppedLinks({})).toBe(false);
+  });
+});
@@ -0,0 +1,162 @@
+// Tests for the duplicate finder — URL normalization, grouping across
+// workspaces, and merging with pins, shortcuts, tags and notes re-pointed
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { duplicateService, normalizeUrl } from '../sidepanel/services/duplicate-service.js';
+import { workspaceService } from '../sidepanel/services/workspace-service.js';
+import { bookmarkService } from '../sidepanel/services/bookmark-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+import { trashService } from '../sidepanel/services/trash-service.js';
+import { tagService } from '../sidepanel/services/tag-service.js';
+import { noteService } from '../sidepanel/services/note-service.js';
+import { undoService } from '../sidepanel/services/undo-service.js';
+
+describe('normalizeUrl', () => {
+  it('drops www., trailing slashes, tracking params and empty fragments', () => {
+    expect(normalizeUrl('https://www.Example.com/docs/?utm_source=x&id=3&fbclid=y#'))
+      .toBe('https://example.com/docs?id=3');
+    expect(normalizeUrl('https://example.com/')).toBe('https://example.com');
+    expect(normalizeUrl('https://example.com:443/a#top')).toBe('https://example.com/a#top');
+  });
+
+  it('leaves other schemes and bad URLs alone', () => {
+    expect(normalizeUrl('chrome://settings/')).toBe('chrome://settings/');
+    expect(normalizeUrl('not a url')).toBe('not a url');
+  });
+});
+
+describe('DuplicateService', () => {
+  let seeded;
+  let workFolder;
+  let workGoogle;
+
+  beforeEach(async () => {
+    resetMocks();
+    workspaceService._firstRunDelayMs = 0;
+    workspaceService._windowId = null;
+
+    seeded = await seedBookmarks();
+    workFolder = await chrome.bookmarks.create({ parentId: seeded.arcRoot.id, title: 'Work' });
+    const tools = await chrome.bookmarks.create({ parentId: workFolder.id, title: 'Tools' });
+    workGoogle = await chrome.bookmarks.create({ parentId: tools.id, title: 'Search', url: 'https://www.google.com/?utm_medium=email' });
+    // Shortcut mirror — not a duplicate
+    const mirror = await chrome.bookmarks.create({ parentId: workFolder.id, title: '__shortcuts__' });
+    await chrome.bookmarks.create({ parentId: mirror.id, title: 'G', url: 'https://www.google.com/?utm_medium=email' });
+
+    await storageService.saveWorkspaceItem('ws_personal', {
+      id: 'ws_personal', name: 'Personal', colorScheme: 'purple', pinnedBookmarks: []
+    });
+    await storageService.saveWorkspaceItem('ws_work', {
+      id: 'ws_work', name: 'Work', colorScheme: 'blue',
+      pinnedBookmarks: [{ id: workGoogle.id, url: workGoogle.url, title: 'Search' }],
+      shortcuts: [{ url: 'https://www.google.com/?utm_medium=email', title: 'G' }]
+    });
+    await storageService.saveWorkspaceMeta({ order: ['ws_personal', 'ws_work'], version: 2 });
+    await storageService.saveWorkspaceLocal({
+      activeWorkspaceId: 'ws_personal',
+      rootFolderIds: { ws_personal: seeded.wsFolder.id, ws_work: workFolder.id }
+    });
+    await storageService.saveArcSpacesRootIdLocal(seeded.arcRoot.id);
+    await workspaceService.init();
+  });
+
+  it('groups bookmarks of the same page across workspaces with their paths', async () => {
+    const groups = await duplicateService.findDuplicates();
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].key).toBe('https://google.com');
+    expect(groups[0].items.map(i => [i.id, i.path, i.pinnedIn])).toEqual([
+      [seeded.bm1.id, 'Personal', []],
+      [workGoogle.id, 'Work › Tools', ['ws_work']],
+    ]);
+  });
+
+  it('keeps a pinned bookmark when merging by default', async () => {
+    const [group] = await duplicateService.findDuplicates();
+    expect(duplicateService.pickKeeper(group.items).id).toBe(workGoogle.id);
+  });
+
+  it('merges into the kept bookmark, re-pointing shortcuts, tags and notes', async () => {
+    await tagService.setTags(workGoogle.url, ['search']);
+    await noteService.setNote(workGoogle.url, 'Old link');
+    const [group] = await duplicateService.findDuplicates();
+
+    expect(await duplicateService.merge(group.items, seeded.bm1.id)).toBe(1);
+
+    expect((await trashService.getAll()).map(e => e.id)).toEqual([workGoogle.id]);
+    const work = workspaceService.getById('ws_work');
+    expect(work.shortcuts).toEqual([{ url: 'https://google.com', title: 'G' }]);
+    expect(await tagService.getAll()).toEqual({ 'https://google.com': ['search'] });
+    expect(await noteService.getAll()).toEqual({ 'https://google.com': 'Old link' });
+
+    const mirror = (await bookmarkService.getChildren(workFolder.id)).find(c => c.title === '__shortcuts__');
+    expect((await bookmarkService.getChildren(mirror.id)).map(c => c.url)).toEqual(['https://google.com']);
+    expect(await duplicateService.findDuplicates()).toEqual([]);
+  });
+
+  it('drops pins in other workspaces rather than pointing them outside their folder', async () => {
+    const [group] = await duplicateService.findDuplicates();
+
+    await duplicateService.merge(group.items, seeded.bm1.id);
+    expect(workspaceService.getById('ws_work').pinnedBookmarks).toEqual([]);
+    expect(workspaceService.isPinned(seeded.bm1.id, 'ws_work')).toBe(false);
+  });
+
+  it('re-points a pin at a kept bookmark of the same workspace, in place', async () => {
+    const workDocs = await chrome.bookmarks.create({ parentId: workFolder.id, title: 'Docs', url: 'https://docs.example' });
+    const keep = await chrome.bookmarks.create({ parentId: workFolder.id, title: 'Google', url: 'https://google.com/' });
+    await workspaceService.pinBookmark(workDocs.id, 'ws_work');
+    const group = (await duplicateService.findDuplicates())[0];
+
+    await duplicateService.merge(group.items.filter(i => i.id !== seeded.bm1.id), keep.id);
+    expect(workspaceService.getById('ws_work').pinnedBookmarks.map(m => m.id)).toEqual([keep.id, workDocs.id]);
+  });
+
+  it('drops the old pin when the kept bookmark is already pinned there', async () => {
+    const keep = await chrome.bookmarks.create({ parentId: workFolder.id, title: 'Google', url: 'https://google.com/' });
+    await workspaceService.pinBookmark(keep.id, 'ws_work');
+    const group = (await duplicateService.findDuplicates())[0];
+
+    await duplicateService.merge(group.items.filter(i => i.id !== seeded.bm1.id), keep.id);
+    expect(workspaceService.getById('ws_work').pinnedBookmarks.map(m => m.id)).toEqual([keep.id]);
+  });
+
+  it('undoes a merge, bringing back the bookmark and its pin', async () => {
+    const keep = await chrome.bookmarks.create({ parentId: workFolder.id, title: 'Google', url: 'https://google.com/' });
+    const group = (await duplicateService.findDuplicates())[0];
+    await duplicateService.merge(group.items, keep.id);
+    expect(await trashService.getAll()).toHaveLength(2);
+
+    await undoService.undo();
+
+    expect(await trashService.getAll()).toEqual([]);
+    expect((await bookmarkService.get(seeded.bm1.id)).parentId).toBe(seeded.wsFolder.id);
+    expect(workspaceService.getById('ws_work').pinnedBookmarks.map(m => m.id)).toEqual([workGoogle.id]);
+  });
+
+  it('puts shortcuts, tags and notes back on undo, and moves them again on redo', async () => {
+    await tagService.setTags(workGoogle.url, ['search']);
+    await tagService.setTags('https://google.com', ['home']);
+    await noteService.setNote(workGoogle.url, 'Old link');
+    const [group] = await duplicateService.findDuplicates();
+    await duplicateService.merge(group.items, seeded.bm1.id);
+
+    await undoService.undo();
+
+    expect(await tagService.getAll()).toEqual({ [workGoogle.url]: ['search'], 'https://google.com': ['home'] });
+    expect(await noteService.getAll()).toEqual({ [workGoogle.url]: 'Old link' });
+    expect(workspaceService.getById('ws_work').shortcuts).toEqual([{ url: workGoogle.url, title: 'G' }]);
+
+    await undoService.redo();
+
+    expect(await tagService.getAll()).toEqual({ 'https://google.com': ['home', 'search'] });
+    expect(await noteService.getAll()).toEqual({ 'https://google.com': 'Old link' });
+    expect(workspaceService.getById('ws_work').shortcuts).toEqual([{ url: 'https://google.com', title: 'G' }]);
+  });
+
+  it('refuses a keeper outside the group', async () => {
+    const [group] = await duplicateService.findDuplicates();
+    await expect(duplicateService.merge(group.items, seeded.bm2.id)).rejects.toThrow();
+  });
+});
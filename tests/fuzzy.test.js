@@ -0,0 +1,29 @@
+// Tests for fuzzy matching used by the command palette
+
+import { describe, it, expect } from 'vitest';
+import { fuzzyScore } from '../sidepanel/utils/fuzzy.js';
+
+describe('fuzzyScore', () => {
+  it('matches subsequences case-insensitively', () => {
+    expect(fuzzyScore('gh', 'GitHub')).not.toBeNull();
+    expect(fuzzyScore('ghb', 'GitHub')).not.toBeNull();
+    expect(fuzzyScore('xyz', 'GitHub')).toBeNull();
+  });
+
+  it('treats an empty query as a match', () => {
+    expect(fuzzyScore('', 'anything')).toBe(0);
+  });
+
+  it('ranks substring matches above scattered ones', () => {
+    expect(fuzzyScore('hub', 'GitHub')).toBeGreaterThan(fuzzyScore('gub', 'GitHub'));
+  });
+
+  it('ranks earlier and word-start matches higher', () => {
+    expect(fuzzyScore('doc', 'Docs home')).toBeGreaterThan(fuzzyScore('doc', 'Team docs'));
+    expect(fuzzyScore('mail', 'Team mail')).toBeGreaterThan(fuzzyScore('mail', 'Teammail'));
+  });
+
+  it('rewards consecutive characters', () => {
+    expect(fuzzyScore('abd', 'abxd')).toBeGreaterThan(fuzzyScore('abd', 'axbxd'));
+  });
+});
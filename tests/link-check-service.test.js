@@ -0,0 +1,194 @@
+// Tests for the link checker — status classification against a local HTTP
+// server, bounded concurrency, the result cache, redirect updates and rescans
+
+import { describe, it, expect, beforeEach, beforeAll, afterAll } from 'vitest';
+import http from 'node:http';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { linkCheckService, LINK_STATUS } from '../sidepanel/services/link-check-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+import { tagService } from '../sidepanel/services/tag-service.js';
+import { noteService } from '../sidepanel/services/note-service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+let base;
+let closedBase;
+
+// The jsdom AbortSignal isn't one Node's fetch accepts — only the method is passed on
+const netFetcher = (url, init) => fetch(url, { method: init.method });
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/ok') {
+      res.writeHead(200);
+    } else if (req.url === '/old') {
+      res.writeHead(301, { Location: '/new' });
+    } else if (req.url === '/new') {
+      res.writeHead(200);
+    } else if (req.url === '/no-head') {
+      res.writeHead(req.method === 'HEAD' ? 405 : 200);
+    } else if (req.url === '/error') {
+      res.writeHead(500);
+    } else {
+      res.writeHead(404);
+    }
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  // A port nothing listens on
+  const spare = http.createServer();
+  await new Promise(resolve => spare.listen(0, '127.0.0.1', resolve));
+  closedBase = `http://127.0.0.1:${spare.address().port}`;
+  await new Promise(resolve => spare.close(resolve));
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('LinkCheckService', () => {
+  let seeded;
+
+  beforeEach(async () => {
+    resetMocks();
+    seeded = await seedBookmarks();
+    await storageService.saveWorkspaceLocal({
+      activeWorkspaceId: 'ws_personal',
+      rootFolderIds: { ws_personal: seeded.wsFolder.id }
+    });
+  });
+
+  describe('checkUrl', () => {
+    it('classifies responses', async () => {
+      const check = (path) => linkCheckService.checkUrl(base + path, { fetcher: netFetcher }, 1000);
+
+      expect(await check('/ok')).toEqual({ status: LINK_STATUS.OK, code: 200, checkedAt: 1000 });
+      expect(await check('/missing')).toEqual({ status: LINK_STATUS.DEAD, code: 404, checkedAt: 1000 });
+      expect(await check('/error')).toMatchObject({ status: LINK_STATUS.DEAD, code: 500 });
+      expect(await check('/old')).toMatchObject({ status: LINK_STATUS.REDIRECTED, finalUrl: `${base}/new` });
+    });
+
+    it('retries with GET when HEAD is not allowed', async () => {
+      const result = await linkCheckService.checkUrl(`${base}/no-head`, { fetcher: netFetcher });
+      expect(result).toMatchObject({ status: LINK_STATUS.OK, code: 200 });
+    });
+
+    it('marks refused connections as dead', async () => {
+      const result = await linkCheckService.checkUrl(`${closedBase}/`, { fetcher: netFetcher });
+      expect(result).toMatchObject({ status: LINK_STATUS.DEAD, error: 'Could not connect' });
+    });
+
+    it('gives up on slow servers', async () => {
+      const hang = (url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => {
+          reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+        });
+      });
+      const result = await linkCheckService.checkUrl('https://slow.example', { fetcher: hang, timeoutMs: 10 });
+      expect(result).toMatchObject({ status: LINK_STATUS.DEAD, error: 'Timed out' });
+    });
+  });
+
+  describe('checkUrls', () => {
+    it('keeps at most `concurrency` requests in flight', async () => {
+      let inFlight = 0;
+      let peak = 0;
+      const fetcher = async () => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return { status: 200, redirected: false, url: '' };
+      };
+      const urls = Array.from({ length: 10 }, (_, i) => `https://site${i}.example`);
+      const progress = [];
+
+      await linkCheckService.checkUrls(urls, {
+        fetcher, concurrency: 3, onProgress: (done, total) => progress.push([done, total])
+      });
+
+      expect(peak).toBe(3);
+      expect(progress).toHaveLength(10);
+      expect(progress[9]).toEqual([10, 10]);
+    });
+
+    it('caches results in local storage', async () => {
+      await linkCheckService.checkUrls([`${base}/ok`, `${base}/missing`], { fetcher: netFetcher }, 5000);
+
+      const cache = await storageService.getLinkHealth();
+      expect(cache[`${base}/ok`].status).toBe(LINK_STATUS.OK);
+      expect(cache[`${base}/missing`]).toEqual({ status: LINK_STATUS.DEAD, code: 404, checkedAt: 5000 });
+    });
+  });
+
+  describe('getReport', () => {
+    it('lists the workspace’s dead and redirected bookmarks', async () => {
+      await storageService.saveLinkHealth({
+        'https://google.com': { status: LINK_STATUS.DEAD, code: 404, checkedAt: 100 },
+        'https://github.com': { status: LINK_STATUS.REDIRECTED, code: 200, finalUrl: 'https://github.com/home', checkedAt: 200 },
+        'https://developer.mozilla.org': { status: LINK_STATUS.OK, code: 200, checkedAt: 150 },
+      });
+
+      const report = await linkCheckService.getReport('ws_personal');
+
+      expect(report.dead.map(b => b.id)).toEqual([seeded.bm1.id]);
+      expect(report.redirected).toEqual([
+        expect.objectContaining({ id: seeded.bm2.id, finalUrl: 'https://github.com/home' })
+      ]);
+      expect(report.checkedAt).toBe(200);
+    });
+  });
+
+  describe('updateRedirected', () => {
+    it('points bookmarks at the final URL, with their tags and notes', async () => {
+      await tagService.setTags('https://github.com', ['code']);
+      await noteService.setNote('https://github.com', 'Repos');
+      await storageService.saveLinkHealth({
+        'https://github.com': { status: LINK_STATUS.REDIRECTED, finalUrl: 'https://github.com/home', checkedAt: 200 },
+      });
+
+      const updated = await linkCheckService.updateRedirected([
+        { id: seeded.bm2.id, url: 'https://github.com', finalUrl: 'https://github.com/home' }
+      ]);
+
+      expect(updated).toBe(1);
+      const [bm] = await chrome.bookmarks.get(seeded.bm2.id);
+      expect(bm.url).toBe('https://github.com/home');
+      expect(await tagService.getTagsFor('https://github.com/home')).toEqual(['code']);
+      expect(await noteService.getNoteFor('https://github.com/home')).toBe('Repos');
+      const cache = await storageService.getLinkHealth();
+      expect(cache['https://github.com']).toBeUndefined();
+      expect(cache['https://github.com/home'].status).toBe(LINK_STATUS.OK);
+    });
+  });
+
+  describe('rescanDue', () => {
+    const okFetcher = async () => ({ status: 200, redirected: false, url: '' });
+
+    it('re-checks stale and unchecked links and drops unbookmarked ones', async () => {
+      const now = 30 * DAY_MS;
+      await storageService.saveLinkHealth({
+        'https://google.com': { status: LINK_STATUS.OK, checkedAt: now - DAY_MS },
+        'https://github.com': { status: LINK_STATUS.DEAD, code: 404, checkedAt: now - 8 * DAY_MS },
+        'https://gone.example': { status: LINK_STATUS.OK, checkedAt: now },
+      });
+
+      const checked = await linkCheckService.rescanDue({ fetcher: okFetcher }, now);
+
+      expect(checked).toBe(2); // github (stale) + MDN (never checked)
+      const cache = await storageService.getLinkHealth();
+      expect(cache['https://google.com'].checkedAt).toBe(now - DAY_MS);
+      expect(cache['https://github.com']).toMatchObject({ status: LINK_STATUS.OK, checkedAt: now });
+      expect(cache['https://gone.example']).toBeUndefined();
+    });
+
+    it('does nothing when rescans are off', async () => {
+      await linkCheckService.setRescan('never');
+      expect(await linkCheckService.getRescan()).toBe('never');
+      expect(await linkCheckService.rescanDue({ fetcher: okFetcher })).toBe(0);
+    });
+  });
+});
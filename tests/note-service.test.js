@@ -0,0 +1,54 @@
+// Tests for bookmark notes — the synced URL → note map
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { resetMocks } from './setup.js';
+import { noteService, MAX_NOTE_LENGTH } from '../sidepanel/services/note-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+import { bus, Events } from '../sidepanel/utils/event-bus.js';
+
+describe('notes', () => {
+  beforeEach(() => {
+    resetMocks();
+  });
+
+  it('stores trimmed notes in sync keyed by URL', async () => {
+    await noteService.setNote('https://github.com', '  Code hosting ');
+    expect(await storageService.getNotes()).toEqual({ 'https://github.com': 'Code hosting' });
+    expect(await noteService.getNoteFor('https://github.com')).toBe('Code hosting');
+    expect(await noteService.getNoteFor('https://example.com')).toBe('');
+  });
+
+  it('caps the note length', async () => {
+    await noteService.setNote('https://github.com', 'x'.repeat(MAX_NOTE_LENGTH + 20));
+    expect((await noteService.getNoteFor('https://github.com')).length).toBe(MAX_NOTE_LENGTH);
+  });
+
+  it('removes the URL entry when the note is cleared', async () => {
+    await noteService.setNote('https://github.com', 'Code hosting');
+    await noteService.setNote('https://github.com', '   ');
+    expect(await storageService.getNotes()).toEqual({});
+  });
+
+  it('emits NOTES_CHANGED only when the note changes', async () => {
+    const onChange = vi.fn();
+    const unsub = bus.on(Events.NOTES_CHANGED, onChange);
+    await noteService.setNote('https://github.com', 'Code hosting');
+    await noteService.setNote('https://github.com', 'Code hosting');
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith({ url: 'https://github.com', note: 'Code hosting' });
+    unsub();
+  });
+
+  it('moveUrl() carries the note over to an edited URL', async () => {
+    await noteService.setNote('http://github.com', 'Old');
+    await noteService.moveUrl('http://github.com', 'https://github.com');
+    expect(await storageService.getNotes()).toEqual({ 'https://github.com': 'Old' });
+  });
+
+  it('moveUrl() keeps a note already on the new URL', async () => {
+    await noteService.setNote('http://github.com', 'Old');
+    await noteService.setNote('https://github.com', 'New');
+    await noteService.moveUrl('http://github.com', 'https://github.com');
+    expect(await storageService.getNotes()).toEqual({ 'https://github.com': 'New' });
+  });
+});
@@ -0,0 +1,122 @@
+// Tests for URL routing rules — pattern matching and moving tabs between workspaces
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetMocks } from './setup.js';
+import { routingService, compileRule, matchesRule } from '../sidepanel/services/routing-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+import { tabService } from '../sidepanel/services/tab-service.js';
+
+const work = { id: 'ws_work', name: 'Work', colorScheme: 'blue', routingRules: ['*.atlassian.net', 'github.com/our-org/*'] };
+const research = { id: 'ws_research', name: 'Research', colorScheme: 'green', routingRules: ['/^https:\\/\\/arxiv\\.org\\//'] };
+
+async function seedWorkspaces(workspaces) {
+  for (const ws of workspaces) {
+    await storageService.saveWorkspaceItem(ws.id, ws);
+  }
+  await storageService.saveWorkspaceMeta({ order: workspaces.map(ws => ws.id), version: 2 });
+}
+
+describe('URL routing', () => {
+  beforeEach(() => {
+    resetMocks();
+    chrome.tabGroups.get.mockImplementation(async (groupId) => ({ id: groupId, windowId: 1 }));
+  });
+
+  // ── Pattern matching ───────────────────────────
+
+  describe('matchesRule', () => {
+    it('matches host globs against the hostname', () => {
+      expect(matchesRule('https://acme.atlassian.net/browse/X-1', '*.atlassian.net')).toBe(true);
+      expect(matchesRule('https://atlassian.net.evil.com/', '*.atlassian.net')).toBe(false);
+      expect(matchesRule('https://example.com/', 'example.com')).toBe(true);
+    });
+
+    it('matches host + path globs', () => {
+      expect(matchesRule('https://github.com/our-org/repo/pulls', 'github.com/our-org/*')).toBe(true);
+      expect(matchesRule('https://github.com/other-org/repo', 'github.com/our-org/*')).toBe(false);
+    });
+
+    it('ignores case and a leading scheme in globs', () => {
+      expect(matchesRule('https://Docs.Example.com/', 'https://docs.example.com')).toBe(true);
+    });
+
+    it('matches /regex/ rules against the full URL', () => {
+      expect(matchesRule('https://arxiv.org/abs/1234', '/^https:\\/\\/arxiv\\.org\\//')).toBe(true);
+      expect(matchesRule('https://example.com/?q=ARXIV', '/arxiv/i')).toBe(true);
+      expect(matchesRule('https://example.com/', '/arxiv/')).toBe(false);
+    });
+
+    it('only routes web pages', () => {
+      expect(matchesRule('chrome://settings', 'settings')).toBe(false);
+      expect(matchesRule('not a url', '*')).toBe(false);
+    });
+  });
+
+  it('compileRule() rejects empty and invalid patterns', () => {
+    expect(compileRule('')).toBeNull();
+    expect(compileRule('/([/')).toBeNull();
+    expect(compileRule('*.example.com')).not.toBeNull();
+  });
+
+  it('findWorkspace() returns the first workspace in order with a matching rule', () => {
+    const both = { id: 'ws_b', routingRules: ['*.atlassian.net'] };
+    expect(routingService.findWorkspace('https://a.atlassian.net/', [work, both])).toBe(work);
+    expect(routingService.findWorkspace('https://example.com/', [work, research])).toBeNull();
+  });
+
+  // ── routeTab ───────────────────────────────────
+
+  describe('routeTab', () => {
+    beforeEach(async () => {
+      await seedWorkspaces([work, research]);
+    });
+
+    it('moves a tab to the matching workspace and joins its group', async () => {
+      await tabService.assign(5, 'ws_research');
+      await storageService.setGroupWorkspace(42, 'ws_work');
+
+      const wsId = await routingService.routeTab({
+        id: 5, windowId: 1, groupId: -1, url: 'https://acme.atlassian.net/'
+      });
+
+      expect(wsId).toBe('ws_work');
+      expect(await tabService.getWorkspaceOf(5)).toBe('ws_work');
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ groupId: 42, tabIds: [5] });
+    });
+
+    it('moves a tab out of its old workspace’s group', async () => {
+      await tabService.assign(5, 'ws_research');
+      await storageService.setGroupWorkspace(42, 'ws_work');
+      await storageService.setGroupWorkspace(43, 'ws_research');
+      chrome.tabs.get.mockImplementationOnce(async (tabId) => ({ id: tabId, windowId: 1, groupId: 43 }));
+
+      await routingService.routeTab({ id: 5, windowId: 1, groupId: 43, url: 'https://acme.atlassian.net/' });
+
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ groupId: 42, tabIds: [5] });
+    });
+
+    it('leaves a tab in a group of its own where it is', async () => {
+      await tabService.assign(5, 'ws_research');
+      await storageService.setGroupWorkspace(42, 'ws_work');
+      chrome.tabs.get.mockImplementationOnce(async (tabId) => ({ id: tabId, windowId: 1, groupId: 500 }));
+
+      await routingService.routeTab({ id: 5, windowId: 1, groupId: 500, url: 'https://acme.atlassian.net/' });
+
+      expect(await tabService.getWorkspaceOf(5)).toBe('ws_work');
+      expect(chrome.tabs.group).not.toHaveBeenCalled();
+    });
+
+    it('leaves tabs alone that are already in the matching workspace', async () => {
+      await tabService.assign(5, 'ws_work');
+      const wsId = await routingService.routeTab({ id: 5, windowId: 1, url: 'https://acme.atlassian.net/' });
+      expect(wsId).toBeNull();
+    });
+
+    it('leaves unmatched and pinned tabs alone', async () => {
+      await tabService.assign(5, 'ws_research');
+      expect(await routingService.routeTab({ id: 5, windowId: 1, url: 'https://example.com/' })).toBeNull();
+      expect(await routingService.routeTab({ id: 5, windowId: 1, pinned: true, url: 'https://acme.atlassian.net/' })).toBeNull();
+      expect(await tabService.getWorkspaceOf(5)).toBe('ws_research');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+// Tests for the service worker's new-tab handling — tabs join their
+// workspace's group, except ones the panel is opening as a group of its own
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+import { sessionService } from '../sidepanel/services/session-service.js';
+import '../service-worker.js';
+
+const WORK_GROUP = 42;
+
+// Chrome doesn't wait for listeners; keep their promises to await them
+let pending = [];
+const fireCreated = (tab) => {
+  pending.push(...chrome.tabs.onCreated.listeners.map(fn => fn(tab)));
+};
+const settle = () => Promise.all(pending);
+
+// Tab ID → group ID, kept by the tabs.group mock
+let groupOf;
+const groupedIntoWorkspace = () =>
+  chrome.tabs.group.mock.calls.filter(([opts]) => opts.groupId === WORK_GROUP);
+
+describe('service worker: tabs.onCreated', () => {
+  let folder;
+  let ws;
+
+  beforeEach(async () => {
+    resetMocks();
+    pending = [];
+    groupOf = new Map();
+    chrome.tabs.group.mockImplementation(async ({ groupId = 500, tabIds }) => {
+      tabIds.forEach(id => groupOf.set(id, groupId));
+      return groupId;
+    });
+    chrome.tabs.get.mockImplementation(async (tabId) => ({ id: tabId, windowId: 1, groupId: groupOf.get(tabId) ?? -1 }));
+    const { wsFolder } = await seedBookmarks();
+    ws = { id: 'ws_work', name: 'Work', colorScheme: 'blue', rootFolderId: wsFolder.id };
+    folder = await chrome.bookmarks.create({ parentId: wsFolder.id, title: 'Reading' });
+    await chrome.bookmarks.create({ parentId: folder.id, title: 'A', url: 'https://a.com/' });
+    await chrome.bookmarks.create({ parentId: folder.id, title: 'B', url: 'https://b.com/' });
+
+    await storageService.saveWorkspaceLocal({ activeWorkspaceId: 'ws_work', rootFolderIds: {} });
+    await storageService.setGroupWorkspace(WORK_GROUP, 'ws_work');
+    chrome.tabGroups.get.mockImplementation(async (groupId) => ({ id: groupId, windowId: 1 }));
+  });
+
+  afterEach(() => {
+    chrome.tabs.create.mockImplementation(async () => ({ id: 2 }));
+    chrome.tabs.group.mockImplementation(async () => 500);
+    chrome.tabs.get.mockImplementation(async (tabId) => ({ id: tabId, windowId: 1, url: 'https://example.com', title: 'Example' }));
+  });
+
+  it('adds a new tab to its workspace’s group', async () => {
+    fireCreated({ id: 7, windowId: 1, groupId: -1 });
+    await settle();
+
+    expect(chrome.tabs.group).toHaveBeenCalledWith({ groupId: WORK_GROUP, tabIds: [7] });
+  });
+
+  it('leaves tabs alone while the panel opens a folder as a group', async () => {
+    let nextId = 11;
+    chrome.tabs.create.mockImplementation(async () => {
+      const tab = { id: nextId++, windowId: 1, groupId: -1 };
+      fireCreated(tab);
+      await settle(); // the service worker gets there first
+      return tab;
+    });
+
+    await sessionService.restoreAsGroup(folder, ws);
+    await settle();
+
+    expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [11, 12] });
+    expect(groupedIntoWorkspace()).toEqual([]);
+    expect(await storageService.getGroupingWindow(1)).toBeNull();
+  });
+
+  it('leaves tabs alone when onCreated is handled after the panel grouped them', async () => {
+    const created = [];
+    let nextId = 11;
+    chrome.tabs.create.mockImplementation(async () => {
+      const tab = { id: nextId++, windowId: 1, groupId: -1 };
+      created.push(tab);
+      return tab;
+    });
+    await sessionService.restoreAsGroup(folder, ws);
+
+    created.forEach(fireCreated);
+    await settle();
+
+    expect(groupedIntoWorkspace()).toEqual([]);
+  });
+
+  it('ignores a grouping mark left behind by a panel that closed midway', async () => {
+    await storageService.setGroupingWindow(1, Date.now() - 1);
+
+    fireCreated({ id: 7, windowId: 1, groupId: -1 });
+    await settle();
+
+    expect(chrome.tabs.group).toHaveBeenCalledWith({ groupId: WORK_GROUP, tabIds: [7] });
+  });
+});
@@ -0,0 +1,157 @@
+// Tests for the session service — saving window tabs to a folder and restoring them
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { sessionService, SESSION_PREFIX } from '../sidepanel/services/session-service.js';
+
+const NOW = new Date(2024, 4, 15, 9, 30).getTime();
+
+describe('SessionService', () => {
+  let ws;
+
+  beforeEach(async () => {
+    resetMocks();
+    const { wsFolder } = await seedBookmarks();
+    ws = { id: 'ws_a', name: 'Personal', colorScheme: 'purple', rootFolderId: wsFolder.id };
+  });
+
+  // ── save ───────────────────────────────────────
+
+  describe('save', () => {
+    it('snapshots the window tabs into a timestamped folder at the top of the workspace', async () => {
+      chrome.tabs.query.mockResolvedValueOnce([
+        { id: 1, url: 'https://a.com/', title: 'A' },
+        { id: 2, url: 'https://b.com/', title: '' },
+      ]);
+
+      const folder = await sessionService.save(ws, NOW);
+
+      expect(folder.title).toBe(sessionService.titleFor(NOW));
+      expect(folder.title.startsWith(SESSION_PREFIX)).toBe(true);
+      const siblings = await chrome.bookmarks.getChildren(ws.rootFolderId);
+      expect(siblings[0].id).toBe(folder.id);
+
+      const children = await chrome.bookmarks.getChildren(folder.id);
+      expect(children.map(c => [c.title, c.url])).toEqual([
+        ['A', 'https://a.com/'],
+        ['https://b.com/', 'https://b.com/'],
+      ]);
+    });
+
+    it('does nothing when the window has no savable tabs', async () => {
+      const before = await chrome.bookmarks.getChildren(ws.rootFolderId);
+      chrome.tabs.query.mockResolvedValueOnce([{ id: 1 }]);
+      expect(await sessionService.save(ws, NOW)).toBeNull();
+      expect(await chrome.bookmarks.getChildren(ws.rootFolderId)).toHaveLength(before.length);
+    });
+  });
+
+  // ── tab groups ─────────────────────────────────
+
+  describe('tab groups', () => {
+    it('listGroups() lists the window’s groups with their tab counts', async () => {
+      chrome.tabGroups.query.mockResolvedValueOnce([
+        { id: 7, title: 'Research', color: 'blue' },
+        { id: 8, title: '', color: 'red' },
+      ]);
+      chrome.tabs.query.mockResolvedValueOnce([
+        { id: 1, groupId: 7 }, { id: 2, groupId: 7 }, { id: 3, groupId: 8 }, { id: 4, groupId: -1 },
+      ]);
+
+      expect(await sessionService.listGroups()).toEqual([
+        { id: 7, title: 'Research', color: 'blue', tabCount: 2 },
+        { id: 8, title: '', color: 'red', tabCount: 1 },
+      ]);
+    });
+
+    it('saveGroup() writes the group’s tabs into a folder named after it', async () => {
+      chrome.tabGroups.get.mockResolvedValueOnce({ id: 7, title: 'Research', windowId: 1 });
+      chrome.tabs.query.mockResolvedValueOnce([
+        { id: 1, url: 'https://a.com/', title: 'A', groupId: 7 },
+        { id: 2, url: 'https://b.com/', title: 'B', groupId: 7 },
+      ]);
+
+      const folder = await sessionService.saveGroup(ws, 7);
+
+      expect(chrome.tabs.query).toHaveBeenCalledWith({ groupId: 7 });
+      expect(folder.title).toBe('Research');
+      expect(folder.parentId).toBe(ws.rootFolderId);
+      const children = await chrome.bookmarks.getChildren(folder.id);
+      expect(children.map(c => c.url)).toEqual(['https://a.com/', 'https://b.com/']);
+    });
+
+    it('saveGroup() does nothing for a closed group', async () => {
+      chrome.tabGroups.get.mockRejectedValueOnce(new Error('No group with id: 7.'));
+      expect(await sessionService.saveGroup(ws, 7)).toBeNull();
+    });
+  });
+
+  it('isSession() recognises session folders by title', () => {
+    expect(sessionService.isSession({ id: '1', title: sessionService.titleFor(NOW) })).toBe(true);
+    expect(sessionService.isSession({ id: '1', title: 'Reading list' })).toBe(false);
+    expect(sessionService.isSession({ id: '1', title: `${SESSION_PREFIX}x`, url: 'https://a.com' })).toBe(false);
+  });
+
+  // ── restore ────────────────────────────────────
+
+  describe('restore', () => {
+    let folder;
+
+    beforeEach(async () => {
+      chrome.tabs.query.mockResolvedValueOnce([
+        { id: 1, url: 'https://a.com/', title: 'A' },
+        { id: 2, url: 'https://b.com/', title: 'B' },
+      ]);
+      folder = await sessionService.save(ws, NOW);
+    });
+
+    it('restoreInWindow() opens every tab in a new window', async () => {
+      await sessionService.restoreInWindow(folder.id);
+      expect(chrome.windows.create).toHaveBeenCalledWith({
+        url: ['https://a.com/', 'https://b.com/'],
+        focused: true,
+      });
+    });
+
+    it('restoreAsGroup() opens the tabs as a group named after the session', async () => {
+      chrome.tabs.create
+        .mockResolvedValueOnce({ id: 11 })
+        .mockResolvedValueOnce({ id: 12 });
+
+      const groupId = await sessionService.restoreAsGroup(folder, ws);
+
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://a.com/', active: true });
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'https://b.com/', active: false });
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [11, 12] });
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(groupId, {
+        title: folder.title.slice(SESSION_PREFIX.length),
+        color: 'purple',
+      });
+    });
+
+    it('restoreAsGroup() names the group after a plain folder', async () => {
+      const plain = await chrome.bookmarks.create({ parentId: ws.rootFolderId, title: 'Reading' });
+      await chrome.bookmarks.create({ parentId: plain.id, title: 'C', url: 'https://c.com/' });
+
+      const groupId = await sessionService.restoreAsGroup(plain, ws);
+
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(groupId, { title: 'Reading', color: 'purple' });
+    });
+
+    it('openFolder() opens a folder as a group or in a new window', async () => {
+      await sessionService.openFolder(folder, 'group', ws);
+      expect(chrome.tabs.group).toHaveBeenCalled();
+      expect(chrome.windows.create).not.toHaveBeenCalled();
+
+      await sessionService.openFolder(folder, 'window', ws);
+      expect(chrome.windows.create).toHaveBeenCalledWith({ url: ['https://a.com/', 'https://b.com/'], focused: true });
+    });
+
+    it('does nothing for an empty folder', async () => {
+      const empty = await chrome.bookmarks.create({ parentId: ws.rootFolderId, title: `${SESSION_PREFIX}empty` });
+      expect(await sessionService.restoreInWindow(empty.id)).toBeNull();
+      expect(await sessionService.restoreAsGroup(empty, ws)).toBeNull();
+      expect(chrome.windows.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -4,7 +4,7 @@ import { vi } from 'vitest';
 
 // ── Chrome Storage Mock ──────────────────────────────
 
-const storageData = { sync: {}, local: {} };
+const storageData = { sync: {}, local: {}, session: {} };
 
 function createStorageArea(area) {
   return {
@@ -30,6 +30,22 @@ function createStorageArea(area) {
   };
 }
 
+// ── Chrome Events Mock ───────────────────────────────
+// Listeners outlive resetMocks(): modules that register them at import
+// (the service worker) are only imported once per test file.
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: vi.fn((fn) => listeners.push(fn)),
+    removeListener: vi.fn((fn) => {
+      const idx = listeners.indexOf(fn);
+      if (idx >= 0) listeners.splice(idx, 1);
+    }),
+  };
+}
+
 // ── Chrome Bookmarks Mock ────────────────────────────
 
 let bookmarkIdCounter = 100;
@@ -113,6 +129,7 @@ const chromeBookmarks = {
       parentId,
       title: title || '',
       index: index ?? parent.children.length,
+      dateAdded: Date.now(),
     };
     if (url) {
       newNode.url = url;
@@ -160,6 +177,12 @@ const chromeBookmarks = {
     removeNode(id);
   }),
 
+  onCreated: createEvent(),
+  onRemoved: createEvent(),
+  onChanged: createEvent(),
+  onMoved: createEvent(),
+  onChildrenReordered: createEvent(),
+
   search: vi.fn(async (query) => {
     const results = [];
     const walk = (node) => {
@@ -188,6 +211,43 @@ const chromeTabs = {
   reload: vi.fn(async () => {}),
   remove: vi.fn(async () => {}),
   duplicate: vi.fn(async () => ({ id: 3 })),
+  get: vi.fn(async (tabId) => ({ id: tabId, windowId: 1, url: 'https://example.com', title: 'Example' })),
+  move: vi.fn(async (tabId, { index }) => ({ id: tabId, index })),
+  group: vi.fn(async () => 500),
+  onCreated: createEvent(),
+  onRemoved: createEvent(),
+  onUpdated: createEvent(),
+  onMoved: createEvent(),
+  onActivated: createEvent(),
+  onAttached: createEvent(),
+  onDetached: createEvent(),
+};
+
+// ── Chrome Tab Groups Mock ───────────────────────────
+
+const chromeTabGroups = {
+  get: vi.fn(async (groupId) => ({ id: groupId, windowId: 1 })),
+  update: vi.fn(async (groupId, props) => ({ id: groupId, ...props })),
+  query: vi.fn(async () => []),
+  onRemoved: createEvent(),
+};
+
+// ── Chrome Alarms Mock ───────────────────────────────
+
+const chromeAlarms = {
+  get: vi.fn(async () => undefined),
+  create: vi.fn(async () => {}),
+  clear: vi.fn(async () => true),
+  onAlarm: { addListener: vi.fn(), removeListener: vi.fn() },
+};
+
+// ── Chrome Windows Mock ──────────────────────────────
+
+const chromeWindows = {
+  update: vi.fn(async (windowId) => ({ id: windowId })),
+  create: vi.fn(async () => ({ id: 2 })),
+  getCurrent: vi.fn(async () => ({ id: 1 })),
+  onRemoved: createEvent(),
 };
 
 // ── Navigator Clipboard Mock ─────────────────────────
@@ -214,6 +274,13 @@ const chromeRuntime = {
   }),
 };
 
+// ── Chrome Permissions Mock ──────────────────────────
+
+const chromePermissions = {
+  contains: vi.fn(async () => true),
+  request: vi.fn(async () => true),
+};
+
 // ── Chrome Storage onChange Mock ──────────────────────
 
 const storageChangeListeners = [];
@@ -231,14 +298,22 @@ globalThis.chrome = {
   storage: {
     sync: createStorageArea('sync'),
     local: createStorageArea('local'),
+    session: createStorageArea('session'),
     onChanged: chromeStorageOnChanged,
   },
   bookmarks: chromeBookmarks,
   tabs: chromeTabs,
+  windows: chromeWindows,
+  tabGroups: chromeTabGroups,
+  alarms: chromeAlarms,
   runtime: chromeRuntime,
+  permissions: chromePermissions,
   sidePanel: {
     setPanelBehavior: vi.fn(async () => {}),
   },
+  commands: {
+    onCommand: createEvent(),
+  },
 };
 
 // ── Test Helpers ─────────────────────────────────────
@@ -249,6 +324,7 @@ globalThis.chrome = {
 export function resetMocks() {
   storageData.sync = {};
   storageData.local = {};
+  storageData.session = {};
   bookmarkIdCounter = 100;
   bookmarkTree = [
     {
@@ -0,0 +1,108 @@
+// Tests for smart folders — query matching and live results
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { smartFolderService, matchesQuery, rangeStart } from '../sidepanel/services/smart-folder-service.js';
+
+// Wednesday 15 May 2024, noon local time
+const NOW = new Date(2024, 4, 15, 12, 0).getTime();
+
+describe('smart folders', () => {
+  beforeEach(() => {
+    resetMocks();
+  });
+
+  // ── Date ranges ────────────────────────────────
+
+  it('rangeStart() counts back to the start of the day, week, and month', () => {
+    expect(rangeStart('today', NOW)).toBe(new Date(2024, 4, 15).getTime());
+    expect(rangeStart('week', NOW)).toBe(new Date(2024, 4, 13).getTime());
+    expect(rangeStart('month', NOW)).toBe(new Date(2024, 4, 1).getTime());
+    expect(rangeStart('bogus', NOW)).toBeNull();
+  });
+
+  // ── Matching ───────────────────────────────────
+
+  describe('matchesQuery', () => {
+    const node = {
+      id: '1',
+      title: 'Pull requests',
+      url: 'https://www.github.com/org/repo/pulls',
+      dateAdded: new Date(2024, 4, 14).getTime(),
+    };
+
+    it('matches text against title and URL', () => {
+      expect(matchesQuery(node, { text: 'pull' })).toBe(true);
+      expect(matchesQuery(node, { text: 'org/repo' })).toBe(true);
+      expect(matchesQuery(node, { text: 'gitlab' })).toBe(false);
+    });
+
+    it('matches a domain and its subdomains', () => {
+      expect(matchesQuery(node, { domain: 'github.com' })).toBe(true);
+      expect(matchesQuery({ ...node, url: 'https://gist.github.com/x' }, { domain: 'github.com' })).toBe(true);
+      expect(matchesQuery({ ...node, url: 'https://notgithub.com/' }, { domain: 'github.com' })).toBe(false);
+    });
+
+    it('matches the date-added range', () => {
+      expect(matchesQuery(node, { added: 'week' }, { now: NOW })).toBe(true);
+      expect(matchesQuery(node, { added: 'today' }, { now: NOW })).toBe(false);
+    });
+
+    it('matches tags by URL', () => {
+      const tags = { [node.url]: ['work'] };
+      expect(matchesQuery(node, { tag: 'work' }, { tags })).toBe(true);
+      expect(matchesQuery(node, { tag: 'home' }, { tags })).toBe(false);
+    });
+
+    it('requires every set field to match and never matches folders', () => {
+      expect(matchesQuery(node, { text: 'pull', domain: 'gitlab.com' })).toBe(false);
+      expect(matchesQuery(node, {})).toBe(true);
+      expect(matchesQuery({ id: '2', title: 'github.com', children: [] }, { text: 'github' })).toBe(false);
+    });
+  });
+
+  // ── Results ────────────────────────────────────
+
+  describe('getResults', () => {
+    let personal;
+    let work;
+
+    beforeEach(async () => {
+      const { arcRoot, wsFolder } = await seedBookmarks();
+      const workFolder = await chrome.bookmarks.create({ parentId: arcRoot.id, title: 'Work' });
+      await chrome.bookmarks.create({ parentId: workFolder.id, title: 'Org', url: 'https://github.com/org' });
+      const shortcuts = await chrome.bookmarks.create({ parentId: workFolder.id, title: '__shortcuts__' });
+      await chrome.bookmarks.create({ parentId: shortcuts.id, title: 'GH', url: 'https://github.com/' });
+      personal = { id: 'ws_personal', rootFolderId: wsFolder.id };
+      work = { id: 'ws_work', rootFolderId: workFolder.id };
+    });
+
+    it('searches one workspace, skipping its shortcuts folder', async () => {
+      const results = await smartFolderService.getResults(
+        { query: { domain: 'github.com', workspaceId: 'ws_work' } },
+        [personal, work]
+      );
+      expect(results.map(r => r.title)).toEqual(['Org']);
+    });
+
+    it('searches nested folders in every workspace when unscoped', async () => {
+      const results = await smartFolderService.getResults(
+        { query: { text: 'org', workspaceId: null } },
+        [personal, work]
+      );
+      expect(results.map(r => r.title).sort()).toEqual(['MDN', 'Org']);
+    });
+
+    it('builds a virtual folder node', async () => {
+      const node = await smartFolderService.toNode(
+        { id: 'smart_1', name: 'GitHub', query: { domain: 'github.com' } },
+        [personal, work]
+      );
+      expect(node.id).toBe('smart_1');
+      expect(node.title).toBe('GitHub');
+      expect(node.url).toBeUndefined();
+      expect(node.children.length).toBe(2);
+      expect(smartFolderService.isSmartFolder(node)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+// Tests for folder sorting — comparators, sorting through bookmark moves, and
+// re-sorting kept-sorted folders on relayed bookmark events
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { sortService, compareBy } from '../sidepanel/services/sort-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+
+const flush = () => new Promise(r => setTimeout(r, 0));
+
+describe('compareBy', () => {
+  const nodes = [
+    { id: 'a', title: 'zeta', url: 'https://www.beta.com', dateAdded: 1, dateLastUsed: 50 },
+    { id: 'b', title: 'Alpha 10', url: 'https://alpha.com', dateAdded: 3 },
+    { id: 'c', title: 'Alpha 9', url: 'https://gamma.com', dateAdded: 2, dateLastUsed: 90 },
+    { id: 'f', title: 'Folder', children: [] },
+  ];
+  const ids = (key) => [...nodes].sort(compareBy(key)).map(n => n.id);
+
+  it('sorts by name, numbers naturally, folders first', () => {
+    expect(ids('name')).toEqual(['f', 'c', 'b', 'a']);
+  });
+
+  it('sorts by domain, ignoring www.', () => {
+    expect(ids('domain')).toEqual(['f', 'b', 'a', 'c']);
+  });
+
+  it('sorts dates newest first, never-used last', () => {
+    expect(ids('dateAdded')).toEqual(['f', 'b', 'c', 'a']);
+    expect(ids('lastUsed')).toEqual(['f', 'c', 'a', 'b']);
+  });
+
+  it('rejects unknown keys', () => {
+    expect(() => compareBy('size')).toThrow();
+  });
+});
+
+describe('SortService', () => {
+  let seeded;
+  let unwatch;
+
+  const titles = async (folderId) =>
+    (await chrome.bookmarks.getChildren(folderId)).map(c => c.title);
+
+  beforeEach(async () => {
+    resetMocks();
+    seeded = await seedBookmarks();
+  });
+
+  afterEach(() => {
+    if (unwatch) unwatch();
+    unwatch = null;
+  });
+
+  it('sorts a folder through index moves, skipping children already in place', async () => {
+    const moved = await sortService.sortFolder(seeded.wsFolder.id, 'name');
+    expect(await titles(seeded.wsFolder.id)).toEqual(['Dev Resources', 'GitHub', 'Google']);
+    expect(moved).toBe(2);
+    expect(chrome.bookmarks.move).toHaveBeenCalledWith(seeded.subFolder.id, { parentId: seeded.wsFolder.id, index: 0 });
+
+    expect(await sortService.sortFolder(seeded.wsFolder.id, 'name')).toBe(0);
+  });
+
+  it('stores the keep-sorted flag locally and sorts right away', async () => {
+    await sortService.setKeepSorted(seeded.wsFolder.id, 'name');
+    expect(await storageService.getSortedFolders()).toEqual({ [seeded.wsFolder.id]: 'name' });
+    expect(await titles(seeded.wsFolder.id)).toEqual(['Dev Resources', 'GitHub', 'Google']);
+
+    await sortService.setKeepSorted(seeded.wsFolder.id, null);
+    expect(await sortService.getKeepSorted(seeded.wsFolder.id)).toBeNull();
+  });
+
+  it('re-sorts a kept-sorted folder when a created bookmark is relayed', async () => {
+    await sortService.setKeepSorted(seeded.wsFolder.id, 'name');
+    unwatch = sortService.watch();
+
+    const created = await chrome.bookmarks.create({ parentId: seeded.wsFolder.id, title: 'Amazon', url: 'https://amazon.com', index: 0 });
+    await chrome.runtime.sendMessage({ type: 'bookmark:onCreated', data: [created.id, created] });
+    await flush();
+    await flush();
+
+    expect(await titles(seeded.wsFolder.id)).toEqual(['Dev Resources', 'Amazon', 'GitHub', 'Google']);
+  });
+
+  it('leaves folders without the flag alone', async () => {
+    unwatch = sortService.watch();
+    const [moved] = await chrome.bookmarks.get(seeded.bm1.id);
+    await chrome.runtime.sendMessage({ type: 'bookmark:onMoved', data: [moved.id, { parentId: seeded.wsFolder.id, index: 0 }] });
+    await flush();
+
+    expect(chrome.bookmarks.move).not.toHaveBeenCalled();
+  });
+});
@@ -2,7 +2,7 @@
 
 import { describe, it, expect, beforeEach } from 'vitest';
 import { resetMocks } from './setup.js';
-import { storageService } from '../sidepanel/services/storage-service.js';
+import { storageService, isBucketKey } from '../sidepanel/services/storage-service.js';
 
 describe('StorageService', () => {
   beforeEach(() => {
@@ -339,6 +339,68 @@ describe('StorageService', () => {
     });
   });
 
+  // ── Bucketed Tags / Notes ───────────────────────
+
+  describe('tags and notes', () => {
+    const PER_ITEM_LIMIT = 8192;
+    const syncItems = async (prefix) => {
+      const all = await chrome.storage.sync.get(null);
+      return Object.fromEntries(Object.entries(all).filter(([key]) => isBucketKey(key, prefix)));
+    };
+
+    it('spreads tags over bucket keys that each stay under the per-item limit', async () => {
+      const tags = {};
+      for (let i = 0; i < 400; i++) tags[`https://example.com/articles/${i}`] = ['reading', 'later', `topic-${i % 20}`];
+
+      await storageService.saveTags(tags);
+
+      const items = await syncItems('tags');
+      expect(Object.keys(items).length).toBeGreaterThan(1);
+      expect(items.tags).toBeUndefined();
+      for (const [key, value] of Object.entries(items)) {
+        expect(key.length + JSON.stringify(value).length).toBeLessThan(PER_ITEM_LIMIT);
+      }
+      expect(await storageService.getTags()).toEqual(tags);
+    });
+
+    it('only writes the buckets that changed and drops emptied ones', async () => {
+      await storageService.saveTags({ 'https://a.example': ['x'], 'https://b.example': ['y'] });
+      chrome.storage.sync.set.mockClear();
+
+      await storageService.saveTags({ 'https://a.example': ['x'] });
+
+      expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+      expect(await storageService.getTags()).toEqual({ 'https://a.example': ['x'] });
+      expect(Object.keys(await syncItems('tags'))).toHaveLength(1);
+    });
+
+    it('folds the old single-key map into buckets on the next save', async () => {
+      await chrome.storage.sync.set({ tags: { 'https://a.example': ['old'] } });
+      expect(await storageService.getTags()).toEqual({ 'https://a.example': ['old'] });
+
+      await storageService.saveTags({ 'https://a.example': ['old'], 'https://b.example': ['new'] });
+
+      const items = await syncItems('tags');
+      expect(items.tags).toBeUndefined();
+      expect(await storageService.getTags()).toEqual({ 'https://a.example': ['old'], 'https://b.example': ['new'] });
+    });
+
+    it('buckets notes the same way, folding in the old "notes" key', async () => {
+      await chrome.storage.sync.set({ notes: { 'https://a.example': 'Old note' } });
+      const notes = { 'https://a.example': 'Old note' };
+      for (let i = 0; i < 150; i++) notes[`https://example.com/${i}`] = 'n'.repeat(400);
+
+      await storageService.saveNotes(notes);
+
+      const items = await syncItems('notes');
+      expect(items.notes).toBeUndefined();
+      for (const [key, value] of Object.entries(items)) {
+        expect(key.length + JSON.stringify(value).length).toBeLessThan(PER_ITEM_LIMIT);
+      }
+      expect(await storageService.getNotes()).toEqual(notes);
+    });
+  });
+
   // ── onChange ────────────────────────────────────
 
   describe('onChange', () => {
@@ -0,0 +1,145 @@
+// Tests for the tab group service — workspace ↔ tab group binding and swapping
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetMocks } from './setup.js';
+import { tabGroupService } from '../sidepanel/services/tab-group-service.js';
+import { tabService } from '../sidepanel/services/tab-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+
+const work = { id: 'ws_work', name: 'Work', colorScheme: 'blue' };
+const home = { id: 'ws_home', name: 'Home', colorScheme: 'green' };
+
+function mockWindowTabs(tabs) {
+  chrome.tabs.query.mockImplementation(async () => tabs);
+}
+
+describe('TabGroupService', () => {
+  beforeEach(() => {
+    resetMocks();
+    chrome.tabs.query.mockImplementation(async () => []);
+    chrome.tabGroups.get.mockImplementation(async (groupId) => ({ id: groupId, windowId: 1 }));
+  });
+
+  it('maps workspace color schemes to tab group colors', () => {
+    expect(tabGroupService.colorFor('purple')).toBe('purple');
+    expect(tabGroupService.colorFor('unknown')).toBe('grey');
+  });
+
+  // ── findGroup / ensureGroup ────────────────────
+
+  describe('findGroup', () => {
+    it('finds the group bound to a workspace in the window', async () => {
+      await storageService.setGroupWorkspace(42, 'ws_work');
+      expect(await tabGroupService.findGroup('ws_work', 1)).toBe(42);
+    });
+
+    it('ignores groups in other windows', async () => {
+      await storageService.setGroupWorkspace(42, 'ws_work');
+      expect(await tabGroupService.findGroup('ws_work', 2)).toBeNull();
+    });
+
+    it('drops bindings for groups that no longer exist', async () => {
+      await storageService.setGroupWorkspace(42, 'ws_work');
+      chrome.tabGroups.get.mockRejectedValueOnce(new Error('No group'));
+
+      expect(await tabGroupService.findGroup('ws_work', 1)).toBeNull();
+      expect(await storageService.getGroupWorkspaces()).toEqual({});
+    });
+  });
+
+  describe('ensureGroup', () => {
+    it('creates and binds a new group named and colored after the workspace', async () => {
+      const groupId = await tabGroupService.ensureGroup(work, [1, 2], 1);
+
+      expect(groupId).toBe(500);
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [1, 2], createProperties: { windowId: 1 } });
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(500, { title: 'Work', color: 'blue' });
+      expect(await tabGroupService.getWorkspaceOf(500)).toBe('ws_work');
+    });
+
+    it('reuses an existing group', async () => {
+      await storageService.setGroupWorkspace(42, 'ws_work');
+      await tabGroupService.ensureGroup(work, [3], 1);
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ groupId: 42, tabIds: [3] });
+    });
+  });
+
+  // ── swap ───────────────────────────────────────
+
+  describe('swap', () => {
+    it('expands the incoming group, focuses its last used tab, collapses the outgoing group', async () => {
+      await tabService.assign(1, 'ws_work');
+      await tabService.assign(2, 'ws_home');
+      await tabService.assign(3, 'ws_home');
+      await storageService.setGroupWorkspace(10, 'ws_work');
+      await storageService.setGroupWorkspace(20, 'ws_home');
+      mockWindowTabs([
+        { id: 1, windowId: 1, index: 0 },
+        { id: 2, windowId: 1, index: 1, lastAccessed: 100 },
+        { id: 3, windowId: 1, index: 2, lastAccessed: 200 },
+      ]);
+
+      await tabGroupService.swap(work, home);
+
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(20, { collapsed: false });
+      expect(chrome.tabs.update).toHaveBeenCalledWith(3, { active: true });
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(10, { collapsed: true });
+    });
+
+    it('opens a new tab when the incoming workspace has none', async () => {
+      await tabService.assign(1, 'ws_work');
+      mockWindowTabs([{ id: 1, windowId: 1, index: 0 }]);
+      chrome.tabs.create.mockResolvedValueOnce({ id: 9, windowId: 1 });
+
+      await tabGroupService.swap(work, home);
+
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ active: true });
+      expect(await tabService.getWorkspaceOf(9)).toBe('ws_home');
+    });
+
+    it('never groups pinned tabs', async () => {
+      await tabService.assign(1, 'ws_home');
+      await tabService.assign(2, 'ws_home');
+      mockWindowTabs([
+        { id: 1, windowId: 1, index: 0, pinned: true },
+        { id: 2, windowId: 1, index: 1 },
+      ]);
+
+      await tabGroupService.swap(null, home);
+
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [2], createProperties: { windowId: 1 } });
+    });
+
+    it('swallows tab API errors', async () => {
+      await tabService.assign(1, 'ws_home');
+      mockWindowTabs([{ id: 1, windowId: 1, index: 0 }]);
+      chrome.tabs.group.mockRejectedValueOnce(new Error('boom'));
+
+      await expect(tabGroupService.swap(work, home)).resolves.toBeUndefined();
+    });
+  });
+
+  // ── Service worker hooks ───────────────────────
+
+  it('addTab() joins an existing workspace group', async () => {
+    await storageService.setGroupWorkspace(42, 'ws_work');
+    await tabGroupService.addTab({ id: 5, windowId: 1, groupId: -1 }, 'ws_work');
+    expect(chrome.tabs.group).toHaveBeenCalledWith({ groupId: 42, tabIds: [5] });
+  });
+
+  it('addTab() does not create a group', async () => {
+    await tabGroupService.addTab({ id: 5, windowId: 1, groupId: -1 }, 'ws_work');
+    expect(chrome.tabs.group).not.toHaveBeenCalled();
+  });
+
+  it('handleTabGrouped() moves the tab to the group\'s workspace', async () => {
+    await storageService.setGroupWorkspace(42, 'ws_home');
+    await tabService.assign(5, 'ws_work');
+
+    await tabGroupService.handleTabGrouped(5, 42);
+    expect(await tabService.getWorkspaceOf(5)).toBe('ws_home');
+
+    await tabGroupService.handleTabGrouped(5, -1);
+    expect(await tabService.getWorkspaceOf(5)).toBe('ws_home');
+  });
+});
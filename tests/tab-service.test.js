@@ -0,0 +1,186 @@
+// Tests for the tab service — workspace assignment, focus, move
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { resetMocks } from './setup.js';
+import { tabService } from '../sidepanel/services/tab-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+
+function mockWindowTabs(tabs) {
+  chrome.tabs.query.mockImplementationOnce(async () => tabs);
+}
+
+describe('TabService', () => {
+  beforeEach(() => {
+    resetMocks();
+  });
+
+  // ── Workspace assignment ───────────────────────
+
+  describe('getWorkspaceTabs', () => {
+    it('returns only tabs assigned to the workspace', async () => {
+      await storageService.setTabWorkspace(1, 'ws_a');
+      await storageService.setTabWorkspace(2, 'ws_b');
+      mockWindowTabs([
+        { id: 1, index: 0, url: 'https://a.com' },
+        { id: 2, index: 1, url: 'https://b.com' },
+      ]);
+
+      const tabs = await tabService.getWorkspaceTabs('ws_a');
+      expect(tabs.map(t => t.id)).toEqual([1]);
+    });
+
+    it('claims unassigned tabs for the requested workspace', async () => {
+      mockWindowTabs([{ id: 7, index: 0, url: 'https://a.com' }]);
+
+      const tabs = await tabService.getWorkspaceTabs('ws_a');
+      expect(tabs.map(t => t.id)).toEqual([7]);
+      expect(await tabService.getWorkspaceOf(7)).toBe('ws_a');
+    });
+
+    it('returns an empty list without a workspace', async () => {
+      expect(await tabService.getWorkspaceTabs(null)).toEqual([]);
+    });
+
+    it('returns an empty list when tabs.query fails', async () => {
+      chrome.tabs.query.mockRejectedValueOnce(new Error('fail'));
+      expect(await tabService.getWorkspaceTabs('ws_a')).toEqual([]);
+    });
+  });
+
+  describe('assignNewTab', () => {
+    it('inherits the opener tab\'s workspace', async () => {
+      await storageService.setTabWorkspace(1, 'ws_b');
+      await storageService.saveWorkspaceLocal({ activeWorkspaceId: 'ws_a', rootFolderIds: {} });
+
+      const wsId = await tabService.assignNewTab({ id: 5, openerTabId: 1 });
+      expect(wsId).toBe('ws_b');
+      expect(await tabService.getWorkspaceOf(5)).toBe('ws_b');
+    });
+
+    it('joins the workspace shown in the tab\'s window', async () => {
+      await storageService.setWindowWorkspace(2, 'ws_b');
+      await storageService.saveWorkspaceLocal({ activeWorkspaceId: 'ws_a', rootFolderIds: {} });
+
+      const wsId = await tabService.assignNewTab({ id: 5, windowId: 2 });
+      expect(wsId).toBe('ws_b');
+    });
+
+    it('falls back to the last-used workspace', async () => {
+      await storageService.saveWorkspaceLocal({ activeWorkspaceId: 'ws_a', rootFolderIds: {} });
+
+      const wsId = await tabService.assignNewTab({ id: 5, windowId: 3 });
+      expect(wsId).toBe('ws_a');
+    });
+
+    it('leaves the tab unassigned when no workspace is active', async () => {
+      const wsId = await tabService.assignNewTab({ id: 5 });
+      expect(wsId).toBeNull();
+      expect(await tabService.getWorkspaceOf(5)).toBeNull();
+    });
+  });
+
+  it('forget() removes the assignment', async () => {
+    await tabService.assign(3, 'ws_a');
+    await tabService.forget(3);
+    expect(await tabService.getWorkspaceOf(3)).toBeNull();
+  });
+
+  // ── Tab actions ────────────────────────────────
+
+  it('focus() activates the tab and focuses its window', async () => {
+    chrome.tabs.update.mockResolvedValueOnce({ id: 4, windowId: 9 });
+    await tabService.focus(4);
+    expect(chrome.tabs.update).toHaveBeenCalledWith(4, { active: true });
+    expect(chrome.windows.update).toHaveBeenCalledWith(9, { focused: true });
+  });
+
+  it('move() passes the index to chrome.tabs.move', async () => {
+    await tabService.move(4, 2);
+    expect(chrome.tabs.move).toHaveBeenCalledWith(4, { index: 2 });
+  });
+
+  it('get() returns null for a closed tab', async () => {
+    chrome.tabs.get.mockRejectedValueOnce(new Error('No tab with id'));
+    expect(await tabService.get(99)).toBeNull();
+  });
+
+  // ── Pinned bookmark tabs ───────────────────────
+
+  describe('pinned bookmark tabs', () => {
+    const gmail = { id: '42', title: 'Gmail', url: 'https://mail.google.com/' };
+
+    it('openPinned() opens a new tab the first time and remembers it', async () => {
+      chrome.tabs.create.mockResolvedValueOnce({ id: 8, windowId: 1 });
+
+      await tabService.openPinned(gmail);
+
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ url: gmail.url, active: true });
+      expect(await storageService.getPinnedTabs()).toEqual({ 42: 8 });
+    });
+
+    it('openPinned() focuses the existing tab instead of navigating', async () => {
+      await storageService.setPinnedTab('42', 8);
+      chrome.tabs.update.mockResolvedValueOnce({ id: 8, windowId: 1 });
+
+      await tabService.openPinned(gmail);
+
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+      expect(chrome.tabs.update).toHaveBeenCalledWith(8, { active: true });
+    });
+
+    it('openPinned() reopens when the remembered tab is gone', async () => {
+      await storageService.setPinnedTab('42', 8);
+      chrome.tabs.get.mockRejectedValueOnce(new Error('No tab with id'));
+      chrome.tabs.create.mockResolvedValueOnce({ id: 9, windowId: 1 });
+
+      await tabService.openPinned(gmail);
+
+      expect(await storageService.getPinnedTabs()).toEqual({ 42: 9 });
+    });
+
+    it('getPinnedTabs() drops bindings to closed tabs', async () => {
+      await storageService.setPinnedTab('42', 8);
+      await storageService.setPinnedTab('43', 9);
+      chrome.tabs.get
+        .mockResolvedValueOnce({ id: 8, windowId: 1, url: 'https://mail.google.com/' })
+        .mockRejectedValueOnce(new Error('No tab with id'));
+
+      const open = await tabService.getPinnedTabs();
+
+      expect(Object.keys(open)).toEqual(['42']);
+      expect(await storageService.getPinnedTabs()).toEqual({ 42: 8 });
+    });
+
+    it('forget() drops the binding of a closed tab', async () => {
+      await storageService.setPinnedTab('42', 8);
+      await tabService.forget(8);
+      expect(await storageService.getPinnedTabs()).toEqual({});
+    });
+
+    it('resetPinned() navigates the tab back to the saved URL', async () => {
+      await storageService.setPinnedTab('42', 8);
+      await tabService.resetPinned(gmail);
+      expect(chrome.tabs.update).toHaveBeenCalledWith(8, { url: gmail.url, active: true });
+    });
+
+    it('hasNavigatedAway() compares normalized URLs', () => {
+      expect(tabService.hasNavigatedAway({ url: 'https://mail.google.com/' }, 'https://mail.google.com')).toBe(false);
+      expect(tabService.hasNavigatedAway({ url: 'https://mail.google.com/#inbox/1' }, 'https://mail.google.com')).toBe(true);
+    });
+  });
+
+  // ── Message relay ──────────────────────────────
+
+  it('onMessage() only forwards tab:* messages', async () => {
+    const callback = vi.fn();
+    const unsub = tabService.onMessage(callback);
+
+    await chrome.runtime.sendMessage({ type: 'tab:onUpdated', data: [] });
+    await chrome.runtime.sendMessage({ type: 'bookmark:onCreated', data: [] });
+    expect(callback).toHaveBeenCalledTimes(1);
+
+    unsub();
+    await chrome.runtime.sendMessage({ type: 'tab:onRemoved', data: [] });
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,61 @@
+// Tests for bookmark tags — normalization and the synced URL → tags map
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { resetMocks } from './setup.js';
+import { tagService, normalizeTag, parseTags } from '../sidepanel/services/tag-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+import { bus, Events } from '../sidepanel/utils/event-bus.js';
+
+describe('tags', () => {
+  beforeEach(() => {
+    resetMocks();
+  });
+
+  it('normalizeTag() trims, lowercases, and drops a leading #', () => {
+    expect(normalizeTag('  #Read   Later ')).toBe('read later');
+    expect(normalizeTag('#')).toBe('');
+    expect(normalizeTag('x'.repeat(50)).length).toBe(32);
+  });
+
+  it('parseTags() splits on commas and de-duplicates', () => {
+    expect(parseTags('work, #Reading,work, ,')).toEqual(['work', 'reading']);
+    expect(parseTags('')).toEqual([]);
+  });
+
+  it('stores tags in sync keyed by URL', async () => {
+    await tagService.setTags('https://github.com', ['Work', 'code', 'work']);
+    expect(await storageService.getTags()).toEqual({ 'https://github.com': ['code', 'work'] });
+    expect(await tagService.getTagsFor('https://github.com')).toEqual(['code', 'work']);
+    expect(await tagService.getTagsFor('https://example.com')).toEqual([]);
+  });
+
+  it('removes the URL entry when its last tag is cleared', async () => {
+    await tagService.setTags('https://github.com', ['work']);
+    await tagService.setTags('https://github.com', []);
+    expect(await storageService.getTags()).toEqual({});
+  });
+
+  it('emits TAGS_CHANGED after saving', async () => {
+    const onChange = vi.fn();
+    const unsub = bus.on(Events.TAGS_CHANGED, onChange);
+    await tagService.setTags('https://github.com', ['work']);
+    expect(onChange).toHaveBeenCalledWith({ url: 'https://github.com', tags: ['work'] });
+    unsub();
+  });
+
+  it('listTags() counts URLs per tag, alphabetically', async () => {
+    await tagService.setTags('https://github.com', ['work', 'code']);
+    await tagService.setTags('https://jira.example.com', ['work']);
+    expect(await tagService.listTags()).toEqual([
+      { tag: 'code', count: 1 },
+      { tag: 'work', count: 2 },
+    ]);
+  });
+
+  it('moveUrl() carries tags over to an edited URL', async () => {
+    await tagService.setTags('http://github.com', ['work', 'code']);
+    await tagService.setTags('https://github.com', ['git']);
+    await tagService.moveUrl('http://github.com', 'https://github.com');
+    expect(await storageService.getTags()).toEqual({ 'https://github.com': ['code', 'git', 'work'] });
+  });
+});
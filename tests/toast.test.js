@@ -0,0 +1,39 @@
+// Tests for the toast component — the action button and failed actions
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { showToast, hideToast } from '../sidepanel/components/toast.js';
+
+describe('Toast', () => {
+  const clickAction = () => document.querySelector('.toast-action').click();
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    hideToast();
+    vi.restoreAllMocks();
+  });
+
+  it('runs the action and hides the toast', () => {
+    const onAction = vi.fn();
+    showToast({ message: 'Tab moved', actionLabel: 'Switch', onAction });
+
+    clickAction();
+
+    expect(onAction).toHaveBeenCalled();
+    expect(document.querySelector('.toast')).toBeNull();
+  });
+
+  it('logs an action that rejects instead of leaving it unhandled', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const err = new Error('No tab with id: 5');
+    showToast({ message: 'Tab moved', actionLabel: 'Switch', onAction: async () => { throw err; } });
+
+    clickAction();
+
+    await vi.waitFor(() => {
+      expect(warn).toHaveBeenCalledWith('Arc Spaces: toast action failed:', err);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+// Tests for the trash — trashing, restoring, emptying, and the timed purge
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { trashService, TRASH_FOLDER_NAME } from '../sidepanel/services/trash-service.js';
+import { bookmarkService } from '../sidepanel/services/bookmark-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('TrashService', () => {
+  let seeded;
+
+  const childTitles = async (folderId) =>
+    (await bookmarkService.getChildren(folderId)).map(c => c.title);
+
+  beforeEach(async () => {
+    resetMocks();
+    seeded = await seedBookmarks();
+    await storageService.saveArcSpacesRootIdLocal(seeded.arcRoot.id);
+  });
+
+  it('moves items into a hidden folder under the Arc Spaces root', async () => {
+    const entry = await trashService.trash(seeded.subFolder.id, { workspaceId: 'ws_a', pinned: [seeded.bm3.id] });
+
+    expect(await childTitles(seeded.arcRoot.id)).toEqual(['Personal', TRASH_FOLDER_NAME]);
+    expect(await childTitles(await trashService.getFolderId())).toEqual(['Dev Resources']);
+    expect(entry).toMatchObject({
+      id: seeded.subFolder.id,
+      parentId: seeded.wsFolder.id,
+      workspaceId: 'ws_a',
+      pinned: [seeded.bm3.id]
+    });
+  });
+
+  it('restores items to their original folder and position', async () => {
+    await trashService.trash(seeded.bm1.id);
+    const restored = await trashService.restore(seeded.bm1.id);
+
+    expect(restored.parentId).toBe(seeded.wsFolder.id);
+    expect(await childTitles(seeded.wsFolder.id)).toEqual(['Google', 'GitHub', 'Dev Resources']);
+    expect(await trashService.getAll()).toEqual([]);
+  });
+
+  it('restores to the fallback folder when the original is gone', async () => {
+    await trashService.trash(seeded.bm3.id);
+    await chrome.bookmarks.removeTree(seeded.subFolder.id);
+
+    await trashService.restore(seeded.bm3.id, seeded.wsFolder.id);
+    expect(await childTitles(seeded.wsFolder.id)).toEqual(['Google', 'GitHub', 'MDN']);
+  });
+
+  it('lists items trashed elsewhere and forgets ones deleted outside', async () => {
+    await trashService.trash(seeded.bm1.id);
+    const folderId = await trashService.getFolderId();
+    await chrome.bookmarks.create({ parentId: folderId, title: 'Synced', url: 'https://synced.example.com' });
+    await chrome.bookmarks.remove(seeded.bm1.id);
+
+    const entries = await trashService.getAll();
+    expect(entries.map(e => e.title)).toEqual(['Synced']);
+    expect(entries[0].parentId).toBeNull();
+  });
+
+  it('empties the trash permanently', async () => {
+    await trashService.trash(seeded.bm1.id);
+    await trashService.trash(seeded.subFolder.id);
+
+    expect(await trashService.empty()).toBe(2);
+    expect(await childTitles(await trashService.getFolderId())).toEqual([]);
+    expect(await bookmarkService.get(seeded.bm3.id)).toBeNull();
+  });
+
+  it('purges only items older than the retention period', async () => {
+    const now = Date.now();
+    await trashService.trash(seeded.bm1.id, {}, now - 31 * DAY_MS);
+    await trashService.trash(seeded.bm2.id, {}, now - 2 * DAY_MS);
+
+    expect(await trashService.purgeExpired(now)).toBe(1);
+    expect((await trashService.getAll(now)).map(e => e.title)).toEqual(['GitHub']);
+
+    await trashService.setRetention('never');
+    expect(await trashService.purgeExpired(now + 365 * DAY_MS)).toBe(0);
+  });
+
+  it('defaults to 30 days and ignores unknown periods', async () => {
+    expect(await trashService.getRetention()).toBe('30d');
+    await trashService.setRetention('7d');
+    await trashService.setRetention('forever');
+    expect(await trashService.getRetention()).toBe('7d');
+  });
+});
@@ -0,0 +1,91 @@
+// Tests for the Trash view — listing, restoring, deleting, and emptying
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { workspaceService } from '../sidepanel/services/workspace-service.js';
+import { trashService } from '../sidepanel/services/trash-service.js';
+import { undoService } from '../sidepanel/services/undo-service.js';
+import { TrashView } from '../sidepanel/components/trash-view.js';
+
+const flush = () => new Promise(r => setTimeout(r, 0));
+
+describe('TrashView', () => {
+  let app;
+  let view;
+  let seeded;
+
+  beforeEach(async () => {
+    resetMocks();
+    document.body.innerHTML = '<div id="app"></div>';
+    app = document.getElementById('app');
+
+    seeded = await seedBookmarks();
+    await chrome.storage.sync.set({
+      arcSpacesRootId: seeded.arcRoot.id,
+      workspaces: {
+        activeWorkspaceId: 'ws_default',
+        order: ['ws_default'],
+        items: {
+          ws_default: {
+            id: 'ws_default',
+            name: 'Personal',
+            color: '#7C5CFC',
+            colorScheme: 'purple',
+            pinnedBookmarkIds: [],
+            rootFolderId: seeded.wsFolder.id,
+            created: Date.now(),
+          },
+        },
+      },
+    });
+    await workspaceService.init();
+    await workspaceService.pinBookmark(seeded.bm1.id);
+    await undoService.deleteBookmarks([seeded.bm1.id], 'Delete "Google"');
+    await undoService.deleteBookmarks([seeded.subFolder.id], 'Delete "Dev Resources"');
+
+    view = new TrashView(app);
+    await view.open();
+  });
+
+  afterEach(() => {
+    view.close();
+    vi.unstubAllGlobals();
+  });
+
+  it('lists trashed items newest first with their workspace', () => {
+    const items = app.querySelectorAll('.trash-view .archive-item');
+    expect([...items].map(i => i.querySelector('.item-title').textContent)).toEqual(['Dev Resources', 'Google']);
+    expect(items[1].querySelector('.archive-workspace').textContent).toBe('Personal');
+  });
+
+  it('restores an item to its folder and pins it again', async () => {
+    app.querySelector(`[data-trash-id="${seeded.bm1.id}"] .archive-action[title="Restore"]`).click();
+    await flush();
+    await flush();
+
+    const children = await chrome.bookmarks.getChildren(seeded.wsFolder.id);
+    expect(children[0].title).toBe('Google');
+    expect(workspaceService.isPinned(seeded.bm1.id)).toBe(true);
+    expect(app.querySelectorAll('.trash-view .archive-item').length).toBe(1);
+  });
+
+  it('empties the trash after confirmation', async () => {
+    vi.stubGlobal('confirm', vi.fn(() => true));
+    app.querySelector('.trash-empty').click();
+    await flush();
+    await flush();
+
+    expect(await trashService.getAll()).toEqual([]);
+    expect(app.querySelector('.trash-view .empty-message').textContent).toBe('Trash is empty.');
+    expect(app.querySelector('.trash-empty').disabled).toBe(true);
+  });
+
+  it('saves the retention period', async () => {
+    const select = app.querySelector('.trash-retention');
+    expect(select.value).toBe('30d');
+    select.value = '7d';
+    select.dispatchEvent(new Event('change'));
+    await flush();
+    expect(await trashService.getRetention()).toBe('7d');
+  });
+});
@@ -0,0 +1,184 @@
+// Tests for the undo journal — deletes, workspace moves and workspace deletes
+// are undone and redone (even after the trash is emptied), and the journal
+// lives in local storage
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { undoService } from '../sidepanel/services/undo-service.js';
+import { workspaceService } from '../sidepanel/services/workspace-service.js';
+import { bookmarkService } from '../sidepanel/services/bookmark-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+import { trashService } from '../sidepanel/services/trash-service.js';
+
+describe('UndoService', () => {
+  let seeded;
+  let workFolder;
+
+  const childTitles = async (folderId) =>
+    (await bookmarkService.getChildren(folderId)).map(c => c.title);
+
+  beforeEach(async () => {
+    resetMocks();
+    workspaceService._firstRunDelayMs = 0;
+    workspaceService._windowId = null;
+
+    seeded = await seedBookmarks();
+    workFolder = await chrome.bookmarks.create({ parentId: seeded.arcRoot.id, title: 'Work' });
+
+    await storageService.saveWorkspaceItem('ws_personal', {
+      id: 'ws_personal', name: 'Personal', colorScheme: 'purple',
+      pinnedBookmarks: [{ id: seeded.bm3.id, url: 'https://developer.mozilla.org', title: 'MDN' }]
+    });
+    await storageService.saveWorkspaceItem('ws_work', {
+      id: 'ws_work', name: 'Work', colorScheme: 'blue', pinnedBookmarks: []
+    });
+    await storageService.saveWorkspaceMeta({ order: ['ws_personal', 'ws_work'], version: 2 });
+    await storageService.saveWorkspaceLocal({
+      activeWorkspaceId: 'ws_personal',
+      rootFolderIds: { ws_personal: seeded.wsFolder.id, ws_work: workFolder.id }
+    });
+    await storageService.saveArcSpacesRootIdLocal(seeded.arcRoot.id);
+    await workspaceService.init();
+  });
+
+  it('restores a deleted folder with its contents and pins', async () => {
+    await undoService.deleteBookmarks([seeded.subFolder.id], 'Delete "Dev Resources"');
+
+    expect(await childTitles(seeded.wsFolder.id)).toEqual(['Google', 'GitHub']);
+    expect(workspaceService.getActive().pinnedBookmarks).toEqual([]);
+
+    expect(await undoService.undo()).toBe('Delete "Dev Resources"');
+
+    const children = await bookmarkService.getChildren(seeded.wsFolder.id);
+    expect(children.map(c => c.title)).toEqual(['Google', 'GitHub', 'Dev Resources']);
+    const [mdn] = await bookmarkService.getChildren(children[2].id);
+    expect(mdn.url).toBe('https://developer.mozilla.org');
+    expect(workspaceService.isPinned(mdn.id)).toBe(true);
+  });
+
+  it('redoes an undone delete', async () => {
+    await undoService.deleteBookmarks([seeded.subFolder.id], 'Delete "Dev Resources"');
+    await undoService.undo();
+
+    expect(await undoService.redo()).toBe('Delete "Dev Resources"');
+    expect(await childTitles(seeded.wsFolder.id)).toEqual(['Google', 'GitHub']);
+
+    await undoService.undo();
+    expect(await childTitles(seeded.wsFolder.id)).toEqual(['Google', 'GitHub', 'Dev Resources']);
+  });
+
+  it('recreates a deleted folder from its snapshot once the trash is emptied', async () => {
+    await undoService.deleteBookmarks([seeded.subFolder.id], 'Delete "Dev Resources"');
+    await trashService.empty();
+
+    await undoService.undo();
+
+    const children = await bookmarkService.getChildren(seeded.wsFolder.id);
+    expect(children.map(c => c.title)).toEqual(['Google', 'GitHub', 'Dev Resources']);
+    const [mdn] = await bookmarkService.getChildren(children[2].id);
+    expect(workspaceService.isPinned(mdn.id)).toBe(true);
+  });
+
+  it('moves a folder back from another workspace and re-pins it', async () => {
+    await undoService.moveToWorkspace([seeded.subFolder.id], workspaceService.getById('ws_work'), 'Move');
+    expect(await childTitles(workFolder.id)).toEqual(['Dev Resources']);
+    expect(workspaceService.isPinned(seeded.bm3.id)).toBe(false);
+
+    await undoService.undo();
+    expect(await childTitles(workFolder.id)).toEqual([]);
+    expect(await childTitles(seeded.wsFolder.id)).toEqual(['Google', 'GitHub', 'Dev Resources']);
+    expect(workspaceService.isPinned(seeded.bm3.id)).toBe(true);
+  });
+
+  it('brings back a deleted workspace from the trash', async () => {
+    await undoService.deleteWorkspace('ws_personal', 'Delete workspace "Personal"');
+    expect((await trashService.getAll()).map(e => e.id)).toEqual([seeded.wsFolder.id]);
+
+    await undoService.undo();
+
+    expect(workspaceService.getById('ws_personal').rootFolderId).toBe(seeded.wsFolder.id);
+    expect(await trashService.getAll()).toEqual([]);
+  });
+
+  it('brings back a deleted workspace after the trash is emptied', async () => {
+    await undoService.deleteWorkspace('ws_personal', 'Delete workspace "Personal"');
+    expect(workspaceService.getAll().map(ws => ws.id)).toEqual(['ws_work']);
+    await trashService.empty();
+
+    await undoService.undo();
+
+    expect(workspaceService.getAll().map(ws => ws.id)).toEqual(['ws_personal', 'ws_work']);
+    const restored = workspaceService.getById('ws_personal');
+    expect(await childTitles(restored.rootFolderId)).toEqual(['Google', 'GitHub', 'Dev Resources']);
+    const [pin] = restored.pinnedBookmarks;
+    expect((await bookmarkService.get(pin.id)).title).toBe('MDN');
+    expect((await storageService.getWorkspaceLocal()).rootFolderIds.ws_personal).toBe(restored.rootFolderId);
+  });
+
+  it('keeps ID mappings only while an entry still refers to them', async () => {
+    await undoService.moveToWorkspace([seeded.subFolder.id], workspaceService.getById('ws_work'), 'Move');
+    await undoService.deleteBookmarks([seeded.subFolder.id], 'Delete "Dev Resources"');
+    await trashService.empty();
+    await undoService.undo();
+
+    // The move still names the original folder and MDN
+    const { idMap } = await storageService.getUndoJournal();
+    expect(Object.keys(idMap).sort()).toEqual([seeded.subFolder.id, seeded.bm3.id].sort());
+
+    await undoService.undo();
+    expect(await childTitles(seeded.wsFolder.id)).toEqual(['Google', 'GitHub', 'Dev Resources']);
+    expect((await storageService.getUndoJournal()).idMap).toEqual({});
+  });
+
+  it('doesn’t duplicate a bookmark already restored from the Trash view', async () => {
+    await undoService.deleteBookmarks([seeded.subFolder.id], 'Delete "Dev Resources"');
+    await workspaceService.restoreFromTrash(seeded.subFolder.id);
+
+    await undoService.undo();
+    expect(await childTitles(seeded.wsFolder.id)).toEqual(['Google', 'GitHub', 'Dev Resources']);
+
+    await undoService.redo();
+    expect(await childTitles(seeded.wsFolder.id)).toEqual(['Google', 'GitHub']);
+    expect((await trashService.getAll()).map(e => e.id)).toEqual([seeded.subFolder.id]);
+  });
+
+  it('doesn’t duplicate a workspace already restored from the Trash view', async () => {
+    await undoService.deleteWorkspace('ws_personal', 'Delete workspace "Personal"');
+    await workspaceService.restoreFromTrash(seeded.wsFolder.id);
+
+    await undoService.undo();
+
+    expect(workspaceService.getAll().map(ws => ws.id)).toEqual(['ws_personal', 'ws_work']);
+    expect(workspaceService.getById('ws_personal').rootFolderId).toBe(seeded.wsFolder.id);
+    const folders = await bookmarkService.getChildren(seeded.arcRoot.id);
+    expect(folders.filter(c => c.title === seeded.wsFolder.title)).toHaveLength(1);
+  });
+
+  it('keeps the journal in local storage', async () => {
+    await undoService.deleteBookmarks([seeded.bm1.id], 'Delete "Google"');
+
+    const journal = await storageService.getUndoJournal();
+    expect(journal.undo.map(e => e.label)).toEqual(['Delete "Google"']);
+    expect(journal.undo[0].steps[0]).toMatchObject({ op: 'untrash', node: { title: 'Google', url: 'https://google.com' } });
+    expect(await undoService.peek()).toEqual({ undo: 'Delete "Google"', redo: null });
+  });
+
+  it('clears redo on a new action and does nothing when empty', async () => {
+    expect(await undoService.undo()).toBeNull();
+
+    await undoService.deleteBookmarks([seeded.bm1.id], 'Delete "Google"');
+    await undoService.undo();
+    await undoService.deleteBookmarks([seeded.bm2.id], 'Delete "GitHub"');
+
+    expect(await undoService.peek()).toEqual({ undo: 'Delete "GitHub"', redo: null });
+    expect(await undoService.redo()).toBeNull();
+  });
+
+  it('drops an entry whose target is gone', async () => {
+    await undoService.moveToWorkspace([seeded.bm1.id], workspaceService.getById('ws_work'), 'Move');
+    await chrome.bookmarks.remove(seeded.bm1.id);
+
+    await expect(undoService.undo()).rejects.toThrow();
+    expect(await undoService.peek()).toEqual({ undo: null, redo: null });
+  });
+});
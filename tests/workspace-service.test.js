@@ -6,6 +6,8 @@ import { resetMocks, seedBookmarks } from './setup.js';
 import { workspaceService } from '../sidepanel/services/workspace-service.js';
 import { bookmarkService } from '../sidepanel/services/bookmark-service.js';
 import { storageService } from '../sidepanel/services/storage-service.js';
+import { trashService, TRASH_FOLDER_NAME } from '../sidepanel/services/trash-service.js';
+import { bus, Events } from '../sidepanel/utils/event-bus.js';
 
 /**
  * Seed v2 split-key workspace data directly into storage.
@@ -41,6 +43,8 @@ describe('WorkspaceService', () => {
     resetMocks();
     // Disable first-run delay in tests (normally 2s to let Chrome sync propagate)
     workspaceService._firstRunDelayMs = 0;
+    // Each test starts as a fresh side panel (window looked up again on init)
+    workspaceService._windowId = null;
   });
 
   // ── init() — first run ─────────────────────────
@@ -176,6 +180,71 @@ describe('WorkspaceService', () => {
     expect(local.activeWorkspaceId).toBe(ws2.id);
   });
 
+  it('switchTo swaps tab groups to the incoming workspace', async () => {
+    await workspaceService.init();
+    const ws2 = await workspaceService.create('Second', 'green');
+
+    await workspaceService.switchTo(ws2.id);
+
+    expect(chrome.tabGroups.update).toHaveBeenCalledWith(
+      expect.any(Number), { title: 'Second', color: 'green' }
+    );
+    expect(chrome.tabGroups.update).toHaveBeenCalledWith(
+      expect.any(Number), { collapsed: false }
+    );
+
+    // Switching to the already-active workspace is a no-op for tab groups
+    chrome.tabGroups.update.mockClear();
+    await workspaceService.switchTo(ws2.id);
+    expect(chrome.tabGroups.update).not.toHaveBeenCalled();
+  });
+
+  // ── Per-window workspaces ──────────────────────
+
+  describe('per-window active workspace', () => {
+    /** Re-init as the side panel of another window. */
+    async function openPanelIn(windowId) {
+      workspaceService._windowId = null;
+      chrome.windows.getCurrent.mockResolvedValueOnce({ id: windowId });
+      await workspaceService.init();
+    }
+
+    it('keeps each window on its own workspace across re-init', async () => {
+      await openPanelIn(1);
+      const first = workspaceService.getActive();
+      const second = await workspaceService.create('Research', 'green');
+
+      await openPanelIn(2);
+      await workspaceService.switchTo(second.id);
+
+      // Window 1 still shows its workspace, even after window 2 switched
+      await openPanelIn(1);
+      expect(workspaceService.getActive().id).toBe(first.id);
+
+      await openPanelIn(2);
+      expect(workspaceService.getActive().id).toBe(second.id);
+    });
+
+    it('starts new windows on the last-used workspace', async () => {
+      await openPanelIn(1);
+      const second = await workspaceService.create('Research', 'green');
+      await workspaceService.switchTo(second.id);
+
+      await openPanelIn(3);
+      expect(workspaceService.getActive().id).toBe(second.id);
+      expect(await storageService.getWindowWorkspace(3)).toBe(second.id);
+    });
+
+    it('falls back to the last-used workspace when the bound one is gone', async () => {
+      await openPanelIn(1);
+      await storageService.setWindowWorkspace(1, 'ws_deleted');
+
+      await openPanelIn(1);
+      expect(workspaceService.getActive()).toBeTruthy();
+      expect(workspaceService.getActive().id).not.toBe('ws_deleted');
+    });
+  });
+
   // ── rename ─────────────────────────────────────
 
   it('renames a workspace and its bookmark folder', async () => {
@@ -220,6 +289,53 @@ describe('WorkspaceService', () => {
     expect(meta.order).not.toContain(ws2.id);
   });
 
+  it('moves a deleted workspace to the trash and restores it from there', async () => {
+    await workspaceService.init();
+    const ws2 = await workspaceService.create('ToDelete', 'red');
+    const folderId = ws2.rootFolderId;
+    const index = workspaceService.getAll().indexOf(ws2);
+
+    const entry = await workspaceService.delete(ws2.id);
+    expect(entry.workspace.name).toBe('ToDelete');
+    expect((await bookmarkService.get(folderId)).parentId).toBe(await trashService.getFolderId());
+
+    await workspaceService.restoreFromTrash(folderId);
+    const restored = workspaceService.getById(ws2.id);
+    expect(restored.rootFolderId).toBe(folderId);
+    expect(workspaceService.getAll().indexOf(restored)).toBe(index);
+  });
+
+  it('keeps the workspace when its folder can’t be moved to the trash', async () => {
+    await workspaceService.init();
+    const ws2 = await workspaceService.create('ToDelete', 'red');
+    vi.spyOn(trashService, 'trash').mockRejectedValueOnce(new Error('QUOTA_BYTES quota exceeded'));
+
+    await expect(workspaceService.delete(ws2.id)).rejects.toThrow('quota');
+
+    expect(workspaceService.getById(ws2.id)).not.toBeNull();
+    expect((await storageService.getWorkspaceMeta()).order).toContain(ws2.id);
+  });
+
+  it('deletes a workspace whose folder is already gone', async () => {
+    await workspaceService.init();
+    const ws2 = await workspaceService.create('ToDelete', 'red');
+    await chrome.bookmarks.removeTree(ws2.rootFolderId);
+
+    expect(await workspaceService.delete(ws2.id)).toBeNull();
+    expect(workspaceService.getById(ws2.id)).toBeNull();
+  });
+
+  it('does not adopt the trash folder as a workspace', async () => {
+    await workspaceService.init();
+    const ws2 = await workspaceService.create('ToDelete', 'red');
+    await workspaceService.delete(ws2.id);
+    const count = workspaceService.getAll().length;
+
+    expect(await workspaceService._adoptOrphanedBookmarkFolders()).toBe(0);
+    expect(await workspaceService.getBookmarkFolderNames()).not.toContain(TRASH_FOLDER_NAME);
+    expect(workspaceService.getAll().length).toBe(count);
+  });
+
   it('prevents deleting the last workspace', async () => {
     await workspaceService.init();
     // Only one workspace should exist
@@ -672,6 +788,63 @@ describe('WorkspaceService', () => {
     expect(updated.color).toBe('#EF4444');
   });
 
+  // ── archiveAfter ───────────────────────────────
+
+  it('stores the idle-tab archive period per workspace', async () => {
+    await workspaceService.init();
+    const ws = workspaceService.getActive();
+    expect(workspaceService.getArchiveAfter(ws.id)).toBe('never');
+
+    await workspaceService.setArchiveAfter(ws.id, '24h');
+    expect(workspaceService.getArchiveAfter(ws.id)).toBe('24h');
+    const item = await storageService.getWorkspaceItem(ws.id);
+    expect(item.archiveAfter).toBe('24h');
+
+    await workspaceService.setArchiveAfter(ws.id, 'bogus');
+    expect(workspaceService.getArchiveAfter(ws.id)).toBe('24h');
+  });
+
+  // ── Routing rules ──────────────────────────────
+
+  it('adds and removes URL routing rules on the workspace item', async () => {
+    await workspaceService.init();
+    const ws = workspaceService.getActive();
+
+    expect(await workspaceService.addRoutingRule(ws.id, ' *.atlassian.net ')).toBe(true);
+    expect(await workspaceService.addRoutingRule(ws.id, '*.atlassian.net')).toBe(true);
+    expect(await workspaceService.addRoutingRule(ws.id, '/([/')).toBe(false);
+    expect(workspaceService.getRoutingRules(ws.id)).toEqual(['*.atlassian.net']);
+    expect((await storageService.getWorkspaceItem(ws.id)).routingRules).toEqual(['*.atlassian.net']);
+
+    await workspaceService.removeRoutingRule(ws.id, '*.atlassian.net');
+    expect(workspaceService.getRoutingRules(ws.id)).toEqual([]);
+  });
+
+  // ── Smart folders ──────────────────────────────
+
+  it('saves smart folders on the workspace item and pins them', async () => {
+    await workspaceService.init();
+    const ws = workspaceService.getActive();
+    const onPinned = vi.fn();
+    const unsub = bus.on(Events.BOOKMARK_PINNED, onPinned);
+
+    const sf = await workspaceService.addSmartFolder(' GitHub ', { domain: ' github.com ', text: '', added: 'week' });
+    expect(sf.id.startsWith('smart_')).toBe(true);
+    expect(sf).toMatchObject({ name: 'GitHub', pinned: false, query: { domain: 'github.com', added: 'week', workspaceId: null } });
+    expect(sf.query).not.toHaveProperty('text');
+
+    await workspaceService.pinSmartFolder(sf.id);
+    expect(onPinned).toHaveBeenCalledWith({ bookmarkId: sf.id, workspaceId: ws.id });
+    expect((await storageService.getWorkspaceItem(ws.id)).smartFolders[0].pinned).toBe(true);
+
+    await workspaceService.updateSmartFolder(sf.id, { name: 'Code', query: { domain: 'gitlab.com' } });
+    expect(workspaceService.getSmartFolders()[0]).toMatchObject({ name: 'Code', query: { domain: 'gitlab.com' } });
+
+    await workspaceService.removeSmartFolder(sf.id);
+    expect(workspaceService.getSmartFolders()).toEqual([]);
+    unsub();
+  });
+
   // ── colors getter ──────────────────────────────
 
   it('exposes color palette', () => {
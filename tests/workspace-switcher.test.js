@@ -0,0 +1,98 @@
+// Tests for the space bar — dropping bookmarks onto a workspace circle and
+// the spring-loaded switch while dragging
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { resetMocks, seedBookmarks } from './setup.js';
+import { workspaceService } from '../sidepanel/services/workspace-service.js';
+import { storageService } from '../sidepanel/services/storage-service.js';
+import { undoService } from '../sidepanel/services/undo-service.js';
+import { WorkspaceSwitcher } from '../sidepanel/components/workspace-switcher.js';
+
+describe('WorkspaceSwitcher', () => {
+  let container;
+  let switcher;
+  let seeded;
+  let workFolder;
+
+  const icon = (id) => container.querySelector(`[data-workspace-id="${id}"]`);
+  const dragEvent = (type, data) => {
+    const evt = new Event(type, { bubbles: true, cancelable: true });
+    Object.defineProperty(evt, 'dataTransfer', {
+      value: { types: Object.keys(data), getData: (t) => data[t] || '', dropEffect: '' },
+    });
+    return evt;
+  };
+  const children = async (id) => (await chrome.bookmarks.getChildren(id)).map(c => c.title);
+
+  beforeEach(async () => {
+    resetMocks();
+    document.body.innerHTML = '<div id="space-bar"></div>';
+    container = document.getElementById('space-bar');
+    workspaceService._firstRunDelayMs = 0;
+    workspaceService._windowId = null;
+
+    seeded = await seedBookmarks();
+    workFolder = await chrome.bookmarks.create({ parentId: seeded.arcRoot.id, title: 'Work' });
+    await storageService.saveWorkspaceItem('ws_personal', {
+      id: 'ws_personal', name: 'Personal', colorScheme: 'purple',
+      pinnedBookmarks: [{ id: seeded.bm2.id, url: seeded.bm2.url, title: 'GitHub' }]
+    });
+    await storageService.saveWorkspaceItem('ws_work', {
+      id: 'ws_work', name: 'Work', colorScheme: 'blue', pinnedBookmarks: []
+    });
+    await storageService.saveWorkspaceMeta({ order: ['ws_personal', 'ws_work'], version: 2 });
+    await storageService.saveWorkspaceLocal({
+      activeWorkspaceId: 'ws_personal',
+      rootFolderIds: { ws_personal: seeded.wsFolder.id, ws_work: workFolder.id }
+    });
+    await storageService.saveArcSpacesRootIdLocal(seeded.arcRoot.id);
+    await workspaceService.init();
+
+    switcher = new WorkspaceSwitcher(container);
+    switcher._springDelayMs = 20;
+    await switcher.init();
+  });
+
+  afterEach(() => {
+    switcher.destroy();
+  });
+
+  it('moves dropped bookmarks to the workspace’s top level, unpinning them', async () => {
+    icon('ws_work').dispatchEvent(dragEvent('drop', {
+      'application/x-bookmark-ids': `${seeded.bm2.id},${seeded.subFolder.id}`,
+    }));
+
+    await vi.waitFor(async () => {
+      expect(await children(workFolder.id)).toEqual(['GitHub', 'Dev Resources']);
+    });
+    expect(await children(seeded.wsFolder.id)).toEqual(['Google']);
+    expect(workspaceService.isPinned(seeded.bm2.id)).toBe(false);
+
+    await undoService.undo();
+    expect(await children(seeded.wsFolder.id)).toEqual(['Google', 'GitHub', 'Dev Resources']);
+  });
+
+  it('switches to a workspace hovered during a bookmark drag', async () => {
+    icon('ws_work').dispatchEvent(dragEvent('dragover', { 'application/x-bookmark-ids': '' }));
+    expect(icon('ws_work').classList.contains('space-drop-into')).toBe(true);
+
+    await vi.waitFor(() => {
+      expect(workspaceService.getActive().id).toBe('ws_work');
+    });
+  });
+
+  it('cancels the switch when the drag leaves the circle', async () => {
+    icon('ws_work').dispatchEvent(dragEvent('dragover', { 'application/x-bookmark-ids': '' }));
+    icon('ws_work').dispatchEvent(dragEvent('dragleave', {}));
+
+    await new Promise(r => setTimeout(r, 40));
+    expect(workspaceService.getActive().id).toBe('ws_personal');
+  });
+
+  it('keeps reordering workspaces by drag', async () => {
+    icon('ws_personal').dispatchEvent(dragEvent('drop', { 'application/x-workspace-id': 'ws_work' }));
+    await vi.waitFor(() => {
+      expect(workspaceService.getAll().map(w => w.id)).toEqual(['ws_work', 'ws_personal']);
+    });
+  });
+});